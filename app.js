@@ -1,96 +1,294 @@
+// View from a permalink, if the page was opened with one
+const permalinkView = (() => {
+  try {
+    return decodePermalink(window.location.hash).view;
+  } catch (e) {
+    return null;
+  }
+})();
+
 // === Minimal grey basemap ===
+const BASEMAP_STYLE = "https://basemaps.cartocdn.com/gl/positron-gl-style/style.json";
+
 const map = new maplibregl.Map({
   container: "map",
-  style: "https://basemaps.cartocdn.com/gl/positron-gl-style/style.json",
-  center: [0, 20], // initial center (Barcelona)
-  zoom: 1.5,
+  style: BASEMAP_STYLE,
+  center: permalinkView?.center || [0, 20], // initial center (Barcelona)
+  zoom: permalinkView?.zoom ?? 1.5,
   pitch: 0
 });
 
-// Store layers with their markers and metadata
-let layers = {}; // { layerId: { markers: [], name: "", category: "", color: "" } }
+// Built-in categories from the backend, then the user's own
+const categoriesReady = loadCategoryRegistry();
+
+// Resolves once the style is loaded and sources/layers can be added (and results can be classified)
+const mapReady = Promise.all([new Promise(resolve => map.once("load", resolve)), categoriesReady]);
+
+// Store layers with their map source and metadata
+let layers = {}; // { layerId: { sourceId: "", mapLayerIds: [], handlers: [], features: [], labelPoints: [], count: 0, name: "", category: "", color: "", icon: null, styleBy: null, imported: false, visible: true, display: "icons", densityBins: [], filter: [], timeZone: "", proximity: null, prompt: "", placeName: "", placeArea: null, query: "", intent: null, areaFilter: "", createdAt: 0 } }
+// Key order is draw order: later layers are drawn on top
+
+// Category of layers imported from user files (not an OSM category, listed by layer name in the legend)
+const IMPORTED_CATEGORY = "imported";
+
+// Counter used to give each map source a unique id
+let layerSequence = 0;
 
 // Store last place name to detect if location changed
 let lastPlaceName = null;
 
+// Controller of the request in flight; only the latest request may render
+let activeController = null;
+
+// Chat transcript kept for the saved session: [{ sender, text }]
+let chatHistory = [];
+
 // --- Chat display ---
-function addMessage(sender, text) {
+// Notices that only make sense for this page load pass { save: false }
+function addMessage(sender, text, { save = true } = {}) {
   const chat = document.getElementById("chat");
 
   const msg = document.createElement("div");
   msg.textContent = `${sender}: ${text}`;
   chat.appendChild(msg);
   chat.scrollTop = chat.scrollHeight;
+
+  if (save) {
+    chatHistory.push({ sender, text });
+    scheduleSessionSave();
+  }
 }
 
-// --- Call AI backend ---
-async function getAIQuery(prompt) {
-  const res = await fetch(window.location.origin + "/api/predict", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ prompt })
+// --- Chat question with clickable choices; resolves with the chosen index ---
+// Rejects (and disables the choices) if the request is cancelled first
+function askChoice(text, options, signal) {
+  const chat = document.getElementById("chat");
+
+  const msg = document.createElement("div");
+  msg.className = "chat-choices";
+  msg.textContent = `Agent: ${text}`;
+  chatHistory.push({ sender: "Agent", text });
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      msg.querySelectorAll(".chat-choice").forEach(b => { b.disabled = true; });
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    options.forEach((option, index) => {
+      const btn = document.createElement("button");
+      btn.className = "chat-choice";
+      btn.textContent = option;
+      btn.onclick = () => {
+        signal?.removeEventListener("abort", onAbort);
+        msg.querySelectorAll(".chat-choice").forEach(b => { b.disabled = true; });
+        btn.classList.add("selected");
+        resolve(index);
+      };
+      msg.appendChild(btn);
+    });
+
+    chat.appendChild(msg);
+    chat.scrollTop = chat.scrollHeight;
   });
-  if (!res.ok) {
-    throw new Error("AI backend error");
+}
+
+// --- Helper: chat notice shown before a retry ---
+function retryNotice(label) {
+  return (delay) => addMessage("Agent", `${label} is busy, retrying in ${Math.ceil(delay / 1000)} s...`);
+}
+
+// --- Helper: tell the user a response came from the cache ---
+function noteCacheHit(label, cachedAt) {
+  if (cachedAt) {
+    addMessage("Agent", `Using cached ${label} from ${formatAge(Date.now() - cachedAt)} ago - may be outdated (tick "Refresh" to reload) 🗂️`);
   }
-  return res.json();
 }
 
-// --- Get bounding box from place name using Nominatim ---
-async function getBboxFromPlace(placeName) {
-  const nominatimUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(placeName)}&format=json&limit=1`;
-  const res = await fetch(nominatimUrl, {
-    headers: { 'User-Agent': 'AI-Map-Agent' }
-  });
-  if (!res.ok) {
-    throw new Error("Nominatim API error");
+// --- Call AI backend ---
+// context is the chat and map state the prompt follows (see getConversationContext)
+async function getAIQuery(prompt, { signal, refresh = false, context = { history: [], layers: [] } } = {}) {
+  // The user's own categories go with the prompt, so answers are cached per set of categories
+  const categories = getCustomCategories();
+  const categoryKey = categories.map(c => `${c.key}:${c.tags.join(",")}`).join(" ");
+  // Follow-ups mean different things after different prompts and with different layers shown
+  const contextKey = getConversationCacheKey(context);
+
+  const { value, cachedAt } = await withCache(
+    "ai",
+    normalizeCacheKey(prompt) + (categoryKey ? ` [${categoryKey}]` : "") + (contextKey ? ` {${contextKey}}` : ""),
+    () => provider.predict(prompt, { signal, categories, history: context.history, layers: context.layers }),
+    { refresh, bypass: !provider.useCache, cacheable: (json) => !json.error }
+  );
+
+  noteCacheHit("AI response", cachedAt);
+  return value;
+}
+
+// Candidates this far apart (meters) with comparable importance are treated as different places
+const AMBIGUOUS_DISTANCE = 50000;
+const AMBIGUOUS_IMPORTANCE_RATIO = 0.75;
+
+// Largest outline (vertices) sent to Overpass as a poly: filter
+const MAX_POLY_VERTICES = 500;
+
+// Places the user already disambiguated, keyed by lower-cased place name
+const resolvedPlaces = {};
+
+// --- Helper: Overpass area filter for a Nominatim result ---
+// Relations (and closed ways) have an Overpass area; other outlines go through poly:
+function getPlaceFilter(place, bbox) {
+  const osmId = Number(place.osm_id);
+
+  if (place.osm_type === "relation") {
+    return `area:${3600000000 + osmId}`;
   }
-  const data = await res.json();
-  if (data.length === 0) {
-    throw new Error(`Place "${placeName}" not found`);
+
+  const geometry = place.geojson;
+  if (geometry && geometry.type === "Polygon" && geometry.coordinates[0].length <= MAX_POLY_VERTICES) {
+    const poly = geometry.coordinates[0].map(([lng, lat]) => `${lat} ${lng}`).join(" ");
+    return `poly:"${poly}"`;
+  }
+
+  return bbox;
+}
+
+// --- Helper: candidates that plausibly refer to different places ---
+function getAmbiguousCandidates(candidates) {
+  const top = candidates[0];
+  const topCenter = [parseFloat(top.lon), parseFloat(top.lat)];
+  const topImportance = top.importance || 0;
+
+  const alternatives = candidates.slice(1).filter(c => {
+    const far = haversineDistance(topCenter, [parseFloat(c.lon), parseFloat(c.lat)]) > AMBIGUOUS_DISTANCE;
+    return far && (c.importance || 0) >= topImportance * AMBIGUOUS_IMPORTANCE_RATIO;
+  });
+
+  return alternatives.length ? [top, ...alternatives] : [];
+}
+
+// --- Get search area from place name using Nominatim ---
+// Returns the bbox, the Overpass area filter (boundary when available), the outline to draw and
+// the population when OSM has it
+async function getBboxFromPlace(placeName, { signal, refresh = false } = {}) {
+  const key = normalizeCacheKey(placeName);
+  let place = refresh ? null : resolvedPlaces[key];
+
+  if (!place) {
+    const { value: data, cachedAt } = await withCache(
+      "geocode",
+      key,
+      () => provider.geocode(placeName, { signal, onRetry: retryNotice("Nominatim") }),
+      { refresh, bypass: !provider.useCache, cacheable: (results) => results.length > 0 }
+    );
+
+    noteCacheHit("place lookup", cachedAt);
+
+    if (data.length === 0) {
+      throw new Error(`Place "${placeName}" not found`);
+    }
+
+    // Ask the user when the name matches several distinct places
+    const choices = getAmbiguousCandidates(data);
+    if (choices.length > 1) {
+      const index = await askChoice(`"${placeName}" matches several places. Which one?`, choices.map(c => c.display_name), signal);
+      place = choices[index];
+    } else {
+      place = data[0];
+    }
+
+    resolvedPlaces[key] = place;
   }
 
-  const bbox = data[0].boundingbox; // [minlat, maxlat, minlon, maxlon]
-  const center = [parseFloat(data[0].lon), parseFloat(data[0].lat)];
+  const bbox = place.boundingbox; // [minlat, maxlat, minlon, maxlon]
+  const center = [parseFloat(place.lon), parseFloat(place.lat)];
+  const overpassBbox = `${bbox[0]},${bbox[2]},${bbox[1]},${bbox[3]}`; // Overpass format: minlat,minlon,maxlat,maxlon
+
+  const hasOutline = place.geojson && (place.geojson.type === "Polygon" || place.geojson.type === "MultiPolygon");
+  const [minLat, maxLat, minLon, maxLon] = bbox.map(parseFloat);
+  const population = parseInt(String(place.extratags?.population ?? "").replace(/[\s,.]/g, ""), 10);
 
   return {
-    bbox: `${bbox[0]},${bbox[2]},${bbox[1]},${bbox[3]}`, // Overpass format: minlat,minlon,maxlat,maxlon
-    center: center
+    bbox: overpassBbox,
+    center: center,
+    filter: getPlaceFilter(place, overpassBbox),
+    displayName: place.display_name,
+    population: population > 0 ? population : null,
+    boundary: hasOutline ? place.geojson : {
+      type: "Polygon",
+      coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+    }
   };
 }
 
-// --- Call Overpass ---
-async function fetchOverpass(query) {
-  const overpassUrl = "https://overpass-api.de/api/interpreter";
+// --- Draw the searched boundary faintly beneath the results ---
+function showSearchBoundary(boundary) {
+  hideSearchBoundary();
+  if (!boundary) return;
 
-  // Build proper Overpass query with geometry resolution
-  let fullQuery = query.trim();
+  const firstResultLayer = map.getStyle().layers.find(l => l.id.startsWith("osm-layer-"));
+  const beforeId = firstResultLayer ? firstResultLayer.id : undefined;
 
-  // Add [out:json] with timeout if not present
-  if (!fullQuery.startsWith('[out:json]')) {
-    fullQuery = '[out:json][timeout:25];' + fullQuery;
-  } else if (!fullQuery.includes('[timeout:')) {
-    fullQuery = fullQuery.replace('[out:json]', '[out:json][timeout:25]');
-  }
+  map.addSource("search-boundary", {
+    type: "geojson",
+    data: { type: "Feature", geometry: boundary, properties: {} }
+  });
 
-  // Replace simple 'out body;' with 'out geom;' to get full geometry for ways/relations
-  // Add result limit to prevent timeouts
-  fullQuery = fullQuery.replace(/;out body;?$/g, ';out geom;');
+  map.addLayer({
+    id: "search-boundary-fill",
+    type: "fill",
+    source: "search-boundary",
+    paint: {
+      "fill-color": "#1a1a1a",
+      "fill-opacity": 0.03
+    }
+  }, beforeId);
+
+  map.addLayer({
+    id: "search-boundary-line",
+    type: "line",
+    source: "search-boundary",
+    paint: {
+      "line-color": "#1a1a1a",
+      "line-width": 1.5,
+      "line-opacity": 0.4,
+      "line-dasharray": [3, 2]
+    }
+  }, beforeId);
+}
 
-  // Add result limit if not present (limit to 500 results)
-  if (!fullQuery.match(/\);\s*\)/)) {
-    fullQuery = fullQuery.replace(/\);$/, ');out geom 500;');
-  }
+function hideSearchBoundary() {
+  ["search-boundary-fill", "search-boundary-line"].forEach(id => {
+    if (map.getLayer(id)) map.removeLayer(id);
+  });
+  if (map.getSource("search-boundary")) map.removeSource("search-boundary");
+}
 
-  console.log("Final Overpass Query:", fullQuery);
+// --- Call Overpass with a compiled query ---
+async function fetchOverpass(query, { signal, refresh = false } = {}) {
+  console.log("Final Overpass Query:", query);
 
-  const res = await fetch(overpassUrl, { method: "POST", body: fullQuery });
-  if (!res.ok) {
-    throw new Error(`Overpass API error: ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
+  const { value: geojson, cachedAt } = await withCache(
+    "overpass",
+    query.trim(),
+    async () => overpassToGeoJSON(await provider.overpass(query, { signal, onRetry: retryNotice("Overpass") })),
+    { refresh, bypass: !provider.useCache }
+  );
+
+  noteCacheHit("Overpass results", cachedAt);
+  return geojson;
+}
+
+// --- Helper: check an Overpass JSON response and convert it to GeoJSON ---
+function overpassToGeoJSON(json) {
   console.log("Overpass Response (elements):", json.elements?.length || 0);
 
+  // Runtime errors (e.g. query timeouts) come back as a remark with status 200
+  if (json.remark && !json.elements?.length) {
+    throw new Error(`Overpass: ${json.remark}`);
+  }
+
   // Log first element to debug
   if (json.elements && json.elements.length > 0) {
     console.log("First element sample:", json.elements[0]);
@@ -100,28 +298,51 @@ async function fetchOverpass(query) {
   console.log("GeoJSON (features):", geojson.features?.length || 0);
 
   // Log first feature to debug
+  // No results is a valid answer; only elements that produce no features are a failure
   if (geojson.features && geojson.features.length > 0) {
     console.log("First feature sample:", geojson.features[0]);
-  } else {
+  } else if (json.elements?.length) {
     console.error("osmtogeojson failed to convert! Raw data:", json);
   }
 
   return geojson;
 }
 
+// --- Helper: remove a layer's source, style layers and event handlers from the map ---
+function removeFromMap(layer) {
+  layer.handlers.forEach(([type, mapLayerId, handler]) => map.off(type, mapLayerId, handler));
+  layer.mapLayerIds.forEach(id => {
+    if (map.getLayer(id)) map.removeLayer(id);
+  });
+  [layer.sourceId, `${layer.sourceId}-shapes`, `${layer.sourceId}-density`].forEach(id => {
+    if (map.getSource(id)) map.removeSource(id);
+  });
+}
+
 // --- Helper: clear all layers ---
 function clearAllLayers() {
-  Object.values(layers).forEach(layer => {
-    layer.markers.forEach(m => m.remove());
-  });
+  Object.values(layers).forEach(removeFromMap);
   layers = {};
+  hideSearchBoundary();
+  updateLegend();
+}
+
+// --- Helper: clear query results but keep imported datasets ---
+function clearQueryLayers() {
+  Object.keys(layers)
+    .filter(id => !layers[id].imported)
+    .forEach(id => {
+      removeFromMap(layers[id]);
+      delete layers[id];
+    });
+  hideSearchBoundary();
   updateLegend();
 }
 
 // --- Helper: remove specific layer ---
 function removeLayer(layerId) {
   if (layers[layerId]) {
-    layers[layerId].markers.forEach(m => m.remove());
+    removeFromMap(layers[layerId]);
     delete layers[layerId];
     updateLegend();
   }
@@ -133,7 +354,7 @@ function removeCategoryLayers(category) {
 
   Object.entries(layers).forEach(([layerId, layer]) => {
     if (layer.category === category) {
-      layer.markers.forEach(m => m.remove());
+      removeFromMap(layer);
       layerIdsToRemove.push(layerId);
     }
   });
@@ -142,720 +363,2010 @@ function removeCategoryLayers(category) {
   updateLegend();
 }
 
-// --- Helper: get category from OSM tags ---
-function getCategoryFromTags(tags) {
-  if (!tags) return "poi";
-
-  // Amenities (higher priority - more specific)
-  if (tags.amenity === "cafe") return "cafe";
-  if (tags.amenity === "restaurant") return "restaurant";
-  if (tags.amenity === "bar") return "bar";
-  if (tags.amenity === "hospital") return "hospital";
-  if (tags.amenity === "school") return "school";
-  if (tags.amenity === "pharmacy") return "pharmacy";
-  if (tags.amenity === "library") return "library";
-  if (tags.amenity === "bank") return "bank";
-  if (tags.amenity === "university") return "university";
-  if (tags.amenity === "parking") return "parking";
-
-  // Tourism (lower priority)
-  if (tags.tourism === "museum") return "museum";
-  if (tags.tourism === "hotel") return "hotel";
-  if (tags.tourism === "hostel") return "hostel";
-  if (tags.tourism === "viewpoint") return "viewpoint";
-
-  // Shops
-  if (tags.shop === "supermarket") return "supermarket";
-  if (tags.shop === "bakery") return "bakery";
-  if (tags.shop === "hairdresser") return "hairdresser";
-
-  // Leisure
-  if (tags.leisure === "park") return "park";
-  if (tags.leisure === "garden") return "garden";
-  if (tags.leisure === "sports_centre") return "sports_centre";
-  if (tags.leisure === "pitch") return "pitch";
-  if (tags.leisure === "playground") return "playground";
-  if (tags.leisure === "dog_park") return "dog_park";
-
-  // Historic
-  if (tags.historic === "monument") return "monument";
-
-  // Railway
-  if (tags.railway === "station") return "station";
-
-  return "poi";
-}
-
-// --- Category definitions with colors and labels ---
-const CATEGORIES = {
-  restaurant: { color: "#E76F51", label: "Restaurants", tags: ["amenity=restaurant"] },
-  cafe: { color: "#F4A261", label: "Cafes", tags: ["amenity=cafe"] },
-  bar: { color: "#E63946", label: "Bars", tags: ["amenity=bar"] },
-  bakery: { color: "#C19A6B", label: "Bakeries", tags: ["shop=bakery"] },
-  school: { color: "#3A86FF", label: "Schools", tags: ["amenity=school"] },
-  university: { color: "#0077B6", label: "Universities", tags: ["amenity=university"] },
-  library: { color: "#6B5B95", label: "Libraries", tags: ["amenity=library"] },
-  museum: { color: "#9D4EDD", label: "Museums", tags: ["tourism=museum"] },
-  monument: { color: "#9B59B6", label: "Monuments", tags: ["historic=monument"] },
-  viewpoint: { color: "#48CAE4", label: "Viewpoints", tags: ["tourism=viewpoint"] },
-  park: { color: "#2A9D8F", label: "Parks", tags: ["leisure=park"] },
-  garden: { color: "#52B788", label: "Gardens", tags: ["leisure=garden"] },
-  dog_park: { color: "#95D5B2", label: "Dog Parks", tags: ["leisure=dog_park"] },
-  playground: { color: "#FFC300", label: "Playgrounds", tags: ["leisure=playground"] },
-  sports_centre: { color: "#E63946", label: "Sports", tags: ["leisure=sports_centre"] },
-  pitch: { color: "#7FFFD4", label: "Pitches", tags: ["leisure=pitch"] },
-  hospital: { color: "#E85D75", label: "Hospitals", tags: ["amenity=hospital"] },
-  pharmacy: { color: "#06D6A0", label: "Pharmacies", tags: ["amenity=pharmacy"] },
-  bank: { color: "#FFB703", label: "Banks", tags: ["amenity=bank"] },
-  supermarket: { color: "#8338EC", label: "Supermarkets", tags: ["shop=supermarket"] },
-  hairdresser: { color: "#F72585", label: "Hairdressers", tags: ["shop=hairdresser"] },  
-  hotel: { color: "#FB5607", label: "Hotels", tags: ["tourism=hotel"] },
-  hostel: { color: "#F77F00", label: "Hostels", tags: ["tourism=hostel"] },
-  station: { color: "#2C3E50", label: "Stations", tags: ["railway=station"] },  
-  parking: { color: "#6C757D", label: "Parking", tags: ["amenity=parking"] },
-  poi: { color: "#ADB5BD", label: "Other POIs", tags: [] }
-};
-
-// Legacy color map for backward compatibility
-const CATEGORY_COLORS = Object.fromEntries(
-  Object.entries(CATEGORIES).map(([key, val]) => [key, val.color])
-);
-
-// --- Helper: create minimal SVG icon by category (black & white) ---
-function createSVGIcon(category) {
-  const color = CATEGORY_COLORS[category] || CATEGORY_COLORS.poi;
-  return createSVGIconWithColor(category, color);
-}
-
 // --- Helper: create SVG icon with custom color ---
 function createSVGIconWithColor(category, color) {
   const div = document.createElement("div");
   div.className = "poi-marker";
-
-  // Unique flat color icons for each category
-  let svg = "";
-
-  switch (category) {
-    case "restaurant":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <line x1="12" y1="8" x2="12" y2="24" stroke="${color}" stroke-width="2.5" stroke-linecap="round"/>
-          <line x1="12" y1="8" x2="12" y2="14" stroke="${color}" stroke-width="2.5" stroke-linecap="round"/>
-          <path d="M9 8 v6 q0 2 3 2" fill="none" stroke="${color}" stroke-width="2"/>
-          <path d="M15 8 v6 q0 2 -3 2" fill="none" stroke="${color}" stroke-width="2"/>
-          <path d="M20 8 v4 q0 2 2 2 v10" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round"/>
-        </svg>`;
-      break;
-    case "cafe":
-      svg = `
-       <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(4, 4)" fill="${color}">
-            <g transform="matrix(1 0 0 1 12 12)">
-              <path d="M 9 2 C 9 3.277344 8.78125 3.28125 8.28125 3.78125 C 7.78125 4.28125 7 5.277344 7 7 L 9 7 C 9 5.722656 9.21875 5.71875 9.71875 5.21875 C 10.21875 4.71875 11 3.722656 11 2 Z M 12.6875 3 C 12.6875 5.398438 11 5.398438 11 7 L 13 7 C 13 5.5 14.6875 5.699219 14.6875 3 Z M 3 8 L 4.8125 20.3125 C 4.914063 21.3125 5.8125 22 6.8125 22 L 13.3125 22 C 14.3125 22 15.113281 21.3125 15.3125 20.3125 L 15.90625 16 L 17.40625 16 C 18.859375 16 20.199219 14.957031 20.375 13.4375 C 20.375 13.429688 20.367188 13.410156 20.375 13.40625 L 20.6875 11.4375 L 20.6875 11.375 C 20.832031 9.628906 19.5 8 17.6875 8 Z M 16.71875 10 L 17.6875 10 C 18.257813 10 18.738281 10.53125 18.71875 11.15625 C 18.71875 11.179688 18.71875 11.195313 18.71875 11.21875 L 18.40625 13.15625 L 18.40625 13.1875 C 18.359375 13.640625 17.941406 14 17.40625 14 L 16.1875 14 Z" transform=" translate(-11.85, -12)" stroke-linecap="round" />
-            </g>
-          </g>
-        </svg>`;
-      break;
-    case "bar":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 7)">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
-              <g transform="matrix(0.87 0 0 0.87 12 12)">
-                <path d="M 8 4 C 7.526 4 7.1184844 4.332875 7.0214844 4.796875 C 6.9794844 4.996875 6 9.715 6 12 C 6 16.623417 9.5075863 20.441451 14 20.941406 L 14 24.195312 L 9.8242188 25.013672 C 9.805229531137265 25.01703143730781 9.786341400593907 25.02093940457936 9.7675781 25.025391 L 9.7382812 25.03125 L 9.7382812 25.033203 C 9.251657662333823 25.16219811031299 8.93677228270921 25.632802327849166 9.003177686524374 26.13183391827161 C 9.069583090339538 26.63086550869405 9.496577067164631 27.002748925397814 10 27 L 20 27 C 20.506395993792996 27.006698610550917 20.93786928833498 26.633801808586053 21.004606643431206 26.13177800501926 C 21.071343998527432 25.62975420145247 20.752277644465696 25.157083184227712 20.261719 25.03125 L 20.234375 25.025391 C 20.207905981900005 25.019095587834215 20.18119109079239 25.01388291801783 20.154297 25.009766 L 16 24.195312 L 16 20.941406 C 20.492414 20.441451 24 16.623417 24 12 C 24 9.709 23.020516 4.9949219 22.978516 4.7949219 C 22.881516 4.3319219 22.474 4 22 4 L 8 4 z M 8.8203125 6 L 21.179688 6 C 21.319688 6.726 21.529172 7.858 21.701172 9 L 10.289062 9 C 10.126063 10.106 10 11.216 10 12 C 10 13.292 10.307563 14.511844 10.851562 15.589844 C 11.260563 16.400844 10.159984 17.125828 9.5839844 16.423828 C 8.5949844 15.218828 8 13.679 8 12 C 8 10.443 8.5423125 7.433 8.8203125 6 z" transform=" translate(-15, -15.5)"/>
-              </g>
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "bakery":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 30 30" fill="${color}">
-              <path d="M 15 5 C 10.313 5 7.5593594 6.8058125 7.4433594 6.8828125 C 7.0373594 7.1538125 6.8888437 7.6809531 7.0898438 8.1269531 L 11.736328 18.412109 C 11.898328 18.770109 12.256437 19 12.648438 19 L 17.351562 19 C 17.744563 19 18.099719 18.770109 18.261719 18.412109 L 22.910156 8.1269531 C 23.112156 7.6809531 22.962641 7.1538125 22.556641 6.8828125 C 22.440641 6.8058125 19.687 5 15 5 z M 5.9296875 10.419922 C 4.4336875 11.593922 2.8237344 13.301797 2.0527344 15.591797 C 1.9487344 15.899797 2.0013125 16.238953 2.1953125 16.501953 C 2.2833125 16.620953 3.1186406 17.696344 5.4316406 18.777344 C 7.3186406 19.659344 9.0295625 19.971375 9.1015625 19.984375 C 9.1595625 19.995375 9.2183438 20 9.2773438 20 C 9.6323438 20 9.8939063 19.847953 10.128906 19.626953 C 10.048906 19.503953 9.9780156 19.374281 9.9160156 19.238281 L 5.9296875 10.419922 z M 24.070312 10.419922 L 20.083984 19.238281 C 20.021984 19.374281 19.951094 19.503953 19.871094 19.626953 C 20.106094 19.847953 20.367656 20 20.722656 20 C 20.781656 20 20.840438 19.995375 20.898438 19.984375 C 20.970437 19.971375 22.681359 19.659344 24.568359 18.777344 C 26.881359 17.696344 27.716688 16.620953 27.804688 16.501953 C 27.998688 16.238953 28.051266 15.899797 27.947266 15.591797 C 27.176266 13.301797 25.566312 11.593922 24.070312 10.419922 z M 2.0039062 19.050781 C 2.0199063 23.022781 3.836 25 5 25 C 6.139 25 6.7100938 23.565453 7.6210938 21.689453 C 6.8440937 21.480453 5.7489844 21.133844 4.5839844 20.589844 C 3.4549844 20.061844 2.6229062 19.525781 2.0039062 19.050781 z M 27.996094 19.050781 C 27.377094 19.525781 26.545016 20.061844 25.416016 20.589844 C 24.251016 21.133844 23.155906 21.480453 22.378906 21.689453 C 23.289906 23.565453 23.861 25 25 25 C 26.164 25 27.980094 23.022781 27.996094 19.050781 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "school":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
-              <path d="M 12 1.9550781 L 1.7128906 5.0429688 L 2.2871094 6.9570312 L 12 4.0449219 L 21.712891 6.9570312 L 22.287109 5.0429688 L 12 1.9550781 z M 2 9 L 2 20 C 9 20 12 23 12 23 C 12 23 15 20 22 20 L 22 9 C 15 9 12 12 12 12 C 12 12 9 9 2 9 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "university":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
-              <path d="M11.7 2.805a.75.75 0 0 1 .6 0A60.65 60.65 0 0 1 22.83 8.72a.75.75 0 0 1-.231 1.337 49.948 49.948 0 0 0-9.902 3.912l-.003.002c-.114.06-.227.119-.34.18a.75.75 0 0 1-.707 0A50.88 50.88 0 0 0 7.5 12.173v-.224c0-.131.067-.248.172-.311a54.615 54.615 0 0 1 4.653-2.52.75.75 0 0 0-.65-1.352 56.123 56.123 0 0 0-4.78 2.589 1.858 1.858 0 0 0-.859 1.228 49.803 49.803 0 0 0-4.634-1.527.75.75 0 0 1-.231-1.337A60.653 60.653 0 0 1 11.7 2.805Z" />
-              <path d="M13.06 15.473a48.45 48.45 0 0 1 7.666-3.282c.134 1.414.22 2.843.255 4.284a.75.75 0 0 1-.46.711 47.87 47.87 0 0 0-8.105 4.342.75.75 0 0 1-.832 0 47.87 47.87 0 0 0-8.104-4.342.75.75 0 0 1-.461-.71c.035-1.442.121-2.87.255-4.286.921.304 1.83.634 2.726.99v1.27a1.5 1.5 0 0 0-.14 2.508c-.09.38-.222.753-.397 1.11.452.213.901.434 1.346.66a6.727 6.727 0 0 0 .551-1.607 1.5 1.5 0 0 0 .14-2.67v-.645a48.549 48.549 0 0 1 3.44 1.667 2.25 2.25 0 0 0 2.12 0Z" />
-              <path d="M4.462 19.462c.42-.419.753-.89 1-1.395.453.214.902.435 1.347.662a6.742 6.742 0 0 1-1.286 1.794.75.75 0 0 1-1.06-1.06Z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "library":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
-              <path d="M11.25 4.533A9.707 9.707 0 0 0 6 3a9.735 9.735 0 0 0-3.25.555.75.75 0 0 0-.5.707v14.25a.75.75 0 0 0 1 .707A8.237 8.237 0 0 1 6 18.75c1.995 0 3.823.707 5.25 1.886V4.533ZM12.75 20.636A8.214 8.214 0 0 1 18 18.75c.966 0 1.89.166 2.75.47a.75.75 0 0 0 1-.708V4.262a.75.75 0 0 0-.5-.707A9.735 9.735 0 0 0 18 3a9.707 9.707 0 0 0-5.25 1.533v16.103Z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "museum":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 50 50" fill="${color}">
-              <path d="M 25 1.9980469 C 24.8425 1.9980469 24.684062 2.034375 24.539062 2.109375 L 3.5390625 13.109375 C 3.2090625 13.289375 3 13.63 3 14 L 3 16 L 47 16 L 47 14 C 47 13.63 46.790937 13.289375 46.460938 13.109375 L 25.460938 2.109375 C 25.315938 2.034375 25.1575 1.9980469 25 1.9980469 z M 5 18 L 5 19.400391 C 5 20.650391 5.84 21.669687 7 21.929688 L 7 38 L 15 38 L 15 21.929688 C 16.16 21.669688 17 20.650391 17 19.400391 L 17 18 L 5 18 z M 19 18 L 19 19.400391 C 19 20.650391 19.84 21.669687 21 21.929688 L 21 38 L 29 38 L 29 21.929688 C 30.16 21.669688 31 20.650391 31 19.400391 L 31 18 L 19 18 z M 33 18 L 33 19.400391 C 33 20.650391 33.84 21.669687 35 21.929688 L 35 38 L 43 38 L 43 21.929688 C 44.16 21.669688 45 20.650391 45 19.400391 L 45 18 L 33 18 z M 4 40 C 3.56 40 3.0707031 40.159219 2.7207031 40.449219 C 2.2607031 40.839219 2 41.419297 2 42.029297 L 2 44.779297 C 2 46.019297 2.9196094 47 4.0996094 47 L 45.800781 47 C 46.960781 47 47.900391 46.050859 47.900391 44.880859 L 47.900391 42.130859 C 47.900391 40.960859 46.960781 40.009766 45.800781 40.009766 C 45.800781 40.009766 4.08 40 4 40 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "monument":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(4, 4)">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
-              <path d="M 15 3 C 13.895 3 13 3.895 13 5 C 13 6.105 13.895 7 15 7 C 16.105 7 17 6.105 17 5 C 17 3.895 16.105 3 15 3 z M 15 7 L 12.949 7 C 12.424 7 12 7.424 12 7.949 L 12 8.518 C 12 8.804 12.136 9.067 12.352 9.254 C 12.64 9.503 13 9.928 13 10.5 C 13 11.453 12 18 12 18 L 15 18 L 18 18 C 18 18 17 11.453 17 10.5 C 17 9.928 17.36 9.503 17.648 9.254 C 17.864 9.067 18 8.804 18 8.518 L 18 7.949 C 18 7.424 17.576 7 17.051 7 L 15 7 z M 11 20 C 10.448 20 10 20.448 10 21 C 10 21.484 10.352 21.869 10.809 21.961 L 10.199 25 L 10 25 C 9.448 25 9 25.448 9 26 C 9 26.552 9.448 27 10 27 L 20 27 C 20.552 27 21 26.552 21 26 C 21 25.448 20.552 25 20 25 L 19.801 25 L 19.191 21.961 C 19.648 21.869 20 21.484 20 21 C 20 20.448 19.552 20 19 20 L 11 20 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "viewpoint":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <circle cx="16" cy="16" r="8" fill="none" stroke="${color}" stroke-width="2.5"/>
-          <circle cx="16" cy="16" r="3" fill="${color}"/>
-          <line x1="16" y1="6" x2="16" y2="9" stroke="${color}" stroke-width="2"/>
-          <line x1="16" y1="23" x2="16" y2="26" stroke="${color}" stroke-width="2"/>
-          <line x1="6" y1="16" x2="9" y2="16" stroke="${color}" stroke-width="2"/>
-          <line x1="23" y1="16" x2="26" y2="16" stroke="${color}" stroke-width="2"/>
-        </svg>`;
-      break;
-    case "park":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <circle cx="16" cy="12" r="6" fill="${color}"/>
-          <circle cx="12" cy="14" r="4" fill="${color}" opacity="0.7"/>
-          <circle cx="20" cy="14" r="4" fill="${color}" opacity="0.7"/>
-          <rect x="14.5" y="18" width="3" height="8" fill="${color}"/>
-          <rect x="10" y="25" width="12" height="1.5" rx="0.5" fill="${color}"/>
-        </svg>`;
-      break;
-    case "garden":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <circle cx="16" cy="14" r="4" fill="${color}"/>
-          <circle cx="11" cy="17" r="3" fill="${color}" opacity="0.8"/>
-          <circle cx="21" cy="17" r="3" fill="${color}" opacity="0.8"/>
-          <circle cx="14" cy="20" r="2.5" fill="${color}" opacity="0.6"/>
-          <circle cx="18" cy="20" r="2.5" fill="${color}" opacity="0.6"/>
-        </svg>`;
-      break;
-    case "dog_park":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(4, 4)">
-            <svg width="22" height="22" viewBox="0 0 24 24" fill="${color}">
-              <g transform="matrix(0.8 0 0 0.8 12 12)">
-                <path d="M 26.5 3 C 25.67157287525381 3 25 3.6715728752538097 25 4.5 C 25 5.32842712474619 25.67157287525381 6 26.5 6 C 27.32842712474619 6 28 5.32842712474619 28 4.5 C 28 3.6715728752538097 27.32842712474619 3 26.5 3 z M 19.367188 3.0097656 C 19.149188 2.9923906 18.926109 3.035625 18.724609 3.140625 L 17.353516 3.8515625 C 16.208516 3.2425625 14.568359 3.6132813 14.568359 3.6132812 L 16 6 L 14.894531 9.3535156 L 6.90625 13.580078 L 5.3164062 13.050781 C 5.22202944101666 13.018021901782909 5.123276977171833 12.999588273923406 5.0234375 12.996094 C 4.522829203129339 12.976543941738178 4.084996767793936 13.330416909914158 3.999114924319356 13.823990795604225 C 3.9132330808447753 14.317564681294293 4.205804054276419 14.798527823897413 4.683593799999999 14.949219 L 6.0214844 15.394531 L 6.125 18.349609 L 6.0722656 18.572266 L 3.7695312 21.6875 C 3.707107952159094 21.77179655113357 3.658334674226801 21.865388633637927 3.625 21.964844 L 3.0507812 23.683594 C 2.876149774942286 24.207798341596657 3.1594766771323317 24.774326291101385 3.683650064517535 24.94905060630564 C 4.207823451902739 25.12377492150989 4.774401600135981 24.840548416713414 4.9492188 24.316406 L 5.4707031 22.748047 L 6.5761719 21.251953 L 8.1621094 19.572266 L 8.3691406 21.523438 L 6.7695312 23.6875 C 6.707107952159094 23.77179655113357 6.6583346742268015 23.865388633637924 6.625 23.964844 L 6.0507812 25.683594 C 5.937666766944563 26.022737244215758 6.014098620880747 26.396465015404544 6.251279673430034 26.66396859178111 C 6.488460725979321 26.93147216815768 6.8503486503475175 27.05210137461423 7.200595601958574 26.980406967930005 C 7.550842553569631 26.908712561245775 7.836224571432768 26.655589312344723 7.9492188 26.316406 L 8.4707031 24.748047 L 10.804688 21.59375 C 10.814883357165288 21.578397907049744 10.824652420950367 21.56276693814868 10.833984 21.546875 L 10.865234 21.53125 L 12.632812 17.96875 L 17.994141 15.259766 L 21.478516 15.988281 L 21.482422 15.982422 C 21.54102386771879 15.993570247038965 21.60050565936081 15.99945303217565 21.660156 16 L 24.662109 16 L 25.591797 16.416016 C 25.918033741457222 16.561986144976448 26.297368280395595 16.522782142240803 26.586856542312336 16.31317717828838 C 26.87634480422908 16.103572214335962 27.03198738366441 15.755424208842891 26.99513371710024 15.399925260937488 C 26.95828005053607 15.044426313032083 26.734531537514826 14.735608811612774 26.408203 14.589844 L 25.283203 14.087891 C 25.154835107895074 14.03019871629993 25.01573611229404 14.000249034836612 24.875 14 L 21.962891 14 L 20.029297 12.396484 L 21.349609 12.195312 C 21.437157584884957 12.181924471835355 21.522539967796682 12.156966870450036 21.603516 12.121094 L 24.132812 11 L 25 11 C 25.360635916577568 11.005100289545485 25.696081364571608 10.815624703830668 25.877887721486516 10.504127150285669 C 26.059694078401428 10.192629596740671 26.059694078401428 9.80737040325933 25.877887721486516 9.495872849714331 C 25.696081364571608 9.184375296169332 25.360635916577568 8.994899710454515 25 9 L 23.921875 9 C 23.78193732850878 8.999908353712916 23.64353797773784 9.029185139452922 23.515625 9.0859375 L 20.914062 10.238281 L 20.878906 10.244141 L 19.439453 10 L 19.992188 7.4355469 L 22.257812 6.5683594 C 22.704812 6.3973594 23 5.9682344 23 5.4902344 L 23 4.4023438 C 23 4.0253438 22.693406 3.71875 22.316406 3.71875 L 20.626953 3.71875 L 19.980469 3.2402344 C 19.797969 3.1047344 19.585187 3.0271406 19.367188 3.0097656 z" transform=" translate(-15.5, -15)"/>
-              </g>
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "playground":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 50 50" fill="${color}">
-              <path d="M 13.5 4 C 13.2155 4 12.930141 4.0811875 12.681641 4.2421875 L 2.6816406 10.742188 C 2.2566406 11.019187 2 11.492 2 12 L 2 27.5 L 2 33.253906 C 1.97354828592323 33.414936288155594 1.97354828592323 33.57920371184441 2 33.740234 L 2 39.253906 C 1.97354828592323 39.414936288155594 1.97354828592323 39.57920371184441 2 39.740234 L 2 42.5 C 1.9923495656817682 43.040953874866354 2.2765629442539925 43.54412204685742 2.743809274571493 43.81683158222979 C 3.211055604888993 44.08954111760215 3.788944395111008 44.08954111760215 4.2561907254285085 43.81683158222978 C 4.723437055746008 43.54412204685742 5.007650434318232 43.040953874866354 5 42.5 L 5 41 L 22 41 L 22 42.5 C 21.992349565681767 43.040953874866354 22.276562944253993 43.54412204685742 22.743809274571493 43.81683158222979 C 23.211055604888994 44.08954111760215 23.78894439511101 44.08954111760215 24.256190725428507 43.81683158222978 C 24.723437055746007 43.54412204685742 25.007650434318233 43.040953874866354 25 42.5 L 25 39.746094 C 25.02645171407677 39.585063711844406 25.02645171407677 39.42079628815559 25 39.259766 L 25 33.746094 C 25.02645171407677 33.585063711844406 25.02645171407677 33.42079628815559 25 33.259766 L 25 27.5 L 25 12 C 25 11.492 24.742406 11.019188 24.316406 10.742188 L 14.316406 4.2421875 C 14.067906 4.0811875 13.7845 4 13.5 4 z M 13.5 13 C 15.986 13 18 15.014 18 17.5 C 18 19.986 15.986 22 13.5 22 C 11.014 22 9 19.986 9 17.5 C 9 15.014 11.014 13 13.5 13 z M 27 17.361328 L 27 27.716797 C 29.739 28.975797 31.258359 31.756516 32.943359 34.853516 C 35.275359 39.141516 37.919 44 44.5 44 C 45.329 44 46 43.328 46 42.5 L 46 38.5 C 46 37.739 45.431781 37.100719 44.675781 37.011719 C 41.927781 36.687719 40.493031 33.478719 38.832031 29.761719 C 36.629031 24.830719 33.951 18.861328 27 17.361328 z M 5 29 L 22 29 L 22 32 L 5 32 L 5 29 z M 5 35 L 22 35 L 22 38 L 5 38 L 5 35 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "sports_centre":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(8, 8)">
-            <svg width="17" height="17" viewBox="0 0 24 24" fill="${color}">
-              <path d="M 12.6 2.21 C 12.226 1.809 11.663 1.644 11.131 1.779 C 10.6 1.915 10.185 2.33 10.049 2.861 C 9.914 3.393 10.079 3.956 10.48 4.33 L 13.31 7.16 C 13.501 7.354 13.501 7.666 13.31 7.86 L 7.86 13.31 C 7.769 13.407 7.643 13.462 7.51 13.462 C 7.377 13.462 7.251 13.407 7.16 13.31 L 4.33 10.48 C 3.742 9.895 2.79 9.897 2.205 10.485 C 1.62 11.073 1.622 12.025 2.21 12.61 L 11.4 21.8 C 11.988 22.379 12.932 22.379 13.52 21.8 C 13.803 21.52 13.963 21.138 13.963 20.74 C 13.963 20.342 13.803 19.96 13.52 19.68 L 10.69 16.85 C 10.498 16.652 10.498 16.338 10.69 16.14 L 16.14 10.69 C 16.337 10.505 16.643 10.505 16.84 10.69 L 19.67 13.52 C 20.044 13.921 20.607 14.086 21.139 13.951 C 21.67 13.815 22.085 13.4 22.221 12.869 C 22.356 12.337 22.191 11.774 21.79 11.4 Z" />
-              <path d="M 23.56 6.8 L 22.15 5.39 C 22.042 5.291 21.986 5.146 22 5 C 21.998 4.864 22.052 4.734 22.15 4.64 C 22.656 4.134 22.853 3.398 22.668 2.707 C 22.483 2.017 21.943 1.477 21.253 1.292 C 20.562 1.107 19.826 1.304 19.32 1.81 C 19.244 1.915 19.128 1.983 19 2 C 18.864 2.002 18.734 1.948 18.64 1.85 L 17.2 0.44 C 16.609 -0.111 15.688 -0.094 15.117 0.477 C 14.546 1.048 14.529 1.969 15.08 2.56 L 21.44 8.93 C 22.028 9.515 22.98 9.513 23.565 8.925 C 24.15 8.337 24.148 7.385 23.56 6.8 Z" />
-              <path d="M 2.56 15.08 C 1.969 14.529 1.048 14.546 0.477 15.117 C -0.094 15.688 -0.111 16.609 0.44 17.2 L 1.85 18.61 C 1.958 18.709 2.014 18.854 2 19 C 2.002 19.136 1.948 19.266 1.85 19.36 C 1.069 20.141 1.069 21.409 1.85 22.19 C 2.631 22.971 3.899 22.971 4.68 22.19 C 4.774 22.095 4.902 22.042 5.035 22.042 C 5.168 22.042 5.296 22.095 5.39 22.19 L 6.8 23.56 C 7.391 24.111 8.312 24.094 8.883 23.523 C 9.454 22.952 9.471 22.031 8.92 21.44 Z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "pitch":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(4, 4)" fill="${color}">
-            <g transform="matrix(0.83 0 0 0.83 12 12)">
-              <g>
-                <g transform="matrix(1 0 0 1 -1.74 0.01)">
-                  <path transform=" translate(-10.26, -12.01)" d="M 11.14 9.51 C 11.063753367353604 9.475343434198509 10.976246632646397 9.475343434198509 10.9 9.51 C 9.907674279768369 9.94534042991874 9.26676797910953 10.926380313507059 9.26676797910953 12.01 C 9.26676797910953 13.093619686492941 9.907674279768369 14.07465957008126 10.9 14.51 C 10.976246632646397 14.54465656580149 11.063753367353604 14.54465656580149 11.14 14.51 C 11.208302716065779 14.46176149101716 11.249236081834479 14.38361597454964 11.25 14.299999999999999 L 11.25 9.72 C 11.249236081834479 9.63638402545036 11.208302716065779 9.55823850898284 11.14 9.51 Z" stroke-linecap="round"/>
-                </g>
-                <g transform="matrix(1 0 0 1 1.74 -0.01)">
-                  <path transform=" translate(-13.74, -11.99)" d="M 12.86 14.49 C 12.936246632646396 14.524656565801491 13.023753367353603 14.524656565801491 13.1 14.49 C 14.092325720231631 14.05465957008126 14.73323202089047 13.073619686492941 14.73323202089047 11.99 C 14.73323202089047 10.906380313507059 14.092325720231631 9.92534042991874 13.1 9.49 C 13.023753367353603 9.45534343419851 12.936246632646396 9.45534343419851 12.86 9.49 C 12.791697283934221 9.53823850898284 12.750763918165521 9.61638402545036 12.75 9.700000000000001 L 12.75 14.260000000000002 C 12.743981749041046 14.350616262711943 12.785681114886929 14.437805845844244 12.86 14.49 Z" stroke-linecap="round"/>
-                </g>
-                <g transform="matrix(1 0 0 1 10.63 0)">
-                  <rect x="-1.375" y="-3.75" rx="0.5" ry="0.5" width="2.75" height="7.5"/>
-                </g>
-                <g transform="matrix(1 0 0 1 -6.38 0)">
-                  <path transform=" translate(-5.63, -12)" d="M 10.75 4 L 1 4 C 0.44771525016920655 4 0 4.447715250169207 0 5 L 0 6.25 C 0 6.526142374915397 0.22385762508460327 6.75 0.5 6.75 L 2.5 6.75 C 3.464226327100342 6.7554631699623515 4.244536830037648 7.535773672899657 4.25 8.5 L 4.25 15.5 C 4.2445368300376485 16.46422632710034 3.4642263271003424 17.24453683003765 2.5 17.25 L 0.5 17.25 C 0.22385762508460327 17.25 0 17.4738576250846 0 17.75 L 0 19 C 0 19.552284749830793 0.44771525016920655 20 1 20 L 10.75 20 C 11.026142374915397 20 11.25 19.7761423749154 11.25 19.5 L 11.25 16.57 C 11.248736904731748 16.344967503972374 11.097297694477081 16.148505825804154 10.88 16.09 C 9.036424534120538 15.586144803315285 7.757810359586995 13.911188258026632 7.757810359586995 12 C 7.757810359586995 10.088811741973368 9.036424534120538 8.413855196684715 10.88 7.91 C 11.097297694477081 7.851494174195845 11.248736904731748 7.655032496027626 11.25 7.43 L 11.25 4.5 C 11.25 4.223857625084603 11.026142374915397 4 10.75 4 Z" stroke-linecap="round"/>
-                </g>
-                <g transform="matrix(1 0 0 1 -10.63 0)">
-                  <rect x="-1.375" y="-3.75" rx="0.5" ry="0.5" width="2.75" height="7.5"/>
-                </g>
-                <g transform="matrix(1 0 0 1 6.38 0)">
-                  <path transform=" translate(-18.38, -12)" d="M 23 4 L 13.25 4 C 12.973857625084603 4 12.75 4.223857625084603 12.75 4.5 L 12.75 7.43 C 12.751263095268252 7.655032496027626 12.902702305522919 7.851494174195845 13.12 7.91 C 14.963575465879464 8.413855196684715 16.242189640413006 10.088811741973366 16.242189640413006 12 C 16.242189640413006 13.911188258026632 14.963575465879464 15.586144803315285 13.12 16.09 C 12.902702305522919 16.148505825804154 12.751263095268252 16.344967503972374 12.75 16.57 L 12.75 19.5 C 12.75 19.7761423749154 12.973857625084603 20 13.25 20 L 23 20 C 23.552284749830793 20 24 19.552284749830793 24 19 L 24 17.75 C 24 17.4738576250846 23.7761423749154 17.25 23.5 17.25 L 21.5 17.25 C 20.53577367289966 17.24453683003765 19.75546316996235 16.46422632710034 19.75 15.5 L 19.75 8.5 C 19.75546316996235 7.535773672899658 20.53577367289966 6.755463169962352 21.5 6.75 L 23.5 6.75 C 23.7761423749154 6.75 24 6.526142374915397 24 6.25 L 24 5 C 24 4.447715250169207 23.552284749830793 4 23 4 Z" stroke-linecap="round"/>
-                </g>
-              </g>
-            </g>
-          </g>
-        </svg>`;
-      break;
-    case "hospital":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <rect x="8" y="14" width="16" height="4" rx="0.5" fill="${color}"/>
-          <rect x="14" y="8" width="4" height="16" rx="0.5" fill="${color}"/>
-        </svg>`;
-      break;
-    case "pharmacy":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <rect x="9" y="14.5" width="14" height="3" rx="0.5" fill="${color}"/>
-          <rect x="14.5" y="9" width="3" height="14" rx="0.5" fill="${color}"/>
-        </svg>`;
-      break;
-    case "bank":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(5, 5)">
-            <svg width="22" height="22" viewBox="0 0 30 30" fill="${color}">
-              <path d="M 12.990234 5 C 9.5055896 5 4.3635398 6.9775829 3.2324219 12.029297 C 3.1563633074623856 12.010459152560358 3.0783542090691642 12.000626032034168 3.0000000000000004 12 C 2.4477152501692068 12 2 12.447715250169207 2 13 C 2 13.552284749830793 2.4477152501692068 14 3 14 C 3.0026041567324833 14.000010172564847 3.0052083432675163 14.000010172564847 3.0078125 14 C 3.007229 14.045661 3 14.086754 3 14.132812 C 3 15.629871 3.383961 17.122004 4.1152344 18.478516 L 5.0351562 23.994141 C 5.1311563 24.575141 5.63175 25 6.21875 25 L 8.9902344 25 C 9.5782344 25 10.079781 24.575141 10.175781 23.994141 L 10.279297 23.376953 C 11.538749 23.769799 12.94235 24 14.5 24 C 15.62133 24 16.692952 23.873157 17.707031 23.65625 L 18.287109 24.546875 C 18.471109 24.828875 18.787 25 19.125 25 L 22 25 C 22.631 25 23.104469 24.423687 22.980469 23.804688 L 22.537109 21.59375 C 23.599012 20.840965 24.455872 19.955658 25.050781 18.992188 L 26.09375 18.992188 C 26.64575 18.992188 27.126719 18.617031 27.261719 18.082031 L 27.964844 15.265625 C 28.116844 14.656625 27.775688 14.031984 27.179688 13.833984 L 25.6875 13.335938 C 25.348725 11.963242 24.74675 10.788067 23.958984 9.796875 C 24.526964 8.8402778 25 7.5833333 25 6 L 21.103516 7.2988281 C 18.41801 5.6425221 15.195999 5 12.990234 5 z M 14.007812 9 C 16.21377 9.0035684 18 10.79325 18 13 C 18 14.088 17.561516 15.066203 16.853516 15.783203 C 16.515913 16.12508 16.284806 16.547888 16.146484 17 L 11.853516 17 C 11.719455 16.553105 11.498153 16.136824 11.164062 15.802734 C 10.233063 14.870734 9.7580469 13.487094 10.123047 11.996094 C 10.469047 10.582094 11.622063 9.4413281 13.039062 9.1113281 C 13.367313 9.0349531 13.692676 8.9994902 14.007812 9 z M 12 18 L 15.990234 18 C 15.942953 18.953817 15.283161 19.818479 14.335938 19.972656 C 13.082937 20.175656 12 19.215 12 18 z" />
-            </svg>
-          </g>
-       </svg>`;
-      break;
-    case "supermarket":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <path d="M8 10 L10 10 L12 20 L22 20" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>
-          <circle cx="13" cy="23" r="1.5" fill="${color}"/>
-          <circle cx="21" cy="23" r="1.5" fill="${color}"/>
-          <rect x="11" y="12" width="11" height="8" rx="1" fill="none" stroke="${color}" stroke-width="2"/>
-        </svg>`;
-      break;
-    case "hairdresser":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(8, 8)">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="${color}">
-              <path fill-rule="evenodd" d="M8.128 9.155a3.751 3.751 0 1 1 .713-1.321l1.136.656a.75.75 0 0 1 .222 1.104l-.006.007a.75.75 0 0 1-1.032.157 1.421 1.421 0 0 0-.113-.072l-.92-.531Zm-4.827-3.53a2.25 2.25 0 0 1 3.994 2.063.756.756 0 0 0-.122.23 2.25 2.25 0 0 1-3.872-2.293ZM13.348 8.272a5.073 5.073 0 0 0-3.428 3.57 5.08 5.08 0 0 0-.165 1.202 1.415 1.415 0 0 1-.707 1.201l-.96.554a3.751 3.751 0 1 0 .734 1.309l13.729-7.926a.75.75 0 0 0-.181-1.374l-.803-.215a5.25 5.25 0 0 0-2.894.05l-5.325 1.629Zm-9.223 7.03a2.25 2.25 0 1 0 2.25 3.897 2.25 2.25 0 0 0-2.25-3.897ZM12 12.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Z" clip-rule="evenodd" />
-              <path d="M16.372 12.615a.75.75 0 0 1 .75 0l5.43 3.135a.75.75 0 0 1-.182 1.374l-.802.215a5.25 5.25 0 0 1-2.894-.051l-5.147-1.574a.75.75 0 0 1-.156-1.367l3-1.732Z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;
-    case "hotel":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <rect x="8" y="13" width="16" height="10" rx="1" fill="none" stroke="${color}" stroke-width="2.5"/>
-          <rect x="8" y="13" width="16" height="10" rx="1" fill="${color}" opacity="0.2"/>
-          <ellipse cx="11" cy="17" rx="2" ry="2.5" fill="${color}"/>
-          <line x1="8" y1="23" x2="8" y2="25" stroke="${color}" stroke-width="2" stroke-linecap="round"/>
-          <line x1="24" y1="23" x2="24" y2="25" stroke="${color}" stroke-width="2" stroke-linecap="round"/>
-        </svg>`;
-      break; 
-    case "hostel":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <rect x="8" y="13" width="16" height="10" rx="1" fill="none" stroke="${color}" stroke-width="2.5"/>
-          <rect x="8" y="13" width="16" height="10" rx="1" fill="${color}" opacity="0.2"/>
-          <ellipse cx="11" cy="17" rx="2" ry="2.5" fill="${color}"/>
-          <line x1="8" y1="23" x2="8" y2="25" stroke="${color}" stroke-width="2" stroke-linecap="round"/>
-          <line x1="24" y1="23" x2="24" y2="25" stroke="${color}" stroke-width="2" stroke-linecap="round"/>
-        </svg>`;
-      break;    
-    case "station":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <g transform="translate(6, 6)">
-            <svg width="20" height="20" viewBox="0 0 30 30" fill="${color}">
-              <path d="M 15 3 C 10.724 3 7.3515625 4.1074219 7.3515625 4.1074219 L 7.3378906 4.1210938 C 6.8009854 4.3103652 6.3661686 4.7145011 6.1503906 5.2382812 C 6.1503906 5.2382812 4 10.499 4 12 C 4 12.691074 4.6049974 19.025389 5.0058594 22.142578 C 5.0121487952333315 22.284179916815827 5.028465703096799 22.425158072937005 5.0546875 22.564453 C 5.0556668 22.571722 5.0576176 22.584576 5.0585938 22.591797 L 5.0625 22.595703 C 5.345693846844594 23.993489861428316 6.5738144787430235 24.998687053227975 8 25 L 8.28125 25 L 6.6816406 29 L 9 29 L 10.599609 25 L 15 25 L 19.400391 25 L 21 29 L 23.318359 29 L 21.71875 25 L 22 25 C 23.42751980295069 24.99942728021547 24.656923131148574 23.99303195480079 24.939453 22.59375 L 24.941406 22.591797 C 24.942871 22.580966 24.945794 22.56172 24.947266 22.550781 C 24.96944588097563 22.42680683528658 24.983796945087217 22.301558998714135 24.990234 22.175781 C 25.391037 19.069474 26 12.693212 26 12 C 26 10.499 23.849609 5.2382812 23.849609 5.2382812 C 23.633525 4.7137574 23.198123 4.3080475 22.660156 4.1191406 L 22.648438 4.109375 C 22.649438 4.108375 19.276 3 15 3 z M 15 5 C 18.655 5 21.651906 5.8997656 22.003906 6.0097656 C 22.428906 7.0507656 22.869516 8.2217656 23.228516 9.2597656 C 23.490516 10.016766 22.837781 10.769141 22.050781 10.619141 C 20.571781 10.336141 17.322 10 15 10 C 12.675 10 9.4223594 10.338094 7.9433594 10.621094 C 7.1583594 10.771094 6.506625 10.020672 6.765625 9.2636719 C 7.121625 8.2226719 7.5558438 7.0525313 7.9648438 6.0195312 C 7.9958438 6.0095312 11.092 5 15 5 z M 15 13 C 16.105 13 17 13.895 17 15 C 17 16.105 16.105 17 15 17 C 13.895 17 13 16.105 13 15 C 13 13.895 13.895 13 15 13 z" />
-            </svg>
-          </g>
-        </svg>`;
-      break;    
-    case "parking":
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <rect x="8" y="8" width="16" height="16" rx="2" fill="none" stroke="${color}" stroke-width="2.5"/>
-          <path d="M12 12 V20 M12 12 H16 Q18 12 18 15 Q18 18 16 18 H12" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>
-        </svg>`;
-      break;
-    default:
-      svg = `
-        <svg width="32" height="32" viewBox="0 0 32 32">
-          <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-          <circle cx="16" cy="16" r="6" fill="${color}"/>
-        </svg>`;
-  }
-
-  div.innerHTML = svg;
+  div.innerHTML = getCategorySVG(category, color);
   div.style.width = "32px";
   div.style.height = "32px";
 
   return div;
 }
 
-// --- Helper: clean tags for display ---
-function cleanTags(tags) {
-  const skipPrefixes = ['addr:', 'contact:', 'source:', 'attribution:', '@', 'wikidata', 'wikipedia'];
-  const skipKeys = ['name', 'name:en', 'name:es', 'created_by', 'fixme'];
+// --- Helper: get tags and display name of a feature ---
+function getFeatureTags(feature) {
+  return feature.properties?.tags || feature.properties || {};
+}
 
-  return Object.entries(tags)
-    .filter(([k, v]) => {
-      return !skipKeys.includes(k) && !skipPrefixes.some(prefix => k.startsWith(prefix));
-    })
-    .slice(0, 3);
+function getFeatureName(feature) {
+  const tags = getFeatureTags(feature);
+  return tags.name || tags["name:en"] || tags["name:es"] || feature.properties?.name || "Unnamed";
 }
 
-// --- Render GeoJSON with SVG markers ---
-async function renderData(geojson, styleDefinitions, queryInfo, shouldFitBounds = false) {
-  if (!geojson || !geojson.features || !geojson.features.length) {
-    addMessage("Agent", "No results found.");
-    return;
+// Map images already registered (or loading), keyed by image id
+const categoryImages = {};
+
+// --- Helper: register a category SVG icon as a map image ---
+function ensureCategoryImage(category, color) {
+  const imageId = `poi-${category}-${color}`;
+
+  if (!categoryImages[imageId]) {
+    // Standalone SVG images need the namespace; render at 2x for crisp icons
+    const svg = getCategorySVG(category, color).replace("<svg ", '<svg xmlns="http://www.w3.org/2000/svg" ');
+
+    categoryImages[imageId] = new Promise((resolve, reject) => {
+      const img = new Image(64, 64);
+      img.onload = () => {
+        if (!map.hasImage(imageId)) {
+          map.addImage(imageId, img, { pixelRatio: 2 });
+        }
+        resolve(imageId);
+      };
+      img.onerror = () => {
+        delete categoryImages[imageId];
+        reject(new Error(`Could not load icon for ${category}`));
+      };
+      img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+    });
   }
 
-  const features = geojson.features;
+  return categoryImages[imageId];
+}
 
-  // Only fit bounds if explicitly requested (first search or location changed)
-  if (shouldFitBounds) {
-    const bounds = new maplibregl.LngLatBounds();
-    features.forEach(f => {
-      if (f.geometry && f.geometry.type === "Point") {
-        const [lng, lat] = f.geometry.coordinates;
-        bounds.extend([lng, lat]);
-      }
-    });
-    if (!bounds.isEmpty()) {
-      map.fitBounds(bounds, { padding: 40, maxZoom: 16 });
-    }
+// --- Open the popup of a layer's feature (built only when needed) ---
+function openFeaturePopup(layer, fid, lngLat) {
+  const feature = layer.features[fid];
+  if (!feature) return;
+
+  const openingHours = getFeatureTags(feature).opening_hours;
+  let openingStatus = null;
+  if (openingHours) {
+    const clock = getLayerClock(layer);
+    openingStatus = formatOpeningStatus(getOpeningStatus(openingHours, clock), clock);
   }
 
-  // Detect category from features (try multiple features to find a valid one)
-  let detectedCategory = "poi";
-  for (let i = 0; i < Math.min(features.length, 10); i++) {
-    const tags = features[i]?.properties?.tags || features[i]?.properties || {};
-    const cat = getCategoryFromTags(tags);
-    if (cat !== "poi") {
-      detectedCategory = cat;
-      break;
+  new maplibregl.Popup({ offset: 20, maxWidth: '280px' })
+    .setLngLat(lngLat)
+    .setHTML(buildPopupHTML(feature, layer.category, layer.color, { openingStatus, proximityNote: getProximityNote(feature) }))
+    .addTo(map);
+  revealResultRow(layer, fid);
+}
+
+// --- Helper: id of the lowest POI icon layer, so shapes are drawn beneath all icons ---
+function getFirstPoiLayerId() {
+  const firstPoi = map.getStyle().layers.find(l => l.id.startsWith("osm-layer-") && l.id.endsWith("-clusters"));
+  return firstPoi ? firstPoi.id : undefined;
+}
+
+// --- Helper: add footprints plus a clustered icon source to the map ---
+function addLayerToMap(layer, points, shapes, imageId) {
+  const { sourceId, color } = layer;
+  const shapeSourceId = `${sourceId}-shapes`;
+  const beforeId = getFirstPoiLayerId();
+
+  // Polygon fills, outlines and line strokes in the category colour
+  map.addSource(shapeSourceId, { type: "geojson", data: shapes });
+
+  map.addLayer({
+    id: `${sourceId}-fill`,
+    type: "fill",
+    source: shapeSourceId,
+    filter: ["==", ["get", "shape"], "area"],
+    paint: {
+      "fill-color": color,
+      "fill-opacity": ["case", ["boolean", ["get", "closed"], false], 0.08, 0.2]
+    }
+  }, beforeId);
+
+  map.addLayer({
+    id: `${sourceId}-outline`,
+    type: "line",
+    source: shapeSourceId,
+    filter: ["!=", ["get", "shape"], "link"],
+    paint: {
+      "line-color": color,
+      "line-width": ["match", ["get", "shape"], "line", 3, 1.5],
+      "line-opacity": ["case", ["boolean", ["get", "closed"], false], 0.3, 0.8]
     }
+  }, beforeId);
+
+  // Proximity results: dashed links to the nearest reference feature, labelled with the distance
+  const hasProximity = layer.features.some(isProximityMatch);
+  if (hasProximity) {
+    map.addLayer({
+      id: `${sourceId}-links`,
+      type: "line",
+      source: shapeSourceId,
+      filter: ["==", ["get", "shape"], "link"],
+      paint: {
+        "line-color": color,
+        "line-width": 2,
+        "line-dasharray": [2, 2]
+      }
+    }, beforeId);
+
+    map.addLayer({
+      id: `${sourceId}-link-labels`,
+      type: "symbol",
+      source: shapeSourceId,
+      filter: ["==", ["get", "shape"], "link"],
+      layout: {
+        "symbol-placement": "line-center",
+        "text-field": ["get", "label"],
+        "text-font": ["Open Sans Bold"],
+        "text-size": 11
+      },
+      paint: {
+        "text-color": "#1a1a1a",
+        "text-halo-color": "#ffffff",
+        "text-halo-width": 1.5
+      }
+    }, beforeId);
   }
 
-  // Use detected category for consistency
-  const category = detectedCategory;
-  const color = CATEGORIES[category]?.color || CATEGORIES.poi.color;
+  map.addSource(sourceId, {
+    type: "geojson",
+    data: points,
+    cluster: true,
+    clusterMaxZoom: 14,
+    clusterRadius: 50
+  });
 
-  console.log("Detected category:", category, "Color:", color, "Features:", features.length);
+  // Cluster bubbles, sized by number of points
+  map.addLayer({
+    id: `${sourceId}-clusters`,
+    type: "circle",
+    source: sourceId,
+    filter: ["has", "point_count"],
+    paint: {
+      "circle-color": color,
+      "circle-opacity": 0.85,
+      "circle-stroke-color": "#ffffff",
+      "circle-stroke-width": 2,
+      "circle-radius": ["step", ["get", "point_count"], 14, 10, 18, 50, 22, 200, 28]
+    }
+  });
 
-  // Check if a layer with same category and place already exists and remove it
-  const existingLayerIds = Object.keys(layers).filter(id => {
-    const layer = layers[id];
-    return layer.category === category && layer.name === `${category} (${queryInfo.place_name || 'unknown'})`;
+  map.addLayer({
+    id: `${sourceId}-cluster-count`,
+    type: "symbol",
+    source: sourceId,
+    filter: ["has", "point_count"],
+    layout: {
+      "text-field": ["get", "point_count_abbreviated"],
+      "text-font": ["Open Sans Bold"],
+      "text-size": 12,
+      "text-allow-overlap": true
+    },
+    paint: {
+      "text-color": "#ffffff"
+    }
   });
 
-  if (existingLayerIds.length > 0) {
-    console.log(`Removing existing layer for ${category} in ${queryInfo.place_name}`);
-    existingLayerIds.forEach(id => removeLayer(id));
+  // Halo under the features that matched a proximity relation
+  if (hasProximity) {
+    map.addLayer({
+      id: `${sourceId}-highlight`,
+      type: "circle",
+      source: sourceId,
+      filter: ["all", ["!", ["has", "point_count"]], ["==", ["get", "matched"], true]],
+      paint: {
+        "circle-radius": 16,
+        "circle-color": color,
+        "circle-opacity": 0.25,
+        "circle-stroke-color": color,
+        "circle-stroke-width": 2
+      }
+    });
   }
 
-  // Create layer ID from category and place
-  const layerId = `${category}_${queryInfo.place_name || 'unknown'}_${Date.now()}`;
-  const layerName = `${category} (${queryInfo.place_name || 'unknown'})`;
+  // Individual POIs with the category icon
+  map.addLayer({
+    id: `${sourceId}-points`,
+    type: "symbol",
+    source: sourceId,
+    filter: ["!", ["has", "point_count"]],
+    layout: {
+      "icon-image": imageId,
+      "icon-allow-overlap": true,
+      "icon-ignore-placement": true
+    },
+    paint: {
+      // Places closed at the chosen time are dimmed
+      "icon-opacity": ["case", ["boolean", ["get", "closed"], false], 0.4, 1]
+    }
+  });
 
-  // Create new layer
-  layers[layerId] = {
-    markers: [],
-    name: layerName,
-    category: category,
-    color: color
+  layer.mapLayerIds = [
+    `${sourceId}-fill`,
+    `${sourceId}-outline`,
+    ...(hasProximity ? [`${sourceId}-links`, `${sourceId}-link-labels`] : []),
+    `${sourceId}-clusters`,
+    `${sourceId}-cluster-count`,
+    ...(hasProximity ? [`${sourceId}-highlight`] : []),
+    `${sourceId}-points`
+  ];
+
+  // Zoom into a cluster on click
+  const onClusterClick = (e) => {
+    if (measuring) return;
+    const clusterId = e.features[0].properties.cluster_id;
+    const coordinates = e.features[0].geometry.coordinates;
+    map.getSource(sourceId).getClusterExpansionZoom(clusterId, (err, zoom) => {
+      if (err) return;
+      map.easeTo({ center: coordinates, zoom });
+    });
   };
 
-  // Helper: calculate centroid of a polygon
-  function getCentroid(geometry) {
-    if (geometry.type === "Point") {
-      return geometry.coordinates;
-    }
+  const onPointClick = (e) => {
+    if (measuring) return;
+    const point = e.features[0];
+    openFeaturePopup(layer, point.properties.fid, point.geometry.coordinates);
+  };
+
+  // Clicking inside a footprint opens the same popup, unless an icon was hit
+  const onShapeClick = (e) => {
+    if (measuring) return;
+    if (map.queryRenderedFeatures(e.point, { layers: [`${sourceId}-points`] }).length) return;
+    openFeaturePopup(layer, e.features[0].properties.fid, e.lngLat);
+  };
+
+  // Area outlines are covered by the fill handler; only lines react here
+  const onLineClick = (e) => {
+    if (e.features[0].properties.shape === "line") onShapeClick(e);
+  };
+
+  const setPointer = () => { map.getCanvas().style.cursor = "pointer"; };
+  const resetPointer = () => { map.getCanvas().style.cursor = ""; };
+
+  layer.handlers = [
+    ["click", `${sourceId}-clusters`, onClusterClick],
+    ["click", `${sourceId}-points`, onPointClick],
+    ["click", `${sourceId}-fill`, onShapeClick],
+    ["click", `${sourceId}-outline`, onLineClick],
+    ["mouseenter", `${sourceId}-clusters`, setPointer],
+    ["mouseleave", `${sourceId}-clusters`, resetPointer],
+    ["mouseenter", `${sourceId}-points`, setPointer],
+    ["mouseleave", `${sourceId}-points`, resetPointer]
+  ];
+  layer.handlers.forEach(([type, mapLayerId, handler]) => map.on(type, mapLayerId, handler));
+}
 
-    if (geometry.type === "Polygon") {
-      const coords = geometry.coordinates[0]; // outer ring
-      let sumLat = 0, sumLng = 0;
-      coords.forEach(([lng, lat]) => {
-        sumLng += lng;
-        sumLat += lat;
+// --- Helper: split features into groups by their own category ---
+function groupFeaturesByCategory(features) {
+  const groups = {};
+  features.forEach(f => {
+    const category = getCategoryFromTags(getFeatureTags(f));
+    (groups[category] = groups[category] || []).push(f);
+  });
+  return groups;
+}
+
+// --- Helper: "240 m" or "1.4 km" ---
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// --- Helper: was a feature matched by a proximity query? ---
+function isProximityMatch(feature) {
+  const props = feature.properties || {};
+  return props["@distance_m"] !== undefined || props["@contains"] !== undefined;
+}
+
+// --- Helper: popup line for a proximity match, e.g. "240 m from Rossio" ---
+function getProximityNote(feature) {
+  const props = feature.properties || {};
+  if (props["@contains"] !== undefined) {
+    return `Contains ${props["@nearest"]}${props["@contains"] > 1 ? ` and ${props["@contains"] - 1} more` : ""}`;
+  }
+  if (props["@distance_m"] !== undefined) {
+    return `${formatDistance(props["@distance_m"])} from ${props["@nearest"]}`;
+  }
+  return null;
+}
+
+// --- Spatial join of a proximity query's results ---
+// Features matching proximity.filters are the reference set; the others are annotated with the
+// distance to ("@distance_m") and name of ("@nearest") the closest reference, and "@link", the
+// point it is measured to. Overpass already applied "within" and "beyond"; for "contains" only
+// areas holding a reference feature are kept, along with the references inside them.
+// Returns { features, matched } where matched counts the primary features kept.
+function applyProximity(features, proximity) {
+  const references = [];
+  const candidates = [];
+  features.forEach(f => {
+    (matchesTagFilters(getFeatureTags(f), proximity.filters) ? references : candidates).push(f);
+  });
+
+  const annotate = (f, extra) => ({ ...f, properties: { ...f.properties, ...extra } });
+  const primary = [];
+  const usedReferences = new Set();
+
+  candidates.forEach(f => {
+    const position = f.geometry && getLabelPoint(f.geometry);
+    if (!position) return;
+
+    if (proximity.relation === "contains") {
+      const inside = references.filter(r => {
+        const point = r.geometry && getLabelPoint(r.geometry);
+        return point && geometryContainsPoint(f.geometry, point);
       });
-      return [sumLng / coords.length, sumLat / coords.length];
+      if (!inside.length) return;
+      inside.forEach(r => usedReferences.add(r));
+      primary.push(annotate(f, {
+        "@contains": inside.length,
+        "@nearest": getFeatureName(inside[0]),
+        "@link": getLabelPoint(inside[0].geometry)
+      }));
+      return;
     }
 
-    if (geometry.type === "MultiPolygon") {
-      const coords = geometry.coordinates[0][0]; // first polygon, outer ring
-      let sumLat = 0, sumLng = 0;
-      coords.forEach(([lng, lat]) => {
-        sumLng += lng;
-        sumLat += lat;
-      });
-      return [sumLng / coords.length, sumLat / coords.length];
+    let nearest = null;
+    references.forEach(r => {
+      const candidate = nearestPointOnGeometry(position, r.geometry);
+      if (candidate && (!nearest || candidate.distance < nearest.distance)) {
+        nearest = { ...candidate, reference: r };
+      }
+    });
+    if (!nearest) {
+      primary.push(f);
+      return;
     }
+    primary.push(annotate(f, {
+      "@distance_m": Math.round(nearest.distance),
+      "@nearest": getFeatureName(nearest.reference),
+      // Links to far-away references would cross the map, so only "within" draws them
+      ...(proximity.relation === "within" ? { "@link": nearest.point } : {})
+    }));
+  });
 
-    return null;
-  }
+  const keptReferences = proximity.relation === "contains" ? references.filter(r => usedReferences.has(r)) : references;
+  return { features: [...keptReferences, ...primary], matched: primary.length };
+}
 
-  // Create markers
-  let pointCount = 0;
+// --- Helper: icon points and footprints for a layer's features ---
+// `fid` points back into the full feature list for popups; features not
+// matching the attribute filter are left out. With `opening` ({ clock, openOnly })
+// places closed at that time are marked `closed`, or left out when openOnly is set.
+// `labelPoints` (one per feature, see createLayer) saves working them out on every refresh.
+function buildLayerSources(features, filter = [], opening = null, labelPoints = null) {
   let skippedCount = 0;
+  const points = [];
+  const shapes = [];
+
+  features.forEach((f, index) => {
+    const tags = getFeatureTags(f);
+    if (!matchesTagFilters(tags, filter)) return;
+
+    let closed = false;
+    if (opening) {
+      const state = tags.opening_hours ? getOpeningStatus(tags.opening_hours, opening.clock).state : "unknown";
+      if (opening.openOnly && state !== "open") return;
+      closed = state === "closed";
+    }
 
-  features.forEach(f => {
     if (!f.geometry) {
       console.warn("Feature without geometry:", f);
       skippedCount++;
       return;
     }
 
-    // Get centroid for any geometry type
-    const coords = getCentroid(f.geometry);
+    // Icon goes at a label point guaranteed to lie on the geometry
+    const coords = labelPoints ? labelPoints[index] : getLabelPoint(f.geometry);
     if (!coords) {
-      console.warn("Could not calculate centroid for:", f.geometry.type, f.id);
+      console.warn("Could not calculate label point for:", f.geometry.type, f.id);
       skippedCount++;
       return;
     }
 
-    pointCount++;
-    const [lng, lat] = coords;
+    const shape = getShapeKind(f.geometry);
+    if (shape !== "point") {
+      shapes.push({ type: "Feature", geometry: f.geometry, properties: { fid: index, shape, closed } });
+    }
+
+    const link = f.properties?.["@link"];
+    if (link && f.properties["@distance_m"] > 0) {
+      shapes.push({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: [coords, link] },
+        properties: { fid: index, shape: "link", label: formatDistance(f.properties["@distance_m"]) }
+      });
+    }
 
-    // Try multiple sources for tags
-    const tags = f.properties?.tags || f.properties || {};
+    points.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: coords },
+      properties: { fid: index, name: getFeatureName(f), closed, matched: isProximityMatch(f) }
+    });
+  });
 
-    const el = createSVGIconWithColor(category, color);
+  return { points, shapes, skippedCount };
+}
 
-    // Get name for tooltip and popup
-    const name = tags.name || tags["name:en"] || tags["name:es"] || f.properties?.name || "Unnamed";
+// Time opening hours are evaluated at: `at` is a local date time ("2026-10-20T21:00")
+// in each layer's place, or null for now; `openOnly` hides places not open then;
+// `fromPrompt` marks a time asked for in a prompt, which only lasts until the next search
+let openingTime = { at: null, openOnly: false, fromPrompt: false };
 
-    // Create tooltip (shown on hover)
-    el.setAttribute('title', name);
+// Minute of the last refresh while following the current time
+let openingRefreshedAt = 0;
 
-    // Create improved popup with icon and clean tags
-    const iconSvg = createSVGIconWithColor(category, color).innerHTML;
-    const tagEntries = cleanTags(tags);
+// --- Helper: timezone of a layer's place (from the prompt, else guessed from its longitude) ---
+function getLayerTimeZone(layer) {
+  if (layer.timeZone) return layer.timeZone;
+  const coords = layer.labelPoints.find(Boolean);
+  return coords ? getLongitudeTimeZone(coords[0]) : "UTC";
+}
 
-    const popupContent = `
-      <div style="display: flex; align-items: flex-start; gap: 10px;">
-        <div style="flex-shrink: 0; margin-top: 2px;">${iconSvg}</div>
-        <div style="flex: 1; min-width: 0;">
-          <strong style="display: block; margin-bottom: ${tagEntries.length > 0 ? '8px' : '0'};">${name}</strong>
-          ${tagEntries.length > 0 ? tagEntries.map(([k, v]) => `<div style="font-size: 12px; margin-bottom: 4px; word-wrap: break-word;"><span style="color: #666;">${k}:</span> ${v}</div>`).join('') : ''}
-        </div>
-      </div>
-    `;
+// --- Helper: wall clock opening hours are evaluated at for a layer ---
+function getLayerClock(layer) {
+  return openingTime.at ? parseWallClock(openingTime.at) : getWallClock(getLayerTimeZone(layer));
+}
 
-    const marker = new maplibregl.Marker({ element: el })
-      .setLngLat([lng, lat])
-      .setPopup(new maplibregl.Popup({ offset: 20, maxWidth: '280px' }).setHTML(popupContent))
-      .addTo(map);
+// --- Helper: does any feature of a layer have opening hours? ---
+function hasOpeningHours(layer) {
+  return layer.features.some(f => getFeatureTags(f).opening_hours);
+}
 
-    layers[layerId].markers.push(marker);
-  });
+// --- Helper: map sources for a layer with its filter and the opening time applied ---
+function getLayerSources(layer) {
+  const opening = hasOpeningHours(layer) || openingTime.openOnly
+    ? { clock: getLayerClock(layer), openOnly: openingTime.openOnly }
+    : null;
+  const sources = buildLayerSources(layer.features, layer.filter, opening, layer.labelPoints);
+  addStyleClasses(layer, sources.points, sources.shapes);
+  return sources;
+}
 
-  console.log(`Rendered ${pointCount} points, skipped ${skippedCount} non-point features`);
+// --- Helper: redraw a layer's features after its filter or the opening time changed ---
+function refreshLayerSources(layer) {
+  const { points, shapes } = getLayerSources(layer);
+  map.getSource(layer.sourceId).setData({ type: "FeatureCollection", features: points });
+  map.getSource(`${layer.sourceId}-shapes`).setData({ type: "FeatureCollection", features: shapes });
+  if (layer.display !== "icons") {
+    map.getSource(`${layer.sourceId}-density`).setData(buildDensityData(layer, points));
+  }
+  layer.count = points.length;
+}
 
+// --- Change the opening time, e.g. { at: null, openOnly: true } for "open now" ---
+function setOpeningTime({ at = null, openOnly = false, fromPrompt = false }) {
+  openingTime = { at, openOnly, fromPrompt };
+  openingRefreshedAt = Math.floor(Date.now() / 60000);
+  Object.values(layers).forEach(refreshLayerSources);
   updateLegend();
 }
 
-// --- Initialize legend with all categories ---
-function initLegend() {
-  const legend = document.getElementById("legend");
-  if (!legend) return;
+// --- Re-evaluate "now" once the minute has changed (called on map moves and tab switches) ---
+function refreshOpeningHoursIfStale() {
+  const minute = Math.floor(Date.now() / 60000);
+  if (openingTime.at || minute === openingRefreshedAt) return;
+  openingRefreshedAt = minute;
 
-  legend.innerHTML = '';
+  const affected = Object.values(layers).filter(layer => hasOpeningHours(layer) || openingTime.openOnly);
+  if (!affected.length) return;
+  affected.forEach(refreshLayerSources);
+  updateLegend();
+}
 
-  // Create legend items for all categories
-  Object.entries(CATEGORIES).forEach(([categoryKey, categoryData]) => {
-    if (categoryKey === 'poi') return; // Skip generic POI
+// --- Opening hours bar: any time / open now / open at, shown when results have opening hours ---
+function updateOpeningBar() {
+  const bar = document.getElementById("opening-bar");
+  if (!bar) return;
+
+  bar.style.display = Object.values(layers).some(hasOpeningHours) || openingTime.openOnly ? "flex" : "none";
+  const mode = !openingTime.openOnly ? "any" : openingTime.at ? "at" : "now";
+  document.getElementById("opening-mode").value = mode;
+  const atInput = document.getElementById("opening-at");
+  atInput.style.display = mode === "at" ? "inline-block" : "none";
+  if (openingTime.at) atInput.value = openingTime.at;
+}
 
-    const item = document.createElement("div");
-    item.className = "legend-item";
-    item.dataset.category = categoryKey;
+function initOpeningBar() {
+  const modeSelect = document.getElementById("opening-mode");
+  const atInput = document.getElementById("opening-at");
+  if (!modeSelect) return;
+
+  modeSelect.onchange = () => {
+    if (modeSelect.value === "at") {
+      // Start from the current time in the place of the first layer
+      const first = Object.values(layers)[0];
+      const clock = getWallClock(first ? getLayerTimeZone(first) : "UTC");
+      atInput.value = atInput.value || formatWallClock(clock);
+      setOpeningTime({ at: atInput.value, openOnly: true });
+    } else {
+      setOpeningTime({ at: null, openOnly: modeSelect.value === "now" });
+    }
+  };
+  atInput.onchange = () => {
+    if (parseWallClock(atInput.value)) setOpeningTime({ at: atInput.value, openOnly: true });
+  };
+}
 
-    const iconSvg = createSVGIconWithColor(categoryKey, categoryData.color).innerHTML;
+// --- Helper: colour and icon of a category layer ---
+// A restored permalink carries its own; otherwise the AI's style definitions, then the category's
+function getLayerLook(category, queryInfo, styles = {}) {
+  return {
+    color: queryInfo?.colors?.[category] || styles[category]?.color || CATEGORIES[category]?.color || CATEGORIES.poi.color,
+    icon: queryInfo?.icons?.[category] || styles[category]?.icon || null
+  };
+}
 
-    item.innerHTML = `
-      ${iconSvg}
-      <span class="legend-label">${categoryData.label}</span>
-      <span class="legend-count">0</span>
-      <button class="legend-remove-category" data-category="${categoryKey}" style="display:none;">×</button>
-    `;
+// --- Helper: register a layer in `layers` and draw it ---
+// info: { name, category, color, icon, styleKey, imported, visible, filter, timeZone, proximity, prompt, placeName, query, intent, areaFilter, createdAt }
+function createLayer(layerId, info, features, imageId) {
+  const layer = {
+    sourceId: `osm-layer-${++layerSequence}`,
+    mapLayerIds: [],
+    handlers: [],
+    features: features,
+    // Icon positions never change, so they are worked out once rather than on every refresh
+    labelPoints: features.map(f => f.geometry ? getLabelPoint(f.geometry) : null),
+    count: 0,
+    name: info.name,
+    category: info.category,
+    color: info.color,
+    icon: info.icon || null,
+    styleBy: info.styleKey ? buildTagStyle(features, info.styleKey) : null,
+    imported: Boolean(info.imported),
+    visible: info.visible !== false,
+    display: DISPLAY_MODES[info.display] ? info.display : "icons",
+    densityBins: [],
+    filter: info.filter || [],
+    timeZone: info.timeZone || null,
+    proximity: info.proximity || null,
+    prompt: info.prompt || null,
+    placeName: info.placeName || null,
+    placeArea: info.placeArea || null,
+    query: info.query || null,
+    intent: info.intent || null,
+    areaFilter: info.areaFilter || null,
+    createdAt: info.createdAt || Date.now()
+  };
 
-    legend.appendChild(item);
-  });
+  const { points, shapes, skippedCount } = getLayerSources(layer);
+  if (skippedCount > 0) {
+    console.log(`Skipped ${skippedCount} features without usable geometry in ${info.name}`);
+  }
+  layer.count = points.length;
+  layers[layerId] = layer;
+
+  addLayerToMap(
+    layers[layerId],
+    { type: "FeatureCollection", features: points },
+    { type: "FeatureCollection", features: shapes },
+    imageId
+  );
+  if (layer.display !== "icons") {
+    addDensityLayers(layer, points);
+  }
+  if (!layer.visible || layer.display !== "icons") {
+    applyLayerVisibility(layer);
+  }
+  if (layer.styleBy) {
+    applyLayerStyle(layer).catch(err => console.warn(`Could not style ${layer.name}:`, err));
+  }
 
-  // Add clear all button
-  const clearBtn = document.createElement("button");
-  clearBtn.className = "legend-clear-all";
-  clearBtn.textContent = "Clear All";
-  clearBtn.onclick = clearAllLayers;
-  legend.appendChild(clearBtn);
+  return layers[layerId];
 }
 
-// --- Update legend counts and active states ---
-function updateLegend() {
-  // Count features per category
-  const categoryCounts = {};
-  Object.values(layers).forEach(layer => {
-    categoryCounts[layer.category] = (categoryCounts[layer.category] || 0) + layer.markers.length;
-  });
-
-  // Update each legend item
-  document.querySelectorAll('.legend-item').forEach(item => {
-    const category = item.dataset.category;
-    const count = categoryCounts[category] || 0;
-    const countSpan = item.querySelector('.legend-count');
-    const removeBtn = item.querySelector('.legend-remove-category');
+// --- Helper: create one map layer for the features of a single category ---
+function addCategoryLayer(category, features, queryInfo, imageId, { color, icon }) {
+  const placeName = queryInfo.place_name || 'unknown';
+  const layerName = `${category} (${placeName})`;
 
-    if (countSpan) {
-      countSpan.textContent = count;
-    }
+  console.log("Category:", category, "Color:", color, "Features:", features.length);
 
-    if (count > 0) {
-      item.classList.add('active');
-      if (removeBtn) removeBtn.style.display = 'flex';
-    } else {
-      item.classList.remove('active');
-      if (removeBtn) removeBtn.style.display = 'none';
-    }
+  // Check if a layer with same category and place already exists and remove it
+  // (compared by place, as the user may have renamed the layer)
+  const existingLayerIds = Object.keys(layers).filter(id => {
+    const layer = layers[id];
+    return !layer.imported && layer.category === category && (layer.placeName || 'unknown') === placeName;
   });
 
-  // Attach remove handlers to category buttons
-  document.querySelectorAll('.legend-remove-category').forEach(btn => {
-    btn.onclick = (e) => {
-      e.stopPropagation();
-      removeCategoryLayers(btn.dataset.category);
-    };
-  });
+  if (existingLayerIds.length > 0) {
+    console.log(`Removing existing layer for ${category} in ${placeName}`);
+    existingLayerIds.forEach(id => removeLayer(id));
+  }
+
+  // Create layer ID from category and place
+  const layerId = `${category}_${placeName}_${Date.now()}`;
+
+  // Create new layer; a restored permalink carries each category's own name and filter
+  const layer = createLayer(layerId, {
+    name: queryInfo.names?.[category] || layerName,
+    category: category,
+    color: color,
+    icon: icon,
+    prompt: queryInfo.prompt,
+    placeName: queryInfo.place_name,
+    placeArea: queryInfo.placeArea,
+    query: queryInfo.query,
+    intent: queryInfo.intent,
+    areaFilter: queryInfo.areaFilter,
+    filter: queryInfo.filters?.[category] || queryInfo.filter,
+    timeZone: queryInfo.timeZone,
+    proximity: queryInfo.proximity
+  }, features, imageId);
+
+  console.log(`Rendered ${layer.count} ${category} features`);
+
+  return layer.count;
 }
 
-// --- Initialize on page load ---
-document.addEventListener("DOMContentLoaded", () => {
-  // Init legend
-  initLegend();
+// Number of layers imported so far, used to pick their colours
+let importedLayerCount = 0;
 
-  // Info button toggle
-  const infoButton = document.getElementById("info-button");
-  const closeButton = document.getElementById("close-info");
-  const panel = document.getElementById("info-panel");
+// --- Add a user dataset as its own layer (listed in the legend by name) ---
+async function addImportedLayer(name, geojson) {
+  await mapReady;
 
-  // Logic for the 'i' button
-  infoButton.addEventListener("click", () => {
-    panel.style.display = panel.style.display === "none" ? "block" : "none";
+  const color = IMPORT_COLORS[importedLayerCount++ % IMPORT_COLORS.length];
+  const imageId = await ensureCategoryImage(IMPORTED_CATEGORY, color);
+
+  // Importing the same file again replaces it
+  Object.keys(layers)
+    .filter(id => layers[id].imported && layers[id].name === name)
+    .forEach(id => removeLayer(id));
+
+  const layerId = `${IMPORTED_CATEGORY}_${name}_${Date.now()}`;
+  const layer = createLayer(layerId, { name, category: IMPORTED_CATEGORY, color, imported: true }, geojson.features, imageId);
+
+  const bounds = new maplibregl.LngLatBounds();
+  geojson.features.forEach(f => {
+    forEachCoordinate(f.geometry, ([lng, lat]) => bounds.extend([lng, lat]));
   });
-  
+  if (!bounds.isEmpty()) {
+    map.fitBounds(bounds, { padding: 40, maxZoom: 16 });
+  }
+
+  console.log(`Imported ${layer.count} features into "${name}"`);
+  updateLegend();
+
+  return layer.count;
+}
+
+// --- Import files from the file picker or a drop, one layer per file ---
+async function importFiles(files) {
+  for (const file of Array.from(files)) {
+    try {
+      const geojson = await readImportFile(file);
+      const count = await addImportedLayer(getImportLayerName(file.name), geojson);
+      addMessage("Agent", `Imported ${count} features from ${file.name} ✅`);
+    } catch (err) {
+      console.error(err);
+      addMessage("Agent", `Error: ${err.message} ❌`);
+    }
+  }
+}
+
+// --- Render GeoJSON as clustered map layers, one per category ---
+// Returns the number of rendered features per category. Nothing is drawn if the
+// request is cancelled while icons load, so a superseded request never renders.
+async function renderData(geojson, styleDefinitions, queryInfo, shouldFitBounds = false, signal = null) {
+  if (!geojson || !geojson.features || !geojson.features.length) {
+    addMessage("Agent", "No results found.");
+    return {};
+  }
+
+  await mapReady;
+
+  const features = geojson.features;
+
+  // Classify every feature on its own so mixed results keep their categories
+  const groups = groupFeaturesByCategory(features);
+
+  // Colours and icons the AI asked for, checked against the palette and the known icons
+  const styles = resolveStyleDefinitions(styleDefinitions);
+
+  // Register all icons first so the layers below are added in one synchronous pass
+  const looks = {};
+  const imageIds = {};
+  for (const category of Object.keys(groups)) {
+    looks[category] = getLayerLook(category, queryInfo, styles);
+    imageIds[category] = await ensureCategoryImage(looks[category].icon || category, looks[category].color);
+  }
+  signal?.throwIfAborted();
+
+  // Only fit bounds if explicitly requested (first search or location changed)
+  if (shouldFitBounds) {
+    const bounds = new maplibregl.LngLatBounds();
+    features.forEach(f => {
+      forEachCoordinate(f.geometry, ([lng, lat]) => bounds.extend([lng, lat]));
+    });
+    if (!bounds.isEmpty()) {
+      map.fitBounds(bounds, { padding: 40, maxZoom: 16 });
+    }
+  }
+
+  const counts = {};
+  for (const [category, categoryFeatures] of Object.entries(groups)) {
+    counts[category] = addCategoryLayer(category, categoryFeatures, queryInfo, imageIds[category], looks[category]);
+  }
+
+  updateLegend();
+
+  return counts;
+}
+
+// --- Helper: human readable per-category summary, e.g. "12 Cafes, 3 Bars" ---
+function formatCategoryCounts(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, count]) => `${count} ${CATEGORIES[category]?.label || category}`)
+    .join(", ");
+}
+
+// --- Initialize legend with all categories ---
+function initLegend() {
+  const legend = document.getElementById("legend");
+  if (!legend) return;
+
+  legend.innerHTML = '';
+
+  // Import user datasets (also possible by dropping files on the page)
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.id = "import-file";
+  fileInput.accept = Object.keys(IMPORT_EXTENSIONS).map(ext => `.${ext}`).join(",");
+  fileInput.multiple = true;
+  fileInput.hidden = true;
+  fileInput.onchange = async () => {
+    await importFiles(fileInput.files);
+    fileInput.value = "";
+  };
+  legend.appendChild(fileInput);
+
+  const importBtn = document.createElement("button");
+  importBtn.className = "legend-import";
+  importBtn.textContent = "Import";
+  importBtn.title = "Add GeoJSON, KML, GPX or CSV files as layers";
+  importBtn.onclick = () => fileInput.click();
+  legend.appendChild(importBtn);
+
+  // User categories, e.g. "EV chargers" for amenity=charging_station
+  const addCategoryBtn = document.createElement("button");
+  addCategoryBtn.className = "legend-add-category";
+  addCategoryBtn.textContent = "+ Category";
+  addCategoryBtn.title = "Add your own category for an OSM tag";
+  legend.appendChild(addCategoryBtn);
+
+  const categoryForm = document.createElement("form");
+  categoryForm.className = "legend-category-form";
+  categoryForm.style.display = "none";
+  categoryForm.innerHTML = `
+    <input type="text" name="label" placeholder="Name, e.g. EV chargers" required>
+    <input type="text" name="tags" placeholder="Tags, e.g. amenity=charging_station" required>
+    <input type="color" name="color" value="#2A9D8F" title="Colour">
+    <button type="submit">Add</button>
+  `;
+  addCategoryBtn.onclick = () => {
+    categoryForm.style.display = categoryForm.style.display === "none" ? "flex" : "none";
+    if (categoryForm.style.display === "flex") categoryForm.elements.label.focus();
+  };
+  categoryForm.onsubmit = (e) => {
+    e.preventDefault();
+    const { label, tags, color } = categoryForm.elements;
+    try {
+      const category = addCustomCategory({ label: label.value, tags: tags.value.split(/[\s,]+/).filter(Boolean), color: color.value });
+      addMessage("Agent", `Added the category ${category.label} (${category.tags.join(", ")}): new searches will use it ✅`);
+      categoryForm.reset();
+      categoryForm.style.display = "none";
+    } catch (err) {
+      addMessage("Agent", `Error: ${err.message} ❌`);
+    }
+  };
+  legend.appendChild(categoryForm);
+
+  // Export format and "export all" button
+  const formatSelect = document.createElement("select");
+  formatSelect.id = "export-format";
+  formatSelect.className = "legend-export-format";
+  formatSelect.title = "Export format";
+  Object.entries(EXPORT_FORMATS).forEach(([format, spec]) => {
+    formatSelect.add(new Option(spec.label, format));
+  });
+  legend.appendChild(formatSelect);
+
+  const exportBtn = document.createElement("button");
+  exportBtn.className = "legend-export-all";
+  exportBtn.textContent = "Export All";
+  exportBtn.onclick = () => exportFromLegend(Object.values(layers).filter(l => l.visible), "all-layers");
+  legend.appendChild(exportBtn);
+
+  // Add clear all button
+  const clearBtn = document.createElement("button");
+  clearBtn.className = "legend-clear-all";
+  clearBtn.textContent = "Clear All";
+  clearBtn.onclick = clearAllLayers;
+  legend.appendChild(clearBtn);
+
+  renderLegendCategories();
+}
+
+// --- Helper: one legend item per category, before the imported layers and the legend buttons ---
+function renderLegendCategories() {
+  const legend = document.getElementById("legend");
+  if (!legend?.querySelector(".legend-import")) return;
+
+  legend.querySelectorAll(".legend-item:not(.legend-imported)").forEach(item => item.remove());
+  const next = legend.querySelector(".legend-imported, .legend-import");
+
+  Object.entries(CATEGORIES).forEach(([categoryKey, categoryData]) => {
+    const item = document.createElement("div");
+    item.className = `legend-item${categoryData.custom ? " legend-custom" : ""}`;
+    item.dataset.category = categoryKey;
+
+    item.innerHTML = `
+      ${createSVGIconWithColor(categoryKey, categoryData.color).innerHTML}
+      <span class="legend-label"></span>
+      <span class="legend-count">0</span>
+      <button class="legend-export-category" data-category="${categoryKey}" style="display:none;">⤓</button>
+      <button class="legend-remove-category" data-category="${categoryKey}" style="display:none;">×</button>
+    `;
+    // Custom category names are user input: set as text, never as markup
+    item.querySelector(".legend-label").textContent = categoryData.label;
+    item.querySelector(".legend-export-category").title = `Export ${categoryData.label}`;
+
+    item.querySelector(".legend-export-category").onclick = (e) => {
+      e.stopPropagation();
+      exportFromLegend(Object.values(layers).filter(l => l.category === categoryKey && l.visible), categoryKey);
+    };
+    item.querySelector(".legend-remove-category").onclick = (e) => {
+      e.stopPropagation();
+      removeCategoryLayers(categoryKey);
+    };
+
+    if (categoryData.custom) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "legend-delete-category";
+      deleteBtn.textContent = "🗑";
+      deleteBtn.title = `Delete the category ${categoryData.label}`;
+      deleteBtn.onclick = (e) => {
+        e.stopPropagation();
+        removeCustomCategory(categoryKey);
+      };
+      item.appendChild(deleteBtn);
+    }
+
+    legend.insertBefore(item, next);
+  });
+
+  updateLegendCounts();
+}
+
+// --- Update legend counts and active states ---
+function updateLegend() {
+  updateLegendCounts();
+  updateImportedLegendItems();
+  updateOpeningBar();
+  renderLayerList();
+  refreshInspection();
+  refreshResultsPanel();
+  refreshComparePanel();
+  schedulePermalinkUpdate();
+  scheduleSessionSave();
+}
+
+// --- Helper: feature counts of the category legend items ---
+function updateLegendCounts() {
+  // Count features per category
+  const categoryCounts = {};
+  Object.values(layers).filter(layer => layer.visible).forEach(layer => {
+    categoryCounts[layer.category] = (categoryCounts[layer.category] || 0) + layer.count;
+  });
+
+  // Update each legend item
+  document.querySelectorAll('.legend-item:not(.legend-imported)').forEach(item => {
+    const category = item.dataset.category;
+    const count = categoryCounts[category] || 0;
+    const countSpan = item.querySelector('.legend-count');
+    const removeBtn = item.querySelector('.legend-remove-category');
+    const exportBtn = item.querySelector('.legend-export-category');
+
+    if (countSpan) {
+      countSpan.textContent = count;
+    }
+
+    if (count > 0) {
+      item.classList.add('active');
+      if (removeBtn) removeBtn.style.display = 'flex';
+      if (exportBtn) exportBtn.style.display = 'flex';
+    } else {
+      item.classList.remove('active');
+      if (removeBtn) removeBtn.style.display = 'none';
+      if (exportBtn) exportBtn.style.display = 'none';
+    }
+  });
+}
+
+// --- Helper: one legend item per imported layer, placed after the OSM categories ---
+function updateImportedLegendItems() {
+  const legend = document.getElementById("legend");
+  const importBtn = legend?.querySelector(".legend-import");
+  if (!importBtn) return;
+
+  legend.querySelectorAll(".legend-imported").forEach(item => item.remove());
+
+  Object.entries(layers)
+    .filter(([, layer]) => layer.imported)
+    .forEach(([layerId, layer]) => {
+      const item = document.createElement("div");
+      item.className = `legend-item legend-imported${layer.visible ? " active" : ""}`;
+      item.dataset.layerId = layerId;
+      item.innerHTML = `
+        ${createSVGIconWithColor(layer.category, layer.color).innerHTML}
+        <span class="legend-label"></span>
+        <span class="legend-count">${layer.visible ? layer.count : 0}</span>
+        <button class="legend-export-category" title="Export layer">⤓</button>
+        <button class="legend-remove-category">×</button>
+      `;
+      // File names are user input: set as text, never as markup
+      item.querySelector(".legend-label").textContent = layer.name;
+
+      item.querySelector(".legend-export-category").onclick = (e) => {
+        e.stopPropagation();
+        exportFromLegend([layer], layer.name.replace(/[^\w-]+/g, "_"));
+      };
+      item.querySelector(".legend-remove-category").onclick = (e) => {
+        e.stopPropagation();
+        removeLayer(layerId);
+      };
+
+      legend.insertBefore(item, importBtn);
+    });
+}
+
+// --- Helper: show or hide all map layers of a layer (icons stay hidden in a density view) ---
+function applyLayerVisibility(layer) {
+  layer.mapLayerIds.forEach(id => {
+    if (map.getLayer(id)) map.setLayoutProperty(id, "visibility", layer.visible && isInDisplayMode(layer, id) ? "visible" : "none");
+  });
+}
+
+// --- Show/hide a layer without deleting it ---
+function setLayerVisibility(layerId, visible) {
+  const layer = layers[layerId];
+  if (!layer) return;
+  layer.visible = visible;
+  applyLayerVisibility(layer);
+  updateLegend();
+}
+
+// --- Rename a layer (empty names are ignored) ---
+function renameLayer(layerId, name) {
+  const layer = layers[layerId];
+  const trimmed = String(name || "").trim();
+  if (!layer || !trimmed) return;
+  layer.name = trimmed;
+  updateLegend();
+}
+
+// --- Override a layer's colour: icon, clusters and footprints ---
+async function recolorLayer(layerId, color) {
+  const layer = layers[layerId];
+  if (!layer) return;
+
+  const imageId = await ensureCategoryImage(getLayerIcon(layer), color);
+  if (layers[layerId] !== layer) return; // removed while the icon loaded
+
+  layer.color = color;
+  const { sourceId } = layer;
+  map.setPaintProperty(`${sourceId}-fill`, "fill-color", color);
+  map.setPaintProperty(`${sourceId}-outline`, "line-color", color);
+  map.setPaintProperty(`${sourceId}-clusters`, "circle-color", color);
+  if (map.getLayer(`${sourceId}-links`)) {
+    map.setPaintProperty(`${sourceId}-links`, "line-color", color);
+    map.setPaintProperty(`${sourceId}-highlight`, "circle-color", color);
+    map.setPaintProperty(`${sourceId}-highlight`, "circle-stroke-color", color);
+  }
+  if (map.getLayer(`${sourceId}-circles`)) {
+    map.setPaintProperty(`${sourceId}-circles`, "circle-color", color);
+  }
+  map.setLayoutProperty(`${sourceId}-points`, "icon-image", imageId);
+  // A tag style replaces the single colour set above
+  if (layer.styleBy) await applyLayerStyle(layer);
+  updateLegend();
+}
+
+// --- Move a layer in the draw order, before (below) another layer or to the top ---
+function moveLayerInOrder(layerId, beforeLayerId = null) {
+  if (!layers[layerId] || layerId === beforeLayerId) return;
+
+  const ids = Object.keys(layers).filter(id => id !== layerId);
+  const index = beforeLayerId ? ids.indexOf(beforeLayerId) : -1;
+  ids.splice(index === -1 ? ids.length : index, 0, layerId);
+
+  layers = Object.fromEntries(ids.map(id => [id, layers[id]]));
+  applyLayerOrder();
+  updateLegend();
+}
+
+// --- Helper: restack map layers to follow `layers` order ---
+// All footprints stay beneath all icons; within each group later layers are on top
+function applyLayerOrder() {
+  const ordered = Object.values(layers);
+  const isShape = (id) => /-(fill|outline|links|link-labels)$/.test(id);
+
+  ordered.forEach(layer => layer.mapLayerIds.filter(isShape).forEach(id => map.moveLayer(id)));
+  ordered.forEach(layer => layer.mapLayerIds.filter(id => !isShape(id)).forEach(id => map.moveLayer(id)));
+}
+
+// --- Helper: bounds of the features of one or more layers ---
+function getLayersBounds(layerIds) {
+  const bounds = new maplibregl.LngLatBounds();
+  layerIds.filter(id => layers[id]).forEach(id => layers[id].features.forEach(f => {
+    forEachCoordinate(f.geometry, ([lng, lat]) => bounds.extend([lng, lat]));
+  }));
+  return bounds;
+}
+
+// --- Zoom the map to the features of one or more layers ---
+function zoomToLayers(layerIds) {
+  const bounds = getLayersBounds(layerIds);
+  if (!bounds.isEmpty()) {
+    map.fitBounds(bounds, { padding: 40, maxZoom: 16 });
+  }
+}
+
+function zoomToLayer(layerId) {
+  zoomToLayers([layerId]);
+}
+
+// --- Layer list: one row per layer, topmost first ---
+function renderLayerList() {
+  const list = document.getElementById("layer-list");
+  if (!list) return;
+
+  const entries = Object.entries(layers).reverse();
+  if (filterPanelLayerId && !layers[filterPanelLayerId]) filterPanelLayerId = null;
+  if (stylePanelLayerId && !layers[stylePanelLayerId]) stylePanelLayerId = null;
+  list.innerHTML = "";
+  list.style.display = entries.length ? "block" : "none";
+  if (!entries.length) return;
+
+  const header = document.createElement("div");
+  header.className = "layer-list-header";
+  header.textContent = "Layers";
+  list.appendChild(header);
+
+  entries.forEach(([layerId, layer]) => {
+    const row = document.createElement("div");
+    row.className = `layer-row${layer.visible ? "" : " hidden-layer"}`;
+    row.dataset.layerId = layerId;
+    row.draggable = true;
+    row.innerHTML = `
+      <span class="layer-drag" title="Drag to change the draw order">⋮⋮</span>
+      <input type="checkbox" class="layer-visible" title="Show or hide" ${layer.visible ? "checked" : ""} />
+      <input type="color" class="layer-color" title="Layer colour" value="${layer.color}" />
+      <div class="layer-info">
+        <span class="layer-name" title="Double-click to rename"></span>
+        <span class="layer-prompt"></span>
+      </div>
+      <span class="layer-count">${isLayerFiltered(layer) ? `${layer.count}/${layer.features.length}` : layer.count}</span>
+      <select class="layer-display" title="Show as icons or as a density view">
+        ${Object.entries(DISPLAY_MODES).map(([mode, label]) => `<option value="${mode}"${layer.display === mode ? " selected" : ""}>${label}</option>`).join("")}
+      </select>
+      <button class="layer-style${layer.styleBy ? " active" : ""}" title="Style by a tag value">◐</button>
+      <button class="layer-results${resultsLayerId === layerId ? " active" : ""}" title="List results">☰</button>
+      <button class="layer-filter${isLayerFiltered(layer) ? " active" : ""}" title="Filter by attributes">⚲</button>
+      <button class="layer-zoom" title="Zoom to layer">⌖</button>
+      <button class="layer-remove" title="Remove layer">×</button>
+    `;
+    // Names and prompts are user input: set as text, never as markup
+    row.querySelector(".layer-name").textContent = layer.name;
+    row.querySelector(".layer-prompt").textContent = layer.prompt ? `“${layer.prompt}”` : (layer.imported ? "Imported file" : "");
+
+    row.querySelector(".layer-visible").onchange = (e) => setLayerVisibility(layerId, e.target.checked);
+    row.querySelector(".layer-color").onchange = (e) => recolorLayer(layerId, e.target.value);
+    row.querySelector(".layer-display").onchange = (e) => setLayerDisplay(layerId, e.target.value);
+    row.querySelector(".layer-filter").onclick = () => {
+      filterPanelLayerId = filterPanelLayerId === layerId ? null : layerId;
+      renderLayerList();
+    };
+    row.querySelector(".layer-style").onclick = () => {
+      stylePanelLayerId = stylePanelLayerId === layerId ? null : layerId;
+      renderLayerList();
+    };
+    row.querySelector(".layer-results").onclick = () => toggleResultsPanel(layerId);
+    row.querySelector(".layer-zoom").onclick = () => zoomToLayer(layerId);
+    row.querySelector(".layer-remove").onclick = () => removeLayer(layerId);
+    row.querySelector(".layer-name").ondblclick = () => startLayerRename(row, layerId);
+
+    // Rows are listed topmost first, so dropping on a row puts the dragged layer above it
+    row.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/x-layer-id", layerId);
+      e.dataTransfer.effectAllowed = "move";
+    });
+    row.addEventListener("dragover", (e) => {
+      if (!Array.from(e.dataTransfer?.types || []).includes("text/x-layer-id")) return;
+      e.preventDefault();
+      row.classList.add("drag-over");
+    });
+    row.addEventListener("dragleave", () => row.classList.remove("drag-over"));
+    row.addEventListener("drop", (e) => {
+      const draggedId = e.dataTransfer.getData("text/x-layer-id");
+      if (!draggedId) return;
+      e.preventDefault();
+      const ids = Object.keys(layers);
+      moveLayerInOrder(draggedId, ids[ids.indexOf(layerId) + 1] || null);
+    });
+
+    list.appendChild(row);
+
+    if (stylePanelLayerId === layerId || layer.styleBy) {
+      list.appendChild(buildStylePanel(layerId, stylePanelLayerId === layerId));
+    }
+    if (filterPanelLayerId === layerId) {
+      list.appendChild(buildFilterPanel(layerId));
+    }
+  });
+}
+
+// Layer whose attribute filter panel is open
+let filterPanelLayerId = null;
+
+// Layer whose style panel is open
+let stylePanelLayerId = null;
+
+// Tags too specific to be useful as filters
+const FILTER_SKIP_KEYS = ["name", "id", "ref", "website", "phone", "email", "image", "opening_hours", "wikidata", "wikipedia", "wikimedia_commons", "description", "note", "fixme"];
+const FILTER_SKIP_PREFIXES = ["name:", "addr:", "contact:", "source", "check_date", "ref:", "@"];
+
+// How much of the tag summary is shown
+const FILTER_MAX_KEYS = 20;
+const FILTER_MAX_VALUES = 8;
+
+// --- Helper: does a layer hide features with an attribute filter? ---
+function isLayerFiltered(layer) {
+  return (layer.filter || []).some(group => group.length > 0);
+}
+
+// --- Tag keys and value frequencies of a feature list, most common first ---
+// Returns [{ key, count, values: [[value, count], ...] }]
+function summarizeTags(features) {
+  const keys = {};
+  features.forEach(f => {
+    Object.entries(getFeatureTags(f)).forEach(([key, value]) => {
+      if (FILTER_SKIP_KEYS.includes(key) || FILTER_SKIP_PREFIXES.some(prefix => key.startsWith(prefix))) return;
+      if (value === null || typeof value === "object") return;
+      const entry = keys[key] || (keys[key] = { key, count: 0, values: {} });
+      entry.count++;
+      entry.values[value] = (entry.values[value] || 0) + 1;
+    });
+  });
+
+  return Object.values(keys)
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, FILTER_MAX_KEYS)
+    .map(entry => ({
+      key: entry.key,
+      count: entry.count,
+      values: Object.entries(entry.values).sort((a, b) => b[1] - a[1]).slice(0, FILTER_MAX_VALUES)
+    }));
+}
+
+// --- Apply an attribute filter to a layer, hiding non-matching features ---
+function setLayerFilter(layerId, filter) {
+  const layer = layers[layerId];
+  if (!layer) return;
+
+  layer.filter = filter;
+  refreshLayerSources(layer);
+  updateLegend();
+}
+
+// --- Filter panel: current AND/OR expression plus clickable tag values ---
+// Clicking a value adds "key=value" to the last group (AND); "+ OR" starts a new group
+function buildFilterPanel(layerId) {
+  const layer = layers[layerId];
+  const filter = layer.filter.length ? layer.filter : [[]];
+
+  const panel = document.createElement("div");
+  panel.className = "layer-filter-panel";
+
+  // Current expression, one chip per condition
+  const expression = document.createElement("div");
+  expression.className = "filter-expression";
+  filter.forEach((group, groupIndex) => {
+    if (groupIndex > 0) {
+      const or = document.createElement("span");
+      or.className = "filter-joiner";
+      or.textContent = "OR";
+      expression.appendChild(or);
+    }
+    if (!group.length) {
+      const empty = document.createElement("span");
+      empty.className = "filter-empty";
+      empty.textContent = groupIndex === 0 ? "No filter: click a value below" : "click a value below";
+      expression.appendChild(empty);
+    }
+    group.forEach((condition, conditionIndex) => {
+      if (conditionIndex > 0) {
+        const and = document.createElement("span");
+        and.className = "filter-joiner";
+        and.textContent = "AND";
+        expression.appendChild(and);
+      }
+      const chip = document.createElement("button");
+      chip.className = "filter-condition";
+      chip.title = "Remove condition";
+      chip.textContent = `${describeCondition(condition)} ×`;
+      chip.onclick = () => {
+        const next = filter.map(g => [...g]);
+        next[groupIndex].splice(conditionIndex, 1);
+        setLayerFilter(layerId, next.filter((g, i) => g.length || i === next.length - 1));
+      };
+      expression.appendChild(chip);
+    });
+  });
+  panel.appendChild(expression);
+
+  const actions = document.createElement("div");
+  actions.className = "filter-actions";
+  const orBtn = document.createElement("button");
+  orBtn.textContent = "+ OR group";
+  orBtn.disabled = !filter[filter.length - 1].length;
+  orBtn.onclick = () => setLayerFilter(layerId, [...filter, []]);
+  const clearBtn = document.createElement("button");
+  clearBtn.textContent = "Clear filter";
+  clearBtn.onclick = () => setLayerFilter(layerId, []);
+  actions.append(orBtn, clearBtn);
+  panel.appendChild(actions);
+
+  // Tag summary; values come from OSM or user files, so they are set as text
+  const addCondition = (condition) => {
+    const next = filter.map(g => [...g]);
+    const last = next[next.length - 1];
+    if (!last.some(c => c.key === condition.key && c.op === condition.op && c.value === condition.value)) {
+      last.push(condition);
+    }
+    setLayerFilter(layerId, next);
+  };
+
+  const summary = document.createElement("div");
+  summary.className = "filter-summary";
+  summarizeTags(layer.features).forEach(({ key, count, values }) => {
+    const row = document.createElement("div");
+    row.className = "filter-key";
+
+    const label = document.createElement("span");
+    label.className = "filter-key-name";
+    label.textContent = `${key} (${count})`;
+    row.appendChild(label);
+
+    values.forEach(([value, valueCount]) => {
+      const btn = document.createElement("button");
+      btn.className = "filter-value";
+      btn.textContent = `${value} · ${valueCount}`;
+      btn.onclick = () => addCondition({ key, op: "=", value });
+      row.appendChild(btn);
+    });
+
+    const any = document.createElement("button");
+    any.className = "filter-value";
+    any.textContent = "any";
+    any.title = `Has a ${key} tag`;
+    any.onclick = () => addCondition({ key, op: "exists" });
+    row.appendChild(any);
+
+    summary.appendChild(row);
+  });
+  panel.appendChild(summary);
+
+  return panel;
+}
+
+// --- Helper: inline rename input in a layer row ---
+function startLayerRename(row, layerId) {
+  const label = row.querySelector(".layer-name");
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "layer-name-input";
+  input.value = layers[layerId].name;
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save) renameLayer(layerId, input.value);
+    else renderLayerList();
+  };
+  input.onkeydown = (e) => {
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  };
+  input.onblur = () => finish(true);
+
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+// --- Export layers in the format picked in the legend ---
+function exportFromLegend(layerList, baseName) {
+  const format = document.getElementById("export-format").value;
+  try {
+    const fileName = exportLayers(layerList, format, baseName);
+    addMessage("Agent", `Exported ${EXPORT_FORMATS[format].label}: ${fileName} 💾`);
+  } catch (err) {
+    console.error(err);
+    addMessage("Agent", `Error: ${err.message} ❌`);
+  }
+}
+
+// Hash last written by the app, to tell our own updates from links pasted into the tab
+let currentPermalink = null;
+let permalinkTimer = null;
+
+// While a permalink is being restored the hash is left alone, so a reload still restores it
+let restoringPermalink = false;
+
+// --- Helper: one permalink entry per query (a query may have produced several category layers) ---
+// Links carry the intent and area a query was compiled from, never the query itself
+function getPermalinkEntries() {
+  const entries = {};
+  Object.values(layers)
+    .filter(layer => layer.query && layer.intent && layer.areaFilter)
+    .forEach(layer => {
+      if (!entries[layer.query]) {
+        entries[layer.query] = { prompt: layer.prompt, placeName: layer.placeName, intent: layer.intent, areaFilter: layer.areaFilter, timeZone: layer.timeZone, proximity: layer.proximity, colors: {}, icons: {}, filters: {}, names: {} };
+      }
+      const entry = entries[layer.query];
+      entry.colors[layer.category] = layer.color;
+      if (layer.icon) entry.icons[layer.category] = layer.icon;
+      // The layer's own filter: attribute filters not sent to Overpass, the filter panel, "filter" follow-ups
+      if (layer.filter.some(group => group.length)) entry.filters[layer.category] = layer.filter;
+      if (layer.name !== `${layer.category} (${layer.placeName || "unknown"})`) entry.names[layer.category] = layer.name;
+    });
+  return Object.values(entries);
+}
+
+// --- Write the current view and query layers to the URL hash (debounced) ---
+function schedulePermalinkUpdate() {
+  clearTimeout(permalinkTimer);
+  permalinkTimer = setTimeout(() => {
+    if (restoringPermalink) return;
+    const { lng, lat } = map.getCenter();
+    const hash = encodePermalink({ center: [lng, lat], zoom: map.getZoom() }, getPermalinkEntries(), openingTime);
+    if (hash !== window.location.hash) {
+      history.replaceState(null, "", hash);
+    }
+    currentPermalink = hash;
+  }, 300);
+}
+
+// --- Restore the view and re-run the query layers of a permalink (no LLM calls) ---
+async function restorePermalink(hash) {
+  let permalink;
+  try {
+    permalink = decodePermalink(hash);
+  } catch (err) {
+    addMessage("Agent", `Error: ${err.message} ❌`);
+    return;
+  }
+
+  const { view, opening, entries, skipped } = permalink;
+  if (view) {
+    map.jumpTo({ center: view.center, zoom: view.zoom });
+  }
+  if (opening) {
+    // Like a prompt's opening time, it lasts until the next search
+    setOpeningTime({ ...opening, fromPrompt: true });
+  }
+  if (skipped) {
+    addMessage("Agent", `Error: ${skipped} ${skipped === 1 ? "query" : "queries"} of the link could not be checked and ${skipped === 1 ? "was" : "were"} skipped ❌`);
+  }
+  if (!entries.length) return;
+
+  addMessage("Agent", `Restoring ${entries.length} ${entries.length === 1 ? "query" : "queries"} from the link...`);
+  restoringPermalink = true;
+
+  try {
+    await runRequest(async (options) => {
+      clearQueryLayers();
+
+      for (const entry of entries) {
+        let geojson = await fetchOverpass(entry.query, options);
+        options.signal.throwIfAborted();
+        if (entry.proximity) {
+          geojson = { ...geojson, features: applyProximity(geojson.features, entry.proximity).features };
+        }
+
+        const queryInfo = { place_name: entry.placeName, prompt: entry.prompt, query: entry.query, intent: entry.intent, areaFilter: entry.areaFilter, filters: entry.filters, names: entry.names, timeZone: entry.timeZone, proximity: entry.proximity, colors: entry.colors, icons: entry.icons };
+        const counts = await renderData(geojson, null, queryInfo, false, options.signal);
+        if (Object.keys(counts).length > 0) {
+          addMessage("Agent", `${entry.prompt || entry.placeName}: ${formatCategoryCounts(counts)} ✅`);
+        }
+        if (entry.placeName) {
+          lastPlaceName = entry.placeName;
+        }
+      }
+    });
+  } finally {
+    restoringPermalink = false;
+    schedulePermalinkUpdate();
+  }
+}
+
+let sessionSaveTimer = null;
+
+// Saving is paused while a snapshot is being restored
+let restoringSession = false;
+
+// The user is told only once per page load that the session is too large to store
+let sessionStorageWarned = false;
+
+// --- Snapshot of the chat, layers and view ---
+function createSnapshot() {
+  const { lng, lat } = map.getCenter();
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: Date.now(),
+    hash: window.location.hash,
+    view: { center: [lng, lat], zoom: map.getZoom() },
+    lastPlaceName,
+    chat: chatHistory.slice(-MAX_CHAT_HISTORY),
+    layers: Object.entries(layers).map(([id, layer]) => ({
+      id,
+      name: layer.name,
+      category: layer.category,
+      color: layer.color,
+      icon: layer.icon,
+      styleKey: layer.styleBy?.key || null,
+      imported: layer.imported,
+      visible: layer.visible,
+      display: layer.display,
+      filter: layer.filter,
+      timeZone: layer.timeZone,
+      proximity: layer.proximity,
+      prompt: layer.prompt,
+      placeName: layer.placeName,
+      placeArea: layer.placeArea,
+      query: layer.query,
+      intent: layer.intent,
+      areaFilter: layer.areaFilter,
+      createdAt: layer.createdAt,
+      features: layer.features
+    }))
+  };
+}
+
+// --- Autosave the session (debounced) ---
+function scheduleSessionSave() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => {
+    if (restoringSession) return;
+    const level = writeSnapshot(SESSION_KEY, createSnapshot());
+    if (level !== "full" && !sessionStorageWarned) {
+      sessionStorageWarned = true;
+      addMessage("Agent", level === "failed"
+        ? "This session cannot be saved in the browser, it will be lost on reload ⚠️"
+        : "Browser storage is full: results will be downloaded again after a reload, imported files will not be kept ⚠️", { save: false });
+    }
+  }, 500);
+}
+
+// --- Show a saved chat transcript ---
+function restoreChat(messages) {
+  document.getElementById("chat").innerHTML = "";
+  chatHistory = [];
+  messages.forEach(({ sender, text }) => addMessage(sender, text));
+}
+
+// --- Restore the layers (and optionally the view) of a snapshot ---
+// Layers saved without geometry are re-fetched with their Overpass query
+async function restoreSnapshotLayers(snapshot, { restoreView = true } = {}) {
+  if (restoreView && snapshot.view) {
+    map.jumpTo({ center: snapshot.view.center, zoom: snapshot.view.zoom });
+  }
+  lastPlaceName = snapshot.lastPlaceName || null;
+
+  const withGeometry = snapshot.layers.filter(l => Array.isArray(l.features));
+  const toFetch = snapshot.layers.filter(l => !Array.isArray(l.features) && l.query);
+
+  for (const def of withGeometry) {
+    const imageId = await ensureCategoryImage(def.icon || def.category, def.color);
+    createLayer(def.id, def, def.features, imageId);
+  }
+  updateLegend();
+
+  if (!toFetch.length) return;
+
+  addMessage("Agent", "Downloading the results that did not fit in browser storage...", { save: false });
+  await runRequest(async (options) => {
+    const queries = [...new Set(toFetch.map(l => l.query))];
+    for (const query of queries) {
+      const geojson = await fetchOverpass(query, options);
+      options.signal.throwIfAborted();
+      const proximity = toFetch.find(l => l.query === query && l.proximity)?.proximity;
+      const groups = groupFeaturesByCategory(proximity ? applyProximity(geojson.features, proximity).features : geojson.features);
+
+      for (const def of toFetch.filter(l => l.query === query)) {
+        const imageId = await ensureCategoryImage(def.icon || def.category, def.color);
+        options.signal.throwIfAborted();
+        createLayer(def.id, def, groups[def.category] || [], imageId);
+      }
+      updateLegend();
+    }
+  });
+}
+
+// --- On load: continue the saved session, unless the page was opened from someone else's permalink ---
+async function restoreOnLoad(session) {
+  const hash = window.location.hash;
+  let linkHasLayers = false;
+  try {
+    const { entries, skipped } = decodePermalink(hash);
+    linkHasLayers = entries.length + skipped > 0;
+  } catch (e) {
+    linkHasLayers = true; // let restorePermalink report the damaged link
+  }
+
+  if (session && (!linkHasLayers || session.hash === hash)) {
+    restoringSession = true;
+    restoringPermalink = true;
+    try {
+      await restoreSnapshotLayers(session, { restoreView: !permalinkView });
+    } finally {
+      restoringSession = false;
+      restoringPermalink = false;
+      schedulePermalinkUpdate();
+    }
+  } else if (hash) {
+    await restorePermalink(hash);
+  }
+}
+
+// --- Replace the current map and chat with a snapshot ---
+async function switchToSnapshot(snapshot) {
+  if (activeController) activeController.abort();
+
+  restoringSession = true;
+  restoringPermalink = true;
+  try {
+    clearAllLayers();
+    restoreChat(snapshot.chat);
+    await restoreSnapshotLayers(snapshot);
+  } finally {
+    restoringSession = false;
+    restoringPermalink = false;
+    schedulePermalinkUpdate();
+    scheduleSessionSave();
+  }
+}
+
+// --- Workspace selector: save, open and delete named snapshots ---
+function refreshWorkspaceList(selected = "") {
+  const select = document.getElementById("workspace-select");
+  select.innerHTML = "";
+  select.add(new Option("Workspaces…", ""));
+  listWorkspaces().forEach(name => select.add(new Option(name, name)));
+  select.value = selected;
+}
+
+function initWorkspaceBar() {
+  const select = document.getElementById("workspace-select");
+  refreshWorkspaceList();
+
+  select.addEventListener("change", async () => {
+    const name = select.value;
+    if (!name) return;
+
+    const snapshot = loadWorkspace(name);
+    if (!snapshot) {
+      addMessage("Agent", `Error: Workspace "${name}" could not be read ❌`);
+      refreshWorkspaceList();
+      return;
+    }
+    if (Object.keys(layers).length && !confirm(`Replace the current map and chat with "${name}"?`)) {
+      select.value = "";
+      return;
+    }
+
+    await switchToSnapshot(snapshot);
+    addMessage("Agent", `Opened workspace "${name}" 📂`, { save: false });
+  });
+
+  document.getElementById("workspace-save").addEventListener("click", () => {
+    const name = prompt("Save workspace as:", select.value)?.trim();
+    if (!name) return;
+
+    const level = saveWorkspace(name, createSnapshot());
+    if (level === "failed") {
+      addMessage("Agent", "Error: Browser storage is full, the workspace was not saved ❌");
+      return;
+    }
+    refreshWorkspaceList(name);
+    addMessage("Agent", level === "full"
+      ? `Saved workspace "${name}" 💾`
+      : `Saved workspace "${name}" without result geometry (storage is full); results will be downloaded again when it is opened 💾`);
+  });
+
+  document.getElementById("workspace-delete").addEventListener("click", () => {
+    const name = select.value;
+    if (!name || !confirm(`Delete workspace "${name}"?`)) return;
+
+    deleteWorkspace(name);
+    refreshWorkspaceList();
+    addMessage("Agent", `Deleted workspace "${name}" 🗑️`);
+  });
+}
+
+// --- Initialize on page load ---
+document.addEventListener("DOMContentLoaded", () => {
+  // Init legend
+  initLegend();
+
+  // Previous chat first, so this page load's notices come after it
+  const session = readSnapshot(SESSION_KEY);
+  if (session) {
+    restoreChat(session.chat);
+  }
+
+  if (provider !== liveProvider) {
+    addMessage("Agent", provider.recorded
+      ? "Recording mode: responses are kept for downloadRecordedFixtures()"
+      : `Offline mode (${provider.name}): replaying recorded responses`, { save: false });
+  }
+
+  initWorkspaceBar();
+  initOpeningBar();
+  initMapTools();
+  initResultsPanel();
+  initComparePanel();
+
+  // Info button toggle
+  const infoButton = document.getElementById("info-button");
+  const closeButton = document.getElementById("close-info");
+  const panel = document.getElementById("info-panel");
+
+  // Logic for the 'i' button
+  infoButton.addEventListener("click", () => {
+    panel.style.display = panel.style.display === "none" ? "block" : "none";
+  });
+  
   // Logic for the 'X' button
   if (closeButton) {
     closeButton.addEventListener("click", () => {
       panel.style.display = "none";
     });
   }
-});
 
-// --- Send button logic ---
-document.getElementById("send").onclick = async () => {
-  const prompt = document.getElementById("command").value.trim();
-  if (!prompt) return;
+  // "Search this area" appears once the user pans or zooms after a query
+  const searchAreaButton = document.getElementById("search-area");
 
-  addMessage("You", prompt);
+  map.on("moveend", (e) => {
+    if (e.originalEvent && lastAIQuery) {
+      searchAreaButton.style.display = "block";
+    }
+  });
 
-  try {
-    const ai = await getAIQuery(prompt);
-    console.log("=== AI Response ===", ai);
-    addMessage("Agent", `Looking for ${ai.place_name || "location"}...`);
+  searchAreaButton.addEventListener("click", () => {
+    searchAreaButton.style.display = "none";
+    addMessage("You", "Search this area");
 
-    // Get bbox from place name using Nominatim
-    const placeName = ai.place_name || "Madrid";
-    const { bbox, center } = await getBboxFromPlace(placeName);
-    console.log("=== Place Info ===", { placeName, bbox, center });
+    runRequest(options => runQuery({ ...lastAIQuery, area: "view", place_name: null }, options));
+  });
 
-    // Check if this is the first search
-    const isFirstSearch = lastPlaceName === null;
+  // Drop GeoJSON, KML, GPX or CSV files anywhere on the page to import them
+  const dropOverlay = document.getElementById("drop-overlay");
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
 
-    // Check if location changed
-    const locationChanged = !isFirstSearch && lastPlaceName.toLowerCase() !== placeName.toLowerCase();
+  document.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropOverlay.style.display = "flex";
+  });
 
-    if (locationChanged) {
-      console.log(`Location changed from "${lastPlaceName}" to "${placeName}" - clearing all layers`);
-      clearAllLayers();
-    }
+  document.addEventListener("dragleave", (e) => {
+    if (!e.relatedTarget) dropOverlay.style.display = "none";
+  });
 
-    // Update last place name
-    lastPlaceName = placeName;
+  document.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropOverlay.style.display = "none";
+    importFiles(e.dataTransfer.files);
+  });
 
-    // Replace ALL occurrences of {{bbox}} in the query
-    const query = ai.query.replaceAll("{{bbox}}", bbox);
-    console.log("=== Final Overpass Query ===", query);
+  // Keep the URL hash in sync with the view; follow permalinks pasted into this tab
+  map.on("moveend", schedulePermalinkUpdate);
+  map.on("moveend", refreshOpeningHoursIfStale);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") refreshOpeningHoursIfStale();
+  });
+  map.on("moveend", scheduleSessionSave);
 
-    addMessage("Agent", "Running query...");
-    const geojson = await fetchOverpass(query);
-    console.log("GeoJSON:", geojson);
+  window.addEventListener("hashchange", () => {
+    if (window.location.hash !== currentPermalink) {
+      restorePermalink(window.location.hash);
+    }
+  });
 
-    // Determine if we should fit bounds (only on first search or location change)
-    const shouldFitBounds = isFirstSearch || locationChanged;
+  mapReady.then(() => restoreOnLoad(session));
 
-    if (shouldFitBounds) {
-      console.log(`Will fit bounds to results for ${placeName}`);
-    } else {
-      console.log(`Keeping current map position - same location: ${placeName}`);
+  // Cancel the request in flight
+  document.getElementById("cancel").addEventListener("click", () => {
+    if (activeController) {
+      activeController.abort();
+      addMessage("Agent", "Request cancelled ⏹️");
     }
+  });
+});
+
+// --- Run a request; starting one aborts the previous so only the latest renders ---
+// The task receives { signal, refresh }; refresh bypasses the response cache
+async function runRequest(task) {
+  if (activeController) {
+    activeController.abort();
+  }
+
+  const controller = new AbortController();
+  activeController = controller;
+  document.getElementById("cancel").style.display = "block";
+
+  const refresh = document.getElementById("refresh-cache").checked;
 
-    await renderData(geojson, ai.style_definitions, { place_name: placeName }, shouldFitBounds);
-    addMessage("Agent", `Found ${geojson.features.length} results ✅`);
+  try {
+    await task({ signal: controller.signal, refresh });
   } catch (err) {
+    if (controller.signal.aborted) {
+      console.log("Request aborted");
+      return;
+    }
     console.error(err);
     addMessage("Agent", `Error: ${err.message} ❌`);
+  } finally {
+    if (activeController === controller) {
+      activeController = null;
+      document.getElementById("cancel").style.display = "none";
+    }
+  }
+}
+
+// Default radius (meters) for "near me" searches without an explicit distance
+const DEFAULT_NEAR_ME_RADIUS = 1000;
+
+// Below this zoom the visible area is too large for a bbox search
+const MIN_VIEW_SEARCH_ZOOM = 10;
+
+// Last AI response, re-run by "Search this area"
+let lastAIQuery = null;
+
+// --- Helper: current browser location as [lng, lat] ---
+function getCurrentPosition({ signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported by this browser"));
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    navigator.geolocation.getCurrentPosition(
+      pos => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve([pos.coords.longitude, pos.coords.latitude]);
+      },
+      err => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(new Error(`Could not get your location: ${err.message}`));
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+// --- Helper: Overpass "around" filter for a radius in meters ---
+function aroundFilter(radius, [lng, lat]) {
+  return `around:${Math.round(radius)},${lat},${lng}`;
+}
+
+// --- Helper: map bounds in Overpass bbox format (minlat,minlon,maxlat,maxlon) ---
+function boundsToBbox(bounds) {
+  return `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+}
+
+// --- Helper: area in km² of a radius search ---
+function circleAreaKm2(radius) {
+  return Math.PI * radius * radius / 1e6;
+}
+
+// --- Resolve where to search: a named place, the visible map area or the user's location ---
+// Returns the Overpass spatial filter the compiled query is restricted to, and the size of the
+// searched area ({ km2, population }) for comparisons
+async function resolveSearchArea(ai, options) {
+  const radius = Number(ai.radius_m) > 0 ? Number(ai.radius_m) : null;
+  let scope = ai.area || (ai.place_name ? "place" : "view");
+  if (scope === "place" && !ai.place_name) scope = "view";
+
+  if (scope === "near_me") {
+    addMessage("Agent", "Getting your location...");
+    const center = await getCurrentPosition(options);
+    return {
+      scope,
+      placeName: "your location",
+      center,
+      filter: aroundFilter(radius || DEFAULT_NEAR_ME_RADIUS, center),
+      placeArea: { km2: circleAreaKm2(radius || DEFAULT_NEAR_ME_RADIUS), population: null }
+    };
+  }
+
+  if (scope === "view") {
+    if (!radius && map.getZoom() < MIN_VIEW_SEARCH_ZOOM) {
+      throw new Error('The visible area is too large to search - zoom in or name a place (e.g. "cafes in Paris")');
+    }
+    const { lng, lat } = map.getCenter();
+    const bounds = map.getBounds();
+    addMessage("Agent", radius ? `Searching within ${radius} m of the map centre...` : "Searching the visible map area...");
+    return {
+      scope,
+      placeName: "map view",
+      center: [lng, lat],
+      filter: radius ? aroundFilter(radius, [lng, lat]) : boundsToBbox(bounds),
+      placeArea: {
+        km2: radius ? circleAreaKm2(radius) : geodesicArea({
+          type: "Polygon",
+          coordinates: [[[bounds.getWest(), bounds.getSouth()], [bounds.getEast(), bounds.getSouth()], [bounds.getEast(), bounds.getNorth()], [bounds.getWest(), bounds.getNorth()], [bounds.getWest(), bounds.getSouth()]]]
+        }) / 1e6,
+        population: null
+      }
+    };
+  }
+
+  addMessage("Agent", `Looking for ${ai.place_name}...`);
+
+  // Get boundary from place name using Nominatim
+  const place = await getBboxFromPlace(ai.place_name, options);
+  addMessage("Agent", `Searching in ${place.displayName}`);
+  return {
+    scope: "place",
+    placeName: ai.place_name,
+    center: place.center,
+    boundary: radius ? null : place.boundary,
+    filter: radius ? aroundFilter(radius, place.center) : place.filter,
+    // The population is that of the whole place, not of a circle around it
+    placeArea: radius
+      ? { km2: circleAreaKm2(radius), population: null }
+      : { km2: geodesicArea(place.boundary) / 1e6, population: place.population }
+  };
+}
+
+// --- Run a validated AI intent against the resolved search area and render the results ---
+// options.replaceResults clears the earlier results even when the place hasn't changed
+async function runQuery(ai, options) {
+  const { signal } = options;
+  const area = await resolveSearchArea(ai, options);
+  const placeName = area.placeName;
+  console.log("=== Search Area ===", area);
+
+  // Searches in the visible area keep the current layers and map position
+  const isViewSearch = area.scope === "view";
+
+  // Check if this is the first search
+  const isFirstSearch = lastPlaceName === null;
+
+  // Check if location changed
+  const locationChanged = !isViewSearch && !isFirstSearch && lastPlaceName.toLowerCase() !== placeName.toLowerCase();
+
+  // A comparison keeps the results of the other places
+  const isComparison = ai.action === "compare" && !isViewSearch;
+
+  // Attribute filters go into the query when possible, otherwise they are applied to the layers
+  const { intent, pushed } = pushDownAttributeFilters(ai);
+  const query = compileOverpassQuery(intent, area.filter);
+  console.log("=== Compiled Overpass Query ===", query);
+
+  const attributeFilter = pushed ? [] : ai.attribute_filters || [];
+  if (ai.attribute_filters?.length) {
+    addMessage("Agent", pushed
+      ? `Only fetching results with ${describeTagFilters(ai.attribute_filters)}`
+      : `Showing only results with ${describeTagFilters(ai.attribute_filters)} (edit in the layer filter)`);
+  }
+
+  // Opening hours are read in the place's timezone, not the browser's
+  const timeZone = ai.timezone || getLongitudeTimeZone(area.center[0]);
+
+  addMessage("Agent", ai.proximity ? `Running query for results ${describeProximity(ai.proximity)}...` : "Running query...");
+  let geojson = await fetchOverpass(query, options);
+
+  // Distances to the reference features, and the "contains" relation, are worked out here
+  let proximityMatches = null;
+  if (ai.proximity) {
+    const joined = applyProximity(geojson.features, ai.proximity);
+    geojson = { ...geojson, features: joined.features };
+    proximityMatches = joined.matched;
+  }
+  console.log("GeoJSON:", geojson);
+
+  // Touch the map only once the results are in and still wanted
+  signal.throwIfAborted();
+
+  // A new place replaces the previous results; so does the first place of a comparison
+  if ((locationChanged || options.replaceResults) && !isComparison) {
+    console.log(`Searching "${placeName}" after "${lastPlaceName}" - clearing previous results`);
+    clearQueryLayers();
+  }
+
+  // Update last place name
+  if (!isViewSearch) {
+    lastPlaceName = placeName;
+  }
+
+  if (area.scope === "place") {
+    await mapReady;
+    showSearchBoundary(area.boundary);
+  }
+
+  // Determine if we should fit bounds (only on first search or location change; comparisons fit all places below)
+  const shouldFitBounds = !isViewSearch && (isFirstSearch || locationChanged) && !isComparison;
+
+  if (shouldFitBounds) {
+    console.log(`Will fit bounds to results for ${placeName}`);
+  } else {
+    console.log(`Keeping current map position - same location: ${placeName}`);
   }
+
+  if (ai.open_at) {
+    const at = ai.open_at === "now" ? null
+      : ai.open_at.includes("T") ? ai.open_at
+      : `${formatWallClock(getWallClock(timeZone)).slice(0, 10)}T${ai.open_at}`;
+    setOpeningTime({ at, openOnly: true, fromPrompt: true });
+    addMessage("Agent", at
+      ? `Showing only places open at ${at.replace("T", " ")} (${timeZone} time)`
+      : `Showing only places open now (${timeZone} time)`);
+  } else if (openingTime.fromPrompt) {
+    // An earlier prompt's opening time doesn't carry over; one picked in the opening bar does
+    setOpeningTime({ at: null, openOnly: false });
+    addMessage("Agent", "Showing places whatever their opening hours again");
+  }
+
+  const counts = await renderData(geojson, ai.style_definitions, { place_name: placeName, placeArea: area.placeArea, prompt: ai.prompt, query, intent: { filters: intent.filters, element_types: intent.element_types, limit: intent.limit }, areaFilter: area.filter, filter: attributeFilter, timeZone, proximity: ai.proximity }, shouldFitBounds, signal);
+  if (Object.keys(counts).length > 0) {
+    addMessage("Agent", `Found ${geojson.features.length} results ✅ (${formatCategoryCounts(counts)})`);
+  }
+  if (proximityMatches !== null) {
+    addMessage("Agent", `${proximityMatches} ${proximityMatches === 1 ? "result is" : "results are"} ${describeProximity(ai.proximity)} (highlighted; distances in the popups)`);
+  }
+  if (isComparison) {
+    zoomToLayers(Object.keys(layers).filter(id => !layers[id].imported));
+    const comparison = describeComparison();
+    if (comparison) addMessage("Agent", comparison);
+  }
+}
+
+// --- Send button logic ---
+document.getElementById("send").onclick = async () => {
+  const prompt = document.getElementById("command").value.trim();
+  if (!prompt) return;
+
+  // The chat so far and the layers shown, so follow-ups ("now show bars too") can be understood
+  const context = getConversationContext();
+  addMessage("You", prompt);
+
+  await runRequest(async (options) => {
+    const response = await getAIQuery(prompt, { ...options, context });
+    console.log("=== AI Response ===", response);
+
+    // Never send unchecked model output to Overpass; keep the prompt for layer metadata
+    const ai = { ...validateIntent(response), prompt };
+
+    // Follow-ups on the layers shown ("remove the hotels") need no search
+    if (!SEARCH_ACTIONS.includes(ai.action)) {
+      runMapAction(ai);
+      return;
+    }
+
+    lastAIQuery = ai;
+    document.getElementById("search-area").style.display = "none";
+
+    // "cafes in Madrid vs Barcelona": the same search in each place
+    if (ai.places) {
+      await runComparison(ai, options);
+      return;
+    }
+
+    await runQuery(ai, options);
+  });
 };
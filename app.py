@@ -7,11 +7,24 @@ from fastapi.responses import JSONResponse, FileResponse
 from fastapi.staticfiles import StaticFiles
 from pydantic import BaseModel
 import uvicorn
+from typing import Optional
 
 # ====== CONFIG ======
 MODEL_NAME = "llama-3.3-70b-versatile"
 GROQ_URL = "https://api.groq.com/openai/v1/chat/completions"
 
+# Category registry shared with the frontend (classification, colours, icons, legend)
+CATEGORIES_FILE = "categories.json"
+
+with open(CATEGORIES_FILE, encoding="utf-8") as f:
+    CATEGORIES = json.load(f)["categories"]
+
+# Most recent chat messages passed to the model with a prompt (the frontend sends at most this many)
+MAX_HISTORY_MESSAGES = 12
+
+# Colour names the model may use in style_definitions (STYLE_PALETTE in styles.js)
+STYLE_PALETTE = ["red", "orange", "yellow", "green", "teal", "cyan", "blue", "navy", "purple", "pink", "brown", "grey", "black"]
+
 # ====== API ======
 app = FastAPI()
 
@@ -24,75 +37,141 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# A category the user added in the browser, e.g. "EV chargers" for amenity=charging_station
+class CustomCategory(BaseModel):
+    key: str
+    label: str
+    tags: list[str]
+    synonyms: list[str] = []
+
+# A chat message the prompt follows
+class ChatMessage(BaseModel):
+    role: str  # "user" or "assistant"
+    content: str
+
+# A layer on the map, so follow-ups ("remove the hotels") can name it
+class MapLayer(BaseModel):
+    id: str
+    name: str
+    category: str
+    place: Optional[str] = None
+    count: int = 0
+    filter: Optional[str] = None
+    imported: bool = False
+
 class Prompt(BaseModel):
     prompt: str
+    categories: list[CustomCategory] = []
+    history: list[ChatMessage] = []
+    layers: list[MapLayer] = []
 
-SYSTEM_PROMPT = """
-You are a geospatial assistant that converts natural language queries into OpenStreetMap queries.
+SYSTEM_PROMPT_TEMPLATE = """
+You are a geospatial assistant that converts natural language queries into structured OpenStreetMap search intents.
 
 IMPORTANT: User queries may or may not include action verbs (show, find, get, put, display, search, locate, etc.).
 Always extract the POI type and location regardless of whether a verb is present.
 
+The user is in a conversation about a map. With each query you receive the previous messages and
+the layers currently on the map, so a query may follow up on earlier ones.
+
 Examples of valid user queries:
 - "museums in Madrid"
 - "show museums in Madrid"
 - "parks in Barcelona"
 - "find parks in Barcelona"
 - "cafes in Paris"
+- "cafes and bars in Lisbon"
+- "cafes here"
+- "pharmacies near me"
+- "parks within 1 km of Retiro"
+- "now show bars too" (follow-up: bars in the place of the previous query)
+- "same thing in Lisbon" (follow-up: the previous query in Lisbon)
+- "remove the hotels", "only the ones with wifi", "zoom to the museums", "clear the map"
 
 From these queries, extract:
-1. POI type: museums, parks, cafes, restaurants, hotels, hospitals, schools, supermarkets, libraries, pharmacies, banks, bakeries, bars, universities, viewpoints, gardens, sports centres, pitches, playgrounds, hostels, hairdressers, monuments, stations, dog parks, parking
+1. POI type(s): one or more of {poi_types}
 2. Location: city, country, or region name
+3. Search area:
+   - "place" when a location is named
+   - "view" when the user refers to the visible map ("here", "in this area", "around here") or names no location
+   - "near_me" when the user refers to their own position ("near me", "close to me", "nearby")
+4. Radius in meters when the user gives a distance ("within 1 km" → 1000, "500 m" → 500), otherwise null
 
 Return ONLY a JSON object with this exact structure:
 {
-  "query": "(node[\\"key\\"=\\"value\\"]({{bbox}});way[\\"key\\"=\\"value\\"]({{bbox}});relation[\\"key\\"=\\"value\\"]({{bbox}}););out geom;",
-  "categories": ["category1"],
+  "filters": [
+    [{"key": "amenity", "op": "=", "value": "cafe"}]
+  ],
+  "attribute_filters": [],
+  "proximity": null,
+  "open_at": null,
+  "timezone": "Europe/Paris",
+  "element_types": ["node", "way", "relation"],
+  "limit": null,
+  "categories": ["category1", "category2"],
   "place_name": "City Name",
-  "style_definitions": {
-    "node": {
-      "color": "#hexcolor",
-      "icon": "icon_name"
-    }
-  }
+  "places": null,
+  "area": "place",
+  "radius_m": null,
+  "style_definitions": {},
+  "action": "add",
+  "targets": []
 }
 
 Critical requirements:
-- ALWAYS use the format: (node["tag"="value"]({{bbox}});way["tag"="value"]({{bbox}});relation["tag"="value"]({{bbox}}););out geom;
-- The query MUST include node, way, AND relation wrapped in parentheses with a union semicolon between them
-- Use {{bbox}} placeholder in ALL query parts (node, way, relation)
-- End with );out geom; (NOT out body;)
+- Do NOT write Overpass QL; the client compiles "filters" into a query
+- "filters" is a list of groups: a feature matches if it matches ANY group, and matches a group if it matches ALL conditions in it
+- Each condition is {"key": ..., "op": ..., "value": ...} with "op" one of "=", "!=", "~" (regex), "!~", "exists", "not_exists" ("exists" and "not_exists" take no value)
+- Every group needs at least one "=", "~" or "exists" condition
+- When the user asks for several POI types, add one group per type, e.g. for "cafes and bars": [[{"key": "amenity", "op": "=", "value": "cafe"}], [{"key": "amenity", "op": "=", "value": "bar"}]]
+- "filters" only describes the POI types; put qualifiers (cuisine, wheelchair, internet_access, outdoor_seating, fee, diet:*) in "attribute_filters", which has the same shape and applies to every type, e.g. "vegetarian restaurants with wheelchair access": "filters": [[{"key": "amenity", "op": "=", "value": "restaurant"}]], "attribute_filters": [[{"key": "diet:vegetarian", "op": "~", "value": "yes|only"}, {"key": "wheelchair", "op": "=", "value": "yes"}]]
+- "attribute_filters" is [] when the user gives no qualifiers; groups in it may hold only "!=", "!~" or "not_exists" conditions (e.g. "cafes without wifi")
+- "proximity" is null unless the user relates the POIs to a second POI type; then it is {"relation": ..., "distance_m": ..., "filters": [...], "category": ...}:
+  * "within" for "near"/"within N m of" ("cafes within 300 m of a station" → {"relation": "within", "distance_m": 300, "filters": [[{"key": "railway", "op": "=", "value": "station"}]], "category": "station"}); use 500 when "near" gives no distance
+  * "beyond" for "farther than"/"away from" ("schools farther than 1 km from a hospital" → "relation": "beyond", "distance_m": 1000)
+  * "contains" for areas holding the second type ("parks with a playground inside" → "relation": "contains", "distance_m": null)
+  * its "filters" has the same shape as "filters" and describes only the second POI type, whose singular key goes in "category"; the second type is NOT added to "filters" or "categories"
+- Only use keys such as amenity, shop, tourism, leisure, historic, railway, cuisine, wheelchair, internet_access, outdoor_seating, fee, name, brand, opening_hours and diet:*
+- "open_at" is null unless the user asks what is open: "now" for "open now", "HH:MM" for a time today ("open at 9pm" → "21:00"), or "YYYY-MM-DDTHH:MM" only when the user gives a full date; it is the local time of the place
+- "timezone" is the IANA timezone of the searched place (e.g. "Europe/Madrid" for Valencia), or null when no place is named
+- "element_types" is normally ["node", "way", "relation"]
+- "limit" is null unless the user asks for a specific number of results
+- "categories" lists one entry per requested POI type, using the singular keys: {category_keys}
 - Map POI types to correct OSM tags:
-  * museums → tourism=museum
-  * parks → leisure=park
-  * cafes → amenity=cafe
-  * restaurants → amenity=restaurant
-  * hotels → tourism=hotel
-  * hostels → tourism=hostel
-  * hospitals → amenity=hospital
-  * schools → amenity=school
-  * universities → amenity=university
-  * supermarkets → shop=supermarket
-  * bakeries → shop=bakery
-  * hairdressers → shop=hairdresser
-  * libraries → amenity=library
-  * pharmacies → amenity=pharmacy
-  * banks → amenity=bank
-  * bars → amenity=bar
-  * viewpoints → tourism=viewpoint
-  * gardens → leisure=garden
-  * sports centres → leisure=sports_centre
-  * pitches → leisure=pitch
-  * playgrounds → leisure=playground
-  * dog parks → leisure=dog_park
-  * monuments → historic=monument
-  * stations → railway=station
-  * parking → amenity=parking
-- Return valid Overpass QL syntax
+{tag_mappings}
+- "style_definitions" is {} unless the user asks for a colour or icon; then it maps a category key to {"color": ..., "icon": ...}, e.g. "parks in green" → {"park": {"color": "green"}}; "color" is one of {palette} and "icon" is a category key whose icon to use (either may be omitted)
+- Set "place_name" to null when "area" is "view" or "near_me"
+- "places" is null unless the user compares the same search in several places ("cafes in Madrid vs Barcelona", "compare parks in Paris, Lyon and Lille"); then it lists the places (at most 5), "place_name" is the first of them, "area" is "place", "action" is "add" (a new comparison replaces the results shown) and "timezone" is that of the first place
+- "action" says what the query does to the map:
+  * "add": search and add the results (a new place replaces the results of the previous place); this is the default
+  * "compare": search and keep the results already shown, to compare places ("and the same in Porto to compare", "compare with Madrid")
+  * "remove": remove the layers in "targets" ("remove the hotels")
+  * "filter": keep only the results of the "targets" layers matching "attribute_filters" ("only the ones with wifi")
+  * "zoom_to": zoom to the "targets" layers ("zoom to the museums", "show me Lisbon again")
+  * "clear": remove all search results ("clear the map", "start over")
+- "targets" lists layers from "Current map layers" by id, category key or place; [] means every layer for "filter" and "zoom_to", and is [] for "add", "compare" and "clear"
+- For "remove", "filter", "zoom_to" and "clear", "filters" and "categories" are [] and no search is run
+- Follow-ups take what they leave out from the previous messages: "now show bars too" is an "add" of bars in the same place; "same thing in Lisbon" repeats the previous filters, attribute_filters and categories with "place_name" "Lisbon"
 - Never add text outside the JSON
 - Do not use markdown code fences
 """
 
+def build_system_prompt(custom_categories=()):
+    """System prompt listing the registry's categories plus the user's own."""
+    categories = CATEGORIES + [c.model_dump() for c in custom_categories]
+
+    def names(category):
+        return [category["label"].lower()] + category.get("synonyms", [])
+
+    # The template holds literal JSON braces, so fill it by replacement rather than str.format
+    return (SYSTEM_PROMPT_TEMPLATE
+        .replace("{poi_types}", ", ".join(name for c in categories for name in names(c)))
+        .replace("{category_keys}", ", ".join(c["key"] for c in categories))
+        .replace("{palette}", ", ".join(STYLE_PALETTE))
+        .replace("{tag_mappings}", "\n".join(f"  * {', '.join(names(c))} → {' or '.join(c['tags'])}" for c in categories)))
+
+SYSTEM_PROMPT = build_system_prompt()
+
 @app.post("/api/predict")
 async def predict(data: Prompt):
     api_key = os.environ.get("GROQ_API_KEY")
@@ -101,11 +180,17 @@ async def predict(data: Prompt):
 
     headers = {"Authorization": f"Bearer {api_key}", "Content-Type": "application/json"}
 
+    # The previous messages, then the query with the layers it may refer to
+    history = [{"role": m.role, "content": m.content}
+               for m in data.history[-MAX_HISTORY_MESSAGES:] if m.role in ("user", "assistant")]
+    layers = json.dumps([layer.model_dump() for layer in data.layers], ensure_ascii=False) if data.layers else "none"
+
     payload = {
         "model": MODEL_NAME,
         "messages": [
-            {"role": "system", "content": SYSTEM_PROMPT},
-            {"role": "user", "content": data.prompt},
+            {"role": "system", "content": build_system_prompt(data.categories) if data.categories else SYSTEM_PROMPT},
+            *history,
+            {"role": "user", "content": f"{data.prompt}\n\nCurrent map layers: {layers}"},
         ],
         "temperature": 0
     }
@@ -128,7 +213,14 @@ async def predict(data: Prompt):
 
     return JSONResponse(parsed)
 
+@app.get("/api/categories")
+async def categories():
+    return {"categories": CATEGORIES}
+
 # Serve static files
+# Recorded responses for offline demos (?fixtures=<set>)
+app.mount("/fixtures", StaticFiles(directory="fixtures"), name="fixtures")
+
 @app.get("/")
 async def read_index():
     return FileResponse("index.html")
@@ -0,0 +1,168 @@
+// === Persistent response cache (IndexedDB) ===
+//
+// Two object stores: "responses" holds the cached values, "entries" holds small
+// metadata records (size, timestamps) so LRU eviction never loads the values.
+
+const CACHE_DB_NAME = "geoai-cache";
+const CACHE_DB_VERSION = 1;
+
+// How long cached responses stay fresh, per source
+const CACHE_TTL = {
+  ai: 7 * 24 * 60 * 60 * 1000,
+  geocode: 30 * 24 * 60 * 60 * 1000,
+  overpass: 24 * 60 * 60 * 1000
+};
+
+// Approximate size cap (serialized characters); least recently used entries are evicted first
+const CACHE_MAX_SIZE = 50 * 1024 * 1024;
+
+let cacheDbPromise = null;
+
+// --- Helper: open (and create) the cache database; resolves to null if unavailable ---
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("responses");
+        const entries = db.createObjectStore("entries", { keyPath: "key" });
+        entries.createIndex("lastAccess", "lastAccess");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(err => {
+      console.warn("Response cache disabled:", err);
+      return null;
+    });
+  }
+  return cacheDbPromise;
+}
+
+// --- Helper: IDBRequest as a promise ---
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// --- Helper: normalize free text (prompts, place names) into a cache key ---
+function normalizeCacheKey(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// --- Read a fresh entry; returns { value, createdAt } or null ---
+async function cacheGet(source, key) {
+  const db = await openCacheDb();
+  if (!db) return null;
+
+  const id = `${source}:${key}`;
+
+  try {
+    const tx = db.transaction(["entries", "responses"], "readwrite");
+    const entries = tx.objectStore("entries");
+    const responses = tx.objectStore("responses");
+
+    const entry = await idbRequest(entries.get(id));
+    if (!entry) return null;
+
+    if (Date.now() - entry.createdAt > (CACHE_TTL[source] || 0)) {
+      entries.delete(id);
+      responses.delete(id);
+      return null;
+    }
+
+    const value = await idbRequest(responses.get(id));
+    if (value === undefined) return null;
+
+    entry.lastAccess = Date.now();
+    entries.put(entry);
+
+    return { value, createdAt: entry.createdAt };
+  } catch (err) {
+    console.warn("Cache read failed:", err);
+    return null;
+  }
+}
+
+// --- Store an entry, then evict least recently used entries over the size cap ---
+async function cacheSet(source, key, value) {
+  const db = await openCacheDb();
+  if (!db) return;
+
+  const id = `${source}:${key}`;
+  const size = JSON.stringify(value).length;
+  if (size > CACHE_MAX_SIZE / 4) return; // too large to be worth caching
+
+  try {
+    const now = Date.now();
+    const tx = db.transaction(["entries", "responses"], "readwrite");
+    tx.objectStore("responses").put(value, id);
+    tx.objectStore("entries").put({ key: id, source, size, createdAt: now, lastAccess: now });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+
+    await evictCache(db);
+  } catch (err) {
+    console.warn("Cache write failed:", err);
+  }
+}
+
+// --- Helper: drop least recently used entries until the cache fits its cap ---
+async function evictCache(db) {
+  const tx = db.transaction(["entries", "responses"], "readwrite");
+  const entries = tx.objectStore("entries");
+  const responses = tx.objectStore("responses");
+
+  const all = await idbRequest(entries.index("lastAccess").getAll());
+  let total = all.reduce((sum, e) => sum + e.size, 0);
+
+  for (const entry of all) {
+    if (total <= CACHE_MAX_SIZE) break;
+    entries.delete(entry.key);
+    responses.delete(entry.key);
+    total -= entry.size;
+  }
+}
+
+// --- Serve from cache, or call fetcher and store its result ---
+// Returns { value, cachedAt } where cachedAt is null for fresh responses.
+// refresh skips the read (but still stores); bypass skips the cache entirely;
+// cacheable decides if a result is kept.
+async function withCache(source, key, fetcher, { refresh = false, bypass = false, cacheable = () => true } = {}) {
+  if (bypass) {
+    return { value: await fetcher(), cachedAt: null };
+  }
+
+  if (!refresh) {
+    const hit = await cacheGet(source, key);
+    if (hit) {
+      return { value: hit.value, cachedAt: hit.createdAt };
+    }
+  }
+
+  const value = await fetcher();
+  if (cacheable(value)) {
+    cacheSet(source, key, value); // no need to wait for the write
+  }
+  return { value, cachedAt: null };
+}
+
+// --- Helper: "5 min", "3 h", "2 days" ---
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return "less than a minute";
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,219 @@
+// === Category registry: classification, colours, icons and legend entries of POI categories ===
+//
+// The built-in categories come from the backend (/api/categories, read from categories.json,
+// which also feeds the AI prompt). Each definition is
+//   { key, label, color, tags: ["amenity=cafe"], priority, synonyms: [...], icon }
+// where icon is SVG markup drawn over the category's tinted disc, with {color} standing for
+// the layer colour. A feature gets the first category, highest priority first, with a
+// matching tag. Users can add their own categories; they are kept in localStorage and sent
+// to the AI with each prompt.
+
+const CATEGORY_REGISTRY_URL = "/api/categories";
+const CUSTOM_CATEGORIES_KEY = "geoai-categories";
+
+// Custom categories win over built-in ones with the same tag
+const CUSTOM_CATEGORY_PRIORITY = 100;
+
+// Results that match no category
+const UNCLASSIFIED_CATEGORY = "poi";
+
+const DEFAULT_CATEGORY_ICON = '<circle cx="16" cy="16" r="6" fill="{color}"/>';
+
+// Category definitions by key, in legend order (unclassified POIs last)
+const CATEGORIES = {
+  [UNCLASSIFIED_CATEGORY]: { key: UNCLASSIFIED_CATEGORY, label: "Other POIs", color: "#ADB5BD", tags: [], priority: 0, synonyms: [] }
+};
+
+// [{ category, key, value, priority }] highest priority first
+let categoryMatchers = [];
+
+// --- Helper: "amenity=charging_station" → ["amenity", "charging_station"] ---
+function parseCategoryTag(tag) {
+  const match = /^([^=\s]+)=([^=\s]+)$/.exec(String(tag).trim());
+  return match ? [match[1], match[2]] : null;
+}
+
+// --- Validate a category definition; returns a list of problems (empty when valid) ---
+function validateCategoryDefinition(definition) {
+  const errors = [];
+  const { key, label, color, tags, priority, synonyms, icon } = definition || {};
+
+  if (typeof key !== "string" || !/^[a-z][a-z0-9_]*$/.test(key)) {
+    errors.push("key must be lower case letters, digits and underscores");
+  } else if (key === UNCLASSIFIED_CATEGORY || key === IMPORTED_CATEGORY) {
+    errors.push(`"${key}" is reserved`);
+  }
+  if (typeof label !== "string" || !label.trim()) {
+    errors.push("label must be a non-empty string");
+  }
+  if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) {
+    errors.push("color must be a hex colour such as #2A9D8F");
+  }
+  if (!Array.isArray(tags) || tags.length === 0) {
+    errors.push("tags must list at least one key=value tag");
+  } else {
+    tags.forEach(tag => {
+      const parsed = parseCategoryTag(tag);
+      if (!parsed) {
+        errors.push(`tag "${tag}" must look like key=value`);
+      } else if (!isAllowedTagKey(parsed[0])) {
+        errors.push(`tag key "${parsed[0]}" is not supported`);
+      }
+    });
+  }
+  if (priority != null && !Number.isFinite(priority)) {
+    errors.push("priority must be a number");
+  }
+  if (synonyms != null && !(Array.isArray(synonyms) && synonyms.every(s => typeof s === "string"))) {
+    errors.push("synonyms must be a list of strings");
+  }
+  if (icon != null && typeof icon !== "string") {
+    errors.push("icon must be SVG markup");
+  }
+
+  return errors;
+}
+
+// --- Helper: rebuild the tag matchers from CATEGORIES ---
+function rebuildCategoryMatchers() {
+  categoryMatchers = Object.values(CATEGORIES)
+    .flatMap(category => category.tags.map(tag => {
+      const [key, value] = parseCategoryTag(tag);
+      return { category: category.key, key, value, priority: category.priority };
+    }))
+    // Stable sort: equal priorities keep registry order
+    .sort((a, b) => b.priority - a.priority);
+}
+
+// --- Add or replace a category (kept before the unclassified entry) ---
+function registerCategory(definition, { custom = false } = {}) {
+  const unclassified = CATEGORIES[UNCLASSIFIED_CATEGORY];
+  delete CATEGORIES[UNCLASSIFIED_CATEGORY];
+
+  CATEGORIES[definition.key] = {
+    key: definition.key,
+    label: definition.label.trim(),
+    color: definition.color,
+    tags: definition.tags.map(tag => tag.trim()),
+    priority: definition.priority ?? (custom ? CUSTOM_CATEGORY_PRIORITY : 0),
+    synonyms: definition.synonyms || [],
+    icon: definition.icon || null,
+    custom
+  };
+  CATEGORIES[UNCLASSIFIED_CATEGORY] = unclassified;
+  rebuildCategoryMatchers();
+}
+
+// --- Helper: get category from OSM tags ---
+function getCategoryFromTags(tags) {
+  if (!tags) return UNCLASSIFIED_CATEGORY;
+  const match = categoryMatchers.find(({ key, value }) => tags[key] === value);
+  return match ? match.category : UNCLASSIFIED_CATEGORY;
+}
+
+// --- Helper: SVG markup for a category icon ---
+function getCategorySVG(category, color) {
+  const icon = (CATEGORIES[category]?.icon || DEFAULT_CATEGORY_ICON).replaceAll("{color}", color);
+  return `
+    <svg width="32" height="32" viewBox="0 0 32 32">
+      <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
+      ${icon}
+    </svg>`;
+}
+
+// --- Custom categories as stored and as sent to the AI ---
+function getCustomCategories() {
+  return Object.values(CATEGORIES)
+    .filter(category => category.custom)
+    .map(({ key, label, color, tags, synonyms }) => ({ key, label, color, tags, synonyms }));
+}
+
+function saveCustomCategories() {
+  try {
+    getStorage()?.setItem(CUSTOM_CATEGORIES_KEY, JSON.stringify(getCustomCategories()));
+  } catch (err) {
+    console.warn("Could not store custom categories:", err);
+  }
+}
+
+// --- Helper: "EV chargers" → "ev_chargers" ---
+function categoryKeyFromLabel(label) {
+  const slug = String(label || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  return /^[a-z]/.test(slug) ? slug : `custom_${slug}`;
+}
+
+// --- Add a user category, e.g. addCustomCategory({ label: "EV chargers", tags: ["amenity=charging_station"], color: "#2A9D8F" }) ---
+// Adding a category with the label of an existing custom one replaces it. New searches use it;
+// results already on the map keep their category.
+function addCustomCategory({ label, tags, color, synonyms = [] }) {
+  const key = categoryKeyFromLabel(label);
+  const builtIn = Object.values(CATEGORIES).find(category => !category.custom &&
+    (category.key === key || category.label.toLowerCase() === String(label).trim().toLowerCase()));
+  if (builtIn) {
+    throw new Error(`"${label}" is already a built-in category`);
+  }
+
+  const definition = { key, label, color, tags, synonyms };
+  const errors = validateCategoryDefinition(definition);
+  if (errors.length) {
+    throw new Error(`Invalid category: ${errors.join("; ")}`);
+  }
+
+  registerCategory(definition, { custom: true });
+  saveCustomCategories();
+  renderLegendCategories();
+  return CATEGORIES[key];
+}
+
+// Its layers go too: without the definition they would have no label, icon or matcher
+function removeCustomCategory(key) {
+  if (!CATEGORIES[key]?.custom) return;
+  removeCategoryLayers(key);
+  delete CATEGORIES[key];
+  rebuildCategoryMatchers();
+  saveCustomCategories();
+  renderLegendCategories();
+}
+
+// --- Helper: custom categories saved by a previous visit ---
+function restoreCustomCategories() {
+  let saved = [];
+  try {
+    saved = JSON.parse(getStorage()?.getItem(CUSTOM_CATEGORIES_KEY) || "[]");
+  } catch (err) {
+    console.warn("Ignoring unreadable custom categories:", err);
+  }
+
+  (Array.isArray(saved) ? saved : []).forEach(definition => {
+    if (validateCategoryDefinition(definition).length === 0 && !CATEGORIES[definition.key]) {
+      registerCategory(definition, { custom: true });
+    }
+  });
+}
+
+// --- Load the built-in categories from the backend, then the user's own ---
+// Invalid entries are skipped; without the registry every result is an unclassified POI
+async function loadCategoryRegistry() {
+  try {
+    const res = await fetch(window.location.origin + CATEGORY_REGISTRY_URL);
+    if (!res.ok) {
+      throw new Error(`${res.status} ${res.statusText}`);
+    }
+    const { categories } = await res.json();
+    (categories || []).forEach(definition => {
+      const errors = validateCategoryDefinition(definition);
+      if (errors.length) {
+        console.warn(`Skipping category ${definition?.key}:`, errors);
+        return;
+      }
+      registerCategory(definition);
+    });
+  } catch (err) {
+    console.warn("Category registry unavailable:", err);
+    addMessage("Agent", "Error: Could not load the category list, results will not be classified ❌", { save: false });
+  }
+
+  restoreCustomCategories();
+  renderLegendCategories();
+}
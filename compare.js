@@ -0,0 +1,243 @@
+// === Comparing places: per-place statistics and a side-by-side second map ===
+//
+// Once the search layers cover more than one place, the comparison panel lists for each place
+// its visible results, the size of the searched area (the geocoded boundary, or the search
+// circle), the results per km² and, when OSM tags the place with its population, per 10,000
+// residents. "Side by side" splits the screen: the first place stays on the main map and
+// another one is shown on a second map whose zoom follows the first.
+
+const COMPARE_MAP_SOURCE = "compare-results";
+
+// Second map of a side-by-side view (null when closed) and the place it shows
+let compareMap = null;
+let compareRightPlace = null;
+
+// Set while one map's zoom is copied to the other, so the copy isn't copied back
+let syncingCompareZoom = false;
+
+// --- Statistics of every place with visible search results, in layer order ---
+// [{ place, count, categories: { cafe: 12 }, km2, population, perKm2, per10k, layerIds }]
+function getPlaceStatistics() {
+  const places = {};
+  Object.entries(layers)
+    .filter(([, layer]) => !layer.imported && layer.visible && layer.placeName)
+    .forEach(([id, layer]) => {
+      if (!places[layer.placeName]) {
+        places[layer.placeName] = { place: layer.placeName, count: 0, categories: {}, km2: null, population: null, layerIds: [] };
+      }
+      const entry = places[layer.placeName];
+      entry.count += layer.count;
+      entry.categories[layer.category] = (entry.categories[layer.category] || 0) + layer.count;
+      entry.km2 = entry.km2 || layer.placeArea?.km2 || null;
+      entry.population = entry.population || layer.placeArea?.population || null;
+      entry.layerIds.push(id);
+    });
+
+  return Object.values(places).map(entry => ({
+    ...entry,
+    perKm2: entry.km2 ? entry.count / entry.km2 : null,
+    per10k: entry.population ? entry.count / entry.population * 10000 : null
+  }));
+}
+
+// --- Helper: "1,204", "38.5", "0.42"; "–" when unknown ---
+function formatStatistic(value) {
+  if (value === null || value === undefined) return "–";
+  if (value >= 100) return Math.round(value).toLocaleString("en-US");
+  if (value >= 10) return value.toFixed(1);
+  return value === 0 ? "0" : value.toPrecision(2);
+}
+
+// --- "cafe 12 · bar 3" ---
+function formatCategoryBreakdown(categories) {
+  return Object.entries(categories).map(([category, count]) => `${category} ${count}`).join(" · ");
+}
+
+// --- Helper: table cell with a value and a bar scaled to the largest value of its column ---
+function statisticCell(value, max, text = formatStatistic(value)) {
+  const td = document.createElement("td");
+  if (value !== null && max > 0) {
+    const bar = document.createElement("span");
+    bar.className = "compare-bar";
+    bar.style.width = `${Math.round(100 * value / max)}%`;
+    td.appendChild(bar);
+  }
+  const label = document.createElement("span");
+  label.className = "compare-value";
+  label.textContent = text;
+  td.appendChild(label);
+  return td;
+}
+
+// --- Comparison panel: shown while the search layers cover several places ---
+function refreshComparePanel() {
+  const panel = document.getElementById("compare-panel");
+  if (!panel) return;
+
+  const stats = getPlaceStatistics();
+  const comparing = stats.length > 1;
+  panel.style.display = comparing ? "flex" : "none";
+  if (!comparing || (compareMap && !stats.slice(1).some(s => s.place === compareRightPlace))) {
+    hideSideBySide();
+  }
+  if (!comparing) return;
+
+  const maxOf = (key) => Math.max(0, ...stats.map(s => s[key] || 0));
+  const body = panel.querySelector("tbody");
+  body.innerHTML = "";
+  stats.forEach(entry => {
+    const tr = document.createElement("tr");
+    tr.className = "compare-row";
+    tr.title = "Zoom to this place";
+
+    // Place names come from prompts and the AI: set as text, never as markup
+    const place = document.createElement("td");
+    const name = document.createElement("div");
+    name.className = "compare-place";
+    name.textContent = entry.place;
+    const breakdown = document.createElement("div");
+    breakdown.className = "compare-categories";
+    breakdown.textContent = formatCategoryBreakdown(entry.categories);
+    place.append(name, breakdown);
+
+    tr.append(
+      place,
+      statisticCell(entry.count, maxOf("count"), String(entry.count)),
+      statisticCell(entry.km2, 0, entry.km2 === null ? "–" : `${formatStatistic(entry.km2)} km²`),
+      statisticCell(entry.perKm2, maxOf("perKm2")),
+      statisticCell(entry.per10k, maxOf("per10k"))
+    );
+    tr.onclick = () => zoomToLayers(entry.layerIds);
+    body.appendChild(tr);
+  });
+
+  // The first place stays on the main map; any other can go on the right
+  const select = panel.querySelector(".compare-right-place");
+  const choices = stats.slice(1).map(s => s.place);
+  select.innerHTML = "";
+  choices.forEach(place => select.add(new Option(place, place)));
+  select.value = compareRightPlace || choices[0];
+  select.style.display = compareMap && choices.length > 1 ? "" : "none";
+  panel.querySelector(".compare-side").checked = Boolean(compareMap);
+
+  updateCompareMapData();
+}
+
+// --- Helper: the results of the right-hand place, as dots in their layer colours ---
+function updateCompareMapData() {
+  const source = compareMap?.getSource(COMPARE_MAP_SOURCE);
+  if (!source) return;
+
+  const features = Object.values(layers)
+    .filter(layer => !layer.imported && layer.visible && layer.placeName === compareRightPlace)
+    .flatMap(layer => getLayerSources(layer).points.map(({ geometry, properties }) => ({
+      type: "Feature",
+      geometry,
+      properties: { color: layer.color, name: properties.name }
+    })));
+  source.setData({ type: "FeatureCollection", features });
+}
+
+// --- Helper: copy one map's zoom to the other ---
+function syncCompareZoom(from, to) {
+  if (!to || syncingCompareZoom) return;
+  syncingCompareZoom = true;
+  try {
+    to.jumpTo({ zoom: from.getZoom() });
+  } finally {
+    syncingCompareZoom = false;
+  }
+}
+
+// --- Split the screen: the first place on the main map, `place` on a second map at the same zoom ---
+function showSideBySide(place) {
+  const stats = getPlaceStatistics();
+  const left = stats[0];
+  const right = stats.slice(1).find(s => s.place === place);
+  if (!left || !right) return;
+
+  compareRightPlace = place;
+  document.body.classList.add("side-by-side");
+  map.resize();
+
+  if (!compareMap) {
+    const { lng, lat } = map.getCenter();
+    const rightMap = new maplibregl.Map({ container: "compare-map", style: BASEMAP_STYLE, center: [lng, lat], zoom: map.getZoom() });
+    compareMap = rightMap;
+    rightMap.once("load", () => {
+      if (compareMap !== rightMap) return; // closed while loading
+      rightMap.addSource(COMPARE_MAP_SOURCE, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+      rightMap.addLayer({
+        id: `${COMPARE_MAP_SOURCE}-points`,
+        type: "circle",
+        source: COMPARE_MAP_SOURCE,
+        paint: {
+          "circle-color": ["get", "color"],
+          "circle-radius": 5,
+          "circle-stroke-color": "#ffffff",
+          "circle-stroke-width": 1.5
+        }
+      });
+      updateCompareMapData();
+    });
+    rightMap.on("zoom", () => syncCompareZoom(rightMap, map));
+  }
+  updateCompareMapData();
+
+  // Both places at the zoom that fits the larger one, so densities look alike at the same scale
+  const leftBounds = getLayersBounds(left.layerIds);
+  const rightBounds = getLayersBounds(right.layerIds);
+  const leftCamera = leftBounds.isEmpty() ? null : map.cameraForBounds(leftBounds, { padding: 40 });
+  const rightCamera = rightBounds.isEmpty() ? null : compareMap.cameraForBounds(rightBounds, { padding: 40 });
+  const zoom = Math.min(leftCamera?.zoom ?? map.getZoom(), rightCamera?.zoom ?? map.getZoom(), 16);
+  map.jumpTo({ ...(leftCamera && { center: leftCamera.center }), zoom });
+  compareMap.jumpTo({ ...(rightCamera && { center: rightCamera.center }), zoom });
+
+  refreshComparePanel();
+}
+
+// --- Back to a single map ---
+function hideSideBySide() {
+  if (!compareMap) return;
+  compareMap.remove();
+  compareMap = null;
+  compareRightPlace = null;
+  document.body.classList.remove("side-by-side");
+  map.resize();
+
+  const checkbox = document.querySelector("#compare-panel .compare-side");
+  if (checkbox) checkbox.checked = false;
+}
+
+// --- Run one search in each of several places, keeping the results of all of them ---
+// The first place replaces earlier results, even of the same place, so comparisons in a row
+// don't pile up; the AI's timezone is that of the first place
+async function runComparison(ai, options) {
+  for (const [i, place] of ai.places.entries()) {
+    options.signal.throwIfAborted();
+    await runQuery({
+      ...ai,
+      places: null,
+      place_name: place,
+      area: "place",
+      timezone: i === 0 ? ai.timezone : null,
+      action: i === 0 ? "add" : "compare"
+    }, { ...options, replaceResults: i === 0 });
+  }
+}
+
+function initComparePanel() {
+  const panel = document.getElementById("compare-panel");
+  if (!panel) return;
+
+  panel.querySelector(".compare-side").onchange = (e) => {
+    if (e.target.checked) {
+      showSideBySide(panel.querySelector(".compare-right-place").value);
+    } else {
+      hideSideBySide();
+    }
+  };
+  panel.querySelector(".compare-right-place").onchange = (e) => showSideBySide(e.target.value);
+
+  map.on("zoom", () => syncCompareZoom(map, compareMap));
+}
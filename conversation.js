@@ -0,0 +1,106 @@
+// === Conversational follow-ups: chat context for the AI and actions on the layers shown ===
+//
+// Each prompt goes to the AI with the recent chat and a summary of the layers on the map, so
+// "now show bars too" or "same thing in Lisbon" can be read against what came before. The
+// answer carries an action (see validateIntent): "add" and "compare" search, while "remove",
+// "filter", "zoom_to" and "clear" act on the layers already shown, without any network request.
+
+// Chat messages sent with a prompt, most recent last
+const CONVERSATION_CONTEXT_MESSAGES = 12;
+
+// --- Chat and map state sent with a prompt: { history: [{ role, content }], layers: [...] } ---
+// Called before the prompt itself is added to the chat
+function getConversationContext() {
+  return {
+    history: chatHistory.slice(-CONVERSATION_CONTEXT_MESSAGES).map(({ sender, text }) => ({
+      role: sender === "You" ? "user" : "assistant",
+      content: text
+    })),
+    layers: Object.entries(layers).map(([id, layer]) => ({
+      id,
+      name: layer.name,
+      category: layer.category,
+      place: layer.placeName || null,
+      count: layer.count,
+      filter: layer.filter.length ? describeTagFilters(layer.filter) : null,
+      imported: layer.imported
+    }))
+  };
+}
+
+// --- Helper: what an AI answer depends on besides the prompt, as part of its cache key ---
+// The previous prompt and the layers shown; agent messages only restate them
+function getConversationCacheKey(context) {
+  const previous = context.history.filter(m => m.role === "user").pop()?.content;
+  const shown = context.layers.map(l => `${l.category}@${l.place || ""}`).join(",");
+  return [previous && `after: ${normalizeCacheKey(previous)}`, shown && `on: ${shown}`].filter(Boolean).join("; ");
+}
+
+// --- Helper: ids of the layers a follow-up names, by layer id, category key, layer name or place ---
+// No targets means every search layer
+function resolveActionTargets(targets) {
+  if (!targets.length) {
+    return Object.keys(layers).filter(id => !layers[id].imported);
+  }
+  const wanted = targets.map(t => t.trim().toLowerCase());
+  return Object.keys(layers).filter(id => {
+    const layer = layers[id];
+    const names = [id, layer.category, layer.name, layer.placeName].filter(Boolean).map(n => n.toLowerCase());
+    return names.some(name => wanted.includes(name));
+  });
+}
+
+// --- Helper: AND a filter onto a layer's filter (both are ORs of AND-groups) ---
+function combineTagFilters(current, added) {
+  const groups = current.filter(group => group.length > 0);
+  if (!groups.length) return added;
+  return groups.flatMap(group => added.map(extra => [...group, ...extra]));
+}
+
+// --- Helper: "cafe (Lisbon), bar (Lisbon)" ---
+function formatLayerNames(layerIds) {
+  return layerIds.map(id => layers[id].name).join(", ");
+}
+
+// --- Run a follow-up on the layers shown and reply with what changed ---
+function runMapAction(ai) {
+  if (ai.action === "clear") {
+    const count = Object.values(layers).filter(layer => !layer.imported).length;
+    clearQueryLayers();
+    lastPlaceName = null;
+    lastAIQuery = null;
+    addMessage("Agent", count
+      ? `Cleared ${count} ${count === 1 ? "layer" : "layers"} from the map ✅`
+      : "There are no search results to clear");
+    return;
+  }
+
+  const layerIds = resolveActionTargets(ai.targets);
+  if (!layerIds.length) {
+    throw new Error(ai.targets.length
+      ? `No layer on the map matches ${ai.targets.join(", ")}`
+      : "There are no search results on the map yet");
+  }
+
+  if (ai.action === "remove") {
+    const names = formatLayerNames(layerIds);
+    layerIds.forEach(removeLayer);
+    if (!Object.values(layers).some(layer => !layer.imported)) hideSearchBoundary();
+    addMessage("Agent", `Removed ${names} ✅`);
+  } else if (ai.action === "filter") {
+    layerIds.forEach(id => setLayerFilter(id, combineTagFilters(layers[id].filter, ai.attribute_filters)));
+    const shown = layerIds.map(id => `${layers[id].name} ${layers[id].count} of ${layers[id].features.length}`).join(", ");
+    addMessage("Agent", `Showing only results with ${describeTagFilters(ai.attribute_filters)}: ${shown} ✅ (edit in the layer filter)`);
+  } else if (ai.action === "zoom_to") {
+    zoomToLayers(layerIds);
+    addMessage("Agent", `Zoomed to ${formatLayerNames(layerIds)} ✅`);
+  }
+}
+
+// --- Reply to a comparison: the places now shown side by side ---
+function describeComparison() {
+  const places = [...new Set(Object.values(layers).filter(layer => !layer.imported && layer.placeName).map(layer => layer.placeName))];
+  return places.length > 1
+    ? `Comparing ${places.slice(0, -1).join(", ")} and ${places[places.length - 1]} (the results of each place are kept)`
+    : null;
+}
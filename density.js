@@ -0,0 +1,280 @@
+// === Density views of a layer: heatmap, hex bins and graduated circles ===
+//
+// At country or region scale single icons say little; these views aggregate the features
+// a layer shows on the map (attribute filter and opening time applied) in the browser.
+// Hexagons are sized from the layer's extent, so the bins don't change with the zoom.
+
+const DISPLAY_MODES = {
+  icons: "Icons",
+  heatmap: "Heatmap",
+  hexbin: "Hex bins",
+  circles: "Graduated circles"
+};
+
+// Hexagons across the larger side of a layer's extent
+const HEXBIN_CELLS_ACROSS = 25;
+
+// Names listed in the popup of a bin
+const BIN_POPUP_MAX_NAMES = 10;
+
+// Colour ramp from few to many features (heatmap and hex bins)
+const DENSITY_RAMP = ["#ffffcc", "#fed976", "#fd8d3c", "#e31a1c", "#800026"];
+
+// Style layers of the icon view, hidden while a density view is shown
+const ICON_LAYER_SUFFIXES = ["-clusters", "-cluster-count", "-highlight", "-points"];
+
+// Style layers added for the density views
+const DENSITY_LAYER_SUFFIXES = ["-heatmap", "-hexbins", "-hexbin-count", "-circles", "-circle-count"];
+
+// --- Helper: Web Mercator y (in degrees) of a latitude, so hexagons look regular on the map ---
+function mercatorY(lat) {
+  const rad = Math.max(-85, Math.min(85, lat)) * Math.PI / 180;
+  return Math.log(Math.tan(Math.PI / 4 + rad / 2)) * 180 / Math.PI;
+}
+
+function inverseMercatorY(y) {
+  return (2 * Math.atan(Math.exp(y * Math.PI / 180)) - Math.PI / 2) * 180 / Math.PI;
+}
+
+// --- Helper: round fractional axial hex coordinates to the containing hexagon ---
+function hexRound(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q), rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q), dr = Math.abs(rr - r), ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+}
+
+// --- Group items ({ point: [lng, lat], fid, name }) into a grid of pointy-top hexagons ---
+// Returns [{ ring, center, count, items }]: ring is the closed outline of the hexagon,
+// center the mean position of its items
+function buildHexBins(items, cellsAcross = HEXBIN_CELLS_ACROSS) {
+  if (!items.length) return [];
+
+  const projected = items.map(({ point }) => [point[0], mercatorY(point[1])]);
+  const xs = projected.map(p => p[0]);
+  const ys = projected.map(p => p[1]);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  // A hexagon is sqrt(3) * size wide; a single spot still gets a small hexagon
+  const size = span > 0 ? span / cellsAcross / Math.sqrt(3) : 0.001;
+
+  const bins = new Map();
+  projected.forEach(([x, y], i) => {
+    const [q, r] = hexRound((Math.sqrt(3) / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+    const key = `${q},${r}`;
+    if (!bins.has(key)) bins.set(key, { q, r, items: [] });
+    bins.get(key).items.push(items[i]);
+  });
+
+  return [...bins.values()].map(({ q, r, items: binItems }) => {
+    const cx = size * Math.sqrt(3) * (q + r / 2);
+    const cy = size * 1.5 * r;
+    const ring = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = (60 * i - 30) * Math.PI / 180;
+      ring.push([cx + size * Math.cos(angle), inverseMercatorY(cy + size * Math.sin(angle))]);
+    }
+    ring.push(ring[0]);
+
+    const center = [
+      binItems.reduce((sum, item) => sum + item.point[0], 0) / binItems.length,
+      binItems.reduce((sum, item) => sum + item.point[1], 0) / binItems.length
+    ];
+    return { ring, center, count: binItems.length, items: binItems };
+  });
+}
+
+// --- Helper: is a style layer of a layer shown in its current display mode? ---
+function isInDisplayMode(layer, mapLayerId) {
+  return layer.display === "icons" || !ICON_LAYER_SUFFIXES.some(suffix => mapLayerId.endsWith(suffix));
+}
+
+// --- Density source data for a layer's icon points in its display mode ---
+// Hex bins and graduated circles keep their bins on the layer for the bin popups
+function buildDensityData(layer, points) {
+  if (layer.display === "heatmap") {
+    layer.densityBins = [];
+    return { type: "FeatureCollection", features: points };
+  }
+
+  const bins = buildHexBins(points.map(p => ({ point: p.geometry.coordinates, fid: p.properties.fid, name: p.properties.name })));
+  const max = bins.reduce((m, bin) => Math.max(m, bin.count), 1);
+  layer.densityBins = bins;
+
+  return {
+    type: "FeatureCollection",
+    features: bins.map((bin, index) => layer.display === "hexbin"
+      ? { type: "Feature", geometry: { type: "Polygon", coordinates: [bin.ring] }, properties: { bin: index, count: bin.count, t: bin.count / max } }
+      : { type: "Feature", geometry: { type: "Point", coordinates: bin.center }, properties: { bin: index, count: bin.count, radius: 6 + 24 * Math.sqrt(bin.count / max) } })
+  };
+}
+
+// --- Helper: count label on top of hex bins or circles ---
+function densityCountLayer(id, source) {
+  return {
+    id,
+    type: "symbol",
+    source,
+    layout: {
+      "text-field": ["to-string", ["get", "count"]],
+      "text-font": ["Open Sans Bold"],
+      "text-size": 11,
+      "text-allow-overlap": false
+    },
+    paint: {
+      "text-color": "#1a1a1a",
+      "text-halo-color": "#ffffff",
+      "text-halo-width": 1.5
+    }
+  };
+}
+
+// --- Popup of a bin: its count and the names of the features in it ---
+function openBinPopup(layer, bin, lngLat) {
+  const content = document.createElement("div");
+  const title = document.createElement("strong");
+  title.textContent = `${bin.count} ${bin.count === 1 ? "result" : "results"}`;
+  content.appendChild(title);
+
+  const list = document.createElement("ul");
+  list.className = "bin-popup-list";
+  bin.items.slice(0, BIN_POPUP_MAX_NAMES).forEach(item => {
+    const entry = document.createElement("li");
+    // Names come from OSM: set as text, never as markup
+    entry.textContent = item.name;
+    entry.onclick = () => openFeaturePopup(layer, item.fid, item.point);
+    list.appendChild(entry);
+  });
+  content.appendChild(list);
+
+  if (bin.count > BIN_POPUP_MAX_NAMES) {
+    const more = document.createElement("div");
+    more.className = "bin-popup-more";
+    more.textContent = `and ${bin.count - BIN_POPUP_MAX_NAMES} more`;
+    content.appendChild(more);
+  }
+
+  new maplibregl.Popup({ maxWidth: "280px" })
+    .setLngLat(lngLat)
+    .setDOMContent(content)
+    .addTo(map);
+}
+
+// --- Add the source, style layers and click handlers of a layer's density view ---
+function addDensityLayers(layer, points) {
+  const { sourceId, color } = layer;
+  const densitySourceId = `${sourceId}-density`;
+  map.addSource(densitySourceId, { type: "geojson", data: buildDensityData(layer, points) });
+
+  const added = [];
+  if (layer.display === "heatmap") {
+    map.addLayer({
+      id: `${sourceId}-heatmap`,
+      type: "heatmap",
+      source: densitySourceId,
+      paint: {
+        "heatmap-radius": ["interpolate", ["linear"], ["zoom"], 0, 6, 9, 20, 15, 30],
+        "heatmap-intensity": ["interpolate", ["linear"], ["zoom"], 0, 1, 15, 3],
+        "heatmap-color": [
+          "interpolate", ["linear"], ["heatmap-density"],
+          0, "rgba(255, 255, 204, 0)",
+          0.2, DENSITY_RAMP[1],
+          0.4, DENSITY_RAMP[2],
+          0.7, DENSITY_RAMP[3],
+          1, DENSITY_RAMP[4]
+        ],
+        "heatmap-opacity": 0.8
+      }
+    });
+    added.push(`${sourceId}-heatmap`);
+  } else if (layer.display === "hexbin") {
+    map.addLayer({
+      id: `${sourceId}-hexbins`,
+      type: "fill",
+      source: densitySourceId,
+      paint: {
+        "fill-color": [
+          "interpolate", ["linear"], ["get", "t"],
+          0, DENSITY_RAMP[0],
+          0.25, DENSITY_RAMP[1],
+          0.5, DENSITY_RAMP[2],
+          0.75, DENSITY_RAMP[3],
+          1, DENSITY_RAMP[4]
+        ],
+        "fill-opacity": 0.7,
+        "fill-outline-color": "#ffffff"
+      }
+    });
+    map.addLayer(densityCountLayer(`${sourceId}-hexbin-count`, densitySourceId));
+    added.push(`${sourceId}-hexbins`, `${sourceId}-hexbin-count`);
+  } else if (layer.display === "circles") {
+    map.addLayer({
+      id: `${sourceId}-circles`,
+      type: "circle",
+      source: densitySourceId,
+      paint: {
+        "circle-radius": ["get", "radius"],
+        "circle-color": color,
+        "circle-opacity": 0.6,
+        "circle-stroke-color": "#ffffff",
+        "circle-stroke-width": 1.5
+      }
+    });
+    map.addLayer(densityCountLayer(`${sourceId}-circle-count`, densitySourceId));
+    added.push(`${sourceId}-circles`, `${sourceId}-circle-count`);
+  }
+  layer.mapLayerIds = [...layer.mapLayerIds, ...added];
+
+  // Bins are clickable: count and list of the features they contain
+  const binLayerId = layer.display === "hexbin" ? `${sourceId}-hexbins` : layer.display === "circles" ? `${sourceId}-circles` : null;
+  if (binLayerId) {
+    const onBinClick = (e) => {
+      if (measuring) return;
+      const bin = layer.densityBins[e.features[0].properties.bin];
+      if (bin) openBinPopup(layer, bin, e.lngLat);
+    };
+    const setPointer = () => { map.getCanvas().style.cursor = "pointer"; };
+    const resetPointer = () => { map.getCanvas().style.cursor = ""; };
+    const binHandlers = [
+      ["click", binLayerId, onBinClick],
+      ["mouseenter", binLayerId, setPointer],
+      ["mouseleave", binLayerId, resetPointer]
+    ];
+    binHandlers.forEach(([type, mapLayerId, handler]) => map.on(type, mapLayerId, handler));
+    layer.handlers = [...layer.handlers, ...binHandlers];
+  }
+}
+
+// --- Remove a layer's density view from the map ---
+function removeDensityLayers(layer) {
+  const isDensity = (id) => DENSITY_LAYER_SUFFIXES.some(suffix => id === `${layer.sourceId}${suffix}`);
+
+  layer.handlers.filter(([, mapLayerId]) => isDensity(mapLayerId))
+    .forEach(([type, mapLayerId, handler]) => map.off(type, mapLayerId, handler));
+  layer.handlers = layer.handlers.filter(([, mapLayerId]) => !isDensity(mapLayerId));
+
+  layer.mapLayerIds.filter(isDensity).forEach(id => {
+    if (map.getLayer(id)) map.removeLayer(id);
+  });
+  layer.mapLayerIds = layer.mapLayerIds.filter(id => !isDensity(id));
+
+  if (map.getSource(`${layer.sourceId}-density`)) map.removeSource(`${layer.sourceId}-density`);
+  layer.densityBins = [];
+}
+
+// --- Switch a layer between icons and the density views ---
+function setLayerDisplay(layerId, mode) {
+  const layer = layers[layerId];
+  if (!layer || !DISPLAY_MODES[mode] || layer.display === mode) return;
+
+  removeDensityLayers(layer);
+  layer.display = mode;
+  if (mode !== "icons") {
+    addDensityLayers(layer, getLayerSources(layer).points);
+  }
+  applyLayerVisibility(layer);
+  applyLayerOrder();
+  updateLegend();
+}
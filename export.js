@@ -0,0 +1,276 @@
+// === Export layers to GeoJSON, CSV, KML and GPX (generated in the browser) ===
+//
+// Every export carries the originating prompt, place and retrieval time of each
+// layer, plus the OpenStreetMap attribution required by the ODbL when it holds search
+// results (imported layers are the user's own data). Exports hold what the map shows:
+// the layer filter and the opening time are applied.
+
+const OSM_ATTRIBUTION = "© OpenStreetMap contributors";
+const OSM_LICENSE_URL = "https://www.openstreetmap.org/copyright";
+
+const EXPORT_FORMATS = {
+  geojson: { label: "GeoJSON", extension: "geojson", mimeType: "application/geo+json", build: buildGeoJSONExport },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv", build: buildCSVExport },
+  kml: { label: "KML", extension: "kml", mimeType: "application/vnd.google-earth.kml+xml", build: buildKMLExport },
+  gpx: { label: "GPX", extension: "gpx", mimeType: "application/gpx+xml", build: buildGPXExport }
+};
+
+// Tags written as CSV columns (everything else stays in the GeoJSON export)
+const CSV_TAG_COLUMNS = [
+  "amenity", "shop", "tourism", "leisure", "cuisine", "opening_hours", "wheelchair",
+  "website", "phone", "addr:street", "addr:housenumber", "addr:postcode", "addr:city"
+];
+
+// --- Helper: provenance of a layer as plain metadata ---
+function getLayerMetadata(layer) {
+  return {
+    name: layer.name,
+    category: layer.category,
+    prompt: layer.prompt || null,
+    place: layer.placeName || null,
+    retrieved_at: layer.createdAt ? new Date(layer.createdAt).toISOString() : null,
+    filter: layer.filter?.length ? describeTagFilters(layer.filter) : null,
+    count: layer.count
+  };
+}
+
+// --- Helper: OSM id of a feature, e.g. "node/123" ---
+function getFeatureOsmId(feature) {
+  return feature.id || feature.properties?.id || feature.properties?.["@id"] || "";
+}
+
+// --- Helper: features of a layer that are shown on the map (filter and opening time applied) ---
+function getExportFeatures(layer) {
+  return getLayerSources(layer).points.map(({ properties }) => layer.features[properties.fid]);
+}
+
+// --- Helper: iterate over every exported feature of the given layers, with its icon position ---
+function forEachExportFeature(layerList, fn) {
+  layerList.forEach(layer => {
+    getLayerSources(layer).points.forEach(({ geometry, properties }) => fn(layer.features[properties.fid], layer, geometry.coordinates));
+  });
+}
+
+// --- Helper: does an export hold OpenStreetMap data (and so need its attribution)? ---
+function hasOsmData(layerList) {
+  return layerList.some(layer => !layer.imported);
+}
+
+// --- GeoJSON: full geometry and tags ---
+function buildGeoJSONExport(layerList, exportedAt) {
+  const features = [];
+  forEachExportFeature(layerList, (feature, layer) => {
+    const tags = { ...getFeatureTags(feature) };
+    delete tags.id;
+    features.push({
+      type: "Feature",
+      id: getFeatureOsmId(feature),
+      geometry: feature.geometry,
+      properties: { ...tags, "@id": getFeatureOsmId(feature), "@category": layer.category, "@layer": layer.name }
+    });
+  });
+
+  return JSON.stringify({
+    type: "FeatureCollection",
+    metadata: {
+      generator: "GeoAI OSM Explorer",
+      exported_at: exportedAt,
+      ...(hasOsmData(layerList) && { attribution: OSM_ATTRIBUTION, license: OSM_LICENSE_URL }),
+      layers: layerList.map(getLayerMetadata)
+    },
+    features
+  }, null, 2);
+}
+
+// --- Helper: quote a CSV field when needed ---
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- CSV: one row per feature (icon position for areas and lines) ---
+function buildCSVExport(layerList, exportedAt) {
+  const header = ["name", "category", "lat", "lon", "osm_id", ...CSV_TAG_COLUMNS, "prompt", "place", "retrieved_at", "attribution"];
+  const rows = [header];
+
+  forEachExportFeature(layerList, (feature, layer, [lon, lat]) => {
+    const tags = getFeatureTags(feature);
+    const meta = getLayerMetadata(layer);
+    rows.push([
+      getFeatureName(feature),
+      layer.category,
+      lat?.toFixed(7),
+      lon?.toFixed(7),
+      getFeatureOsmId(feature),
+      ...CSV_TAG_COLUMNS.map(key => tags[key]),
+      meta.prompt,
+      meta.place,
+      meta.retrieved_at || exportedAt,
+      layer.imported ? "" : OSM_ATTRIBUTION
+    ]);
+  });
+
+  return rows.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// --- Helper: escape text for XML content and attributes ---
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// --- Helper: "#rrggbb" to KML's "aabbggrr" ---
+function toKmlColor(hex, alpha = "ff") {
+  const rgb = hex.replace("#", "");
+  return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toLowerCase();
+}
+
+// --- Helper: KML <coordinates> for a list of positions ---
+function kmlCoordinates(positions) {
+  return `<coordinates>${positions.map(([lng, lat]) => `${lng},${lat}`).join(" ")}</coordinates>`;
+}
+
+// --- Helper: GeoJSON geometry as KML ---
+function geometryToKml(geometry) {
+  const polygon = (rings) => `<Polygon>${rings.map((ring, i) =>
+    `<${i === 0 ? "outerBoundaryIs" : "innerBoundaryIs"}><LinearRing>${kmlCoordinates(ring)}</LinearRing></${i === 0 ? "outerBoundaryIs" : "innerBoundaryIs"}>`
+  ).join("")}</Polygon>`;
+
+  switch (geometry.type) {
+    case "Point":
+      return `<Point>${kmlCoordinates([geometry.coordinates])}</Point>`;
+    case "LineString":
+      return `<LineString>${kmlCoordinates(geometry.coordinates)}</LineString>`;
+    case "Polygon":
+      return polygon(geometry.coordinates);
+    case "MultiPoint":
+      return `<MultiGeometry>${geometry.coordinates.map(c => `<Point>${kmlCoordinates([c])}</Point>`).join("")}</MultiGeometry>`;
+    case "MultiLineString":
+      return `<MultiGeometry>${geometry.coordinates.map(l => `<LineString>${kmlCoordinates(l)}</LineString>`).join("")}</MultiGeometry>`;
+    case "MultiPolygon":
+      return `<MultiGeometry>${geometry.coordinates.map(polygon).join("")}</MultiGeometry>`;
+    case "GeometryCollection":
+      return `<MultiGeometry>${geometry.geometries.map(geometryToKml).join("")}</MultiGeometry>`;
+    default:
+      return "";
+  }
+}
+
+// --- Helper: KML <ExtendedData> from a flat object ---
+function kmlExtendedData(data) {
+  const entries = Object.entries(data).filter(([, v]) => v !== null && v !== undefined && typeof v !== "object");
+  if (!entries.length) return "";
+  return `<ExtendedData>${entries.map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`).join("")}</ExtendedData>`;
+}
+
+// --- KML: one folder per layer, styled with the category colours ---
+function buildKMLExport(layerList, exportedAt) {
+  const categories = [...new Set(layerList.map(l => l.category))];
+
+  const styles = categories.map(category => {
+    const color = layerList.find(l => l.category === category).color;
+    return `    <Style id="category-${escapeXml(category)}">
+      <IconStyle><color>${toKmlColor(color)}</color><Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>
+      <LineStyle><color>${toKmlColor(color)}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${toKmlColor(color, "40")}</color></PolyStyle>
+    </Style>`;
+  });
+
+  const folders = layerList.map(layer => {
+    const meta = getLayerMetadata(layer);
+    const placemarks = getExportFeatures(layer).map(feature => {
+      const tags = { ...getFeatureTags(feature), osm_id: getFeatureOsmId(feature) };
+      delete tags.id;
+      return `      <Placemark>
+        <name>${escapeXml(getFeatureName(feature))}</name>
+        <styleUrl>#category-${escapeXml(layer.category)}</styleUrl>
+        ${kmlExtendedData(tags)}
+        ${geometryToKml(feature.geometry)}
+      </Placemark>`;
+    });
+
+    return `    <Folder>
+      <name>${escapeXml(layer.name)}</name>
+      ${kmlExtendedData({ prompt: meta.prompt, place: meta.place, retrieved_at: meta.retrieved_at })}
+${placemarks.join("\n")}
+    </Folder>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>GeoAI OSM Explorer export</name>
+    <description>${escapeXml(`Exported ${exportedAt}.${hasOsmData(layerList) ? ` Data ${OSM_ATTRIBUTION} (${OSM_LICENSE_URL})` : ""}`)}</description>
+${styles.join("\n")}
+${folders.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+// --- GPX: one waypoint per feature (icon position for areas and lines) ---
+function buildGPXExport(layerList, exportedAt) {
+  const prompts = [...new Set(layerList.map(l => l.prompt).filter(Boolean))];
+
+  const waypoints = [];
+  forEachExportFeature(layerList, (feature, layer, [lon, lat]) => {
+    const meta = getLayerMetadata(layer);
+    const desc = [meta.prompt && `Prompt: ${meta.prompt}`, meta.place && `Place: ${meta.place}`, meta.retrieved_at && `Retrieved: ${meta.retrieved_at}`]
+      .filter(Boolean).join("; ");
+    waypoints.push(`  <wpt lat="${lat.toFixed(7)}" lon="${lon.toFixed(7)}">
+    <name>${escapeXml(getFeatureName(feature))}</name>
+    <desc>${escapeXml(desc)}</desc>
+    ${layer.imported ? "" : `<src>${escapeXml(`OpenStreetMap ${getFeatureOsmId(feature)}`)}</src>`}
+    <type>${escapeXml(layer.category)}</type>
+  </wpt>`);
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GeoAI OSM Explorer" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(layerList.map(l => l.name).join(", "))}</name>
+    <desc>${escapeXml(prompts.length ? `Prompt: ${prompts.join("; ")}` : "")}</desc>
+${hasOsmData(layerList) ? `    <copyright author="OpenStreetMap contributors">
+      <license>https://opendatacommons.org/licenses/odbl/</license>
+    </copyright>
+    <link href="${OSM_LICENSE_URL}"><text>${escapeXml(OSM_ATTRIBUTION)}</text></link>
+` : ""}    <time>${exportedAt}</time>
+  </metadata>
+${waypoints.join("\n")}
+</gpx>
+`;
+}
+
+// --- Helper: save text as a file ---
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download after click() returns: revoke on the next tick
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// --- Export layers in one of EXPORT_FORMATS and download the file ---
+// Returns the generated file name
+function exportLayers(layerList, format, baseName = "layers") {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+  if (!layerList.length) {
+    throw new Error("There are no results to export");
+  }
+
+  const exportedAt = new Date().toISOString();
+  const fileName = `geoai-${baseName}-${exportedAt.slice(0, 10)}.${spec.extension}`;
+  downloadFile(spec.build(layerList, exportedAt), fileName, spec.mimeType);
+  return fileName;
+}
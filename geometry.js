@@ -0,0 +1,355 @@
+// === Geometry helpers (GeoJSON coordinates are [lng, lat]) ===
+
+// --- Helper: call fn for every [lng, lat] position of a geometry ---
+function forEachCoordinate(geometry, fn) {
+  if (!geometry) return;
+
+  switch (geometry.type) {
+    case "Point":
+      fn(geometry.coordinates);
+      break;
+    case "MultiPoint":
+    case "LineString":
+      geometry.coordinates.forEach(fn);
+      break;
+    case "MultiLineString":
+    case "Polygon":
+      geometry.coordinates.forEach(line => line.forEach(fn));
+      break;
+    case "MultiPolygon":
+      geometry.coordinates.forEach(polygon => polygon.forEach(ring => ring.forEach(fn)));
+      break;
+    case "GeometryCollection":
+      geometry.geometries.forEach(g => forEachCoordinate(g, fn));
+      break;
+  }
+}
+
+// --- Helper: signed area of a ring (planar, in squared degrees) ---
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return sum / 2;
+}
+
+// --- Helper: planar area of a polygon (outer ring minus holes) ---
+function polygonArea(polygon) {
+  return polygon.reduce((total, ring, i) => {
+    const area = Math.abs(ringArea(ring));
+    return i === 0 ? total + area : total - area;
+  }, 0);
+}
+
+// --- Helper: area-weighted centroid of a polygon's outer ring ---
+function ringCentroid(ring) {
+  let x = 0, y = 0, area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const f = (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    x += (ring[j][0] + ring[i][0]) * f;
+    y += (ring[j][1] + ring[i][1]) * f;
+    area += f * 3;
+  }
+  if (area === 0) return ring[0];
+  return [x / area, y / area];
+}
+
+// --- Helper: squared distance from a point to a segment ---
+function segmentDistanceSq(px, py, a, b) {
+  let x = a[0], y = a[1];
+  let dx = b[0] - x, dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((px - x) * dx + (py - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = px - x;
+  dy = py - y;
+  return dx * dx + dy * dy;
+}
+
+// --- Helper: signed distance from a point to a polygon outline (positive = inside) ---
+function pointToPolygonDistance(x, y, polygon) {
+  let inside = false;
+  let minDistSq = Infinity;
+
+  polygon.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i], b = ring[j];
+      if ((a[1] > y) !== (b[1] > y) && (x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0])) {
+        inside = !inside;
+      }
+      minDistSq = Math.min(minDistSq, segmentDistanceSq(x, y, a, b));
+    }
+  });
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+// --- Helper: pole of inaccessibility (always inside the polygon) ---
+// Grid-refinement search for the interior point farthest from the outline
+function polylabel(polygon, precision) {
+  const outer = polygon[0];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  outer.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+
+  const width = maxX - minX;
+  const height = maxY - minY;
+  if (width === 0 || height === 0) return [minX, minY];
+
+  // One cell over the longer side: starting from the shorter one would grid a long, thin
+  // polygon (a river, a road area) into millions of cells
+  const cellSize = Math.max(width, height);
+
+  precision = precision || Math.max(width, height) / 1000;
+
+  const makeCell = (x, y, h) => {
+    const d = pointToPolygonDistance(x, y, polygon);
+    return { x, y, h, d, max: d + h * Math.SQRT2 };
+  };
+
+  // Cells kept sorted by their best possible distance (ascending)
+  const queue = [];
+  const push = (cell) => {
+    let lo = 0, hi = queue.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (queue[mid].max < cell.max) lo = mid + 1;
+      else hi = mid;
+    }
+    queue.splice(lo, 0, cell);
+  };
+
+  const h = cellSize / 2;
+  for (let x = minX; x < maxX; x += cellSize) {
+    for (let y = minY; y < maxY; y += cellSize) {
+      push(makeCell(x + h, y + h, h));
+    }
+  }
+
+  // Start from the area centroid, or the bbox centre if that is better
+  const [cx, cy] = ringCentroid(outer);
+  let best = makeCell(cx, cy, 0);
+  const bboxCell = makeCell(minX + width / 2, minY + height / 2, 0);
+  if (bboxCell.d > best.d) best = bboxCell;
+
+  while (queue.length) {
+    const cell = queue.pop();
+    if (cell.d > best.d) best = cell;
+    if (cell.max - best.d <= precision) continue;
+
+    const half = cell.h / 2;
+    push(makeCell(cell.x - half, cell.y - half, half));
+    push(makeCell(cell.x + half, cell.y - half, half));
+    push(makeCell(cell.x - half, cell.y + half, half));
+    push(makeCell(cell.x + half, cell.y + half, half));
+  }
+
+  return [best.x, best.y];
+}
+
+// --- Helper: point halfway along a line ---
+function lineMidpoint(line) {
+  const lengths = [];
+  let total = 0;
+  for (let i = 1; i < line.length; i++) {
+    const len = Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+    lengths.push(len);
+    total += len;
+  }
+
+  let remaining = total / 2;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      const [x0, y0] = line[i];
+      const [x1, y1] = line[i + 1];
+      return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+    }
+    remaining -= lengths[i];
+  }
+
+  return line[0];
+}
+
+// --- Helper: planar length of a line ---
+function lineLength(line) {
+  let total = 0;
+  for (let i = 1; i < line.length; i++) {
+    total += Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+  }
+  return total;
+}
+
+// --- Helper: where to place a feature's icon ---
+// Points stay put, areas use the pole of inaccessibility of their largest part,
+// lines use the midpoint of their longest part
+function getLabelPoint(geometry) {
+  if (!geometry) return null;
+
+  switch (geometry.type) {
+    case "Point":
+      return geometry.coordinates;
+    case "MultiPoint":
+      return geometry.coordinates[0] || null;
+    case "Polygon":
+      return polylabel(geometry.coordinates);
+    case "MultiPolygon": {
+      const largest = geometry.coordinates.reduce((best, polygon) =>
+        !best || polygonArea(polygon) > polygonArea(best) ? polygon : best, null);
+      return largest ? polylabel(largest) : null;
+    }
+    case "LineString":
+      return lineMidpoint(geometry.coordinates);
+    case "MultiLineString": {
+      const longest = geometry.coordinates.reduce((best, line) =>
+        !best || lineLength(line) > lineLength(best) ? line : best, null);
+      return longest ? lineMidpoint(longest) : null;
+    }
+    case "GeometryCollection":
+      return geometry.geometries.length ? getLabelPoint(geometry.geometries[0]) : null;
+    default:
+      return null;
+  }
+}
+
+// --- Helper: "area", "line" or "point" for a geometry ---
+function getShapeKind(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === "Polygon" || geometry.type === "MultiPolygon") return "area";
+  if (geometry.type === "LineString" || geometry.type === "MultiLineString") return "line";
+  return "point";
+}
+
+// --- Helper: great-circle distance in meters between two [lng, lat] positions ---
+function haversineDistance([lng1, lat1], [lng2, lat2]) {
+  const R = 6371008.8;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// --- Helper: area in square meters of a Polygon or MultiPolygon on the sphere (holes subtracted) ---
+function geodesicArea(geometry) {
+  const R = 6371008.8;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const ringArea = (ring) => {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      sum += toRad(ring[i][0] - ring[j][0]) * (2 + Math.sin(toRad(ring[j][1])) + Math.sin(toRad(ring[i][1])));
+    }
+    return Math.abs(sum * R * R / 2);
+  };
+  const polygon = (rings) => rings.reduce((total, ring, i) => total + (i === 0 ? 1 : -1) * ringArea(ring), 0);
+
+  if (geometry?.type === "Polygon") return polygon(geometry.coordinates);
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.reduce((total, p) => total + polygon(p), 0);
+  return 0;
+}
+
+// --- Helper: initial compass bearing in degrees (0 = north, clockwise) from one [lng, lat] position to another ---
+function bearingBetween([lng1, lat1], [lng2, lat2]) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// --- Helper: nearest point of a geometry to a [lng, lat] position ---
+// Returns { distance (meters), point: [lng, lat] }; positions inside an area are at distance 0.
+// Segments are measured in a local flat projection, which is accurate at city scale.
+function nearestPointOnGeometry(position, geometry) {
+  const [lng0, lat0] = position;
+  const scaleX = Math.cos(lat0 * Math.PI / 180);
+  const toLocal = ([lng, lat]) => [(lng - lng0) * scaleX, lat - lat0];
+  const fromLocal = ([x, y]) => [x / scaleX + lng0, y + lat0];
+
+  let best = null;
+  const consider = (point) => {
+    const distance = haversineDistance(position, point);
+    if (!best || distance < best.distance) best = { distance, point };
+  };
+
+  // Closest point of one segment to the origin of the local projection
+  const considerSegment = (a, b) => {
+    const [ax, ay] = toLocal(a);
+    const [bx, by] = toLocal(b);
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    consider(fromLocal([ax + dx * t, ay + dy * t]));
+  };
+  const considerLine = (line) => {
+    if (line.length === 1) consider(line[0]);
+    for (let i = 1; i < line.length; i++) considerSegment(line[i - 1], line[i]);
+  };
+  const considerPolygon = (polygon) => {
+    if (pointToPolygonDistance(0, 0, polygon.map(ring => ring.map(toLocal))) > 0) {
+      best = { distance: 0, point: position };
+    } else {
+      polygon.forEach(considerLine);
+    }
+  };
+
+  const visit = (g) => {
+    switch (g.type) {
+      case "Point":
+        consider(g.coordinates);
+        break;
+      case "MultiPoint":
+        g.coordinates.forEach(consider);
+        break;
+      case "LineString":
+        considerLine(g.coordinates);
+        break;
+      case "MultiLineString":
+        g.coordinates.forEach(considerLine);
+        break;
+      case "Polygon":
+        considerPolygon(g.coordinates);
+        break;
+      case "MultiPolygon":
+        g.coordinates.forEach(considerPolygon);
+        break;
+      case "GeometryCollection":
+        g.geometries.forEach(visit);
+        break;
+    }
+  };
+  if (geometry) visit(geometry);
+
+  return best;
+}
+
+// --- Helper: is a [lng, lat] position inside an area geometry? ---
+function geometryContainsPoint(geometry, [lng, lat]) {
+  if (!geometry) return false;
+  switch (geometry.type) {
+    case "Polygon":
+      return pointToPolygonDistance(lng, lat, geometry.coordinates) > 0;
+    case "MultiPolygon":
+      return geometry.coordinates.some(polygon => pointToPolygonDistance(lng, lat, polygon) > 0);
+    case "GeometryCollection":
+      return geometry.geometries.some(g => geometryContainsPoint(g, [lng, lat]));
+    default:
+      return false;
+  }
+}
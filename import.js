@@ -0,0 +1,363 @@
+// === Import user datasets (GeoJSON, KML, GPX, lat/lon CSV) ===
+//
+// Files are parsed in the browser into a GeoJSON FeatureCollection whose
+// features carry flat properties, like the Overpass results.
+
+// Largest file accepted for import (bytes)
+const MAX_IMPORT_SIZE = 20 * 1024 * 1024;
+
+const IMPORT_EXTENSIONS = {
+  geojson: "geojson",
+  json: "geojson",
+  kml: "kml",
+  gpx: "gpx",
+  csv: "csv",
+  txt: "csv"
+};
+
+// Colours for imported layers, used in turn
+const IMPORT_COLORS = ["#1D3557", "#D62828", "#2B9348", "#F77F00", "#7209B7", "#0096C7", "#6A4C93", "#BC6C25"];
+
+// Column names recognised as coordinates in CSV files
+const CSV_LAT_COLUMNS = ["lat", "latitude", "y"];
+const CSV_LON_COLUMNS = ["lon", "lng", "long", "longitude", "x"];
+
+// --- Helper: file type from its name ---
+function getImportFormat(fileName) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return IMPORT_EXTENSIONS[extension] || null;
+}
+
+// --- Helper: layer name from a file name ---
+function getImportLayerName(fileName) {
+  return fileName.replace(/\.[^.]+$/, "") || fileName;
+}
+
+// --- Helper: is a position a valid [lng, lat]? ---
+function isValidPosition(position) {
+  return Array.isArray(position) &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+// --- Helper: is a list of positions a line (2+) or a closed ring (4+)? ---
+function isValidPositionList(positions, minLength, closed = false) {
+  if (!Array.isArray(positions) || positions.length < minLength || !positions.every(isValidPosition)) return false;
+  if (!closed) return true;
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+// --- Helper: is a polygon a non-empty list of closed rings? ---
+function isValidPolygonRings(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(ring => isValidPositionList(ring, 4, true));
+}
+
+// --- Helper: does a GeoJSON geometry have the coordinate structure of its type? ---
+function isValidGeometry(geometry) {
+  const coordinates = geometry?.coordinates;
+  const nonEmpty = (list, check) => Array.isArray(list) && list.length > 0 && list.every(check);
+  switch (geometry?.type) {
+    case "Point":
+      return isValidPosition(coordinates);
+    case "MultiPoint":
+      return nonEmpty(coordinates, isValidPosition);
+    case "LineString":
+      return isValidPositionList(coordinates, 2);
+    case "MultiLineString":
+      return nonEmpty(coordinates, line => isValidPositionList(line, 2));
+    case "Polygon":
+      return isValidPolygonRings(coordinates);
+    case "MultiPolygon":
+      return nonEmpty(coordinates, isValidPolygonRings);
+    case "GeometryCollection":
+      return nonEmpty(geometry.geometries, isValidGeometry);
+    default:
+      return false;
+  }
+}
+
+// --- Helper: feature with flat, primitive-only properties ---
+function toImportedFeature(geometry, properties = {}) {
+  const flat = {};
+  Object.entries(properties || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    flat[key] = typeof value === "object" ? JSON.stringify(value) : value;
+  });
+  return { type: "Feature", geometry, properties: flat };
+}
+
+// --- GeoJSON: FeatureCollection, Feature or bare geometry ---
+function parseGeoJSONText(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  let features;
+  if (json?.type === "FeatureCollection" && Array.isArray(json.features)) {
+    features = json.features;
+  } else if (json?.type === "Feature") {
+    features = [json];
+  } else if ((json?.type && json.coordinates) || json?.type === "GeometryCollection") {
+    features = [{ type: "Feature", geometry: json, properties: {} }];
+  } else {
+    throw new Error("The file is not GeoJSON");
+  }
+
+  // Like the other formats, features without usable coordinates are left out
+  return features
+    .filter(f => f && isValidGeometry(f.geometry))
+    .map(f => {
+      const feature = toImportedFeature(f.geometry, f.properties);
+      if (f.id !== undefined) feature.id = f.id;
+      return feature;
+    });
+}
+
+// --- Helper: parse an XML document, throwing on syntax errors ---
+function parseXml(text, label) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error(`The file is not valid ${label}`);
+  }
+  return doc;
+}
+
+// --- Helper: direct child elements with a tag name ---
+function childElements(node, tagName) {
+  return Array.from(node.children).filter(child => child.localName === tagName);
+}
+
+// --- Helper: text of the first descendant with a tag name ---
+function xmlText(node, tagName) {
+  const element = node.getElementsByTagName(tagName)[0];
+  return element ? element.textContent.trim() : undefined;
+}
+
+// --- Helper: KML "lng,lat[,alt] ..." into positions ---
+function parseKmlCoordinates(text) {
+  return (text || "").trim().split(/\s+/)
+    .map(tuple => tuple.split(",").slice(0, 2).map(Number))
+    .filter(isValidPosition);
+}
+
+// --- Helper: KML geometry element into GeoJSON geometries ---
+function kmlGeometries(node) {
+  switch (node.localName) {
+    case "Point": {
+      const [position] = parseKmlCoordinates(xmlText(node, "coordinates"));
+      return position ? [{ type: "Point", coordinates: position }] : [];
+    }
+    case "LineString": {
+      const line = parseKmlCoordinates(xmlText(node, "coordinates"));
+      return line.length > 1 ? [{ type: "LineString", coordinates: line }] : [];
+    }
+    case "Polygon": {
+      const rings = [
+        ...childElements(node, "outerBoundaryIs"),
+        ...childElements(node, "innerBoundaryIs")
+      ].map(boundary => parseKmlCoordinates(xmlText(boundary, "coordinates")));
+      return rings.length && rings[0].length > 3 ? [{ type: "Polygon", coordinates: rings }] : [];
+    }
+    case "MultiGeometry":
+      return Array.from(node.children).flatMap(kmlGeometries);
+    default:
+      return [];
+  }
+}
+
+// --- Helper: several geometries as one (Multi* when they share a type) ---
+function combineGeometries(geometries) {
+  if (geometries.length === 1) return geometries[0];
+
+  const types = new Set(geometries.map(g => g.type));
+  if (types.size === 1 && ["Point", "LineString", "Polygon"].includes(geometries[0].type)) {
+    return { type: `Multi${geometries[0].type}`, coordinates: geometries.map(g => g.coordinates) };
+  }
+  return { type: "GeometryCollection", geometries };
+}
+
+// --- KML: Placemarks with name, description and ExtendedData ---
+function parseKMLText(text) {
+  const doc = parseXml(text, "KML");
+
+  return Array.from(doc.getElementsByTagName("Placemark")).flatMap(placemark => {
+    const geometries = Array.from(placemark.children).flatMap(kmlGeometries);
+    if (!geometries.length) return [];
+
+    const properties = {
+      name: childElements(placemark, "name")[0]?.textContent.trim(),
+      description: childElements(placemark, "description")[0]?.textContent.trim()
+    };
+    Array.from(placemark.getElementsByTagName("Data")).forEach(data => {
+      properties[data.getAttribute("name")] = xmlText(data, "value");
+    });
+    Array.from(placemark.getElementsByTagName("SimpleData")).forEach(data => {
+      properties[data.getAttribute("name")] = data.textContent.trim();
+    });
+
+    return [toImportedFeature(combineGeometries(geometries), properties)];
+  });
+}
+
+// --- Helper: GPX point elements into positions ---
+function gpxPositions(nodes) {
+  return nodes
+    .map(node => [Number(node.getAttribute("lon")), Number(node.getAttribute("lat"))])
+    .filter(isValidPosition);
+}
+
+// --- Helper: common GPX metadata of a waypoint, route or track ---
+function gpxProperties(node) {
+  return {
+    name: childElements(node, "name")[0]?.textContent.trim(),
+    description: childElements(node, "desc")[0]?.textContent.trim(),
+    type: childElements(node, "type")[0]?.textContent.trim()
+  };
+}
+
+// --- GPX: waypoints as points, routes and tracks as lines ---
+function parseGPXText(text) {
+  const doc = parseXml(text, "GPX");
+  const features = [];
+
+  Array.from(doc.getElementsByTagName("wpt")).forEach(wpt => {
+    const [position] = gpxPositions([wpt]);
+    if (!position) return;
+    const properties = gpxProperties(wpt);
+    const ele = childElements(wpt, "ele")[0];
+    if (ele) properties.ele = Number(ele.textContent);
+    features.push(toImportedFeature({ type: "Point", coordinates: position }, properties));
+  });
+
+  Array.from(doc.getElementsByTagName("rte")).forEach(rte => {
+    const line = gpxPositions(childElements(rte, "rtept"));
+    if (line.length > 1) {
+      features.push(toImportedFeature({ type: "LineString", coordinates: line }, gpxProperties(rte)));
+    }
+  });
+
+  Array.from(doc.getElementsByTagName("trk")).forEach(trk => {
+    const segments = childElements(trk, "trkseg")
+      .map(segment => gpxPositions(childElements(segment, "trkpt")))
+      .filter(line => line.length > 1);
+    if (!segments.length) return;
+    const geometry = segments.length === 1
+      ? { type: "LineString", coordinates: segments[0] }
+      : { type: "MultiLineString", coordinates: segments };
+    features.push(toImportedFeature(geometry, gpxProperties(trk)));
+  });
+
+  return features;
+}
+
+// --- Helper: split CSV text into rows (quoted fields may contain delimiters and newlines) ---
+function parseCSVRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+// --- CSV: one point per row with lat/lon columns (comma, semicolon or tab separated) ---
+function parseCSVText(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    headerLine.split(d).length > headerLine.split(best).length ? d : best, ",");
+
+  const [header, ...rows] = parseCSVRows(text, delimiter);
+  if (!header) {
+    throw new Error("The CSV file is empty");
+  }
+
+  const columns = header.map(h => h.trim());
+  const latIndex = columns.findIndex(c => CSV_LAT_COLUMNS.includes(c.toLowerCase()));
+  const lonIndex = columns.findIndex(c => CSV_LON_COLUMNS.includes(c.toLowerCase()));
+  if (latIndex === -1 || lonIndex === -1) {
+    throw new Error(`The CSV file needs latitude and longitude columns (e.g. "${CSV_LAT_COLUMNS[0]}" and "${CSV_LON_COLUMNS[0]}")`);
+  }
+
+  const features = [];
+  rows.forEach(values => {
+    const position = [values[lonIndex], values[latIndex]].map(v => Number(String(v).trim().replace(",", ".")));
+    if (!isValidPosition(position)) return;
+
+    const properties = {};
+    columns.forEach((column, i) => {
+      if (i !== latIndex && i !== lonIndex && values[i] !== undefined && values[i] !== "") {
+        properties[column] = values[i];
+      }
+    });
+    features.push(toImportedFeature({ type: "Point", coordinates: position }, properties));
+  });
+
+  return features;
+}
+
+// --- Parse an imported file's text into a FeatureCollection ---
+function parseImportedText(fileName, text) {
+  const format = getImportFormat(fileName);
+  const parsers = { geojson: parseGeoJSONText, kml: parseKMLText, gpx: parseGPXText, csv: parseCSVText };
+  if (!format) {
+    throw new Error(`Unsupported file type: ${fileName} (use GeoJSON, KML, GPX or CSV)`);
+  }
+
+  const features = parsers[format](text);
+  if (!features.length) {
+    throw new Error(`No features with valid coordinates found in ${fileName}`);
+  }
+  return { type: "FeatureCollection", features };
+}
+
+// --- Read and parse a File from the picker or a drop ---
+async function readImportFile(file) {
+  if (file.size > MAX_IMPORT_SIZE) {
+    throw new Error(`${file.name} is too large to import (max ${MAX_IMPORT_SIZE / 1024 / 1024} MB)`);
+  }
+  const text = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+  return parseImportedText(file.name, text);
+}
@@ -0,0 +1,319 @@
+// === Inspect what is around a spot and measure distances on the map ===
+//
+// Clicking an empty spot drops a pin and lists the nearest features of every visible
+// layer; the measure tool adds up the segments of a path clicked on the map. Both work
+// on the features already loaded in `layers`, so nothing is fetched.
+
+// Features listed per layer around an inspected spot
+const INSPECT_NEAREST_COUNT = 3;
+
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Clicks closer than this (in pixels) to the previous vertex don't add a new one (e.g. double-clicks)
+const MEASURE_MIN_PIXELS = 3;
+
+// Style layers drawn above all results, in stacking order
+const TOOL_LAYER_IDS = ["inspect-highlight", "measure-line", "measure-points", "measure-labels"];
+
+// Inspected spot as [lng, lat] and its pin
+let inspectPosition = null;
+let inspectMarker = null;
+
+// While measuring, clicks add [lng, lat] vertices instead of inspecting or opening popups
+let measuring = false;
+let measurePoints = [];
+
+// Screen position of the click that added the last vertex
+let measureLastPixel = null;
+
+// --- Helper: "NE 48°" for a bearing in degrees ---
+function formatBearing(degrees) {
+  return `${COMPASS_POINTS[Math.round(degrees / 45) % 8]} ${Math.round(degrees) % 360}°`;
+}
+
+// --- Nearest features of every visible layer to a [lng, lat] position ---
+// Only features shown on the map count (attribute filter and opening time applied).
+// Distances are straight lines to the closest point of each geometry, 0 inside an area.
+// Returns [{ layerId, layer, nearest: [{ fid, name, distance, bearing, point }] }], each list
+// sorted by distance and the layers by their closest feature.
+function findNearestFeatures(position, count = INSPECT_NEAREST_COUNT) {
+  return Object.entries(layers)
+    .filter(([, layer]) => layer.visible)
+    .map(([layerId, layer]) => {
+      const nearest = getLayerSources(layer).points
+        .map(({ geometry, properties }) => {
+          const iconPoint = geometry.coordinates;
+          const closest = nearestPointOnGeometry(position, layer.features[properties.fid].geometry) ||
+            { distance: haversineDistance(position, iconPoint), point: iconPoint };
+          return {
+            fid: properties.fid,
+            name: properties.name,
+            distance: closest.distance,
+            bearing: closest.distance > 0 ? bearingBetween(position, closest.point) : null,
+            point: iconPoint
+          };
+        })
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, count);
+      return { layerId, layer, nearest };
+    })
+    .filter(entry => entry.nearest.length)
+    .sort((a, b) => a.nearest[0].distance - b.nearest[0].distance);
+}
+
+// --- Helper: total length in meters of a path of [lng, lat] positions ---
+function measurePathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += haversineDistance(points[i - 1], points[i]);
+  return total;
+}
+
+// --- Helper: sources and style layers of the inspect and measure tools, added on first use ---
+function ensureToolLayers() {
+  if (!map.getSource("inspect-highlight")) {
+    map.addSource("inspect-highlight", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    map.addLayer({
+      id: "inspect-highlight",
+      type: "circle",
+      source: "inspect-highlight",
+      paint: {
+        "circle-radius": 18,
+        "circle-color": ["get", "color"],
+        "circle-opacity": 0.2,
+        "circle-stroke-color": ["get", "color"],
+        "circle-stroke-width": 3
+      }
+    });
+  }
+
+  if (!map.getSource("measure")) {
+    map.addSource("measure", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    map.addLayer({
+      id: "measure-line",
+      type: "line",
+      source: "measure",
+      filter: ["==", ["geometry-type"], "LineString"],
+      paint: {
+        "line-color": "#1a1a1a",
+        "line-width": 2,
+        "line-dasharray": [3, 2]
+      }
+    });
+    map.addLayer({
+      id: "measure-points",
+      type: "circle",
+      source: "measure",
+      filter: ["==", ["geometry-type"], "Point"],
+      paint: {
+        "circle-radius": 4,
+        "circle-color": "#ffffff",
+        "circle-stroke-color": "#1a1a1a",
+        "circle-stroke-width": 2
+      }
+    });
+    map.addLayer({
+      id: "measure-labels",
+      type: "symbol",
+      source: "measure",
+      filter: ["has", "label"],
+      layout: {
+        "text-field": ["get", "label"],
+        "text-font": ["Open Sans Bold"],
+        "text-size": 11,
+        "text-offset": [0, -1.2]
+      },
+      paint: {
+        "text-color": "#1a1a1a",
+        "text-halo-color": "#ffffff",
+        "text-halo-width": 1.5
+      }
+    });
+  }
+
+  // Results added since then are drawn on top; keep the tools above them
+  TOOL_LAYER_IDS.forEach(id => map.moveLayer(id));
+}
+
+// --- Ring the icon of a feature listed in a panel (null clears it) ---
+function ringFeatureIcon(point, color) {
+  ensureToolLayers();
+  map.getSource("inspect-highlight").setData({
+    type: "FeatureCollection",
+    features: point ? [{ type: "Feature", geometry: { type: "Point", coordinates: point }, properties: { color } }] : []
+  });
+}
+
+// --- Inspect panel: nearest features per visible layer, hover to highlight, click for the popup ---
+function renderInspectPanel() {
+  const panel = document.getElementById("inspect-panel");
+  if (!panel) return;
+
+  panel.innerHTML = "";
+  panel.style.display = inspectPosition ? "block" : "none";
+  if (!inspectPosition) return;
+
+  const header = document.createElement("div");
+  header.className = "inspect-header";
+  header.innerHTML = `
+    <span class="inspect-title">Around here</span>
+    <span class="inspect-coords">${inspectPosition[1].toFixed(5)}, ${inspectPosition[0].toFixed(5)}</span>
+    <button class="inspect-close" title="Close">×</button>
+  `;
+  header.querySelector(".inspect-close").onclick = closeInspection;
+  panel.appendChild(header);
+
+  const groups = findNearestFeatures(inspectPosition);
+  if (!groups.length) {
+    const empty = document.createElement("div");
+    empty.className = "inspect-empty";
+    empty.textContent = "No results on the map yet";
+    panel.appendChild(empty);
+    return;
+  }
+
+  groups.forEach(({ layerId, layer, nearest }) => {
+    const title = document.createElement("div");
+    title.className = "inspect-layer";
+    title.innerHTML = `<span class="inspect-swatch" style="background: ${layer.color};"></span><span class="inspect-layer-name"></span>`;
+    // Layer names can be user input: set as text, never as markup
+    title.querySelector(".inspect-layer-name").textContent = layer.name;
+    panel.appendChild(title);
+
+    nearest.forEach(item => {
+      const row = document.createElement("div");
+      row.className = "inspect-row";
+      row.dataset.layerId = layerId;
+      row.dataset.fid = item.fid;
+      row.innerHTML = `<span class="inspect-name"></span><span class="inspect-distance"></span>`;
+      row.querySelector(".inspect-name").textContent = item.name;
+      row.querySelector(".inspect-distance").textContent = item.bearing === null
+        ? "here"
+        : `${formatDistance(item.distance)} · ${formatBearing(item.bearing)}`;
+
+      row.onmouseenter = () => ringFeatureIcon(item.point, layer.color);
+      row.onmouseleave = () => ringFeatureIcon(null);
+      row.onclick = () => openFeaturePopup(layer, item.fid, item.point);
+      panel.appendChild(row);
+    });
+  });
+}
+
+// --- Drop the pin at a [lng, lat] position and list what is around it ---
+function inspectAt(position) {
+  inspectPosition = position;
+  if (!inspectMarker) {
+    inspectMarker = new maplibregl.Marker({ color: "#1a1a1a" });
+  }
+  inspectMarker.setLngLat(position).addTo(map);
+  ringFeatureIcon(null);
+  renderInspectPanel();
+}
+
+function closeInspection() {
+  inspectPosition = null;
+  if (inspectMarker) inspectMarker.remove();
+  if (map.getSource("inspect-highlight")) ringFeatureIcon(null);
+  renderInspectPanel();
+}
+
+// --- Re-list the inspected spot after layers, filters or the opening time changed ---
+function refreshInspection() {
+  if (inspectPosition) renderInspectPanel();
+}
+
+// --- Helper: measure path as line, vertices and cumulative distance labels ---
+function buildMeasureFeatures(points) {
+  const features = points.map((point, i) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: point },
+    properties: i > 0 ? { label: formatDistance(measurePathLength(points.slice(0, i + 1))) } : {}
+  }));
+  if (points.length > 1) {
+    features.unshift({ type: "Feature", geometry: { type: "LineString", coordinates: points }, properties: {} });
+  }
+  return features;
+}
+
+// --- Redraw the measured path and its readout ---
+function updateMeasure() {
+  const tools = document.getElementById("map-tools");
+  if (tools) {
+    tools.querySelector("#measure-button").classList.toggle("active", measuring);
+    const readout = tools.querySelector("#measure-readout");
+    readout.style.display = measuring ? "flex" : "none";
+
+    const segments = measurePoints.length - 1;
+    readout.querySelector(".measure-total").textContent = segments > 0
+      ? `${formatDistance(measurePathLength(measurePoints))} · ${segments} segment${segments === 1 ? "" : "s"}`
+      : "Click the map to start measuring";
+    readout.querySelector("#measure-undo").disabled = !measurePoints.length;
+  }
+
+  if (!measuring && !map.getSource("measure")) return;
+  ensureToolLayers();
+  map.getSource("measure").setData({ type: "FeatureCollection", features: buildMeasureFeatures(measurePoints) });
+}
+
+// --- Turn measure mode on or off (turning it off clears the path) ---
+function setMeasuring(on) {
+  measuring = on;
+  measurePoints = [];
+  measureLastPixel = null;
+  if (on) closeInspection();
+
+  map.getCanvas().style.cursor = on ? "crosshair" : "";
+  // Double-clicks would zoom while clicking out a path
+  if (map.doubleClickZoom) map.doubleClickZoom[on ? "disable" : "enable"]();
+  updateMeasure();
+}
+
+// --- Add a vertex to the measured path; pixel is where the map was clicked ---
+function addMeasurePoint(position, pixel) {
+  if (measureLastPixel && pixel && Math.hypot(measureLastPixel.x - pixel.x, measureLastPixel.y - pixel.y) < MEASURE_MIN_PIXELS) return;
+  measureLastPixel = pixel || null;
+  measurePoints.push(position);
+  updateMeasure();
+}
+
+function undoMeasurePoint() {
+  measurePoints.pop();
+  measureLastPixel = null;
+  updateMeasure();
+}
+
+// --- Map clicks: add a vertex while measuring, otherwise inspect empty spots ---
+function onMapToolClick(e) {
+  const position = [e.lngLat.lng, e.lngLat.lat];
+  if (measuring) {
+    addMeasurePoint(position, e.point);
+    return;
+  }
+
+  // Clicks on results open their popup instead
+  const resultLayerIds = Object.values(layers).flatMap(layer => layer.mapLayerIds).filter(id => map.getLayer(id));
+  if (resultLayerIds.length && map.queryRenderedFeatures(e.point, { layers: resultLayerIds }).length) return;
+
+  inspectAt(position);
+}
+
+function initMapTools() {
+  const tools = document.getElementById("map-tools");
+  if (!tools) return;
+
+  tools.querySelector("#measure-button").onclick = () => setMeasuring(!measuring);
+  tools.querySelector("#measure-undo").onclick = undoMeasurePoint;
+  tools.querySelector("#measure-clear").onclick = () => {
+    measurePoints = [];
+    measureLastPixel = null;
+    updateMeasure();
+  };
+
+  document.addEventListener("keydown", (e) => {
+    // Escape in a text field (e.g. renaming a layer) belongs to that field
+    if (e.key !== "Escape" || e.target.closest?.("input, select, textarea")) return;
+    if (measuring) setMeasuring(false);
+    else if (inspectPosition) closeInspection();
+  });
+
+  map.on("click", onMapToolClick);
+}
@@ -0,0 +1,381 @@
+// === OSM opening_hours: parsing and evaluation ===
+//
+// Supports the common part of the grammar (https://wiki.openstreetmap.org/wiki/Key:opening_hours):
+//   24/7
+//   Mo-Fr 08:00-12:00,14:00-18:00; Sa 09:00-13:00; Su off
+//   Jan-Mar Mo-Fr 10:00-16:00; Dec 25 off
+//   Fr-Sa 18:00-02:00 (past midnight), 18:00+ (open end), Mo-Fr 08:00-18:00, Sa 10:00-14:00 (additional rule)
+//   PH off, Mo-Fr 09:00-17:00 || "by appointment" (fallback rule)
+// Later rules replace earlier ones for the days they match. Public and school
+// holidays are not known, so PH/SH-only rules never apply. Times are evaluated
+// against a wall clock ({ year, month, day, weekday, minutes }) in the place's timezone.
+
+const OH_WEEKDAYS = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const OH_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const OH_DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MINUTES_PER_DAY = 24 * 60;
+
+// Parsed opening_hours strings, keyed by the raw value (null when unsupported)
+const openingHoursCache = new Map();
+
+// --- Helper: "08:30" to minutes after midnight ---
+function parseClockTime(text) {
+  const [hours, minutes] = text.split(":").map(Number);
+  if (hours > 48 || minutes > 59) {
+    throw new Error(`Invalid time "${text}"`);
+  }
+  return hours * 60 + minutes;
+}
+
+// --- Helper: consume a pattern at the start of the remaining text ---
+function takeToken(state, pattern) {
+  const match = state.rest.match(pattern);
+  if (!match) return null;
+  state.rest = state.rest.slice(match[0].length).trimStart();
+  return match;
+}
+
+// --- Helper: month and date ranges, e.g. "Jan-Mar", "Dec 24-26", "Dec 24-Jan 02" ---
+// Each range is [fromMonth, fromDay, toMonth, toDay] (months 0-11)
+function parseMonthSelector(state) {
+  const monthPattern = OH_MONTHS.join("|");
+  const rangePattern = new RegExp(`^(${monthPattern})(?: (\\d{1,2})(?![\\d:]))?(?:-(?:(${monthPattern}) ?)?(\\d{1,2}(?![\\d:]))?)?(?=[\\s,:;]|$)`);
+  const ranges = [];
+
+  let match;
+  while ((match = takeToken(state, rangePattern))) {
+    const fromMonth = OH_MONTHS.indexOf(match[1]);
+    const fromDay = match[2] ? Number(match[2]) : 1;
+    const toMonth = match[3] ? OH_MONTHS.indexOf(match[3]) : fromMonth;
+    let toDay = match[4] ? Number(match[4]) : 31;
+    if (!match[3] && !match[4] && match[0].includes("-")) {
+      throw new Error(`Invalid month range "${match[0]}"`);
+    }
+    // A single date, e.g. "Dec 25"
+    if (match[2] && !match[0].includes("-")) {
+      toDay = fromDay;
+    }
+    ranges.push([fromMonth, fromDay, toMonth, toDay]);
+    if (!takeToken(state, /^,(?=\s*(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\b)/)) break;
+  }
+
+  return ranges.length ? ranges : null;
+}
+
+// --- Helper: weekdays and holidays, e.g. "Mo-Fr", "Sa,Su", "PH" ---
+function parseWeekdaySelector(state) {
+  const itemPattern = /^(Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)(?:-(Mo|Tu|We|Th|Fr|Sa|Su))?(\[[^\]]*\])?(?: ?[+-]\d+ days?)?/;
+  let weekdays = null;
+  let holidays = false;
+
+  let match;
+  while ((match = takeToken(state, itemPattern))) {
+    if (match[3] || /days?$/.test(match[0])) {
+      throw new Error(`Unsupported weekday selector "${match[0]}"`);
+    }
+    if (match[1] === "PH" || match[1] === "SH") {
+      holidays = true;
+    } else {
+      weekdays = weekdays || new Set();
+      const from = OH_WEEKDAYS.indexOf(match[1]);
+      const to = match[2] ? OH_WEEKDAYS.indexOf(match[2]) : from;
+      for (let day = from; ; day = (day + 1) % 7) {
+        weekdays.add(day);
+        if (day === to) break;
+      }
+    }
+    if (!takeToken(state, /^,(?=\s*(?:Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)\b)/)) break;
+  }
+
+  // "PH" on its own only applies on holidays, which are unknown here
+  if (holidays && !weekdays) return new Set();
+  return weekdays;
+}
+
+// --- Helper: time ranges, e.g. "08:00-12:00,14:00-18:00", "22:00-02:00", "18:00+" ---
+// Each range is [start, end, openEnd] in minutes; ranges past midnight end after 1440
+function parseTimeSelector(state) {
+  const rangePattern = /^(\d{1,2}:\d{2})(?:-(\d{1,2}:\d{2}))?(\+)?/;
+  const times = [];
+
+  let match;
+  while ((match = takeToken(state, rangePattern))) {
+    const start = parseClockTime(match[1]);
+    if (!match[2] && !match[3]) {
+      throw new Error(`Time "${match[1]}" needs an end`);
+    }
+    let end = match[2] ? parseClockTime(match[2]) : MINUTES_PER_DAY;
+    if (end <= start) end += MINUTES_PER_DAY;
+    times.push([start, end, Boolean(match[3])]);
+    if (!takeToken(state, /^,(?=\s*\d)/)) break;
+  }
+
+  if (/^(sunrise|sunset|dawn|dusk|\()/.test(state.rest)) {
+    throw new Error("Times based on the sun are not supported");
+  }
+  return times.length ? times : null;
+}
+
+// --- Parse an opening_hours value into a list of rules ---
+// Throws for syntax outside the supported subset
+function parseOpeningHours(value) {
+  const text = String(value || "").trim();
+  if (!text) {
+    throw new Error("Empty opening_hours");
+  }
+
+  const rules = [];
+  let state = { rest: text };
+  let separator = ";";
+
+  while (state.rest) {
+    const rule = {
+      fallback: separator === "||",
+      additional: separator === ",",
+      months: null,
+      weekdays: null,
+      times: null,
+      state: "open",
+      comment: null
+    };
+
+    if (takeToken(state, /^24\/7/)) {
+      rule.times = [[0, MINUTES_PER_DAY, false]];
+    } else {
+      rule.months = parseMonthSelector(state);
+      rule.weekdays = parseWeekdaySelector(state);
+      takeToken(state, /^:/);
+      rule.times = parseTimeSelector(state);
+    }
+
+    const modifier = takeToken(state, /^(open|closed|off|unknown)\b/);
+    if (modifier) {
+      rule.state = modifier[1] === "off" ? "closed" : modifier[1];
+    }
+
+    const comment = takeToken(state, /^"([^"]*)"/);
+    if (comment) {
+      rule.comment = comment[1];
+      // A comment on its own (e.g. "by appointment") says nothing about the times
+      if (!modifier && !rule.times && !rule.weekdays && !rule.months) rule.state = "unknown";
+    }
+
+    if (!rule.months && !rule.weekdays && !rule.times && !modifier && !comment) {
+      throw new Error(`Unsupported opening_hours syntax near "${state.rest.slice(0, 20)}"`);
+    }
+
+    const next = takeToken(state, /^(;|\|\||,)/);
+    if (!next && state.rest) {
+      throw new Error(`Unsupported opening_hours syntax near "${state.rest.slice(0, 20)}"`);
+    }
+    separator = next ? next[1] : ";";
+    rules.push(rule);
+  }
+
+  return rules;
+}
+
+// --- Helper: parsed rules for a value, or null when the value is unsupported ---
+function getOpeningHoursRules(value) {
+  if (!openingHoursCache.has(value)) {
+    let rules = null;
+    try {
+      rules = parseOpeningHours(value);
+    } catch (err) {
+      console.warn(`Cannot evaluate opening_hours "${value}":`, err.message);
+    }
+    openingHoursCache.set(value, rules);
+  }
+  return openingHoursCache.get(value);
+}
+
+// --- Helper: does a date fall in one of the month/date ranges? ---
+function matchesMonths(ranges, date) {
+  const at = date.month * 100 + date.day;
+  return ranges.some(([fromMonth, fromDay, toMonth, toDay]) => {
+    const from = fromMonth * 100 + fromDay;
+    const to = toMonth * 100 + toDay;
+    return from <= to ? at >= from && at <= to : at >= from || at <= to;
+  });
+}
+
+// --- Helper: remove a time range from a list of ranges ---
+function subtractTimes(times, [start, end]) {
+  return times.flatMap(([s, e, openEnd]) => {
+    if (end <= s || start >= e) return [[s, e, openEnd]];
+    const parts = [];
+    if (s < start) parts.push([s, start, false]);
+    if (e > end) parts.push([end, e, openEnd]);
+    return parts;
+  });
+}
+
+// --- Opening times of one day: { times: [[start, end, openEnd]], unknown } ---
+// date: { month (0-11), day, weekday (0 = Monday) }
+function getDayOpeningTimes(rules, date) {
+  let times = [];
+  let unknown = false;
+  let matched = false;
+
+  rules.forEach(rule => {
+    if (rule.months && !matchesMonths(rule.months, date)) return;
+    if (rule.weekdays && !rule.weekdays.has(date.weekday)) return;
+    if (rule.fallback && times.length) return;
+
+    const ruleTimes = rule.times || [[0, MINUTES_PER_DAY, false]];
+    if (rule.state === "closed") {
+      times = rule.times ? rule.times.reduce(subtractTimes, times) : [];
+      unknown = false;
+    } else if (rule.state === "unknown") {
+      times = [];
+      unknown = true;
+    } else {
+      times = rule.additional && matched ? [...times, ...ruleTimes] : ruleTimes;
+      unknown = false;
+    }
+    matched = true;
+  });
+
+  return { times, unknown };
+}
+
+// --- Helper: calendar date a number of days after a wall clock date ---
+function shiftDate(clock, days) {
+  const date = new Date(Date.UTC(clock.year, clock.month, clock.day + days));
+  return {
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: (date.getUTCDay() + 6) % 7
+  };
+}
+
+// --- Open or closed at a wall clock time ---
+// Returns { state: "open" | "closed" | "unknown", changeAt, openEnd, always }, where
+// changeAt is the next opening or closing in minutes from the start of that day
+function getOpeningStatus(value, clock) {
+  const rules = value ? getOpeningHoursRules(value) : null;
+  if (!rules) return { state: "unknown", changeAt: null, openEnd: false, always: false };
+
+  // Open ranges from yesterday (for times past midnight) to a week ahead, on one axis
+  const ranges = [];
+  let unknownToday = false;
+  for (let offset = -1; offset <= 7; offset++) {
+    const { times, unknown } = getDayOpeningTimes(rules, shiftDate(clock, offset));
+    if (offset === 0) unknownToday = unknown;
+    times.forEach(([start, end, openEnd]) => {
+      ranges.push([start + offset * MINUTES_PER_DAY, end + offset * MINUTES_PER_DAY, openEnd]);
+    });
+  }
+
+  // Merge touching ranges so "Mo-Su 00:00-24:00" is one long opening
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      if (range[1] >= last[1]) {
+        last[1] = range[1];
+        last[2] = range[2];
+      }
+    } else {
+      merged.push([...range]);
+    }
+  });
+
+  const now = clock.minutes;
+  const current = merged.find(([start, end]) => start <= now && now < end);
+  if (current) {
+    const always = current[0] <= -MINUTES_PER_DAY && current[1] >= 8 * MINUTES_PER_DAY;
+    return { state: "open", changeAt: always || current[2] ? null : current[1], openEnd: current[2], always };
+  }
+
+  const next = merged.find(([start]) => start > now);
+  return {
+    state: unknownToday ? "unknown" : "closed",
+    changeAt: next ? next[0] : null,
+    openEnd: false,
+    always: false
+  };
+}
+
+// --- Helper: "22:00", "tomorrow 02:00" or "Sat 09:00" relative to the clock's day ---
+function formatChangeTime(minutes, clock) {
+  const dayOffset = Math.floor(minutes / MINUTES_PER_DAY);
+  const time = minutes - dayOffset * MINUTES_PER_DAY;
+  const hhmm = `${String(Math.floor(time / 60)).padStart(2, "0")}:${String(time % 60).padStart(2, "0")}`;
+
+  if (dayOffset === 0) return hhmm;
+  if (dayOffset === 1) return time === 0 ? "midnight" : `tomorrow ${hhmm}`;
+  return `${OH_DAY_LABELS[shiftDate(clock, dayOffset).weekday]} ${hhmm}`;
+}
+
+// --- Status as text, e.g. "Open · closes 22:00" or "Closed · opens Mon 09:00" ---
+function formatOpeningStatus(status, clock) {
+  if (status.state === "open") {
+    if (status.always) return "Open 24/7";
+    if (status.openEnd) return "Open · open end";
+    return `Open · closes ${formatChangeTime(status.changeAt, clock)}`;
+  }
+  if (status.state === "closed") {
+    return status.changeAt === null ? "Closed" : `Closed · opens ${formatChangeTime(status.changeAt, clock)}`;
+  }
+  return "Opening hours unknown";
+}
+
+// --- Is a string a timezone the browser knows, e.g. "Europe/Madrid"? ---
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// --- Helper: fixed-offset timezone from a longitude, when the real one is unknown ---
+// Etc/GMT signs are inverted: UTC+1 is "Etc/GMT-1"
+function getLongitudeTimeZone(lng) {
+  const offset = Math.max(-12, Math.min(14, Math.round(lng / 15)));
+  if (offset === 0) return "Etc/GMT";
+  return `Etc/GMT${offset > 0 ? "-" : "+"}${Math.abs(offset)}`;
+}
+
+// --- Wall clock in a timezone: { year, month (0-11), day, weekday (0 = Monday), minutes } ---
+function getWallClock(timeZone, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    weekday: "short",
+    hour: "numeric",
+    minute: "numeric"
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    weekday: OH_DAY_LABELS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// --- Wall clock from a local date time, e.g. "2026-10-20T21:00"; null if invalid ---
+function parseWallClock(text) {
+  const match = String(text || "").match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || hours > 23 || minutes > 59) return null;
+  return { year, month: month - 1, day, weekday: (date.getUTCDay() + 6) % 7, minutes: hours * 60 + minutes };
+}
+
+// --- Helper: wall clock as a local date time, e.g. "2026-10-20T21:00" ---
+function formatWallClock(clock) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${clock.year}-${pad(clock.month + 1)}-${pad(clock.day)}T${pad(Math.floor(clock.minutes / 60))}:${pad(clock.minutes % 60)}`;
+}
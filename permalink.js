@@ -0,0 +1,217 @@
+// === Permalinks: map view and query layers in the URL hash ===
+//
+// #map=<zoom>/<lat>/<lng>&open=<now | local date time>&layers=<base64url JSON>
+// `open` is the "open only" time, when set. The layers entry lists one item per query:
+// { p: prompt, n: place, f: { filters, element_types, limit } of the intent, a: Overpass
+// area filter, z: timezone, x: proximity relation, c: { category: colour }, i: { category:
+// icon } (when the AI picked icons), l: { category: layer filter } (when filtered),
+// m: { category: layer name } (when renamed) }. Restoring re-runs the queries, so opening a
+// link never calls the LLM. Not restored: imported layers, hidden layers, display modes and
+// tag styles, which stay with the saved session.
+//
+// Links come from other people, so they never carry Overpass QL: the intent goes through
+// validateIntent again and the query is compiled here, within the usual timeout and limit.
+// Layer filters are only matched in the browser, but are checked all the same.
+
+// Size of a layer filter in a link (filters edited in the panel may exceed the AI's limits)
+const MAX_LINK_FILTER_GROUPS = 20;
+const MAX_LINK_FILTER_CONDITIONS = 20;
+
+// Longest layer name kept from a link
+const MAX_LINK_LAYER_NAME = 200;
+
+// Overpass area filters, as made by getPlaceFilter, aroundFilter and boundsToBbox
+const PERMALINK_NUMBER = "-?\\d+(?:\\.\\d+)?(?:e-?\\d+)?";
+const PERMALINK_AREA_PATTERNS = {
+  area: /^area:\d{1,12}$/,
+  around: new RegExp(`^around:(\\d+),(${PERMALINK_NUMBER}),(${PERMALINK_NUMBER})$`),
+  bbox: new RegExp(`^(${PERMALINK_NUMBER}),(${PERMALINK_NUMBER}),(${PERMALINK_NUMBER}),(${PERMALINK_NUMBER})$`),
+  poly: new RegExp(`^poly:"(${PERMALINK_NUMBER}(?: ${PERMALINK_NUMBER})*)"$`)
+};
+
+// --- Helper: is a latitude/longitude pair on the globe? ---
+function isValidLatLng(lat, lng) {
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// --- Helper: is a link's area filter one the app itself would search? ---
+function isValidAreaFilter(filter) {
+  if (typeof filter !== "string") return false;
+  if (PERMALINK_AREA_PATTERNS.area.test(filter)) return true;
+
+  let match = filter.match(PERMALINK_AREA_PATTERNS.around);
+  if (match) {
+    const radius = Number(match[1]);
+    return radius > 0 && radius <= MAX_RADIUS && isValidLatLng(Number(match[2]), Number(match[3]));
+  }
+
+  match = filter.match(PERMALINK_AREA_PATTERNS.bbox);
+  if (match) {
+    const [south, west, north, east] = match.slice(1).map(Number);
+    return isValidLatLng(south, west) && isValidLatLng(north, east) && south <= north;
+  }
+
+  match = filter.match(PERMALINK_AREA_PATTERNS.poly);
+  if (match) {
+    const numbers = match[1].split(" ").map(Number);
+    if (numbers.length % 2 !== 0 || numbers.length < 6 || numbers.length > 2 * MAX_POLY_VERTICES) return false;
+    for (let i = 0; i < numbers.length; i += 2) {
+      if (!isValidLatLng(numbers[i], numbers[i + 1])) return false;
+    }
+    return true;
+  }
+  return false;
+}
+
+// --- Helper: a layer filter from a link (OR of AND-groups), or null when malformed ---
+function readLayerFilter(groups) {
+  if (!Array.isArray(groups) || groups.length > MAX_LINK_FILTER_GROUPS) return null;
+  const errors = [];
+  const filter = groups.map((group, i) => {
+    if (!Array.isArray(group) || group.length > MAX_LINK_FILTER_CONDITIONS) {
+      errors.push(`filter[${i}] must be a list of conditions`);
+      return [];
+    }
+    return group.map((c, j) => normalizeCondition(c, `filter[${i}][${j}]`, errors, true));
+  });
+  return errors.length ? null : filter;
+}
+
+// --- Helper: the checked search of a link entry, or null when it isn't one the app would run ---
+// Returns { intent, areaFilter, query, proximity, filters }
+function readPermalinkSearch(e) {
+  if (!e || !e.f || typeof e.f !== "object" || !isValidAreaFilter(e.a)) return null;
+  let checked;
+  try {
+    checked = validateIntent({ filters: e.f.filters, element_types: e.f.element_types, limit: e.f.limit, proximity: e.x });
+  } catch (err) {
+    console.warn("Skipping a link entry:", err.message);
+    return null;
+  }
+  // A layer filter that doesn't check out would show more than the link's author saw
+  const filters = {};
+  for (const [category, groups] of Object.entries(e.l && typeof e.l === "object" ? e.l : {})) {
+    const filter = readLayerFilter(groups);
+    if (!/^\w+$/.test(category) || !filter) {
+      console.warn("Skipping a link entry: its layer filter is malformed");
+      return null;
+    }
+    filters[category] = filter;
+  }
+
+  const intent = { filters: checked.filters, element_types: checked.element_types, limit: checked.limit };
+  return {
+    intent,
+    areaFilter: e.a,
+    query: compileOverpassQuery({ ...intent, proximity: checked.proximity }, e.a),
+    proximity: checked.proximity,
+    filters
+  };
+}
+
+// --- Helper: UTF-8 text to base64url ---
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// --- Helper: base64url to UTF-8 text ---
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+// --- Helper: an object with entries, or undefined so it stays out of the link ---
+function nonEmpty(object) {
+  return Object.keys(object || {}).length ? object : undefined;
+}
+
+// --- Build the hash for a view ({ center: [lng, lat], zoom }), a list of query entries and the opening time ---
+// opening is { at, openOnly } as in setOpeningTime; only "open only" times go into the link
+function encodePermalink(view, entries, opening = null) {
+  const params = new URLSearchParams();
+  const [lng, lat] = view.center;
+  params.set("map", `${view.zoom.toFixed(2)}/${lat.toFixed(5)}/${lng.toFixed(5)}`);
+
+  if (opening?.openOnly) {
+    params.set("open", opening.at || "now");
+  }
+
+  if (entries.length) {
+    const compact = entries.map(e => ({
+      p: e.prompt,
+      n: e.placeName,
+      f: e.intent,
+      a: e.areaFilter,
+      z: e.timeZone || undefined,
+      x: e.proximity || undefined,
+      c: e.colors,
+      i: nonEmpty(e.icons),
+      l: nonEmpty(e.filters),
+      m: nonEmpty(e.names)
+    }));
+    params.set("layers", toBase64Url(JSON.stringify(compact)));
+  }
+
+  // Keep slashes readable in the view part
+  return "#" + params.toString().replace(/%2F/g, "/");
+}
+
+// --- Parse a hash into { view, opening, entries, skipped }; view and opening are null and entries empty when absent ---
+// skipped counts the layer entries that failed the checks. Throws if the layer list is unreadable
+function decodePermalink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  let view = null;
+  let entries = [];
+  let skipped = 0;
+
+  const open = params.get("open");
+  const opening = open === "now" ? { at: null, openOnly: true }
+    : open && parseWallClock(open) ? { at: open, openOnly: true }
+    : null;
+
+  const parts = (params.get("map") || "").split("/").map(Number);
+  if (parts.length === 3 && parts.every(Number.isFinite)) {
+    const [zoom, lat, lng] = parts;
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && zoom >= 0 && zoom <= 24) {
+      view = { center: [lng, lat], zoom };
+    }
+  }
+
+  if (params.get("layers")) {
+    let compact;
+    try {
+      compact = JSON.parse(fromBase64Url(params.get("layers")));
+    } catch (e) {
+      throw new Error("The link's layer list is damaged");
+    }
+    if (!Array.isArray(compact)) {
+      throw new Error("The link's layer list is damaged");
+    }
+    entries = compact
+      .map(e => ({ e, search: readPermalinkSearch(e) }))
+      .filter(({ search }) => search)
+      .map(({ e, search }) => ({
+        prompt: typeof e.p === "string" ? e.p : null,
+        placeName: typeof e.n === "string" ? e.n : null,
+        ...search,
+        timeZone: isValidTimeZone(e.z) ? e.z : null,
+        colors: Object.fromEntries(Object.entries(e.c && typeof e.c === "object" ? e.c : {})
+          .filter(([category, color]) => /^\w+$/.test(category) && /^#[0-9a-f]{6}$/i.test(color))),
+        ...(e.i && typeof e.i === "object" && {
+          icons: Object.fromEntries(Object.entries(e.i)
+            .filter(([category, icon]) => /^\w+$/.test(category) && typeof icon === "string" && /^\w+$/.test(icon)))
+        }),
+        // Names are shown as text only
+        names: Object.fromEntries(Object.entries(e.m && typeof e.m === "object" ? e.m : {})
+          .filter(([category, name]) => /^\w+$/.test(category) && typeof name === "string" && name.trim())
+          .map(([category, name]) => [category, name.trim().slice(0, MAX_LINK_LAYER_NAME)]))
+      }));
+    skipped = compact.length - entries.length;
+  }
+
+  return { view, opening, entries, skipped };
+}
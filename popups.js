@@ -0,0 +1,166 @@
+// === Feature popups built from per-category templates ===
+//
+// Names and tag values come from OSM or imported files, so every value is HTML-escaped
+// before it goes into the markup, and links are only built from values that look like
+// what their tag should hold (a web address, a phone number, a Wikidata id, ...).
+
+const OSM_WEBSITE = "https://www.openstreetmap.org";
+
+// Tags listed as details for each category, most telling first (missing ones are skipped)
+const POPUP_TEMPLATES = {
+  cafe: ["cuisine", "outdoor_seating", "internet_access", "takeaway", "wheelchair"],
+  restaurant: ["cuisine", "diet:vegetarian", "diet:vegan", "outdoor_seating", "takeaway", "wheelchair"],
+  bar: ["cuisine", "outdoor_seating", "wheelchair"],
+  hotel: ["stars", "rooms", "operator", "wheelchair"],
+  hostel: ["beds", "operator", "wheelchair"],
+  museum: ["fee", "charge", "operator", "wheelchair"],
+  park: ["access", "operator", "dog"],
+  garden: ["garden:type", "access", "fee"],
+  playground: ["min_age", "max_age", "surface", "access"],
+  dog_park: ["barrier", "surface", "access"],
+  pitch: ["sport", "surface", "access"],
+  sports_centre: ["sport", "fee", "operator"],
+  hospital: ["emergency", "healthcare:speciality", "operator"],
+  pharmacy: ["dispensing", "operator", "wheelchair"],
+  school: ["isced:level", "operator", "religion"],
+  university: ["operator"],
+  library: ["operator", "fee", "wheelchair"],
+  bank: ["operator", "atm", "wheelchair"],
+  supermarket: ["brand", "operator", "wheelchair"],
+  bakery: ["brand", "wheelchair"],
+  hairdresser: ["hairdresser", "wheelchair"],
+  viewpoint: ["direction", "ele"],
+  monument: ["inscription", "start_date", "heritage"],
+  station: ["station", "network", "operator", "wheelchair"],
+  parking: ["parking", "capacity", "fee", "access"]
+};
+
+// Details of unclassified POIs and of imported features that match no category
+const DEFAULT_POPUP_DETAILS = ["cuisine", "operator", "brand", "fee", "access", "wheelchair"];
+
+// --- Helper: escape text for HTML content and attribute values ---
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// --- Helper: "diet:vegetarian" → "Diet vegetarian" ---
+function formatTagKey(key) {
+  const text = key.replace(/[_:]+/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// --- Detail tags of a feature for its category's template, as [key, value] pairs ---
+function getPopupDetails(category, tags) {
+  const template = POPUP_TEMPLATES[category] || POPUP_TEMPLATES[getCategoryFromTags(tags)] || DEFAULT_POPUP_DETAILS;
+  return template.filter(key => tags[key] !== undefined && tags[key] !== "").map(key => [key, tags[key]]);
+}
+
+// --- Postal address from addr:* tags, e.g. "Rua Garrett 120, 1200-273 Lisboa" ---
+function formatAddress(tags) {
+  if (tags["addr:full"]) return tags["addr:full"];
+  const street = [tags["addr:street"] || tags["addr:place"], tags["addr:housenumber"]].filter(Boolean).join(" ");
+  const city = [tags["addr:postcode"], tags["addr:city"]].filter(Boolean).join(" ");
+  return [street, city].filter(Boolean).join(", ") || null;
+}
+
+// --- Helper: first value of a multi-valued tag ("a;b" → "a") ---
+function firstTagValue(value) {
+  return String(value ?? "").split(";")[0].trim();
+}
+
+// --- Link targets for contact and reference tags; null when the value can't be linked safely ---
+function getWebsiteUrl(value) {
+  const text = firstTagValue(value);
+  const candidate = /^https?:\/\//i.test(text) ? text : /^[\w-]+(\.[\w-]+)+([/?#]\S*)?$/.test(text) ? `https://${text}` : null;
+  if (!candidate) return null;
+  try {
+    return new URL(candidate).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getPhoneUrl(value) {
+  const digits = firstTagValue(value).replace(/[^\d+]/g, "");
+  return /^\+?\d{3,}$/.test(digits) ? `tel:${digits}` : null;
+}
+
+function getEmailUrl(value) {
+  const address = firstTagValue(value);
+  return /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/.test(address) ? `mailto:${address}` : null;
+}
+
+// "pt:Café A Brasileira" → the Portuguese Wikipedia article
+function getWikipediaUrl(value) {
+  const match = /^([a-z]{2,3}(?:-[a-z]+)?):(.+)$/i.exec(String(value ?? "").trim());
+  if (!match) return null;
+  return `https://${match[1].toLowerCase()}.wikipedia.org/wiki/${encodeURIComponent(match[2].trim().replace(/ /g, "_"))}`;
+}
+
+function getWikidataUrl(value) {
+  const id = String(value ?? "").trim();
+  return /^Q\d+$/.test(id) ? `https://www.wikidata.org/wiki/${id}` : null;
+}
+
+// --- View and edit links on openstreetmap.org for an OSM feature id ("node/123"); null for other features ---
+function getOsmUrls(feature) {
+  const match = /^(node|way|relation)\/(\d+)$/.exec(getFeatureOsmId(feature));
+  if (!match) return null;
+  const [, type, id] = match;
+  return { view: `${OSM_WEBSITE}/${type}/${id}`, edit: `${OSM_WEBSITE}/edit?${type}=${id}` };
+}
+
+// --- Helper: external link markup ---
+function popupLink(url, label) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`;
+}
+
+// --- Contact and reference links of a feature ---
+function getPopupLinks(tags) {
+  const website = tags.website || tags["contact:website"] || tags.url;
+  const phone = tags.phone || tags["contact:phone"];
+  const email = tags.email || tags["contact:email"];
+
+  return [
+    [getWebsiteUrl(website), website && firstTagValue(website).replace(/^https?:\/\/(www\.)?/i, "").replace(/\/$/, "")],
+    [getPhoneUrl(phone), phone && firstTagValue(phone)],
+    [getEmailUrl(email), email && firstTagValue(email)],
+    [getWikipediaUrl(tags.wikipedia), "Wikipedia"],
+    [getWikidataUrl(tags.wikidata), "Wikidata"]
+  ].filter(([url]) => url).map(([url, label]) => popupLink(url, label));
+}
+
+// --- Popup HTML for a feature (built lazily on click) ---
+// openingStatus is the evaluated opening_hours ("Open · closes 22:00"); proximityNote
+// describes the match of a proximity query ("240 m from Rossio")
+function buildPopupHTML(feature, category, color, { openingStatus = null, proximityNote = null } = {}) {
+  const tags = getFeatureTags(feature);
+  const isOpen = openingStatus?.startsWith("Open ·") || openingStatus === "Open 24/7";
+  const address = formatAddress(tags);
+  const details = getPopupDetails(category, tags);
+  const links = getPopupLinks(tags);
+  const osm = getOsmUrls(feature);
+  // Internal annotations ("@distance_m", ...) and the id are not OSM tags
+  const allTags = Object.entries(tags).filter(([key, value]) => !key.startsWith("@") && key !== "id" && typeof value !== "object");
+
+  return `
+    <div class="popup">
+      <div class="popup-icon">${getCategorySVG(category, color)}</div>
+      <div class="popup-body">
+        <strong>${escapeHtml(getFeatureName(feature))}</strong>
+        ${proximityNote ? `<div class="popup-proximity">${escapeHtml(proximityNote)}</div>` : ""}
+        ${openingStatus ? `<div class="popup-opening"><span class="popup-opening-status${isOpen ? " open" : ""}">${escapeHtml(openingStatus)}</span><div class="popup-opening-hours">${escapeHtml(tags.opening_hours)}</div></div>` : ""}
+        ${address ? `<div class="popup-address">${escapeHtml(address)}</div>` : ""}
+        ${details.map(([key, value]) => `<div class="popup-detail"><span class="popup-key">${escapeHtml(formatTagKey(key))}:</span> ${escapeHtml(value)}</div>`).join("")}
+        ${links.length ? `<div class="popup-links">${links.join(" · ")}</div>` : ""}
+        ${allTags.length ? `<details class="popup-all-tags"><summary>All tags (${allTags.length})</summary>${allTags.map(([key, value]) => `<div class="popup-tag"><span class="popup-key">${escapeHtml(key)}</span> ${escapeHtml(value)}</div>`).join("")}</details>` : ""}
+        ${osm ? `<div class="popup-osm">${popupLink(osm.view, "View on OSM")} · ${popupLink(osm.edit, "Edit on OSM")}</div>` : ""}
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,239 @@
+// === Data providers: LLM, geocoder and Overpass access ===
+//
+// A provider exposes three methods returning each service's raw JSON:
+//   predict(prompt, options)     -> AI intent from /api/predict (options.categories: the user's own categories;
+//                                   options.history and options.layers: the chat and layers the prompt follows)
+//   geocode(placeName, options)  -> Nominatim search results
+//   overpass(query, options)     -> Overpass JSON for a compiled query
+// options: { signal, onRetry }. The active provider is picked from the URL:
+//   ?fixtures[=set]  replay recorded responses from fixtures/<set>.json (default "demo")
+//   ?record          use the live services and record responses for a fixture set
+
+// Overpass mirrors, tried in order when one is busy or unreachable
+const OVERPASS_ENDPOINTS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter",
+  "https://overpass.private.coffee/api/interpreter"
+];
+
+const NOMINATIM_ENDPOINTS = ["https://nominatim.openstreetmap.org/search"];
+
+// Number of Nominatim candidates considered for a place name
+const GEOCODE_CANDIDATES = 5;
+
+// Retry rounds over all endpoints, with exponential backoff between rounds
+const RETRY_ROUNDS = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+// Statuses worth retrying: rate limiting, overload and gateway timeouts
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// --- Helper: wait, but stop early if the request is cancelled ---
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    // The listener goes with the timer, so retries don't pile listeners on a long-lived signal
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// --- Helper: Retry-After header (seconds or HTTP date) in milliseconds ---
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// --- Helper: fetch with endpoint failover and exponential backoff ---
+// Busy/unreachable endpoints fall through to the next one; after a full round
+// the whole list is retried after a growing delay (or what Retry-After asks for)
+async function fetchWithFailover(urls, options, label, onRetry) {
+  const signal = options.signal;
+  let lastError = null;
+
+  for (let round = 0; round < RETRY_ROUNDS; round++) {
+    let retryAfter = 0;
+
+    for (const url of urls) {
+      let res;
+      try {
+        res = await fetch(url, options);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`${label} unreachable at ${url}:`, err);
+        lastError = new Error(`${label} is unreachable`);
+        continue;
+      }
+
+      if (res.ok) return res;
+
+      if (!RETRYABLE_STATUSES.includes(res.status)) {
+        throw new Error(`${label} error: ${res.status} ${res.statusText}`);
+      }
+
+      console.warn(`${label} returned ${res.status} at ${url}`);
+      retryAfter = Math.max(retryAfter, parseRetryAfter(res.headers.get("Retry-After")));
+      lastError = new Error(res.status === 429
+        ? `${label} rate limit reached, please try again later`
+        : `${label} is busy or timed out (${res.status})`);
+    }
+
+    if (round < RETRY_ROUNDS - 1) {
+      const backoff = RETRY_BASE_DELAY * 2 ** round + Math.random() * 250;
+      const delay = Math.min(RETRY_MAX_DELAY, Math.max(backoff, retryAfter));
+      if (onRetry) onRetry(delay);
+      await sleep(delay, signal);
+    }
+  }
+
+  throw lastError;
+}
+
+// --- Helper: what failed, from a FastAPI error body: its message or its validation errors ---
+function getErrorDetail(body) {
+  const detail = body?.detail;
+  if (typeof detail === "string") return detail;
+  if (Array.isArray(detail)) return detail.map(d => d?.msg).filter(Boolean).join("; ");
+  return "";
+}
+
+// --- Live provider: the AI backend, Nominatim and Overpass ---
+const liveProvider = {
+  name: "live",
+  useCache: true,
+
+  async predict(prompt, { signal, categories = [], history = [], layers = [] } = {}) {
+    const res = await fetch(window.location.origin + "/api/predict", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prompt, categories, history, layers }),
+      signal
+    });
+    if (!res.ok) {
+      const detail = getErrorDetail(await res.json().catch(() => null));
+      throw new Error(`AI backend error: ${res.status} ${detail || res.statusText || ""}`.trim());
+    }
+    return res.json();
+  },
+
+  async geocode(placeName, { signal, onRetry } = {}) {
+    const params = `?q=${encodeURIComponent(placeName)}&format=json&limit=${GEOCODE_CANDIDATES}&polygon_geojson=1&polygon_threshold=0.0005&extratags=1`;
+    const res = await fetchWithFailover(
+      NOMINATIM_ENDPOINTS.map(url => url + params),
+      { headers: { 'User-Agent': 'AI-Map-Agent' }, signal },
+      "Nominatim",
+      onRetry
+    );
+    return res.json();
+  },
+
+  async overpass(query, { signal, onRetry } = {}) {
+    const res = await fetchWithFailover(
+      OVERPASS_ENDPOINTS,
+      { method: "POST", body: query, signal },
+      "Overpass API",
+      onRetry
+    );
+    return res.json();
+  }
+};
+
+// --- Helper: lookup keys shared by fixture replay and recording ---
+function fixtureKey(kind, input) {
+  return kind === "overpass" ? input.trim() : normalizeCacheKey(input);
+}
+
+// --- Fixture provider: replays responses from fixtures/<set>.json ---
+// The file maps lookup keys to recorded responses: { "ai": {}, "geocode": {}, "overpass": {} }
+function createFixtureProvider(fixtureSet) {
+  const url = `${window.location.origin}/fixtures/${encodeURIComponent(fixtureSet)}.json`;
+  let fixturesPromise = null;
+
+  const loadFixtures = async (signal) => {
+    if (!fixturesPromise) {
+      fixturesPromise = fetch(url, { signal }).then(res => {
+        if (!res.ok) {
+          throw new Error(`Fixture set "${fixtureSet}" could not be loaded`);
+        }
+        return res.json();
+      });
+      fixturesPromise.catch(() => { fixturesPromise = null; });
+    }
+    return fixturesPromise;
+  };
+
+  const replay = async (kind, input, signal) => {
+    const fixtures = await loadFixtures(signal);
+    const response = fixtures[kind]?.[fixtureKey(kind, input)];
+    if (response === undefined) {
+      throw new Error(`No recorded ${kind} response for "${input}" in fixture set "${fixtureSet}"`);
+    }
+    // Hand out copies so callers cannot alter the recording
+    return JSON.parse(JSON.stringify(response));
+  };
+
+  return {
+    name: `fixtures:${fixtureSet}`,
+    useCache: false,
+    predict: (prompt, { signal } = {}) => replay("ai", prompt, signal),
+    geocode: (placeName, { signal } = {}) => replay("geocode", placeName, signal),
+    overpass: (query, { signal } = {}) => replay("overpass", query, signal)
+  };
+}
+
+// --- Recording provider: live responses, kept in fixture format for export ---
+function createRecordingProvider(inner) {
+  const recorded = { ai: {}, geocode: {}, overpass: {} };
+
+  const record = (kind, method) => async (input, options) => {
+    const response = await inner[method](input, options);
+    recorded[kind][fixtureKey(kind, input)] = response;
+    return response;
+  };
+
+  return {
+    name: "recording",
+    useCache: false,
+    recorded,
+    predict: record("ai", "predict"),
+    geocode: record("geocode", "geocode"),
+    overpass: record("overpass", "overpass")
+  };
+}
+
+// --- Helper: pick the provider from the page URL ---
+function selectProvider(search) {
+  const params = new URLSearchParams(search);
+
+  if (params.has("fixtures")) {
+    return createFixtureProvider(params.get("fixtures") || "demo");
+  }
+  if (params.has("record")) {
+    return createRecordingProvider(liveProvider);
+  }
+  return liveProvider;
+}
+
+const provider = selectProvider(window.location.search);
+
+// --- Download the responses recorded in ?record mode as a fixture set ---
+function downloadRecordedFixtures(fileName = "recorded.json") {
+  if (!provider.recorded) {
+    throw new Error("Open the app with ?record to record fixtures");
+  }
+  downloadFile(JSON.stringify(provider.recorded, null, 2), fileName, "application/json");
+}
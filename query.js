@@ -0,0 +1,446 @@
+// === Structured query model: AI intent validation and compilation to Overpass QL ===
+//
+// The AI returns an intent instead of raw Overpass QL:
+// {
+//   "filters": [[{ "key": "amenity", "op": "=", "value": "cafe" }], ...], // OR of AND-groups
+//   "element_types": ["node", "way", "relation"],
+//   "limit": null,
+//   "place_name": "Paris", "area": "place", "radius_m": null,
+//   "places": null, // or ["Madrid", "Barcelona"]: the same search in each place, compared side by side
+//   "categories": ["cafe"], "style_definitions": { "cafe": { "color": "red", "icon": "cafe" } },
+//   "attribute_filters": [[{ "key": "wheelchair", "op": "=", "value": "yes" }]], // optional qualifiers
+//   "open_at": null, // or "now", "21:00", "2026-10-20T21:00" (local time of the place)
+//   "timezone": "Europe/Paris",
+//   "proximity": null, // or { "relation": "within", "distance_m": 300, "filters": [[...]], "category": "station" }
+//   "action": "add", // or "compare", "remove", "filter", "zoom_to", "clear" (follow-ups acting on the map)
+//   "targets": [] // layers a follow-up acts on: layer ids, category keys or place names
+// }
+// Only "add" and "compare" search; the other actions carry just targets and (for "filter")
+// attribute_filters.
+
+// Tag keys the AI may filter on
+const ALLOWED_TAG_KEYS = [
+  "amenity", "shop", "tourism", "leisure", "historic", "railway", "public_transport", "highway",
+  "natural", "landuse", "building", "healthcare", "office", "craft", "sport", "emergency", "man_made",
+  "name", "brand", "operator", "cuisine", "wheelchair", "internet_access", "opening_hours",
+  "outdoor_seating", "takeaway", "delivery", "fee", "access", "capacity", "religion", "denomination",
+  "stars", "level", "drive_through", "smoking", "organic", "vending", "parking", "station"
+];
+
+// Namespaced keys allowed by prefix (e.g. diet:vegan, payment:cards)
+const ALLOWED_TAG_PREFIXES = ["diet:", "payment:", "addr:", "service:", "fuel:", "recycling:", "socket:", "name:"];
+
+const ALLOWED_OPERATORS = ["=", "!=", "~", "!~", "exists", "not_exists"];
+const POSITIVE_OPERATORS = ["=", "~", "exists"];
+const ALLOWED_ELEMENT_TYPES = ["node", "way", "relation"];
+const ALLOWED_AREA_SCOPES = ["place", "view", "near_me"];
+
+// What a prompt does to the map: "add" and "compare" run a search, the others act on the layers shown
+const ALLOWED_ACTIONS = ["add", "compare", "remove", "filter", "zoom_to", "clear"];
+const SEARCH_ACTIONS = ["add", "compare"];
+const MAX_ACTION_TARGETS = 50;
+
+// Places one prompt may compare ("cafes in Madrid vs Barcelona")
+const MAX_COMPARE_PLACES = 5;
+
+// Relations to a second set of features: near it, away from it, or (areas) containing it
+const PROXIMITY_RELATIONS = ["within", "beyond", "contains"];
+
+// Limits that keep a single query reasonable for Overpass
+const DEFAULT_RESULT_LIMIT = 5000;
+const MAX_RESULT_LIMIT = 10000;
+const MAX_FILTER_GROUPS = 10;
+const MAX_CONDITIONS_PER_GROUP = 6;
+const MAX_VALUE_LENGTH = 100;
+const MAX_RADIUS = 50000;
+const OVERPASS_TIMEOUT = 25;
+
+// --- Helper: is a tag key on the whitelist? ---
+function isAllowedTagKey(key) {
+  if (typeof key !== "string" || !/^[a-z0-9_:]+$/.test(key)) return false;
+  return ALLOWED_TAG_KEYS.includes(key) || ALLOWED_TAG_PREFIXES.some(prefix => key.startsWith(prefix) && key.length > prefix.length);
+}
+
+// Longest key or value OpenStreetMap stores
+const MAX_OSM_TAG_LENGTH = 255;
+
+// --- Helper: validate one tag condition, pushing problems into errors ---
+// `local` conditions are only matched in the browser (a layer's own filter), never sent to
+// Overpass: they may use any tag key, and values as long as OSM allows
+function normalizeCondition(condition, path, errors, local = false) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const { key, value } = condition;
+  const op = condition.op || (value === undefined || value === null ? "exists" : "=");
+
+  const validKey = local
+    ? typeof key === "string" && key.length > 0 && key.length <= MAX_OSM_TAG_LENGTH && !/[\n\r]/.test(key)
+    : isAllowedTagKey(key);
+  if (!validKey) {
+    errors.push(`${path}.key ${JSON.stringify(key)} is not an allowed tag key`);
+  }
+  if (!ALLOWED_OPERATORS.includes(op)) {
+    errors.push(`${path}.op ${JSON.stringify(op)} is not an allowed operator`);
+    return null;
+  }
+
+  if (op === "exists" || op === "not_exists") {
+    return { key, op };
+  }
+
+  const maxLength = local ? MAX_OSM_TAG_LENGTH : MAX_VALUE_LENGTH;
+  if (typeof value !== "string" || value.length === 0 || value.length > maxLength || /[\n\r]/.test(value)) {
+    errors.push(`${path}.value must be a single-line string of 1-${maxLength} characters`);
+    return null;
+  }
+
+  if (op === "~" || op === "!~") {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      errors.push(`${path}.value is not a valid regular expression`);
+      return null;
+    }
+  }
+
+  return { key, op, value };
+}
+
+// --- Helper: validate an OR of AND-groups in which every group needs a positive condition ---
+function normalizeFilterGroups(groups, path, errors) {
+  const normalized = [];
+  if (!Array.isArray(groups) || groups.length === 0) {
+    errors.push(`${path} must be a non-empty list`);
+  } else if (groups.length > MAX_FILTER_GROUPS) {
+    errors.push(`${path} may contain at most ${MAX_FILTER_GROUPS} groups`);
+  } else {
+    groups.forEach((group, i) => {
+      if (!Array.isArray(group) || group.length === 0 || group.length > MAX_CONDITIONS_PER_GROUP) {
+        errors.push(`${path}[${i}] must be a list of 1-${MAX_CONDITIONS_PER_GROUP} conditions`);
+        return;
+      }
+      const conditions = group.map((c, j) => normalizeCondition(c, `${path}[${i}][${j}]`, errors));
+      if (conditions.some(c => c === null)) return;
+      if (!conditions.some(c => POSITIVE_OPERATORS.includes(c.op))) {
+        errors.push(`${path}[${i}] needs at least one positive condition (=, ~ or exists)`);
+        return;
+      }
+      normalized.push(conditions);
+    });
+  }
+  return normalized;
+}
+
+// --- Helper: validate qualifiers (OR of AND-groups); negative-only groups are allowed ---
+function normalizeAttributeFilters(groups, path, errors) {
+  const normalized = [];
+  if (groups == null) return normalized;
+  if (!Array.isArray(groups) || groups.length > MAX_FILTER_GROUPS) {
+    errors.push(`${path} must be a list of at most ${MAX_FILTER_GROUPS} groups`);
+    return normalized;
+  }
+  groups.forEach((group, i) => {
+    if (!Array.isArray(group) || group.length === 0 || group.length > MAX_CONDITIONS_PER_GROUP) {
+      errors.push(`${path}[${i}] must be a list of 1-${MAX_CONDITIONS_PER_GROUP} conditions`);
+      return;
+    }
+    const conditions = group.map((c, j) => normalizeCondition(c, `${path}[${i}][${j}]`, errors));
+    if (!conditions.some(c => c === null)) normalized.push(conditions);
+  });
+  return normalized;
+}
+
+// --- Validate a proximity relation, pushing problems into errors ---
+// Returns { relation, distance_m, filters, category } or null
+function normalizeProximity(proximity, path, errors) {
+  if (!proximity || typeof proximity !== "object" || Array.isArray(proximity)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const { relation, distance_m: distance, category } = proximity;
+  const before = errors.length;
+  if (!PROXIMITY_RELATIONS.includes(relation)) {
+    errors.push(`${path}.relation must be one of ${PROXIMITY_RELATIONS.join(", ")}`);
+  }
+  if (relation !== "contains" && !(typeof distance === "number" && distance > 0 && distance <= MAX_RADIUS)) {
+    errors.push(`${path}.distance_m must be a number of meters up to ${MAX_RADIUS}`);
+  }
+  if (category != null && typeof category !== "string") {
+    errors.push(`${path}.category must be a string`);
+  }
+  const filters = normalizeFilterGroups(proximity.filters, `${path}.filters`, errors);
+
+  if (errors.length > before) return null;
+  return {
+    relation,
+    distance_m: relation === "contains" ? null : distance,
+    filters,
+    category: category || null
+  };
+}
+
+// --- Validate the AI JSON and return a normalized intent ---
+// Throws an Error listing every problem so the chat can explain what went wrong
+function validateIntent(ai) {
+  if (!ai || typeof ai !== "object" || Array.isArray(ai)) {
+    throw new Error("Invalid AI response: expected a JSON object");
+  }
+  if (ai.error) {
+    throw new Error(`AI backend: ${ai.error}`);
+  }
+
+  const action = ai.action ?? "add";
+  if (!ALLOWED_ACTIONS.includes(action)) {
+    throw new Error(`Invalid AI response: action must be one of ${ALLOWED_ACTIONS.join(", ")}`);
+  }
+  if (!SEARCH_ACTIONS.includes(action)) {
+    return validateMapAction(ai, action);
+  }
+
+  const errors = [];
+
+  // filters: OR of AND-groups
+  const filters = normalizeFilterGroups(ai.filters, "filters", errors);
+
+  const elementTypes = ai.element_types ?? ALLOWED_ELEMENT_TYPES;
+  if (!Array.isArray(elementTypes) || elementTypes.length === 0 || !elementTypes.every(t => ALLOWED_ELEMENT_TYPES.includes(t))) {
+    errors.push(`element_types must be a list drawn from ${ALLOWED_ELEMENT_TYPES.join(", ")}`);
+  }
+
+  const limit = ai.limit ?? DEFAULT_RESULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULT_LIMIT) {
+    errors.push(`limit must be a whole number between 1 and ${MAX_RESULT_LIMIT}`);
+  }
+
+  if (ai.place_name != null && (typeof ai.place_name !== "string" || ai.place_name.length > 200)) {
+    errors.push("place_name must be a string");
+  }
+
+  if (ai.places != null && !(Array.isArray(ai.places) && ai.places.length <= MAX_COMPARE_PLACES &&
+    ai.places.every(p => typeof p === "string" && p.trim() && p.length <= 200))) {
+    errors.push(`places must be a list of at most ${MAX_COMPARE_PLACES} place names`);
+  }
+
+  if (ai.area != null && !ALLOWED_AREA_SCOPES.includes(ai.area)) {
+    errors.push(`area must be one of ${ALLOWED_AREA_SCOPES.join(", ")}`);
+  }
+
+  if (ai.radius_m != null && !(typeof ai.radius_m === "number" && ai.radius_m > 0 && ai.radius_m <= MAX_RADIUS)) {
+    errors.push(`radius_m must be a number of meters up to ${MAX_RADIUS}`);
+  }
+
+  if (ai.categories != null && !(Array.isArray(ai.categories) && ai.categories.every(c => typeof c === "string"))) {
+    errors.push("categories must be a list of strings");
+  }
+
+  // attribute_filters: optional qualifiers
+  const attributeFilters = normalizeAttributeFilters(ai.attribute_filters, "attribute_filters", errors);
+
+  if (ai.open_at != null && !isValidOpenAt(ai.open_at)) {
+    errors.push('open_at must be "now", a time like "21:00" or a date time like "2026-10-20T21:00"');
+  }
+
+  const proximity = ai.proximity != null ? normalizeProximity(ai.proximity, "proximity", errors) : null;
+
+  // An unknown timezone is not fatal: it is worked out from the results instead
+  const timeZone = isValidTimeZone(ai.timezone) ? ai.timezone : null;
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid AI response: ${errors.join("; ")}`);
+  }
+
+  // A single place is an ordinary search
+  const places = [...new Set((ai.places || []).map(p => p.trim()))];
+
+  return {
+    action,
+    filters,
+    element_types: [...new Set(elementTypes)],
+    limit,
+    place_name: ai.place_name || null,
+    places: places.length > 1 ? places : null,
+    area: ai.area || null,
+    radius_m: ai.radius_m || null,
+    categories: ai.categories || [],
+    style_definitions: ai.style_definitions || null,
+    attribute_filters: attributeFilters,
+    open_at: ai.open_at || null,
+    timezone: timeZone,
+    proximity
+  };
+}
+
+// --- Validate a follow-up that acts on the layers shown: { action, targets, attribute_filters } ---
+function validateMapAction(ai, action) {
+  const errors = [];
+
+  const targets = ai.targets ?? [];
+  if (!Array.isArray(targets) || targets.length > MAX_ACTION_TARGETS || !targets.every(t => typeof t === "string" && t.length <= 200)) {
+    errors.push(`targets must be a list of at most ${MAX_ACTION_TARGETS} layer ids, category keys or place names`);
+  }
+  if (action === "remove" && Array.isArray(targets) && targets.length === 0) {
+    errors.push("remove needs the layers to remove in targets");
+  }
+
+  const attributeFilters = normalizeAttributeFilters(ai.attribute_filters, "attribute_filters", errors);
+  if (action === "filter" && attributeFilters.length === 0 && !errors.length) {
+    errors.push("filter needs attribute_filters");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid AI response: ${errors.join("; ")}`);
+  }
+
+  return { action, targets: [...new Set(targets)], attribute_filters: attributeFilters };
+}
+
+// --- Helper: is open_at "now", a time ("21:00") or a local date time ("2026-10-20T21:00")? ---
+function isValidOpenAt(value) {
+  if (value === "now") return true;
+  if (/^\d{2}:\d{2}$/.test(value)) return parseWallClock(`2000-01-01T${value}`) !== null;
+  return parseWallClock(value) !== null;
+}
+
+// --- Merge attribute filters into the Overpass filters when the result stays within limits ---
+// (A OR B) AND (X OR Y) becomes (A AND X) OR (A AND Y) OR (B AND X) OR (B AND Y).
+// Returns { intent, pushed }; when not pushed the filters must be applied in the browser.
+function pushDownAttributeFilters(intent) {
+  const attributeFilters = intent.attribute_filters || [];
+  if (!attributeFilters.length) {
+    return { intent, pushed: false };
+  }
+
+  const groups = [];
+  intent.filters.forEach(base => {
+    attributeFilters.forEach(extra => groups.push([...base, ...extra]));
+  });
+
+  const fits = groups.length <= MAX_FILTER_GROUPS && groups.every(g => g.length <= MAX_CONDITIONS_PER_GROUP);
+  if (!fits) {
+    return { intent, pushed: false };
+  }
+
+  return { intent: { ...intent, filters: groups, attribute_filters: [] }, pushed: true };
+}
+
+// --- Helper: does a tag set satisfy one condition? (same semantics as Overpass) ---
+function matchesCondition(tags, { key, op, value }) {
+  const actual = tags[key];
+  const present = actual !== undefined && actual !== null;
+
+  switch (op) {
+    case "=":
+      return present && String(actual) === value;
+    case "!=":
+      return !present || String(actual) !== value;
+    case "~":
+      return present && new RegExp(value).test(String(actual));
+    case "!~":
+      return !present || !new RegExp(value).test(String(actual));
+    case "exists":
+      return present;
+    case "not_exists":
+      return !present;
+    default:
+      return false;
+  }
+}
+
+// --- Does a tag set match a filter (OR of AND-groups)? Empty groups are ignored; no groups matches all ---
+function matchesTagFilters(tags, groups) {
+  const active = (groups || []).filter(group => group.length > 0);
+  if (!active.length) return true;
+  return active.some(group => group.every(condition => matchesCondition(tags || {}, condition)));
+}
+
+// --- Helper: one condition as text, e.g. "wheelchair=yes" or "diet:vegan exists" ---
+function describeCondition({ key, op, value }) {
+  if (op === "exists") return `${key} exists`;
+  if (op === "not_exists") return `no ${key}`;
+  return `${key}${op}${value}`;
+}
+
+// --- Helper: a filter as text, e.g. "cuisine=pizza AND wheelchair=yes OR diet:vegan exists" ---
+function describeTagFilters(groups) {
+  return (groups || [])
+    .filter(group => group.length > 0)
+    .map(group => group.map(describeCondition).join(" AND "))
+    .join(" OR ");
+}
+
+// --- Helper: escape a string for a double-quoted Overpass literal ---
+function escapeOverpassString(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+// --- Helper: one tag condition as an Overpass filter ---
+function compileCondition({ key, op, value }) {
+  const quotedKey = `"${escapeOverpassString(key)}"`;
+
+  switch (op) {
+    case "exists":
+      return `[${quotedKey}]`;
+    case "not_exists":
+      return `[!${quotedKey}]`;
+    default:
+      return `[${quotedKey}${op}"${escapeOverpassString(value)}"]`;
+  }
+}
+
+// --- Helper: one statement per filter group and element type ---
+function compileStatements(filters, elementTypes, spatialFilters) {
+  const statements = [];
+  filters.forEach(group => {
+    const selector = group.map(compileCondition).join("");
+    elementTypes.forEach(type => {
+      statements.push(`${type}${selector}${spatialFilters.map(f => `(${f})`).join("")};`);
+    });
+  });
+  return statements.join("");
+}
+
+// --- Compile a validated intent into Overpass QL ---
+// areaFilter is the spatial filter: "s,w,n,e", "area:<id>", "poly:\"...\"" or "around:<r>,<lat>,<lon>"
+// With a proximity relation the reference features are fetched too (as set .reference);
+// "within" and "beyond" are resolved by Overpass, "contains" is checked in the browser.
+function compileOverpassQuery(intent, areaFilter) {
+  const header = `[out:json][timeout:${OVERPASS_TIMEOUT}];`;
+  const footer = `out geom ${intent.limit};`;
+  const proximity = intent.proximity;
+
+  if (!proximity) {
+    return `${header}(${compileStatements(intent.filters, intent.element_types, [areaFilter])});${footer}`;
+  }
+
+  const reference = `(${compileStatements(proximity.filters, ALLOWED_ELEMENT_TYPES, [areaFilter])})->.reference;`;
+  let primary;
+  if (proximity.relation === "within") {
+    primary = `(${compileStatements(intent.filters, intent.element_types, [areaFilter, `around.reference:${proximity.distance_m}`])})->.primary;`;
+  } else if (proximity.relation === "beyond") {
+    primary = `(${compileStatements(intent.filters, intent.element_types, [areaFilter])})->.candidates;` +
+      `nwr.candidates(around.reference:${proximity.distance_m})->.near;` +
+      "(.candidates; - .near;)->.primary;";
+  } else {
+    primary = `(${compileStatements(intent.filters, intent.element_types, [areaFilter])})->.primary;`;
+  }
+
+  return `${header}${reference}${primary}(.reference;.primary;);${footer}`;
+}
+
+// --- Helper: a proximity relation as text, e.g. "within 300 m of station" ---
+function describeProximity(proximity) {
+  const target = proximity.category ? proximity.category.replace(/_/g, " ") : describeTagFilters(proximity.filters);
+  const distance = proximity.distance_m >= 1000 ? `${proximity.distance_m / 1000} km` : `${proximity.distance_m} m`;
+  switch (proximity.relation) {
+    case "within":
+      return `within ${distance} of ${target}`;
+    case "beyond":
+      return `farther than ${distance} from ${target}`;
+    default:
+      return `containing ${target}`;
+  }
+}
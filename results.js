@@ -0,0 +1,181 @@
+// === Results list: a searchable, sortable table of one layer's results, synced with the map ===
+//
+// Rows are the results the layer shows (attribute filter and opening time applied). Hovering a
+// row rings its icon, clicking flies to it and opens its popup; opening a popup from the map
+// selects its row.
+
+const RESULTS_PAGE_SIZE = 50;
+
+// Layer listed in the results panel (null when closed)
+let resultsLayerId = null;
+
+// Search text, sort column and direction, page and the row selected from the map
+let resultsView = { search: "", sortKey: "name", descending: false, page: 0, selectedFid: null };
+
+// Rows of the listed layer without their distances ({ layer, rows }), dropped when the layers change;
+// moving the map only measures the distances again
+let resultsRows = null;
+
+// --- Helper: the first details of a result's popup, e.g. "cuisine: coffee_shop, wheelchair: yes" ---
+function getKeyTags(category, tags) {
+  return getPopupDetails(category, tags).slice(0, 2).map(([key, value]) => `${key}: ${value}`).join(", ");
+}
+
+// --- One row per result shown by a layer ---
+function getResultRows(layer) {
+  return getLayerSources(layer).points.map(({ geometry, properties }) => {
+    const tags = getFeatureTags(layer.features[properties.fid]);
+    const category = getCategoryFromTags(tags);
+    return {
+      fid: properties.fid,
+      name: properties.name,
+      category: CATEGORIES[category]?.label || category,
+      tags: getKeyTags(category, tags),
+      point: geometry.coordinates,
+      searchText: [properties.name, ...Object.values(tags)].join(" ").toLowerCase()
+    };
+  });
+}
+
+// --- Rows of a layer matching the search, with their distance from the map centre, in the chosen order ---
+function getListedResultRows(layer) {
+  if (resultsRows?.layer !== layer) {
+    resultsRows = { layer, rows: getResultRows(layer) };
+  }
+  const { lng, lat } = map.getCenter();
+  const search = resultsView.search.trim().toLowerCase();
+  const rows = resultsRows.rows
+    .filter(row => !search || row.searchText.includes(search))
+    .map(row => ({ ...row, distance: haversineDistance([lng, lat], row.point) }));
+
+  const compare = resultsView.sortKey === "distance"
+    ? (a, b) => a.distance - b.distance
+    : (a, b) => a[resultsView.sortKey].localeCompare(b[resultsView.sortKey]);
+  return rows.sort((a, b) => (resultsView.descending ? -1 : 1) * compare(a, b));
+}
+
+// --- Results panel: current page of the listed layer ---
+function renderResultsPanel() {
+  const panel = document.getElementById("results-panel");
+  if (!panel) return;
+
+  const layer = layers[resultsLayerId];
+  if (!layer) resultsLayerId = null;
+  panel.style.display = layer ? "flex" : "none";
+  if (!layer) return;
+
+  panel.querySelector(".results-title").textContent = `Results · ${layer.name}`;
+
+  panel.querySelectorAll("th[data-sort]").forEach(th => {
+    const sorted = th.dataset.sort === resultsView.sortKey;
+    th.classList.toggle("sorted", sorted);
+    th.classList.toggle("descending", sorted && resultsView.descending);
+    th.setAttribute("aria-sort", sorted ? (resultsView.descending ? "descending" : "ascending") : "none");
+  });
+
+  const rows = getListedResultRows(layer);
+  const pageCount = Math.max(1, Math.ceil(rows.length / RESULTS_PAGE_SIZE));
+  resultsView.page = Math.min(resultsView.page, pageCount - 1);
+  const start = resultsView.page * RESULTS_PAGE_SIZE;
+  const pageRows = rows.slice(start, start + RESULTS_PAGE_SIZE);
+
+  const body = panel.querySelector("tbody");
+  body.innerHTML = "";
+  pageRows.forEach(row => {
+    const tr = document.createElement("tr");
+    tr.className = `results-row${row.fid === resultsView.selectedFid ? " selected" : ""}`;
+    tr.dataset.fid = row.fid;
+    // Names and tags come from OSM or imported files: set as text, never as markup
+    [row.name, row.category, row.tags, formatDistance(row.distance)].forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    tr.onmouseenter = () => ringFeatureIcon(row.point, layer.color);
+    tr.onmouseleave = () => ringFeatureIcon(null);
+    tr.onclick = () => {
+      map.flyTo({ center: row.point, zoom: Math.max(map.getZoom(), 16) });
+      openFeaturePopup(layer, row.fid, row.point);
+    };
+    body.appendChild(tr);
+  });
+
+  panel.querySelector(".results-range").textContent = rows.length
+    ? `${start + 1}–${start + pageRows.length} of ${rows.length}`
+    : "No matching results";
+  panel.querySelector(".results-prev").disabled = resultsView.page === 0;
+  panel.querySelector(".results-next").disabled = resultsView.page >= pageCount - 1;
+}
+
+// --- List a layer's results (listing the same layer again closes the panel) ---
+function toggleResultsPanel(layerId) {
+  resultsLayerId = resultsLayerId === layerId ? null : layerId;
+  resultsView = { search: "", sortKey: "name", descending: false, page: 0, selectedFid: null };
+  const search = document.querySelector("#results-panel .results-search");
+  if (search) search.value = "";
+  if (!resultsLayerId) ringFeatureIcon(null);
+  renderResultsPanel();
+  renderLayerList();
+}
+
+// --- Select the row of a result whose popup was opened: go to its page and scroll to it ---
+function revealResultRow(layer, fid) {
+  if (!layer || layers[resultsLayerId] !== layer) return;
+
+  let index = getListedResultRows(layer).findIndex(row => row.fid === fid);
+  if (index === -1 && resultsView.search) {
+    // Hidden by the search: show all rows again
+    resultsView.search = "";
+    document.querySelector("#results-panel .results-search").value = "";
+    index = getListedResultRows(layer).findIndex(row => row.fid === fid);
+  }
+  resultsView.selectedFid = fid;
+  if (index !== -1) resultsView.page = Math.floor(index / RESULTS_PAGE_SIZE);
+  renderResultsPanel();
+
+  const row = document.querySelector(`#results-panel .results-row[data-fid="${fid}"]`);
+  if (row?.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+}
+
+// --- Re-list after layers, filters or the opening time changed ---
+function refreshResultsPanel() {
+  resultsRows = null;
+  if (resultsLayerId) renderResultsPanel();
+}
+
+function initResultsPanel() {
+  const panel = document.getElementById("results-panel");
+  if (!panel) return;
+
+  panel.querySelector(".results-search").oninput = (e) => {
+    resultsView.search = e.target.value;
+    resultsView.page = 0;
+    renderResultsPanel();
+  };
+
+  panel.querySelectorAll("th[data-sort]").forEach(th => {
+    th.onclick = () => {
+      const key = th.dataset.sort;
+      resultsView.descending = resultsView.sortKey === key ? !resultsView.descending : false;
+      resultsView.sortKey = key;
+      resultsView.page = 0;
+      renderResultsPanel();
+    };
+  });
+
+  panel.querySelector(".results-prev").onclick = () => {
+    resultsView.page--;
+    renderResultsPanel();
+  };
+  panel.querySelector(".results-next").onclick = () => {
+    resultsView.page++;
+    renderResultsPanel();
+  };
+  panel.querySelector(".results-close").onclick = () => toggleResultsPanel(resultsLayerId);
+
+  // Distances are measured from the map centre; the rows themselves stay the same
+  map.on("moveend", () => {
+    if (resultsLayerId) renderResultsPanel();
+  });
+}
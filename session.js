@@ -0,0 +1,104 @@
+// === Session persistence: chat, layers and map view in localStorage ===
+//
+// A snapshot is { version, savedAt, hash, view: { center, zoom }, lastPlaceName,
+// chat: [{ sender, text }], layers: [{ id, name, category, color, icon, styleKey, imported,
+// visible, filter, timeZone, proximity, prompt, placeName, placeArea, query, createdAt, features }] }.
+// The current session is autosaved under SESSION_KEY; named workspaces are stored one key each.
+
+const SESSION_KEY = "geoai-session";
+const WORKSPACE_PREFIX = "geoai-workspace:";
+const SNAPSHOT_VERSION = 1;
+
+// Chat messages kept in a snapshot (oldest are dropped first)
+const MAX_CHAT_HISTORY = 200;
+
+// --- Helper: localStorage, or null when blocked (private mode, disabled cookies) ---
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- Helper: snapshot without stored geometry ---
+// Query layers keep their Overpass query and are re-fetched on restore;
+// imported layers cannot be re-fetched and are left out
+function stripSnapshotGeometry(snapshot) {
+  return {
+    ...snapshot,
+    layers: snapshot.layers
+      .filter(layer => layer.query)
+      .map(layer => ({ ...layer, features: null }))
+  };
+}
+
+// --- Store a snapshot, shrinking it when storage is full ---
+// Returns "full", "without-geometry", "minimal" or "failed"
+function writeSnapshot(key, snapshot) {
+  const storage = getStorage();
+  if (!storage) return "failed";
+
+  const attempts = [
+    ["full", snapshot],
+    ["without-geometry", stripSnapshotGeometry(snapshot)],
+    ["minimal", { ...stripSnapshotGeometry(snapshot), chat: snapshot.chat.slice(-20) }]
+  ];
+
+  for (const [level, candidate] of attempts) {
+    try {
+      storage.setItem(key, JSON.stringify(candidate));
+      return level;
+    } catch (err) {
+      console.warn(`Could not store snapshot (${level}):`, err);
+    }
+  }
+
+  return "failed";
+}
+
+// --- Read a snapshot; null if missing, unreadable or from another version ---
+function readSnapshot(key) {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const snapshot = JSON.parse(storage.getItem(key));
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null;
+    return {
+      ...snapshot,
+      chat: Array.isArray(snapshot.chat) ? snapshot.chat : [],
+      layers: Array.isArray(snapshot.layers) ? snapshot.layers : []
+    };
+  } catch (err) {
+    console.warn(`Ignoring unreadable snapshot ${key}:`, err);
+    return null;
+  }
+}
+
+// --- Saved workspace names, alphabetically ---
+function listWorkspaces() {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const names = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key.startsWith(WORKSPACE_PREFIX)) {
+      names.push(key.slice(WORKSPACE_PREFIX.length));
+    }
+  }
+  return names.sort((a, b) => a.localeCompare(b));
+}
+
+function saveWorkspace(name, snapshot) {
+  return writeSnapshot(WORKSPACE_PREFIX + name, snapshot);
+}
+
+function loadWorkspace(name) {
+  return readSnapshot(WORKSPACE_PREFIX + name);
+}
+
+function deleteWorkspace(name) {
+  getStorage()?.removeItem(WORKSPACE_PREFIX + name);
+}
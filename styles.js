@@ -0,0 +1,250 @@
+// === Layer styles: the AI's style definitions and styling by tag value ===
+//
+// The AI may ask for a colour and an icon per category in "style_definitions":
+//   { "cafe": { "color": "#E63946", "icon": "cafe" } }
+// Colours are snapped to STYLE_PALETTE so layers stay readable on the basemap, and an icon
+// must be that of a known category. A layer can also be styled by a tag value: text values
+// (cuisine) colour the icons by class, numbers (capacity) size them by range. The classes
+// are listed in a sub-legend under the layer.
+
+// Colours the AI may pick, by name (hex colours are snapped to the nearest one)
+const STYLE_PALETTE = {
+  red: "#E63946",
+  orange: "#F77F00",
+  yellow: "#FFC300",
+  green: "#2B9348",
+  teal: "#2A9D8F",
+  cyan: "#48CAE4",
+  blue: "#3A86FF",
+  navy: "#0077B6",
+  purple: "#9D4EDD",
+  pink: "#F72585",
+  brown: "#8B5E34",
+  grey: "#6C757D",
+  black: "#2C3E50"
+};
+
+// Text values coloured separately, most common first; the others share STYLE_OTHER_COLOR
+const STYLE_MAX_CLASSES = 8;
+const STYLE_CLASS_COLORS = ["#E63946", "#3A86FF", "#2B9348", "#F77F00", "#9D4EDD", "#48CAE4", "#F72585", "#8B5E34"];
+const STYLE_OTHER_COLOR = "#ADB5BD";
+
+// Numeric ranges (quantiles) and their icon sizes, smallest first
+const STYLE_SIZES = [0.6, 0.85, 1.1, 1.4];
+
+// A tag is numeric when this share of its values are numbers
+const STYLE_NUMERIC_SHARE = 0.8;
+
+// --- Helper: "#F4A261" → [244, 162, 97] ---
+function hexToRgb(hex) {
+  const full = hex.length === 4 ? `#${[...hex.slice(1)].map(c => c + c).join("")}` : hex;
+  return [1, 3, 5].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+// --- Palette colour for a requested colour (a palette name or a hex colour); null if unreadable ---
+function resolveStyleColor(value) {
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  if (STYLE_PALETTE[text]) return STYLE_PALETTE[text];
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(text)) return null;
+
+  const rgb = hexToRgb(text);
+  const distance = (color) => hexToRgb(color).reduce((sum, c, i) => sum + (c - rgb[i]) ** 2, 0);
+  return Object.values(STYLE_PALETTE).reduce((best, color) => (distance(color) < distance(best) ? color : best));
+}
+
+// --- Valid colour and icon requests per category: { cafe: { color, icon } } ---
+// Entries for unknown categories, unreadable colours and unknown icons are dropped
+function resolveStyleDefinitions(definitions) {
+  if (!definitions || typeof definitions !== "object" || Array.isArray(definitions)) return {};
+
+  const styles = {};
+  Object.entries(definitions).forEach(([category, definition]) => {
+    if (!CATEGORIES[category] || !definition || typeof definition !== "object") return;
+    const color = resolveStyleColor(definition.color);
+    const icon = typeof definition.icon === "string" && CATEGORIES[definition.icon] ? definition.icon : null;
+    if (color || icon) styles[category] = { color, icon };
+  });
+  return styles;
+}
+
+// --- Helper: category whose icon a layer is drawn with ---
+function getLayerIcon(layer) {
+  return layer.icon || layer.category;
+}
+
+// --- Helper: numeric value of a tag ("120" → 120), or null ---
+function parseStyleNumber(value) {
+  return /^\s*-?\d+(\.\d+)?\s*$/.test(String(value ?? "")) ? Number(value) : null;
+}
+
+// --- Helper: "12–40", or "12" for a single value ---
+function formatStyleRange(min, max) {
+  return min === max ? String(min) : `${min}–${max}`;
+}
+
+// --- Value classes of a tag over a layer's features ---
+// Returns { key, kind: "color" | "size", classes: [{ label, count, color | size, values | min, max }] }
+// where the last class holds the remaining features ("Other" or "No value"); null if no feature has the tag
+function buildTagStyle(features, key) {
+  const values = features.map(f => getFeatureTags(f)[key]).filter(v => v !== undefined && v !== null && v !== "");
+  if (!values.length) return null;
+
+  const numbers = values.map(parseStyleNumber).filter(n => n !== null).sort((a, b) => a - b);
+  if (numbers.length >= values.length * STYLE_NUMERIC_SHARE && new Set(numbers).size > 1) {
+    // Quantile ranges; equal bounds are merged
+    const bounds = [];
+    STYLE_SIZES.forEach((size, i) => {
+      const min = numbers[Math.floor(i * numbers.length / STYLE_SIZES.length)];
+      const max = numbers[Math.floor((i + 1) * numbers.length / STYLE_SIZES.length) - 1];
+      if (bounds.length && min <= bounds[bounds.length - 1].max) {
+        bounds[bounds.length - 1].max = Math.max(bounds[bounds.length - 1].max, max);
+      } else {
+        bounds.push({ min, max });
+      }
+    });
+
+    const classes = bounds.map(({ min, max }, i) => ({
+      label: formatStyleRange(min, max),
+      min,
+      max,
+      size: STYLE_SIZES[Math.round(i * (STYLE_SIZES.length - 1) / Math.max(1, bounds.length - 1))],
+      count: numbers.filter(n => n >= min && n <= max).length
+    }));
+    classes.push({ label: "No value", size: 1, count: features.length - numbers.length });
+    return { key, kind: "size", classes };
+  }
+
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  const classes = ranked.slice(0, STYLE_MAX_CLASSES).map(([value, count], i) => ({
+    label: value,
+    values: [value],
+    color: STYLE_CLASS_COLORS[i],
+    count
+  }));
+  const listed = classes.reduce((sum, c) => sum + c.count, 0);
+  classes.push({ label: "Other", color: STYLE_OTHER_COLOR, count: features.length - listed });
+  return { key, kind: "color", classes };
+}
+
+// --- Class index of a feature's tags in a tag style (the last class when none matches) ---
+function getStyleClass(style, tags) {
+  const value = tags[style.key];
+  const last = style.classes.length - 1;
+  if (style.kind === "size") {
+    const number = parseStyleNumber(value);
+    const index = number === null ? -1 : style.classes.findIndex(c => c.min !== undefined && number >= c.min && number <= c.max);
+    return index === -1 ? last : index;
+  }
+  const index = style.classes.findIndex(c => c.values?.includes(String(value)));
+  return index === -1 ? last : index;
+}
+
+// --- Tag each drawn point and shape with its style class (read by the map expressions) ---
+function addStyleClasses(layer, points, shapes) {
+  if (!layer.styleBy) return;
+  [...points, ...shapes].forEach(f => {
+    f.properties.styleClass = getStyleClass(layer.styleBy, getFeatureTags(layer.features[f.properties.fid]));
+  });
+}
+
+// --- Helper: ["match", ["get", "styleClass"], 0, a, 1, b, ..., fallback] ---
+function styleClassExpression(outputs, fallback) {
+  return ["match", ["get", "styleClass"], ...outputs.flatMap((output, i) => [i, output]), fallback];
+}
+
+// --- Draw a layer's icons and footprints in its colour, or by its tag style ---
+async function applyLayerStyle(layer) {
+  const icon = getLayerIcon(layer);
+  const style = layer.styleBy;
+  const baseImage = await ensureCategoryImage(icon, layer.color);
+  const classImages = style?.kind === "color"
+    ? await Promise.all(style.classes.map(c => ensureCategoryImage(icon, c.color)))
+    : null;
+  if (!Object.values(layers).includes(layer)) return; // removed while the icons loaded
+
+  const { sourceId } = layer;
+  const color = classImages ? styleClassExpression(style.classes.map(c => c.color), layer.color) : layer.color;
+  map.setLayoutProperty(`${sourceId}-points`, "icon-image", classImages ? styleClassExpression(classImages, baseImage) : baseImage);
+  map.setLayoutProperty(`${sourceId}-points`, "icon-size", style?.kind === "size" ? styleClassExpression(style.classes.map(c => c.size), 1) : 1);
+  map.setPaintProperty(`${sourceId}-fill`, "fill-color", color);
+  map.setPaintProperty(`${sourceId}-outline`, "line-color", color);
+}
+
+// --- Style a layer by a tag value, or back to its single colour with key null ---
+async function setLayerStyleBy(layerId, key) {
+  const layer = layers[layerId];
+  if (!layer) return;
+
+  const style = key ? buildTagStyle(layer.features, key) : null;
+  if (key && !style) {
+    throw new Error(`No result of ${layer.name} has a ${key} tag`);
+  }
+  layer.styleBy = style;
+  refreshLayerSources(layer);
+  await applyLayerStyle(layer);
+  updateLegend();
+}
+
+// --- Tags worth styling a layer by: those with at least two different values ---
+function getStyleKeys(layer) {
+  return summarizeTags(layer.features).filter(entry => entry.values.length > 1).map(entry => entry.key);
+}
+
+// --- Style panel under a layer row: tag picker (when open) and the sub-legend of the classes ---
+function buildStylePanel(layerId, open) {
+  const layer = layers[layerId];
+  const panel = document.createElement("div");
+  panel.className = "layer-style-panel";
+
+  if (open) {
+    const select = document.createElement("select");
+    select.className = "layer-style-key";
+    select.add(new Option("Single colour", ""));
+    getStyleKeys(layer).forEach(key => select.add(new Option(`By ${key}`, key)));
+    select.value = layer.styleBy?.key || "";
+    select.onchange = () => setLayerStyleBy(layerId, select.value || null).catch(err => {
+      addMessage("Agent", `Error: ${err.message} ❌`);
+    });
+    panel.appendChild(select);
+  }
+
+  if (layer.styleBy) {
+    const legend = document.createElement("div");
+    legend.className = "layer-style-legend";
+    const title = document.createElement("div");
+    title.className = "style-title";
+    title.textContent = `${layer.styleBy.kind === "size" ? "Sized" : "Coloured"} by ${layer.styleBy.key}`;
+    legend.appendChild(title);
+    layer.styleBy.classes.filter(c => c.count > 0).forEach(c => {
+      const row = document.createElement("div");
+      row.className = "style-class";
+
+      const swatch = document.createElement("span");
+      swatch.className = "style-swatch";
+      swatch.style.background = c.color || layer.color;
+      if (c.size) {
+        const diameter = Math.round(14 * c.size);
+        swatch.style.width = swatch.style.height = `${diameter}px`;
+      }
+
+      // Tag values come from OSM or imported files: set as text, never as markup
+      const label = document.createElement("span");
+      label.className = "style-label";
+      label.textContent = c.label;
+
+      const count = document.createElement("span");
+      count.className = "style-count";
+      count.textContent = c.count;
+
+      row.append(swatch, label, count);
+      legend.appendChild(row);
+    });
+    panel.appendChild(legend);
+  }
+
+  return panel;
+}
@@ -0,0 +1,153 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, chatLines } = require("./helpers/load-app");
+
+let app;
+before(async () => {
+  app = await loadApp();
+});
+
+test("getCategoryFromTags maps common OSM tags", () => {
+  const { window } = app;
+  assert.equal(window.getCategoryFromTags({ amenity: "cafe" }), "cafe");
+  assert.equal(window.getCategoryFromTags({ tourism: "museum" }), "museum");
+  assert.equal(window.getCategoryFromTags({ leisure: "park" }), "park");
+  assert.equal(window.getCategoryFromTags({ amenity: "pharmacy" }), "pharmacy");
+});
+
+test("getCategoryFromTags falls back to poi", () => {
+  const { window } = app;
+  assert.equal(window.getCategoryFromTags({ craft: "brewery" }), "poi");
+  assert.equal(window.getCategoryFromTags({}), "poi");
+  assert.equal(window.getCategoryFromTags(null), "poi");
+});
+
+test("every category has a legend entry with a colour", () => {
+  const categories = app.run("CATEGORIES");
+  Object.entries(categories).forEach(([key, data]) => {
+    assert.match(data.color, /^#[0-9a-f]{6}$/i, key);
+    assert.ok(data.label, key);
+  });
+  assert.ok(categories.poi, "unclassified results need a category too");
+});
+
+test("groupFeaturesByCategory splits mixed results", () => {
+  const groups = app.window.groupFeaturesByCategory([
+    point(1, 0, 0, { amenity: "cafe", name: "A" }),
+    point(2, 0, 0, { amenity: "bar", name: "B" }),
+    point(3, 0, 0, { amenity: "cafe", name: "C" }),
+    point(4, 0, 0, { office: "company" })
+  ]);
+
+  assert.deepEqual(Object.keys(groups).sort(), ["bar", "cafe", "poi"]);
+  assert.equal(groups.cafe.length, 2);
+  assert.equal(groups.bar.length, 1);
+  assert.equal(groups.poi.length, 1);
+});
+
+test("feature tags are read from nested or flat properties", () => {
+  const { window } = app;
+  const nested = { properties: { tags: { name: "Nested" } } };
+  const flat = { properties: { name: "Flat", id: "node/1" } };
+  assert.equal(window.getFeatureName(nested), "Nested");
+  assert.equal(window.getFeatureName(flat), "Flat");
+});
+
+test("categories come from the registry, with priorities and icons", () => {
+  const { window, document } = app;
+  const registry = require("../categories.json").categories;
+
+  assert.deepEqual(Object.keys(app.run("CATEGORIES")), [...registry.map(c => c.key), "poi"]);
+  assert.deepEqual(
+    [...document.querySelectorAll(".legend-item:not(.legend-imported)")].map(item => item.dataset.category),
+    [...registry.map(c => c.key), "poi"]
+  );
+
+  // Amenities outrank tourism tags
+  assert.equal(window.getCategoryFromTags({ tourism: "museum", amenity: "cafe" }), "cafe");
+  assert.match(window.getCategorySVG("hospital", "#123456"), /<rect[^>]+fill="#123456"/);
+  assert.doesNotMatch(window.getCategorySVG("hospital", "#123456"), /\{color\}/);
+});
+
+test("users can add, keep and delete their own categories", async () => {
+  const store = {};
+  const first = await loadApp();
+  const form = first.document.querySelector(".legend-category-form");
+  first.document.querySelector(".legend-add-category").click();
+  assert.equal(form.style.display, "flex");
+
+  form.elements.label.value = "EV chargers";
+  form.elements.tags.value = "amenity=charging_station";
+  form.elements.color.value = "#00aa55";
+  form.dispatchEvent(new first.window.Event("submit", { cancelable: true }));
+
+  assert.equal(form.style.display, "none");
+  assert.equal(first.window.getCategoryFromTags({ amenity: "charging_station" }), "ev_chargers");
+  const item = first.document.querySelector('.legend-item[data-category="ev_chargers"]');
+  assert.equal(item.querySelector(".legend-label").textContent, "EV chargers");
+  assert.ok(item.nextElementSibling.dataset.category === "poi", "custom categories come before unclassified POIs");
+
+  // Kept for the next visit
+  store["geoai-categories"] = first.window.localStorage.getItem("geoai-categories");
+  const second = await loadApp({ storage: store });
+  assert.equal(second.window.getCategoryFromTags({ amenity: "charging_station" }), "ev_chargers");
+
+  second.document.querySelector('.legend-item[data-category="ev_chargers"] .legend-delete-category').click();
+  assert.equal(second.document.querySelector('.legend-item[data-category="ev_chargers"]'), null);
+  assert.equal(second.window.getCategoryFromTags({ amenity: "charging_station" }), "poi");
+  assert.equal(second.window.localStorage.getItem("geoai-categories"), "[]");
+});
+
+test("deleting a category removes its layers from the map", async () => {
+  const { window, document, run } = await loadApp();
+  window.addCustomCategory({ label: "EV chargers", tags: ["amenity=charging_station"], color: "#00aa55" });
+  await window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, -9.14, 38.71, { amenity: "charging_station" }),
+      point(2, -9.15, 38.72, { amenity: "cafe" })
+    ]
+  }, null, { place_name: "Lisbon" });
+  assert.deepEqual(Object.values(run("layers")).map(l => l.category).sort(), ["cafe", "ev_chargers"]);
+
+  document.querySelector('.legend-item[data-category="ev_chargers"] .legend-delete-category').click();
+
+  assert.deepEqual(Object.values(run("layers")).map(l => l.category), ["cafe"]);
+  assert.equal(document.querySelector('.legend-item[data-category="ev_chargers"]'), null);
+  assert.equal(document.querySelector('.legend-item[data-category="cafe"] .legend-count').textContent, "1");
+});
+
+test("invalid custom categories are reported and names are shown as text", async () => {
+  const { window, document } = await loadApp();
+  const form = document.querySelector(".legend-category-form");
+
+  form.elements.label.value = "Cafes";
+  form.elements.tags.value = "amenity=cafe";
+  form.dispatchEvent(new window.Event("submit", { cancelable: true }));
+  assert.match(chatLines(document).at(-1), /"Cafes" is already a built-in category/);
+
+  form.elements.label.value = "Odd";
+  form.elements.tags.value = "nonsense";
+  form.dispatchEvent(new window.Event("submit", { cancelable: true }));
+  assert.match(chatLines(document).at(-1), /tag "nonsense" must look like key=value/);
+
+  window.addCustomCategory({ label: "<b>Bold</b> shops", tags: ["shop=florist"], color: "#abcdef" });
+  const label = document.querySelector('.legend-item[data-category="b_bold_b_shops"] .legend-label');
+  assert.equal(label.textContent, "<b>Bold</b> shops");
+  assert.equal(label.querySelector("b"), null);
+});
+
+test("custom categories are sent to the AI with the prompt", async () => {
+  let body = null;
+  const { window } = await loadApp({
+    fetch: async (url, options) => {
+      body = JSON.parse(options.body);
+      return { ok: true, status: 200, json: async () => ({ filters: [] }) };
+    }
+  });
+  window.addCustomCategory({ label: "EV chargers", tags: ["amenity=charging_station"], color: "#00aa55" });
+
+  await window.getAIQuery("ev chargers in Oslo");
+  assert.equal(body.prompt, "ev chargers in Oslo");
+  assert.deepEqual(body.categories.map(c => [c.key, c.tags]), [["ev_chargers", ["amenity=charging_station"]]]);
+});
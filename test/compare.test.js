@@ -0,0 +1,136 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, chatLines, plain } = require("./helpers/load-app");
+
+const LISBON_AREA = "area:3605400890";
+const MADRID_AREA = "area:3605326784";
+
+// Demo fixtures plus "cafes and bars in Madrid vs Lisbon" and "museums in Lisbon vs Madrid":
+// each place's results stand in for the other's, and Madrid's place record carries its population
+async function comparisonFetch(url) {
+  const res = await fixtureFetch(url);
+  if (!res.ok) return res;
+  const fixtures = await res.json();
+  const lisbon = fixtures.ai["cafes and bars in lisbon"];
+  const lisbonQuery = Object.keys(fixtures.overpass).find(q => q.includes('"bar"') && q.includes(LISBON_AREA));
+  const museumQuery = Object.keys(fixtures.overpass).find(q => q.includes('"museum"') && q.includes(MADRID_AREA));
+  const museums = { ...fixtures.ai["museums in madrid"], action: "compare", place_name: "Lisbon", places: ["Lisbon", "Madrid"] };
+
+  return {
+    ok: true,
+    status: 200,
+    json: async () => ({
+      ...fixtures,
+      ai: {
+        ...fixtures.ai,
+        "cafes and bars in madrid vs lisbon": { ...lisbon, action: "compare", place_name: "Madrid", places: ["Madrid", "Lisbon"] },
+        "museums in lisbon vs madrid": museums
+      },
+      geocode: { ...fixtures.geocode, madrid: fixtures.geocode.madrid.map(p => ({ ...p, extratags: { population: "3 223 334" } })) },
+      overpass: {
+        ...fixtures.overpass,
+        [lisbonQuery.replaceAll(LISBON_AREA, MADRID_AREA)]: fixtures.overpass[lisbonQuery],
+        [museumQuery.replaceAll(MADRID_AREA, LISBON_AREA)]: fixtures.overpass[museumQuery]
+      }
+    })
+  };
+}
+
+async function send(app, prompt) {
+  app.document.getElementById("command").value = prompt;
+  await app.document.getElementById("send").onclick();
+}
+
+function tableRows(document) {
+  return [...document.querySelectorAll("#compare-panel tbody tr")]
+    .map(tr => [...tr.querySelectorAll("td")].map(td => td.querySelector(".compare-value")?.textContent ?? td.querySelector(".compare-place").textContent));
+}
+
+test("areas are measured on the sphere", async () => {
+  const { window } = await loadApp();
+  const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+  const km2 = window.geodesicArea({ type: "Polygon", coordinates: [square] }) / 1e6;
+  assert.ok(Math.abs(km2 - 12364) < 10, `1° square at the equator is ${km2} km²`);
+
+  const hole = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75], [0.25, 0.25]];
+  const withHole = window.geodesicArea({ type: "MultiPolygon", coordinates: [[square, hole]] }) / 1e6;
+  assert.ok(Math.abs(withHole - km2 * 0.75) < 10);
+  assert.equal(window.geodesicArea({ type: "Point", coordinates: [0, 0] }), 0);
+});
+
+test("several places in one prompt are validated", async () => {
+  const { window } = await loadApp();
+  const base = { filters: [[{ key: "amenity", value: "cafe" }]] };
+
+  assert.deepEqual(plain(window.validateIntent({ ...base, places: ["Madrid", " Barcelona", "Madrid"] }).places), ["Madrid", "Barcelona"]);
+  assert.equal(window.validateIntent({ ...base, places: ["Madrid"] }).places, null);
+  assert.throws(() => window.validateIntent({ ...base, places: ["a", "b", "c", "d", "e", "f"] }), /places must be a list of at most 5/);
+  assert.throws(() => window.validateIntent({ ...base, places: "Madrid, Barcelona" }), /places/);
+});
+
+test("a comparison keeps every place and lists its statistics", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: comparisonFetch });
+  await send(app, "cafes and bars in Madrid vs Lisbon");
+
+  assert.deepEqual(Object.values(app.run("layers")).map(l => l.name), ["cafe (Madrid)", "bar (Madrid)", "cafe (Lisbon)", "bar (Lisbon)"]);
+  assert.ok(chatLines(app.document).includes("Agent: Comparing Madrid and Lisbon (the results of each place are kept)"));
+
+  const [madrid, lisbon] = app.window.getPlaceStatistics();
+  assert.equal(madrid.count, 5);
+  assert.deepEqual(plain(madrid.categories), { cafe: 3, bar: 2 });
+  assert.equal(madrid.population, 3223334);
+  assert.ok(madrid.km2 > 100, `Madrid covers ${madrid.km2} km²`);
+  assert.equal(madrid.perKm2, 5 / madrid.km2);
+  assert.equal(lisbon.population, null);
+
+  const panel = app.document.getElementById("compare-panel");
+  assert.equal(panel.style.display, "flex");
+  const rows = tableRows(app.document);
+  assert.deepEqual(rows.map(r => r[0]), ["Madrid", "Lisbon"]);
+  assert.deepEqual(rows.map(r => r[1]), ["5", "5"]);
+  assert.equal(rows[0][4], app.window.formatStatistic(5 / 3223334 * 10000));
+  assert.equal(rows[1][4], "–");
+
+  // The area goes with the layers into the saved session
+  assert.deepEqual(plain(app.window.createSnapshot().layers[0].placeArea), { km2: madrid.km2, population: 3223334 });
+});
+
+test("a new comparison replaces the previous one", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: comparisonFetch });
+  await send(app, "cafes and bars in Madrid vs Lisbon");
+
+  // Lisbon, the last place searched, comes first: its cafes and bars go all the same
+  await send(app, "museums in Lisbon vs Madrid");
+  assert.deepEqual(plain(Object.values(app.run("layers")).map(l => l.name)), ["museum (Lisbon)", "museum (Madrid)"]);
+  assert.deepEqual(plain(app.window.getPlaceStatistics().map(s => s.place)), ["Lisbon", "Madrid"]);
+  assert.equal(chatLines(app.document).pop(), "Agent: Comparing Lisbon and Madrid (the results of each place are kept)");
+});
+
+test("side by side shows another place on a second map with the same zoom", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: comparisonFetch });
+  await send(app, "cafes and bars in Madrid vs Lisbon");
+
+  const checkbox = app.document.querySelector("#compare-panel .compare-side");
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new app.window.Event("change"));
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const right = app.run("compareMap");
+  assert.ok(app.document.body.classList.contains("side-by-side"));
+  assert.equal(app.run("compareRightPlace"), "Lisbon");
+  assert.equal(right.getSource("compare-results").data.features.length, 5);
+  assert.equal(right.lastCamera.zoom, app.map.lastCamera.zoom);
+
+  app.map.zoom = 13.5;
+  app.map.fire("zoom");
+  assert.equal(right.lastCamera.zoom, 13.5);
+
+  // Hiding Lisbon's layers ends the comparison
+  Object.entries(app.run("layers"))
+    .filter(([, layer]) => layer.placeName === "Lisbon")
+    .forEach(([id]) => app.window.setLayerVisibility(id, false));
+  assert.equal(app.run("compareMap"), null);
+  assert.ok(right.removed);
+  assert.ok(!app.document.body.classList.contains("side-by-side"));
+  assert.equal(app.document.getElementById("compare-panel").style.display, "none");
+});
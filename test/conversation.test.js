@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, chatLines, plain } = require("./helpers/load-app");
+
+const cafesAndBars = [[{ key: "amenity", op: "=", value: "cafe" }], [{ key: "amenity", op: "=", value: "bar" }]];
+
+// Follow-up answers of the model, added to the demo fixtures
+const FOLLOW_UPS = {
+  "remove the bars": { action: "remove", targets: ["bar"] },
+  "only the ones with outdoor seating": { action: "filter", targets: ["cafe"], attribute_filters: [[{ key: "outdoor_seating", op: "=", value: "yes" }]] },
+  "zoom to lisbon": { action: "zoom_to", targets: ["Lisbon"] },
+  "remove the hotels": { action: "remove", targets: ["hotel"] },
+  "clear the map": { action: "clear", targets: [] },
+  "same thing in lisbon to compare": {
+    action: "compare",
+    filters: cafesAndBars,
+    categories: ["cafe", "bar"],
+    place_name: "Lisbon",
+    area: "place"
+  }
+};
+
+async function followUpFetch(url) {
+  const res = await fixtureFetch(url);
+  if (!res.ok) return res;
+  const fixtures = await res.json();
+  return { ok: true, status: 200, json: async () => ({ ...fixtures, ai: { ...fixtures.ai, ...FOLLOW_UPS } }) };
+}
+
+async function send(app, prompt) {
+  app.document.getElementById("command").value = prompt;
+  await app.document.getElementById("send").onclick();
+}
+
+function layerNames(app) {
+  return Object.values(app.run("layers")).map(l => l.name).sort();
+}
+
+test("the chat and the layers shown are sent with each prompt", async () => {
+  const bodies = [];
+  const app = await loadApp({
+    fetch: async (url, options) => {
+      bodies.push(JSON.parse(options.body));
+      return { ok: true, status: 200, json: async () => ({ action: "clear", targets: [] }) };
+    }
+  });
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [{ type: "Feature", id: "node/1", properties: { amenity: "cafe", name: "Nicola", id: "node/1" }, geometry: { type: "Point", coordinates: [-9.14, 38.71] } }]
+  }, null, { place_name: "Lisbon", prompt: "cafes in Lisbon" });
+  app.window.addMessage("You", "cafes in Lisbon");
+  app.window.addMessage("Agent", "Found 1 results ✅ (1 cafe)");
+
+  await send(app, "clear the map");
+
+  const [body] = bodies;
+  assert.equal(body.prompt, "clear the map");
+  assert.deepEqual(body.history, [
+    { role: "user", content: "cafes in Lisbon" },
+    { role: "assistant", content: "Found 1 results ✅ (1 cafe)" }
+  ]);
+  assert.deepEqual(body.layers.map(({ id, ...layer }) => layer), [
+    { name: "cafe (Lisbon)", category: "cafe", place: "Lisbon", count: 1, filter: null, imported: false }
+  ]);
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  assert.equal(chatLines(app.document).pop(), "Agent: Cleared 1 layer from the map ✅");
+});
+
+test("follow-ups remove, filter and zoom to the layers shown", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: followUpFetch });
+  await send(app, "cafes and bars in Lisbon");
+
+  await send(app, "remove the bars");
+  assert.deepEqual(layerNames(app), ["cafe (Lisbon)"]);
+  assert.equal(chatLines(app.document).pop(), "Agent: Removed bar (Lisbon) ✅");
+
+  await send(app, "only the ones with outdoor seating");
+  const cafe = Object.values(app.run("layers"))[0];
+  assert.deepEqual(plain(cafe.filter), [[{ key: "outdoor_seating", op: "=", value: "yes" }]]);
+  assert.match(chatLines(app.document).pop(), /^Agent: Showing only results with outdoor_seating=yes: cafe \(Lisbon\) \d of 3 ✅/);
+
+  app.map.fittedBounds = null;
+  await send(app, "zoom to Lisbon");
+  assert.ok(app.map.fittedBounds, "map zooms to the Lisbon layers");
+
+  await send(app, "remove the hotels");
+  assert.deepEqual(layerNames(app), ["cafe (Lisbon)"]);
+  assert.equal(chatLines(app.document).pop(), "Agent: Error: No layer on the map matches hotel ❌");
+});
+
+test("a comparison keeps the results of the previous place", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: followUpFetch });
+  await send(app, "museums in Madrid");
+  await send(app, "same thing in Lisbon to compare");
+
+  assert.deepEqual(layerNames(app), ["bar (Lisbon)", "cafe (Lisbon)", "museum (Madrid)"]);
+  assert.equal(chatLines(app.document).pop(), "Agent: Comparing Madrid and Lisbon (the results of each place are kept)");
+
+  await send(app, "clear the map");
+  assert.deepEqual(layerNames(app), []);
+  assert.equal(app.run("lastPlaceName"), null);
+});
+
+test("follow-up actions are validated", async () => {
+  const { window } = await loadApp();
+
+  assert.deepEqual(plain(window.validateIntent({ action: "remove", targets: ["hotel", "hotel"] })), { action: "remove", targets: ["hotel"], attribute_filters: [] });
+  assert.equal(window.validateIntent({ filters: [[{ key: "amenity", value: "cafe" }]] }).action, "add");
+  assert.throws(() => window.validateIntent({ action: "delete_everything" }), /action must be one of/);
+  assert.throws(() => window.validateIntent({ action: "remove", targets: [] }), /remove needs the layers/);
+  assert.throws(() => window.validateIntent({ action: "filter", targets: ["cafe"] }), /filter needs attribute_filters/);
+  assert.throws(() => window.validateIntent({ action: "filter", attribute_filters: [[{ key: "password", value: "x" }]] }), /not an allowed tag key/);
+
+  // A filter is added to the layer's own filter
+  assert.deepEqual(plain(window.combineTagFilters([[{ key: "a" }], [{ key: "b" }]], [[{ key: "c" }]])), [[{ key: "a" }, { key: "c" }], [{ key: "b" }, { key: "c" }]]);
+});
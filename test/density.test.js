@@ -0,0 +1,119 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, plain } = require("./helpers/load-app");
+
+let app;
+let layerId;
+beforeEach(async () => {
+  app = await loadApp();
+  // Two clusters of cafés across Spain: four in Madrid, one in Barcelona
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, -3.70, 40.42, { amenity: "cafe", name: "Madrid 1", cuisine: "coffee_shop" }),
+      point(2, -3.71, 40.41, { amenity: "cafe", name: "Madrid 2" }),
+      point(3, -3.69, 40.43, { amenity: "cafe", name: "Madrid 3", cuisine: "coffee_shop" }),
+      point(4, -3.70, 40.40, { amenity: "cafe", name: "Madrid 4" }),
+      point(5, 2.17, 41.39, { amenity: "cafe", name: "Barcelona 1", cuisine: "coffee_shop" })
+    ]
+  }, null, { place_name: "Spain", prompt: "cafes in Spain" });
+  layerId = Object.keys(app.run("layers"))[0];
+});
+
+function layer() {
+  return app.run("layers")[layerId];
+}
+
+function chooseDisplay(mode) {
+  const select = app.document.querySelector(`.layer-row[data-layer-id="${layerId}"] .layer-display`);
+  select.value = mode;
+  select.dispatchEvent(new app.window.Event("change"));
+}
+
+function visibility(suffix) {
+  return app.map.getLayer(`${layer().sourceId}${suffix}`).layout?.visibility;
+}
+
+function binCounts() {
+  return plain(app.map.sources[`${layer().sourceId}-density`].data.features.map(f => f.properties.count).sort());
+}
+
+test("hex bins group nearby points into closed hexagons", async () => {
+  const { window } = app;
+  const items = [[0, 0], [0.01, 0.01], [10, 10]].map((p, fid) => ({ point: p, fid, name: `P${fid}` }));
+  const bins = window.buildHexBins(items, 10);
+
+  assert.deepEqual(plain(bins.map(b => b.count).sort()), [1, 2]);
+  const pair = bins.find(b => b.count === 2);
+  assert.equal(pair.ring.length, 7);
+  assert.deepEqual(plain(pair.ring[0]), plain(pair.ring[6]));
+  assert.deepEqual(plain(pair.center), [0.005, 0.005]);
+  assert.ok(window.geometryContainsPoint({ type: "Polygon", coordinates: [pair.ring] }, [0.005, 0.005]));
+
+  assert.equal(window.buildHexBins([]).length, 0);
+  assert.equal(window.buildHexBins([{ point: [1, 1], fid: 0, name: "One" }]).length, 1);
+});
+
+test("hex bin mode replaces the icons and bins are clickable", () => {
+  chooseDisplay("hexbin");
+
+  assert.equal(layer().display, "hexbin");
+  assert.deepEqual(binCounts(), [1, 4]);
+  assert.equal(visibility("-points"), "none");
+  assert.equal(visibility("-clusters"), "none");
+  assert.equal(visibility("-hexbins"), "visible");
+  const madrid = app.map.sources[`${layer().sourceId}-density`].data.features.find(f => f.properties.count === 4);
+  assert.equal(madrid.properties.t, 1);
+
+  app.map.fire("click", { features: [madrid], lngLat: { lng: -3.7, lat: 40.42 } }, `${layer().sourceId}-hexbins`);
+  const content = app.map.lastPopup.content;
+  assert.equal(content.querySelector("strong").textContent, "4 results");
+  assert.deepEqual([...content.querySelectorAll("li")].map(li => li.textContent).sort(), ["Madrid 1", "Madrid 2", "Madrid 3", "Madrid 4"]);
+
+  // Names open the POI's popup
+  content.querySelector("li").click();
+  assert.match(app.map.lastPopup.html, /Madrid/);
+});
+
+test("density views follow the attribute filter", async () => {
+  chooseDisplay("circles");
+  assert.deepEqual(binCounts(), [1, 4]);
+  const radii = app.map.sources[`${layer().sourceId}-density`].data.features.map(f => f.properties.radius);
+  assert.equal(Math.max(...radii), 30);
+
+  app.window.setLayerFilter(layerId, [[{ key: "cuisine", op: "=", value: "coffee_shop" }]]);
+  assert.deepEqual(binCounts(), [1, 2]);
+
+  await app.window.recolorLayer(layerId, "#123456");
+  assert.equal(app.map.getLayer(`${layer().sourceId}-circles`).paint["circle-color"], "#123456");
+});
+
+test("switching back to icons removes the density view", () => {
+  chooseDisplay("heatmap");
+  assert.equal(app.map.getLayer(`${layer().sourceId}-heatmap`).type, "heatmap");
+  assert.equal(app.map.sources[`${layer().sourceId}-density`].data.features.length, 5);
+
+  // Hiding and showing the layer keeps the icons hidden
+  app.window.setLayerVisibility(layerId, false);
+  app.window.setLayerVisibility(layerId, true);
+  assert.equal(visibility("-heatmap"), "visible");
+  assert.equal(visibility("-points"), "none");
+
+  chooseDisplay("icons");
+  assert.equal(app.map.getLayer(`${layer().sourceId}-heatmap`), undefined);
+  assert.equal(app.map.getSource(`${layer().sourceId}-density`), undefined);
+  assert.ok(layer().mapLayerIds.every(id => app.map.getLayer(id).layout.visibility === "visible"));
+});
+
+test("the display mode is saved with the session", async () => {
+  chooseDisplay("hexbin");
+  const snapshot = app.window.createSnapshot();
+  assert.equal(snapshot.layers[0].display, "hexbin");
+
+  const restored = await loadApp();
+  await restored.window.restoreSnapshotLayers(plain(snapshot));
+  const restoredLayer = Object.values(restored.run("layers"))[0];
+  assert.equal(restoredLayer.display, "hexbin");
+  assert.equal(restored.map.getLayer(`${restoredLayer.sourceId}-points`).layout.visibility, "none");
+  assert.equal(restored.map.sources[`${restoredLayer.sourceId}-density`].data.features.length, 2);
+});
@@ -0,0 +1,154 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point } = require("./helpers/load-app");
+
+let app;
+let exported;
+
+const museum = {
+  type: "Feature",
+  id: "way/9",
+  properties: { tourism: "museum", name: "Museo \"Prado\" & Co", id: "way/9", website: "https://example.org" },
+  geometry: { type: "Polygon", coordinates: [[[-3.69, 40.41], [-3.68, 40.41], [-3.68, 40.42], [-3.69, 40.42], [-3.69, 40.41]]] }
+};
+
+before(async () => {
+  app = await loadApp();
+  const results = {
+    type: "FeatureCollection",
+    features: [point(1, -3.7, 40.4, { tourism: "museum", name: "Reina Sofía, Madrid" }), museum]
+  };
+  await app.window.renderData(results, null, { place_name: "Madrid", prompt: "museums in Madrid" });
+  exported = Object.values(app.run("layers"));
+});
+
+test("layers remember their prompt, place and retrieval time", () => {
+  assert.equal(exported.length, 1);
+  assert.equal(exported[0].prompt, "museums in Madrid");
+  assert.equal(exported[0].placeName, "Madrid");
+  assert.ok(exported[0].createdAt > 0);
+});
+
+test("GeoJSON keeps full geometry, tags and metadata", () => {
+  const json = JSON.parse(app.window.buildGeoJSONExport(exported, "2026-01-01T00:00:00.000Z"));
+
+  assert.equal(json.features.length, 2);
+  assert.equal(json.features[1].geometry.type, "Polygon");
+  assert.equal(json.features[1].properties.website, "https://example.org");
+  assert.equal(json.features[1].properties["@id"], "way/9");
+  assert.equal(json.features[1].properties["@category"], "museum");
+
+  assert.match(json.metadata.attribution, /OpenStreetMap contributors/);
+  assert.equal(json.metadata.layers[0].prompt, "museums in Madrid");
+  assert.equal(json.metadata.layers[0].place, "Madrid");
+});
+
+test("CSV quotes fields and places areas at their label point", () => {
+  const csv = app.window.buildCSVExport(exported, "2026-01-01T00:00:00.000Z");
+  const lines = csv.trim().split("\r\n");
+
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith("name,category,lat,lon,osm_id,"));
+  assert.ok(lines[0].endsWith(",prompt,place,retrieved_at,attribution"));
+  assert.ok(lines[1].startsWith('"Reina Sofía, Madrid",museum,40.4000000,-3.7000000,node/1,'));
+  assert.ok(lines[2].startsWith('"Museo ""Prado"" & Co",museum,40.4150000,-3.6850000,way/9,'));
+  assert.ok(lines[2].includes("museums in Madrid,Madrid,"));
+});
+
+test("KML is well-formed and styled with the category colour", () => {
+  const kml = app.window.buildKMLExport(exported, "2026-01-01T00:00:00.000Z");
+  const doc = new app.window.DOMParser().parseFromString(kml, "application/xml");
+
+  assert.equal(doc.getElementsByTagName("parsererror").length, 0);
+  assert.equal(doc.getElementsByTagName("Placemark").length, 2);
+  assert.equal(doc.getElementsByTagName("Polygon").length, 1);
+  assert.equal(doc.getElementsByTagName("name")[2].textContent, "Reina Sofía, Madrid");
+
+  const color = app.run("CATEGORIES").museum.color;
+  assert.equal(app.window.toKmlColor(color), `ff${color.slice(5, 7)}${color.slice(3, 5)}${color.slice(1, 3)}`.toLowerCase());
+  assert.ok(kml.includes(`<color>${app.window.toKmlColor(color)}</color>`));
+  assert.match(doc.querySelector("Document > description").textContent, /OpenStreetMap contributors/);
+});
+
+test("GPX has one waypoint per feature and the ODbL copyright", () => {
+  const gpx = app.window.buildGPXExport(exported, "2026-01-01T00:00:00.000Z");
+  const doc = new app.window.DOMParser().parseFromString(gpx, "application/xml");
+
+  assert.equal(doc.getElementsByTagName("parsererror").length, 0);
+  const waypoints = doc.getElementsByTagName("wpt");
+  assert.equal(waypoints.length, 2);
+  assert.equal(waypoints[1].getAttribute("lat"), "40.4150000");
+  assert.equal(waypoints[1].getElementsByTagName("type")[0].textContent, "museum");
+  assert.equal(doc.querySelector("metadata > copyright").getAttribute("author"), "OpenStreetMap contributors");
+  assert.match(doc.querySelector("metadata > desc").textContent, /museums in Madrid/);
+});
+
+test("exports hold only what the map shows, opening time included", () => {
+  const layer = exported[0];
+  layer.features[0].properties.opening_hours = "Mo-Su 10:00-21:00";
+  app.window.setOpeningTime({ at: "2026-10-20T12:00", openOnly: true });
+  try {
+    const json = JSON.parse(app.window.buildGeoJSONExport(exported, "2026-01-01T00:00:00.000Z"));
+    assert.deepEqual(json.features.map(f => f.properties.name), ["Reina Sofía, Madrid"]);
+    assert.equal(json.metadata.layers[0].count, 1);
+    assert.equal(app.window.buildCSVExport(exported, "2026-01-01T00:00:00.000Z").trim().split("\r\n").length, 2);
+  } finally {
+    app.window.setOpeningTime({ at: null, openOnly: false });
+    delete layer.features[0].properties.opening_hours;
+  }
+});
+
+test("imported layers are exported without the OpenStreetMap attribution", async () => {
+  const other = await loadApp();
+  const file = new other.window.File([JSON.stringify({ type: "FeatureCollection", features: [point(1, -3.7, 40.4, { name: "Client HQ" })] })], "clients.geojson");
+  await other.window.importFiles([file]);
+  const layers = Object.values(other.run("layers"));
+  const at = "2026-01-01T00:00:00.000Z";
+
+  const json = JSON.parse(other.window.buildGeoJSONExport(layers, at));
+  assert.equal(json.metadata.attribution, undefined);
+  assert.equal(json.metadata.license, undefined);
+  const [, row] = other.window.buildCSVExport(layers, at).split("\r\n");
+  assert.ok(row.startsWith("Client HQ,imported,") && row.endsWith(","), row);
+  assert.doesNotMatch(other.window.buildKMLExport(layers, at), /OpenStreetMap/);
+
+  const gpx = other.window.buildGPXExport(layers, at);
+  assert.doesNotMatch(gpx, /OpenStreetMap|odbl/);
+  assert.equal(new other.window.DOMParser().parseFromString(gpx, "application/xml").getElementsByTagName("wpt").length, 1);
+});
+
+test("the legend exports a category in the selected format", () => {
+  const downloads = [];
+  app.window.HTMLAnchorElement.prototype.click = function () {
+    downloads.push(this.download);
+  };
+
+  app.document.getElementById("export-format").value = "gpx";
+  app.document.querySelector('.legend-export-category[data-category="museum"]').click();
+  app.document.getElementById("export-format").value = "csv";
+  app.document.querySelector(".legend-export-all").click();
+
+  assert.equal(downloads.length, 2);
+  assert.match(downloads[0], /^geoai-museum-\d{4}-\d{2}-\d{2}\.gpx$/);
+  assert.match(downloads[1], /^geoai-all-layers-\d{4}-\d{2}-\d{2}\.csv$/);
+});
+
+test("the download URL is revoked only after the click", async () => {
+  await new Promise(resolve => setTimeout(resolve, 0)); // earlier downloads
+  const revoked = [];
+  let revokedAtClick = null;
+  app.window.URL.revokeObjectURL = (url) => revoked.push(url);
+  app.window.HTMLAnchorElement.prototype.click = function () {
+    revokedAtClick = revoked.length;
+  };
+
+  app.window.exportLayers(exported, "geojson");
+  assert.equal(revokedAtClick, 0);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(revoked, ["blob:test"]);
+});
+
+test("exporting with no layers reports an error", () => {
+  assert.throws(() => app.window.exportLayers([], "geojson"), /no results to export/);
+  assert.throws(() => app.window.exportLayers(exported, "shp"), /Unknown export format/);
+});
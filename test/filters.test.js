@@ -0,0 +1,130 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, point, plain, chatLines } = require("./helpers/load-app");
+
+const cond = (key, op, value) => (value === undefined ? { key, op } : { key, op, value });
+
+test("tag filters follow Overpass semantics", async () => {
+  const { window } = await loadApp();
+  const tags = { amenity: "cafe", cuisine: "coffee_shop", wheelchair: "yes" };
+
+  assert.ok(window.matchesTagFilters(tags, []));
+  assert.ok(window.matchesTagFilters(tags, [[]]));
+  assert.ok(window.matchesTagFilters(tags, [[cond("cuisine", "=", "coffee_shop"), cond("wheelchair", "=", "yes")]]));
+  assert.ok(!window.matchesTagFilters(tags, [[cond("cuisine", "=", "coffee_shop"), cond("wheelchair", "=", "no")]]));
+  assert.ok(window.matchesTagFilters(tags, [[cond("wheelchair", "=", "no")], [cond("cuisine", "~", "^coffee")]]));
+  assert.ok(window.matchesTagFilters(tags, [[cond("internet_access", "!=", "wlan")]]));
+  assert.ok(window.matchesTagFilters(tags, [[cond("internet_access", "not_exists")]]));
+  assert.ok(!window.matchesTagFilters(tags, [[cond("internet_access", "exists")]]));
+
+  assert.equal(window.describeTagFilters([[cond("cuisine", "=", "pizza"), cond("wheelchair", "=", "yes")], [cond("diet:vegan", "exists")]]),
+    "cuisine=pizza AND wheelchair=yes OR diet:vegan exists");
+});
+
+test("attribute filters are validated and pushed into the Overpass filters", async () => {
+  const { window } = await loadApp();
+  const base = {
+    filters: [[cond("amenity", "=", "cafe")], [cond("amenity", "=", "bar")]],
+    place_name: "Lisbon",
+    categories: ["cafe", "bar"]
+  };
+
+  assert.deepEqual(plain(window.validateIntent(base).attribute_filters), []);
+  assert.throws(() => window.validateIntent({ ...base, attribute_filters: [[]] }), /attribute_filters\[0\]/);
+
+  const intent = window.validateIntent({ ...base, attribute_filters: [[cond("internet_access", "=", "wlan")], [cond("outdoor_seating", "=", "yes")]] });
+  const { intent: pushedIntent, pushed } = window.pushDownAttributeFilters(intent);
+  assert.equal(pushed, true);
+  assert.equal(pushedIntent.filters.length, 4);
+  assert.deepEqual(plain(pushedIntent.filters[1]), [cond("amenity", "=", "cafe"), cond("outdoor_seating", "=", "yes")]);
+  assert.deepEqual(plain(pushedIntent.attribute_filters), []);
+
+  const wide = { ...intent, attribute_filters: Array.from({ length: window.MAX_FILTER_GROUPS }, (_, i) => [cond("cuisine", "=", `c${i}`)]) };
+  const result = window.pushDownAttributeFilters(wide);
+  assert.equal(result.pushed, false);
+  assert.equal(result.intent, wide);
+});
+
+async function loadCafes() {
+  const app = await loadApp();
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, 2.35, 48.85, { amenity: "cafe", name: "A", internet_access: "wlan", wheelchair: "yes" }),
+      point(2, 2.36, 48.86, { amenity: "cafe", name: "B", internet_access: "wlan" }),
+      point(3, 2.37, 48.87, { amenity: "cafe", name: "C", internet_access: "no", wheelchair: "yes" })
+    ]
+  }, null, { place_name: "Paris", prompt: "cafes in Paris", filter: [[cond("internet_access", "=", "wlan")]] });
+  const layerId = Object.keys(app.run("layers"))[0];
+  return { app, layerId, layer: app.run("layers")[layerId] };
+}
+
+function legendCount(app) {
+  return app.document.querySelector('.legend-item[data-category="cafe"] .legend-count').textContent;
+}
+
+test("a layer filter hides non-matching features from the map, legend and exports", async () => {
+  const { app, layerId, layer } = await loadCafes();
+
+  assert.equal(layer.count, 2);
+  assert.equal(legendCount(app), "2");
+  assert.deepEqual(plain(app.map.sources[layer.sourceId].data.features.map(f => f.properties.fid)), [0, 1]);
+  assert.equal(app.document.querySelector(".layer-row .layer-count").textContent, "2/3");
+  assert.equal(app.window.getLayerMetadata(layer).count, 2);
+
+  app.window.setLayerFilter(layerId, []);
+  assert.equal(legendCount(app), "3");
+  assert.equal(app.map.sources[layer.sourceId].data.features.length, 3);
+});
+
+test("the filter panel summarizes tags and builds AND/OR filters", async () => {
+  const { app, layerId, layer } = await loadCafes();
+  app.document.querySelector(".layer-row .layer-filter").click();
+
+  const panel = () => app.document.querySelector(".layer-filter-panel");
+  const valueButton = (key, text) => [...[...panel().querySelectorAll(".filter-key")]
+    .find(row => row.querySelector(".filter-key-name").textContent.startsWith(`${key} (`))
+    .querySelectorAll(".filter-value")]
+    .find(b => b.textContent.startsWith(text));
+
+  assert.equal(panel().querySelector(".filter-key-name").textContent, "amenity (3)");
+  assert.ok(![...panel().querySelectorAll(".filter-key-name")].some(el => el.textContent.startsWith("name")));
+
+  // AND: internet_access=wlan AND wheelchair=yes
+  valueButton("wheelchair", "yes").click();
+  assert.equal(describe(app, layer), "internet_access=wlan AND wheelchair=yes");
+  assert.equal(legendCount(app), "1");
+
+  // OR: ... OR internet_access=no
+  [...panel().querySelectorAll(".filter-actions button")].find(b => b.textContent === "+ OR group").click();
+  valueButton("internet_access", "no").click();
+  assert.equal(describe(app, layer), "internet_access=wlan AND wheelchair=yes OR internet_access=no");
+  assert.equal(legendCount(app), "2");
+
+  // Removing a condition chip, then clearing
+  panel().querySelector(".filter-condition").click();
+  assert.equal(describe(app, layer), "wheelchair=yes OR internet_access=no");
+  [...panel().querySelectorAll(".filter-actions button")].find(b => b.textContent === "Clear filter").click();
+  assert.deepEqual(plain(layer.filter), []);
+  assert.equal(legendCount(app), "3");
+  assert.ok(panel(), "panel stays open while editing");
+
+  app.window.removeLayer(layerId);
+  assert.equal(panel(), null);
+});
+
+function describe(app, layer) {
+  return app.window.describeTagFilters(layer.filter);
+}
+
+test("prompt qualifiers are added to the Overpass query", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  app.document.getElementById("command").value = "cafes with outdoor seating in Lisbon";
+  await app.document.getElementById("send").onclick();
+
+  assert.ok(chatLines(app.document).some(line => line.includes("Only fetching results with outdoor_seating=yes")));
+  const layer = Object.values(app.run("layers"))[0];
+  assert.equal(layer.count, 1);
+  assert.deepEqual(plain(layer.filter), []);
+  assert.match(layer.query, /\["outdoor_seating"="yes"\]/);
+});
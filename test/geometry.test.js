@@ -0,0 +1,63 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./helpers/load-app");
+
+let app;
+before(async () => {
+  app = await loadApp();
+});
+
+// An L-shaped polygon whose centroid falls outside it
+const L_SHAPE = [[[0, 0], [10, 0], [10, 1], [1, 1], [1, 10], [0, 10], [0, 0]]];
+
+test("polylabel stays inside concave polygons", () => {
+  const { window } = app;
+  const [cx, cy] = window.ringCentroid(L_SHAPE[0]);
+  assert.ok(window.pointToPolygonDistance(cx, cy, L_SHAPE) < 0, "centroid is outside the L");
+
+  const [x, y] = window.polylabel(L_SHAPE);
+  assert.ok(window.pointToPolygonDistance(x, y, L_SHAPE) > 0, "label point is inside the L");
+});
+
+test("polylabel handles long, thin polygons", () => {
+  const { window } = app;
+  const ribbon = [[[0, 0], [20, 0], [20, 0.0001], [0, 0.0001], [0, 0]]];
+  const [x, y] = window.polylabel(ribbon);
+  assert.ok(x > 0 && x < 20 && y > 0 && y < 0.0001, `${x},${y} is inside`);
+});
+
+test("getLabelPoint picks the largest polygon and the longest line", () => {
+  const { window } = app;
+  const small = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]];
+  const large = [[[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]]];
+  const [x, y] = window.getLabelPoint({ type: "MultiPolygon", coordinates: [small, large] });
+  assert.ok(x > 10 && x < 20 && y > 10 && y < 20);
+
+  assert.deepEqual(plain(window.getLabelPoint({ type: "LineString", coordinates: [[0, 0], [4, 0]] })), [2, 0]);
+  const multiLine = { type: "MultiLineString", coordinates: [[[0, 0], [1, 0]], [[0, 5], [0, 15]]] };
+  assert.deepEqual(plain(window.getLabelPoint(multiLine)), [0, 10]);
+  assert.deepEqual(plain(window.getLabelPoint({ type: "Point", coordinates: [3, 4] })), [3, 4]);
+});
+
+test("getShapeKind classifies geometries", () => {
+  const { window } = app;
+  assert.equal(window.getShapeKind({ type: "MultiPolygon", coordinates: [] }), "area");
+  assert.equal(window.getShapeKind({ type: "LineString", coordinates: [] }), "line");
+  assert.equal(window.getShapeKind({ type: "Point", coordinates: [0, 0] }), "point");
+});
+
+test("haversineDistance returns meters", () => {
+  const madrid = [-3.7038, 40.4168];
+  const barcelona = [2.1734, 41.3851];
+  const distance = app.window.haversineDistance(madrid, barcelona);
+  assert.ok(Math.abs(distance - 505000) < 5000, `${distance}`);
+  assert.equal(app.window.haversineDistance(madrid, madrid), 0);
+});
+
+test("bearingBetween returns compass degrees", () => {
+  const { window } = app;
+  assert.equal(Math.round(window.bearingBetween([0, 0], [0, 1])), 0);
+  assert.equal(Math.round(window.bearingBetween([0, 0], [1, 0])), 90);
+  assert.equal(Math.round(window.bearingBetween([0, 0], [0, -1])), 180);
+  assert.equal(Math.round(window.bearingBetween([0, 0], [-1, 0])), 270);
+});
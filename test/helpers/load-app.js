@@ -0,0 +1,128 @@
+// Loads index.html and the app's scripts into jsdom, with MapLibre stubbed
+// and the network replaced by a fetch function supplied by the test (the category
+// registry is always served, as the backend would).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const osmtogeojson = require("osmtogeojson");
+const { createMapLibreStub } = require("./maplibre-stub");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Icons are SVG data URLs; report them as loaded straight away
+class ImageStub {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  set src(value) {
+    this._src = value;
+    setTimeout(() => this.onload && this.onload(), 0);
+  }
+
+  get src() {
+    return this._src;
+  }
+}
+
+// --- fetch that only serves files from fixtures/ ---
+function fixtureFetch(url) {
+  const { pathname } = new URL(url);
+  if (!pathname.startsWith("/fixtures/")) {
+    return Promise.reject(new Error(`Unexpected network request in test: ${url}`));
+  }
+  const file = path.join(ROOT, decodeURIComponent(pathname));
+  if (!fs.existsSync(file)) {
+    return Promise.resolve({ ok: false, status: 404, statusText: "Not Found" });
+  }
+  const body = fs.readFileSync(file, "utf8");
+  return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(body) });
+}
+
+function noNetwork(url) {
+  return Promise.reject(new Error(`Unexpected network request in test: ${url}`));
+}
+
+// --- Serve the category registry like the backend's /api/categories, everything else via fetch ---
+function withCategoryRegistry(fetch) {
+  return (url, options) => {
+    if (new URL(url).pathname !== "/api/categories") return fetch(url, options);
+    const body = fs.readFileSync(path.join(ROOT, "categories.json"), "utf8");
+    return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(body) });
+  };
+}
+
+// --- Load the app; returns the window, the map stub and `run` to evaluate code in the page ---
+// storage seeds localStorage, e.g. with the snapshot of a previous page load
+async function loadApp({ url = "http://localhost:8000/", fetch = noNetwork, storage = {} } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const virtualConsole = new VirtualConsole();
+  if (process.env.DEBUG_APP) virtualConsole.sendTo(console);
+
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", virtualConsole });
+  const { window } = dom;
+
+  window.maplibregl = createMapLibreStub();
+  window.osmtogeojson = osmtogeojson;
+  window.Image = ImageStub;
+  window.fetch = withCategoryRegistry(fetch);
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  window.URL.createObjectURL = () => "blob:test";
+  window.URL.revokeObjectURL = () => {};
+
+  // Same scripts, same order as the page
+  const context = dom.getInternalVMContext();
+  const scripts = [...window.document.querySelectorAll("script[src]")]
+    .map(s => s.getAttribute("src"))
+    .filter(src => !/^https?:/.test(src));
+
+  scripts.forEach(src => {
+    const file = path.join(ROOT, src);
+    new vm.Script(fs.readFileSync(file, "utf8"), { filename: file }).runInContext(context);
+  });
+
+  window.document.dispatchEvent(new window.Event("DOMContentLoaded"));
+
+  const run = (code) => new vm.Script(code).runInContext(context);
+  await run("mapReady");
+
+  return { window, document: window.document, run, map: run("map") };
+}
+
+// --- Helper: a GeoJSON point feature with flat OSM properties ---
+function point(id, lng, lat, tags) {
+  return {
+    type: "Feature",
+    id: `node/${id}`,
+    properties: { ...tags, id: `node/${id}` },
+    geometry: { type: "Point", coordinates: [lng, lat] }
+  };
+}
+
+// --- Helper: wait until check() returns a truthy value ---
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const result = check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+// --- Helper: copy a value out of the page realm so deepEqual compares it by value ---
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// --- Helper: chat transcript as plain text lines ---
+function chatLines(document) {
+  return [...document.querySelectorAll("#chat > div")].map(d => d.textContent);
+}
+
+module.exports = { loadApp, fixtureFetch, point, plain, chatLines, waitFor, ROOT };
@@ -0,0 +1,286 @@
+// Minimal in-memory stand-in for the parts of maplibregl the app uses.
+// Sources, style layers, images and handlers are kept in plain objects so
+// tests can assert on what the app added to or removed from the map.
+
+class LngLatBounds {
+  constructor(sw, ne) {
+    this.sw = sw ? [...sw] : null;
+    this.ne = ne ? [...ne] : null;
+  }
+
+  extend([lng, lat]) {
+    if (!this.sw) {
+      this.sw = [lng, lat];
+      this.ne = [lng, lat];
+    } else {
+      this.sw = [Math.min(this.sw[0], lng), Math.min(this.sw[1], lat)];
+      this.ne = [Math.max(this.ne[0], lng), Math.max(this.ne[1], lat)];
+    }
+    return this;
+  }
+
+  isEmpty() {
+    return !this.sw;
+  }
+
+  getWest() { return this.sw[0]; }
+  getSouth() { return this.sw[1]; }
+  getEast() { return this.ne[0]; }
+  getNorth() { return this.ne[1]; }
+}
+
+class Map {
+  constructor(options) {
+    this.options = options;
+    this.sources = {};
+    this.styleLayers = [];
+    this.images = {};
+    this.handlers = [];
+    this.center = { lng: options.center[0], lat: options.center[1] };
+    this.zoom = options.zoom;
+    this.bounds = new LngLatBounds([-3.75, 40.38], [-3.65, 40.45]);
+    this.fittedBounds = null;
+    this.canvas = { style: {} };
+  }
+
+  once(type, handler) {
+    if (type === "load") {
+      setTimeout(handler, 0);
+    } else {
+      this.handlers.push({ type, layerId: null, handler, once: true });
+    }
+    return this;
+  }
+
+  on(type, layerId, handler) {
+    if (typeof layerId === "function") {
+      this.handlers.push({ type, layerId: null, handler: layerId });
+    } else {
+      this.handlers.push({ type, layerId, handler });
+    }
+    return this;
+  }
+
+  off(type, layerId, handler) {
+    if (typeof layerId === "function") {
+      handler = layerId;
+      layerId = null;
+    }
+    this.handlers = this.handlers.filter(h => !(h.type === type && h.layerId === layerId && h.handler === handler));
+    return this;
+  }
+
+  // Call the handlers registered for an event (optionally only those bound to one layer)
+  fire(type, event = {}, layerId = null) {
+    this.handlers
+      .filter(h => h.type === type && h.layerId === layerId)
+      .forEach(h => h.handler(event));
+  }
+
+  addSource(id, source) {
+    if (this.sources[id]) throw new Error(`Source "${id}" already exists`);
+    this.sources[id] = {
+      ...source,
+      setData(data) { this.data = data; },
+      getClusterExpansionZoom(clusterId, callback) { callback(null, 15); }
+    };
+  }
+
+  getSource(id) {
+    return this.sources[id];
+  }
+
+  removeSource(id) {
+    if (this.styleLayers.some(l => l.source === id)) {
+      throw new Error(`Source "${id}" is still used by a layer`);
+    }
+    delete this.sources[id];
+  }
+
+  addLayer(layer, beforeId) {
+    if (this.getLayer(layer.id)) throw new Error(`Layer "${layer.id}" already exists`);
+    if (layer.source && typeof layer.source === "string" && !this.sources[layer.source]) {
+      throw new Error(`Source "${layer.source}" does not exist`);
+    }
+    const index = beforeId ? this.styleLayers.findIndex(l => l.id === beforeId) : -1;
+    if (index === -1) {
+      this.styleLayers.push({ ...layer });
+    } else {
+      this.styleLayers.splice(index, 0, { ...layer });
+    }
+  }
+
+  getLayer(id) {
+    return this.styleLayers.find(l => l.id === id);
+  }
+
+  removeLayer(id) {
+    this.styleLayers = this.styleLayers.filter(l => l.id !== id);
+  }
+
+  moveLayer(id, beforeId) {
+    const layer = this.getLayer(id);
+    if (!layer) return;
+    this.removeLayer(id);
+    this.addLayer(layer, beforeId);
+  }
+
+  setPaintProperty(id, name, value) {
+    const layer = this.getLayer(id);
+    layer.paint = { ...layer.paint, [name]: value };
+  }
+
+  setLayoutProperty(id, name, value) {
+    const layer = this.getLayer(id);
+    layer.layout = { ...layer.layout, [name]: value };
+  }
+
+  setFilter(id, filter) {
+    this.getLayer(id).filter = filter;
+  }
+
+  getStyle() {
+    return { layers: this.styleLayers };
+  }
+
+  hasImage(id) {
+    return id in this.images;
+  }
+
+  addImage(id, image, options) {
+    this.images[id] = { image, options };
+  }
+
+  getCanvas() {
+    return this.canvas;
+  }
+
+  fitBounds(bounds) {
+    this.fittedBounds = bounds;
+  }
+
+  // Centre of the bounds at a zoom that grows as the bounds shrink
+  cameraForBounds(bounds) {
+    const span = Math.max(bounds.getEast() - bounds.getWest(), bounds.getNorth() - bounds.getSouth(), 0.001);
+    return {
+      center: [(bounds.getWest() + bounds.getEast()) / 2, (bounds.getSouth() + bounds.getNorth()) / 2],
+      zoom: Math.log2(360 / span)
+    };
+  }
+
+  resize() {}
+
+  remove() {
+    this.removed = true;
+  }
+
+  easeTo(options) {
+    this.lastCamera = options;
+  }
+
+  flyTo(options) {
+    this.lastCamera = options;
+  }
+
+  jumpTo(options) {
+    this.lastCamera = options;
+  }
+
+  getBounds() {
+    return this.bounds;
+  }
+
+  getCenter() {
+    return this.center;
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  getBearing() {
+    return 0;
+  }
+
+  getPitch() {
+    return 0;
+  }
+
+  project([lng, lat]) {
+    return { x: lng, y: lat };
+  }
+
+  queryRenderedFeatures() {
+    return [];
+  }
+}
+
+class Popup {
+  constructor(options) {
+    this.options = options;
+  }
+
+  setLngLat(lngLat) {
+    this.lngLat = lngLat;
+    return this;
+  }
+
+  setHTML(html) {
+    this.html = html;
+    return this;
+  }
+
+  setDOMContent(node) {
+    this.content = node;
+    return this;
+  }
+
+  addTo(map) {
+    map.lastPopup = this;
+    return this;
+  }
+
+  on() {
+    return this;
+  }
+
+  remove() {
+    return this;
+  }
+}
+
+class Marker {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  setLngLat(lngLat) {
+    this.lngLat = lngLat;
+    return this;
+  }
+
+  getLngLat() {
+    return this.lngLat;
+  }
+
+  setPopup(popup) {
+    this.popup = popup;
+    return this;
+  }
+
+  addTo(map) {
+    this.map = map;
+    return this;
+  }
+
+  remove() {
+    this.map = null;
+    return this;
+  }
+}
+
+function createMapLibreStub() {
+  return { Map, LngLatBounds, Popup, Marker };
+}
+
+module.exports = { createMapLibreStub };
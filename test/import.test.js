@@ -0,0 +1,153 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, plain } = require("./helpers/load-app");
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+});
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name>Client HQ</name>
+    <ExtendedData><Data name="contact"><value>Ana</value></Data></ExtendedData>
+    <Point><coordinates>-3.70,40.41,0</coordinates></Point>
+  </Placemark>
+  <Placemark>
+    <name>Site</name>
+    <Polygon><outerBoundaryIs><LinearRing><coordinates>
+      -3.69,40.41 -3.68,40.41 -3.68,40.42 -3.69,40.42 -3.69,40.41
+    </coordinates></LinearRing></outerBoundaryIs></Polygon>
+  </Placemark>
+</Document></kml>`;
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="40.41" lon="-3.70"><name>Start</name><ele>650</ele></wpt>
+  <trk><name>Planned route</name>
+    <trkseg><trkpt lat="40.41" lon="-3.70"/><trkpt lat="40.42" lon="-3.69"/></trkseg>
+    <trkseg><trkpt lat="40.43" lon="-3.68"/><trkpt lat="40.44" lon="-3.67"/></trkseg>
+  </trk>
+</gpx>`;
+
+const CSV = 'name;Latitude;Longitude;note\n"Site A";40,41;-3,70;"first; main"\nSite B;40.42;-3.69;\nBroken;north;west;\n';
+
+function file(name, text) {
+  return new app.window.File([text], name);
+}
+
+test("GeoJSON accepts collections, single features and bare geometries", () => {
+  const { window } = app;
+  const collection = window.parseImportedText("sites.geojson", JSON.stringify({
+    type: "FeatureCollection",
+    features: [point(1, -3.7, 40.4, { name: "A", meta: { nested: true } }), { type: "Feature", geometry: null, properties: {} }]
+  }));
+  assert.equal(collection.features.length, 1);
+  assert.equal(collection.features[0].properties.meta, '{"nested":true}');
+
+  const bare = window.parseImportedText("p.json", '{"type":"Point","coordinates":[2,41]}');
+  assert.deepEqual(plain(bare.features[0].geometry), { type: "Point", coordinates: [2, 41] });
+
+  assert.throws(() => window.parseImportedText("x.geojson", "{"), /not valid JSON/);
+  assert.throws(() => window.parseImportedText("x.geojson", '{"foo":1}'), /not GeoJSON/);
+});
+
+test("GeoJSON features with malformed coordinates are left out", async () => {
+  const square = [[-3.69, 40.41], [-3.68, 40.41], [-3.68, 40.42], [-3.69, 40.42], [-3.69, 40.41]];
+  const geometries = [
+    { type: "Polygon", coordinates: [] },
+    { type: "Polygon", coordinates: [square.slice(0, 4)] },
+    { type: "LineString", coordinates: [[-3.7, 40.4]] },
+    { type: "MultiPolygon", coordinates: [[square], [[["a", 1]]]] },
+    { type: "Point", coordinates: [-3.7, 95] },
+    { type: "Polygon", coordinates: [square] }
+  ];
+  const text = JSON.stringify({
+    type: "FeatureCollection",
+    features: geometries.map((geometry, i) => ({ type: "Feature", geometry, properties: { name: `site ${i}` } }))
+  });
+
+  const { features } = app.window.parseImportedText("sites.geojson", text);
+  assert.deepEqual(plain(features.map(f => f.properties.name)), ["site 5"]);
+
+  await app.window.importFiles([file("sites.geojson", text)]);
+  const [layer] = Object.values(app.run("layers"));
+  assert.equal(layer.count, 1);
+  assert.ok(app.document.body.textContent.includes("Imported 1 features from sites.geojson"));
+});
+
+test("KML placemarks keep their name, extended data and geometry", () => {
+  const { features } = app.window.parseImportedText("clients.kml", KML);
+  assert.equal(features.length, 2);
+  assert.equal(features[0].properties.name, "Client HQ");
+  assert.equal(features[0].properties.contact, "Ana");
+  assert.deepEqual(plain(features[0].geometry.coordinates), [-3.7, 40.41]);
+  assert.equal(features[1].geometry.type, "Polygon");
+  assert.equal(features[1].geometry.coordinates[0].length, 5);
+
+  assert.throws(() => app.window.parseImportedText("bad.kml", "<kml><Placemark>"), /not valid KML/);
+});
+
+test("GPX waypoints become points and tracks become lines", () => {
+  const { features } = app.window.parseImportedText("route.gpx", GPX);
+  assert.equal(features.length, 2);
+  assert.equal(features[0].properties.ele, 650);
+  assert.equal(features[1].geometry.type, "MultiLineString");
+  assert.equal(features[1].properties.name, "Planned route");
+});
+
+test("CSV detects the delimiter and lat/lon columns", () => {
+  const { features } = app.window.parseImportedText("survey.csv", CSV);
+  assert.equal(features.length, 2, "rows without valid coordinates are skipped");
+  assert.deepEqual(plain(features[0].geometry.coordinates), [-3.7, 40.41]);
+  assert.deepEqual(plain(features[0].properties), { name: "Site A", note: "first; main" });
+
+  assert.throws(() => app.window.parseImportedText("x.csv", "name,city\nA,Madrid\n"), /latitude and longitude columns/);
+  assert.throws(() => app.window.parseImportedText("x.shp", ""), /Unsupported file type/);
+});
+
+test("imported files become named layers in the legend", async () => {
+  await app.window.importFiles([file("clients.kml", KML), file("survey.csv", CSV)]);
+
+  const imported = Object.values(app.run("layers"));
+  assert.deepEqual(imported.map(l => l.name), ["clients", "survey"]);
+  assert.ok(imported.every(l => l.imported && l.category === "imported"));
+  assert.notEqual(imported[0].color, imported[1].color);
+  assert.ok(app.map.getSource(`${imported[0].sourceId}-shapes`), "polygons get a footprint");
+
+  const items = [...app.document.querySelectorAll(".legend-imported")];
+  assert.deepEqual(items.map(i => i.querySelector(".legend-label").textContent), ["clients", "survey"]);
+  assert.equal(items[1].querySelector(".legend-count").textContent, "2");
+  assert.ok(app.document.body.textContent.includes("Imported 2 features from survey.csv"));
+});
+
+test("imported layers are removed from the legend like OSM layers", async () => {
+  await app.window.importFiles([file("clients.kml", KML), file("route.gpx", GPX)]);
+  await app.window.renderData({ type: "FeatureCollection", features: [point(1, -3.7, 40.4, { amenity: "cafe" })] }, null, { place_name: "Madrid" });
+
+  app.document.querySelector(".legend-imported .legend-remove-category").click();
+  assert.deepEqual(Object.values(app.run("layers")).map(l => l.name).sort(), ["cafe (Madrid)", "route"]);
+  assert.equal(app.document.querySelectorAll(".legend-imported").length, 1);
+
+  // A search in another place keeps user data; Clear All removes everything
+  app.window.clearQueryLayers();
+  assert.deepEqual(Object.values(app.run("layers")).map(l => l.name), ["route"]);
+
+  app.document.querySelector(".legend-clear-all").click();
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  assert.equal(app.document.querySelectorAll(".legend-imported").length, 0);
+  assert.deepEqual(Object.keys(app.map.sources), []);
+});
+
+test("importing the same file again replaces its layer", async () => {
+  await app.window.importFiles([file("clients.kml", KML)]);
+  await app.window.importFiles([file("clients.kml", KML)]);
+  assert.equal(Object.keys(app.run("layers")).length, 1);
+});
+
+test("unreadable files are reported in the chat", async () => {
+  await app.window.importFiles([file("notes.txt", "just text\n")]);
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  assert.match(app.document.querySelector("#chat > div:last-child").textContent, /Error: .*latitude and longitude/);
+});
@@ -0,0 +1,116 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, plain } = require("./helpers/load-app");
+
+const SPOT = { lng: -3.7, lat: 40.42 };
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, -3.7, 40.421, { amenity: "cafe", name: "North café" }),
+      point(2, -3.698, 40.42, { amenity: "cafe", name: "East café", cuisine: "coffee_shop" }),
+      point(3, -3.7, 40.43, { amenity: "cafe", name: "Far café" }),
+      point(4, -3.71, 40.41, { amenity: "cafe", name: "Farther café" }),
+      {
+        type: "Feature",
+        id: "way/5",
+        geometry: { type: "Polygon", coordinates: [[[-3.702, 40.418], [-3.698, 40.418], [-3.698, 40.422], [-3.702, 40.422], [-3.702, 40.418]]] },
+        properties: { leisure: "park", name: "Around park" }
+      }
+    ]
+  }, null, { place_name: "Madrid", prompt: "cafes and parks in Madrid" });
+});
+
+function clickMap({ lng, lat }) {
+  app.map.fire("click", { lngLat: { lng, lat }, point: { x: lng * 1000, y: lat * 1000 } });
+}
+
+function panelRows() {
+  return [...app.document.querySelectorAll("#inspect-panel .inspect-row")].map(row => [
+    row.querySelector(".inspect-name").textContent,
+    row.querySelector(".inspect-distance").textContent
+  ]);
+}
+
+test("nearest features are listed per layer with distance and bearing", () => {
+  clickMap(SPOT);
+
+  assert.equal(app.document.getElementById("inspect-panel").style.display, "block");
+  assert.deepEqual(plain(app.run("inspectMarker").getLngLat()), [-3.7, 40.42]);
+  assert.deepEqual(
+    [...app.document.querySelectorAll("#inspect-panel .inspect-layer-name")].map(n => n.textContent),
+    ["park (Madrid)", "cafe (Madrid)"]
+  );
+  assert.deepEqual(panelRows(), [
+    ["Around park", "here"],
+    ["North café", "111 m · N 0°"],
+    ["East café", "169 m · E 90°"],
+    ["Far café", "1.1 km · N 0°"]
+  ]);
+});
+
+test("hovering a row rings its icon and clicking opens the popup", () => {
+  clickMap(SPOT);
+  const row = app.document.querySelectorAll("#inspect-panel .inspect-row")[2];
+
+  row.dispatchEvent(new app.window.Event("mouseenter"));
+  const ring = app.map.sources["inspect-highlight"].data.features;
+  assert.deepEqual(plain(ring.map(f => f.geometry.coordinates)), [[-3.698, 40.42]]);
+  assert.equal(app.map.styleLayers.at(-1).id, "measure-labels");
+
+  row.dispatchEvent(new app.window.Event("mouseleave"));
+  assert.equal(app.map.sources["inspect-highlight"].data.features.length, 0);
+
+  row.click();
+  assert.match(app.map.lastPopup.html, /East café/);
+});
+
+test("the list follows visibility and filters, and closes with ×", () => {
+  clickMap(SPOT);
+  const layerIds = Object.keys(app.run("layers"));
+  const [parkId, cafeId] = layerIds.sort((a, b) => app.run("layers")[a].category === "park" ? -1 : 1);
+
+  app.window.setLayerVisibility(parkId, false);
+  app.window.setLayerFilter(cafeId, [[{ key: "cuisine", op: "=", value: "coffee_shop" }]]);
+  assert.deepEqual(panelRows(), [["East café", "169 m · E 90°"]]);
+
+  app.document.querySelector("#inspect-panel .inspect-close").click();
+  assert.equal(app.document.getElementById("inspect-panel").style.display, "none");
+  assert.equal(app.run("inspectMarker").map, null);
+});
+
+test("the measure tool adds up the clicked segments", () => {
+  const button = app.document.getElementById("measure-button");
+  const total = () => app.document.querySelector("#measure-readout .measure-total").textContent;
+
+  button.click();
+  assert.equal(app.map.getCanvas().style.cursor, "crosshair");
+  assert.equal(total(), "Click the map to start measuring");
+
+  clickMap(SPOT);
+  clickMap(SPOT); // second click of a double-click
+  clickMap({ lng: -3.7, lat: 40.43 });
+  clickMap({ lng: -3.69, lat: 40.43 });
+  assert.equal(total(), "2.0 km · 2 segments");
+  assert.equal(app.document.getElementById("inspect-panel").style.display, "none");
+
+  const labels = app.map.sources.measure.data.features.filter(f => f.properties.label).map(f => f.properties.label);
+  assert.deepEqual(plain(labels), ["1.1 km", "2.0 km"]);
+
+  // Popups stay closed while measuring
+  const cafes = Object.values(app.run("layers")).find(l => l.category === "cafe");
+  app.map.lastPopup = null;
+  app.map.fire("click", { features: [{ properties: { fid: 0 }, geometry: { coordinates: [-3.7, 40.421] } }] }, `${cafes.sourceId}-points`);
+  assert.equal(app.map.lastPopup, null);
+
+  app.document.getElementById("measure-undo").click();
+  assert.equal(total(), "1.1 km · 1 segment");
+
+  app.document.dispatchEvent(new app.window.KeyboardEvent("keydown", { key: "Escape" }));
+  assert.equal(app.run("measuring"), false);
+  assert.equal(app.map.sources.measure.data.features.length, 0);
+  assert.equal(app.document.getElementById("measure-readout").style.display, "none");
+});
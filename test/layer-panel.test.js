@@ -0,0 +1,112 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point } = require("./helpers/load-app");
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(1, 2.35, 48.85, { amenity: "cafe", name: "Paris café" })]
+  }, null, { place_name: "Paris", prompt: "cafes in Paris" });
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(2, 4.83, 45.76, { amenity: "cafe", name: "Lyon café" }), point(3, 4.84, 45.77, { amenity: "cafe" })]
+  }, null, { place_name: "Lyon", prompt: "cafes in Lyon" });
+});
+
+function rows() {
+  return [...app.document.querySelectorAll(".layer-row")];
+}
+
+function rowOf(name) {
+  return rows().find(r => r.querySelector(".layer-name").textContent === name);
+}
+
+function cafeCount() {
+  return app.document.querySelector('.legend-item[data-category="cafe"] .legend-count').textContent;
+}
+
+test("each layer is listed with its prompt and count, topmost first", () => {
+  assert.deepEqual(rows().map(r => r.querySelector(".layer-name").textContent), ["cafe (Lyon)", "cafe (Paris)"]);
+  assert.equal(rowOf("cafe (Lyon)").querySelector(".layer-prompt").textContent, "“cafes in Lyon”");
+  assert.equal(rowOf("cafe (Lyon)").querySelector(".layer-count").textContent, "2");
+  assert.equal(cafeCount(), "3");
+});
+
+test("hiding a layer keeps it but removes it from the map and legend counts", () => {
+  const lyon = rowOf("cafe (Lyon)");
+  const layer = app.run("layers")[lyon.dataset.layerId];
+  const checkbox = lyon.querySelector(".layer-visible");
+  checkbox.checked = false;
+  checkbox.dispatchEvent(new app.window.Event("change"));
+
+  assert.equal(layer.visible, false);
+  assert.ok(layer.mapLayerIds.every(id => app.map.getLayer(id).layout.visibility === "none"));
+  assert.equal(cafeCount(), "1");
+  assert.ok(rowOf("cafe (Lyon)").classList.contains("hidden-layer"));
+
+  app.window.setLayerVisibility(lyon.dataset.layerId, true);
+  assert.ok(layer.mapLayerIds.every(id => app.map.getLayer(id).layout.visibility === "visible"));
+  assert.equal(cafeCount(), "3");
+});
+
+test("layers can be renamed inline and keep being replaced by place", async () => {
+  const row = rowOf("cafe (Paris)");
+  row.querySelector(".layer-name").dispatchEvent(new app.window.MouseEvent("dblclick"));
+  const input = row.querySelector(".layer-name-input");
+  input.value = "  Paris shortlist ";
+  input.dispatchEvent(new app.window.KeyboardEvent("keydown", { key: "Enter" }));
+  assert.ok(rowOf("Paris shortlist"));
+
+  // A new Paris search replaces the renamed layer instead of duplicating it
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(4, 2.36, 48.86, { amenity: "cafe" })]
+  }, null, { place_name: "Paris" });
+  assert.equal(Object.keys(app.run("layers")).length, 2);
+});
+
+test("recolouring updates icons, clusters and footprints", async () => {
+  const layerId = rowOf("cafe (Lyon)").dataset.layerId;
+  await app.window.recolorLayer(layerId, "#123456");
+
+  const { sourceId, color } = app.run("layers")[layerId];
+  assert.equal(color, "#123456");
+  assert.equal(app.map.getLayer(`${sourceId}-clusters`).paint["circle-color"], "#123456");
+  assert.equal(app.map.getLayer(`${sourceId}-fill`).paint["fill-color"], "#123456");
+  assert.equal(app.map.getLayer(`${sourceId}-points`).layout["icon-image"], "poi-cafe-#123456");
+  assert.ok(app.map.hasImage("poi-cafe-#123456"));
+  assert.equal(rowOf("cafe (Lyon)").querySelector(".layer-color").value, "#123456");
+});
+
+test("reordering restacks icons above all footprints", () => {
+  const [lyonId, parisId] = rows().map(r => r.dataset.layerId);
+  const all = app.run("layers");
+  const order = () => app.map.styleLayers.map(l => l.id);
+
+  // Move Paris to the top
+  app.window.moveLayerInOrder(parisId);
+  assert.deepEqual(rows().map(r => r.dataset.layerId), [parisId, lyonId]);
+
+  const ids = order();
+  const paris = all[parisId].sourceId;
+  const lyon = all[lyonId].sourceId;
+  assert.ok(ids.indexOf(`${paris}-points`) > ids.indexOf(`${lyon}-points`));
+  assert.ok(ids.indexOf(`${paris}-fill`) > ids.indexOf(`${lyon}-fill`));
+  assert.ok(ids.indexOf(`${lyon}-clusters`) > ids.indexOf(`${paris}-outline`), "icons stay above footprints");
+
+  // Dropping Lyon's row on Paris' row puts Lyon back on top
+  app.window.moveLayerInOrder(lyonId, null);
+  assert.deepEqual(rows().map(r => r.dataset.layerId), [lyonId, parisId]);
+});
+
+test("zoom to layer fits its features; removing a row removes the layer", () => {
+  rowOf("cafe (Lyon)").querySelector(".layer-zoom").click();
+  const bounds = app.map.fittedBounds;
+  assert.deepEqual([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], [4.83, 45.76, 4.84, 45.77]);
+
+  rowOf("cafe (Lyon)").querySelector(".layer-remove").click();
+  assert.equal(rows().length, 1);
+  assert.equal(cafeCount(), "1");
+});
@@ -0,0 +1,114 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point } = require("./helpers/load-app");
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+});
+
+const park = {
+  type: "Feature",
+  id: "way/7",
+  properties: { leisure: "park", name: "Retiro", id: "way/7" },
+  geometry: { type: "Polygon", coordinates: [[[-3.69, 40.41], [-3.68, 40.41], [-3.68, 40.42], [-3.69, 40.42], [-3.69, 40.41]]] }
+};
+
+const results = {
+  type: "FeatureCollection",
+  features: [
+    point(1, -3.70, 40.41, { amenity: "cafe", name: "Café A" }),
+    point(2, -3.71, 40.42, { amenity: "cafe", name: "Café B" }),
+    point(3, -3.72, 40.43, { amenity: "bar", name: "Bar C" }),
+    park
+  ]
+};
+
+function legendCount(document, category) {
+  const item = document.querySelector(`.legend-item[data-category="${category}"]`);
+  return Number(item.querySelector(".legend-count").textContent);
+}
+
+function layerOf(category) {
+  return Object.values(app.run("layers")).find(l => l.category === category);
+}
+
+test("renderData creates one layer per category and updates the legend", async () => {
+  const counts = await app.window.renderData(results, null, { place_name: "Madrid" });
+
+  assert.deepEqual({ ...counts }, { cafe: 2, bar: 1, park: 1 });
+  assert.equal(Object.keys(app.run("layers")).length, 3);
+
+  const cafe = layerOf("cafe");
+  assert.equal(cafe.name, "cafe (Madrid)");
+  assert.ok(app.map.getSource(cafe.sourceId));
+  assert.ok(app.map.getLayer(`${cafe.sourceId}-points`));
+
+  assert.equal(legendCount(app.document, "cafe"), 2);
+  assert.equal(legendCount(app.document, "bar"), 1);
+  assert.equal(legendCount(app.document, "museum"), 0);
+});
+
+test("areas get a footprint source and an icon inside the polygon", async () => {
+  await app.window.renderData(results, null, { place_name: "Madrid" });
+
+  const parkLayer = layerOf("park");
+  const shapes = app.map.getSource(`${parkLayer.sourceId}-shapes`).data;
+  assert.equal(shapes.features.length, 1);
+  assert.equal(shapes.features[0].properties.shape, "area");
+
+  const [x, y] = app.map.getSource(parkLayer.sourceId).data.features[0].geometry.coordinates;
+  assert.ok(app.window.pointToPolygonDistance(x, y, park.geometry.coordinates) > 0);
+});
+
+test("rendering the same category and place replaces the old layer", async () => {
+  await app.window.renderData(results, null, { place_name: "Madrid" });
+  const before = layerOf("cafe").sourceId;
+
+  await app.window.renderData({ type: "FeatureCollection", features: [results.features[0]] }, null, { place_name: "Madrid" });
+
+  const cafeLayers = Object.values(app.run("layers")).filter(l => l.category === "cafe");
+  assert.equal(cafeLayers.length, 1);
+  assert.equal(cafeLayers[0].count, 1);
+  assert.equal(app.map.getSource(before), undefined);
+});
+
+test("removeCategoryLayers and clearAllLayers remove sources and map layers", async () => {
+  await app.window.renderData(results, null, { place_name: "Madrid" });
+  const bar = layerOf("bar");
+
+  app.window.removeCategoryLayers("bar");
+  assert.equal(layerOf("bar"), undefined);
+  assert.equal(app.map.getSource(bar.sourceId), undefined);
+  assert.ok(bar.mapLayerIds.every(id => !app.map.getLayer(id)));
+  assert.equal(legendCount(app.document, "bar"), 0);
+
+  app.window.clearAllLayers();
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  assert.deepEqual(Object.keys(app.map.sources), []);
+  assert.deepEqual(app.map.styleLayers, []);
+  assert.equal(app.map.handlers.filter(h => h.layerId).length, 0, "layer handlers are unbound");
+});
+
+test("a cancelled render draws nothing", async () => {
+  const controller = new app.window.AbortController();
+  const rendering = app.window.renderData(results, null, { place_name: "Madrid" }, false, controller.signal);
+  controller.abort();
+
+  await assert.rejects(rendering);
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+});
+
+test("label points are worked out once, not on every refresh", async () => {
+  await app.window.renderData({ type: "FeatureCollection", features: [park, point(1, -3.7, 40.4, { leisure: "park" })] }, null, { place_name: "Madrid" });
+  const layerId = Object.keys(app.run("layers"))[0];
+
+  let calls = 0;
+  const getLabelPoint = app.window.getLabelPoint;
+  app.window.getLabelPoint = (geometry) => { calls++; return getLabelPoint(geometry); };
+  app.window.setOpeningTime({ at: null, openOnly: true });
+  app.window.setOpeningTime({ at: null, openOnly: false });
+  app.window.setLayerFilter(layerId, [[{ key: "name", op: "=", value: "Retiro" }]]);
+  assert.equal(calls, 0);
+  assert.equal(app.run("layers")[layerId].count, 1);
+});
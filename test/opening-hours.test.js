@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, point, plain, chatLines } = require("./helpers/load-app");
+
+// Tuesday 20 October 2026, 21:30
+const TUESDAY_EVENING = "2026-10-20T21:30";
+
+function statusAt(window, value, at = TUESDAY_EVENING) {
+  const clock = window.parseWallClock(at);
+  return window.formatOpeningStatus(window.getOpeningStatus(value, clock), clock);
+}
+
+test("opening_hours rules are evaluated at a wall clock time", async () => {
+  const { window } = await loadApp();
+
+  assert.equal(statusAt(window, "24/7"), "Open 24/7");
+  assert.equal(statusAt(window, "Mo-Fr 08:00-12:00,14:00-22:00; Sa 09:00-13:00; Su off"), "Open · closes 22:00");
+  assert.equal(statusAt(window, "Mo-Fr 08:00-12:00,14:00-18:00; Sa 09:00-13:00"), "Closed · opens tomorrow 08:00");
+  assert.equal(statusAt(window, "Mo-Fr 09:00-17:00; Tu off"), "Closed · opens tomorrow 09:00");
+  assert.equal(statusAt(window, "Sa-Su 10:00-14:00"), "Closed · opens Sat 10:00");
+  assert.equal(statusAt(window, "Mo-Su 10:00-22:00; Tu 21:00-22:00 off"), "Closed · opens tomorrow 10:00");
+  assert.equal(statusAt(window, "Mo-Fr 08:00-24:00"), "Open · closes midnight");
+  assert.equal(statusAt(window, "Mo-Sa 20:00+"), "Open · open end");
+  assert.equal(statusAt(window, "Mo-Fr 09:00-17:00, Tu 21:00-23:00"), "Open · closes 23:00");
+
+  // Past midnight: Monday's opening still runs early on Tuesday
+  assert.equal(statusAt(window, "Mo 18:00-02:00", "2026-10-20T01:00"), "Open · closes 02:00");
+
+  // Months and dates; holidays are unknown so PH rules never apply
+  assert.equal(statusAt(window, "Jan-Mar 10:00-23:00; Oct Tu 20:00-23:00"), "Open · closes 23:00");
+  assert.equal(statusAt(window, "Mo-Su 10:00-23:00; Oct 20 off"), "Closed · opens tomorrow 10:00");
+  assert.equal(statusAt(window, "Mo-Su 10:00-23:00; PH off"), "Open · closes 23:00");
+  assert.equal(statusAt(window, "PH 10:00-23:00"), "Closed");
+
+  // Comments, fallbacks and unsupported syntax
+  assert.equal(statusAt(window, '"by appointment"'), "Opening hours unknown");
+  assert.equal(statusAt(window, 'Mo 09:00-12:00 || "call ahead"'), "Opening hours unknown");
+  assert.equal(statusAt(window, "sunrise-sunset"), "Opening hours unknown");
+  assert.throws(() => window.parseOpeningHours("Mo[1] 10:00-12:00"), /Unsupported weekday selector/);
+  assert.throws(() => window.parseOpeningHours("whenever"), /Unsupported opening_hours syntax/);
+});
+
+test("wall clocks follow the place's timezone", async () => {
+  const { window } = await loadApp();
+  const instant = new Date("2026-10-20T23:30:00Z");
+
+  assert.deepEqual(plain(window.getWallClock("Europe/Madrid", instant)), { year: 2026, month: 9, day: 21, weekday: 2, minutes: 90 });
+  assert.deepEqual(plain(window.getWallClock("America/New_York", instant)), { year: 2026, month: 9, day: 20, weekday: 1, minutes: 1170 });
+  assert.equal(window.getLongitudeTimeZone(-74), "Etc/GMT+5");
+  assert.equal(window.getLongitudeTimeZone(2.35), "Etc/GMT");
+  assert.equal(window.parseWallClock("2026-02-30T10:00"), null);
+  assert.equal(window.formatWallClock(window.parseWallClock(TUESDAY_EVENING)), TUESDAY_EVENING);
+});
+
+test("open_at and timezone are validated in the AI intent", async () => {
+  const { window } = await loadApp();
+  const base = { filters: [[{ key: "amenity", op: "=", value: "pharmacy" }]], place_name: "Valencia" };
+
+  const intent = window.validateIntent({ ...base, open_at: "now", timezone: "Europe/Madrid" });
+  assert.equal(intent.open_at, "now");
+  assert.equal(intent.timezone, "Europe/Madrid");
+  assert.equal(window.validateIntent({ ...base, open_at: "21:00", timezone: "Mars/Olympus" }).timezone, null);
+  assert.throws(() => window.validateIntent({ ...base, open_at: "25:00" }), /open_at/);
+  assert.throws(() => window.validateIntent({ ...base, open_at: "tonight" }), /open_at/);
+});
+
+async function loadCafes() {
+  const app = await loadApp();
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, 2.35, 48.85, { amenity: "cafe", name: "Late", opening_hours: "Mo-Su 08:00-23:00" }),
+      point(2, 2.36, 48.86, { amenity: "cafe", name: "Early", opening_hours: "Mo-Fr 07:00-15:00" }),
+      point(3, 2.37, 48.87, { amenity: "cafe", name: "No hours" })
+    ]
+  }, null, { place_name: "Paris", prompt: "cafes in Paris", timeZone: "Europe/Paris" });
+  const layer = Object.values(app.run("layers"))[0];
+  return { app, layer };
+}
+
+test("closed places are dimmed, or hidden when only open places are shown", async () => {
+  const { app, layer } = await loadCafes();
+  const closedFlags = () => plain(app.map.sources[layer.sourceId].data.features.map(f => [f.properties.name, f.properties.closed]));
+  const legendCount = () => app.document.querySelector('.legend-item[data-category="cafe"] .legend-count').textContent;
+
+  assert.equal(app.document.getElementById("opening-bar").style.display, "flex");
+
+  app.window.setOpeningTime({ at: TUESDAY_EVENING, openOnly: false });
+  assert.deepEqual(closedFlags(), [["Late", false], ["Early", true], ["No hours", false]]);
+  assert.equal(legendCount(), "3");
+
+  const mode = app.document.getElementById("opening-mode");
+  const at = app.document.getElementById("opening-at");
+  mode.value = "at";
+  at.value = TUESDAY_EVENING;
+  mode.dispatchEvent(new app.window.Event("change"));
+  assert.deepEqual(closedFlags(), [["Late", false]]);
+  assert.equal(legendCount(), "1");
+  assert.equal(at.style.display, "inline-block");
+
+  at.value = "2026-10-20T10:00";
+  at.dispatchEvent(new app.window.Event("change"));
+  assert.deepEqual(closedFlags(), [["Late", false], ["Early", false]]);
+
+  mode.value = "any";
+  mode.dispatchEvent(new app.window.Event("change"));
+  assert.equal(legendCount(), "3");
+  assert.equal(at.style.display, "none");
+});
+
+test("popups show the opening status", async () => {
+  const { app, layer } = await loadCafes();
+  app.window.setOpeningTime({ at: TUESDAY_EVENING, openOnly: false });
+
+  app.map.fire("click", { features: [{ properties: { fid: 0 }, geometry: { coordinates: [2.35, 48.85] } }] }, `${layer.sourceId}-points`);
+  assert.match(app.map.lastPopup.html, /Open · closes 23:00/);
+  assert.match(app.map.lastPopup.html, /Mo-Su 08:00-23:00/);
+
+  app.map.fire("click", { features: [{ properties: { fid: 2 }, geometry: { coordinates: [2.37, 48.87] } }] }, `${layer.sourceId}-points`);
+  assert.doesNotMatch(app.map.lastPopup.html, /popup-opening/);
+});
+
+test("an opening time in the prompt shows only places open then", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  app.document.getElementById("command").value = "cafes open on Sunday at 21:30 in Lisbon";
+  await app.document.getElementById("send").onclick();
+
+  assert.ok(chatLines(app.document).some(line => line.includes("open at 2026-10-25 21:30 (Europe/Lisbon time)")));
+  const layer = Object.values(app.run("layers"))[0];
+  assert.equal(layer.timeZone, "Europe/Lisbon");
+  assert.deepEqual(plain(app.map.sources[layer.sourceId].data.features.map(f => f.properties.name)), ["A Brasileira", "Martinho da Arcada"]);
+  assert.equal(app.document.getElementById("opening-mode").value, "at");
+});
+
+test("the next search without an opening time shows closed places again", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  const send = async (prompt) => {
+    app.document.getElementById("command").value = prompt;
+    await app.document.getElementById("send").onclick();
+  };
+  const mode = app.document.getElementById("opening-mode");
+
+  await send("cafes open on Sunday at 21:30 in Lisbon");
+  await send("cafes and bars in Lisbon");
+  assert.equal(mode.value, "any");
+  assert.equal(chatLines(app.document).find(line => line.includes("whatever their opening hours")), "Agent: Showing places whatever their opening hours again");
+  const cafe = Object.values(app.run("layers")).find(l => l.category === "cafe");
+  assert.equal(cafe.count, cafe.features.length);
+
+  // A time picked in the opening bar is the user's own and stays
+  mode.value = "now";
+  mode.dispatchEvent(new app.window.Event("change"));
+  await send("museums in Madrid");
+  assert.equal(mode.value, "now");
+});
@@ -0,0 +1,131 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, chatLines, waitFor, plain } = require("./helpers/load-app");
+
+const LISBON = "area:3605400890";
+const CAFES = { filters: [[{ key: "amenity", op: "=", value: "cafe" }]], element_types: ["node"], limit: 5000 };
+const NEAR_STATION = { relation: "within", distance_m: 300, filters: [[{ key: "railway", op: "=", value: "station" }]], category: "station" };
+
+// Fixture set without AI responses: restoring must not need the LLM
+async function overpassOnlyFetch(url) {
+  const res = await fixtureFetch(url);
+  if (!res.ok) return res;
+  const fixtures = await res.json();
+  return { ok: true, status: 200, json: async () => ({ ...fixtures, ai: {} }) };
+}
+
+// A layer list written by hand, as someone tampering with a link would
+function tamperedHash(window, compact) {
+  return `#map=12/38.7/-9.1&layers=${window.toBase64Url(JSON.stringify(compact))}`;
+}
+
+test("permalinks round-trip the view and the checked searches", async () => {
+  const { window } = await loadApp();
+  const hash = window.encodePermalink(
+    { center: [-9.1393, 38.7223], zoom: 12.5 },
+    [{ prompt: "cafés in Lisboa ☕", placeName: "Lisboa", intent: CAFES, areaFilter: LISBON, timeZone: "Europe/Lisbon", proximity: NEAR_STATION, colors: { cafe: "#F4A261" } }]
+  );
+
+  assert.match(hash, /^#map=12\.50\/38\.72230\/-9\.13930&layers=[\w-]+$/);
+  const { view, entries, skipped } = window.decodePermalink(hash);
+  assert.deepEqual(plain(view), { center: [-9.1393, 38.7223], zoom: 12.5 });
+  assert.deepEqual(plain(entries), [{
+    prompt: "cafés in Lisboa ☕",
+    placeName: "Lisboa",
+    intent: CAFES,
+    areaFilter: LISBON,
+    query: window.compileOverpassQuery({ ...CAFES, proximity: NEAR_STATION }, LISBON),
+    proximity: NEAR_STATION,
+    filters: {},
+    timeZone: "Europe/Lisbon",
+    colors: { cafe: "#F4A261" },
+    names: {}
+  }]);
+  assert.equal(skipped, 0);
+});
+
+test("permalinks never carry Overpass QL, only searches the app would run", async () => {
+  const { window } = await loadApp();
+  const hash = tamperedHash(window, [
+    { p: "x", q: "[out:json][timeout:900];(node(1););out geom 1000000;" },
+    { p: "x", f: { ...CAFES, limit: 1000000 }, a: LISBON },
+    { p: "x", f: CAFES, a: "area:1);(way(1);way(2);way(3);" },
+    { p: "x", f: CAFES, a: "around:5000000,38.7,-9.1" },
+    { p: "x", f: { ...CAFES, filters: [[{ key: "password", op: "=", value: "x" }]] }, a: LISBON },
+    { p: "x", f: CAFES, a: LISBON, l: { cafe: [[{ key: "name", op: "~", value: "(" }]] } },
+    { p: "x", f: CAFES, a: LISBON, l: { cafe: "everything" } },
+    { p: "x", f: CAFES, a: "38.6,-9.3,38.8,-9.0", c: { cafe: "red\" onload=\"alert(1)", bar: "#E63946" } }
+  ]);
+
+  const { entries, skipped } = window.decodePermalink(hash);
+  assert.equal(entries.length, 1);
+  assert.equal(skipped, 7);
+  assert.equal(entries[0].query, '[out:json][timeout:25];(node["amenity"="cafe"](38.6,-9.3,38.8,-9.0););out geom 5000;');
+  assert.deepEqual(plain(entries[0].colors), { bar: "#E63946" });
+
+  assert.throws(() => window.decodePermalink("#layers=not-json"), /damaged/);
+  assert.equal(window.decodePermalink("#map=99/1/2").view, null);
+});
+
+test("the hash follows the layers and opening it restores them without the LLM", async () => {
+  const first = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  first.document.getElementById("command").value = "cafes and bars in Lisbon";
+  await first.document.getElementById("send").onclick();
+
+  const hash = await waitFor(() => first.window.location.hash.includes("layers=") && first.window.location.hash);
+  const { view, entries } = first.window.decodePermalink(hash);
+  assert.equal(entries.length, 1, "one entry per query, not per category");
+  assert.deepEqual(Object.keys(entries[0].colors).sort(), ["bar", "cafe"]);
+  assert.equal(entries[0].prompt, "cafes and bars in Lisbon");
+
+  const second = await loadApp({ url: `http://localhost:8000/?fixtures${hash}`, fetch: overpassOnlyFetch });
+  await waitFor(() => Object.keys(second.run("layers")).length === 2);
+
+  const counts = Object.fromEntries(Object.values(second.run("layers")).map(l => [l.category, l.count]));
+  assert.deepEqual(counts, { cafe: 3, bar: 2 });
+  assert.equal(second.map.fittedBounds, null, "the linked view is kept");
+  assert.equal(second.map.options.zoom, view.zoom, "the map starts at the linked view");
+  assert.ok(chatLines(second.document).some(line => line.includes("Restoring 1 query from the link")));
+  assert.equal(second.run("lastPlaceName"), "Lisbon");
+  assert.deepEqual(plain(second.window.getPermalinkEntries()[0].intent), plain(entries[0].intent), "restored layers can be linked again");
+});
+
+test("links keep the layers' own filters and names and the opening time", async () => {
+  const first = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  first.document.getElementById("command").value = "cafes and bars in Lisbon";
+  await first.document.getElementById("send").onclick();
+
+  const layerId = (category) => Object.keys(first.run("layers")).find(id => first.run("layers")[id].category === category);
+  first.window.setLayerFilter(layerId("cafe"), [[{ key: "outdoor_seating", op: "=", value: "yes" }]]);
+  first.window.renameLayer(layerId("bar"), "Cocktails <b>late</b>");
+  first.window.setOpeningTime({ at: "2026-10-25T21:30", openOnly: true });
+
+  const hash = await waitFor(() => first.window.location.hash.includes("open=") && first.window.location.hash);
+  const second = await loadApp({ url: `http://localhost:8000/?fixtures${hash}`, fetch: overpassOnlyFetch });
+  await waitFor(() => Object.keys(second.run("layers")).length === 2);
+
+  const restored = Object.fromEntries(Object.values(second.run("layers")).map(l => [l.category, l]));
+  assert.deepEqual(plain(restored.cafe.filter), [[{ key: "outdoor_seating", op: "=", value: "yes" }]]);
+  assert.equal(restored.cafe.count, 1);
+  assert.equal(restored.bar.name, "Cocktails <b>late</b>");
+  assert.equal(restored.bar.count, 0, "bars without opening hours are hidden by the open filter");
+  assert.equal(second.document.getElementById("opening-mode").value, "at");
+  assert.equal(second.document.getElementById("opening-at").value, "2026-10-25T21:30");
+});
+
+test("a tampered link is rejected without querying Overpass", async () => {
+  const requests = [];
+  const app = await loadApp({
+    url: "http://localhost:8000/?fixtures",
+    fetch: async (url) => {
+      requests.push(String(url));
+      return overpassOnlyFetch(url);
+    }
+  });
+  const hash = tamperedHash(app.window, [{ p: "cafes", n: "Lisbon", q: "[out:json][timeout:900];nwr;out geom;" }]);
+
+  await app.window.restorePermalink(hash);
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  assert.equal(chatLines(app.document).pop(), "Agent: Error: 1 query of the link could not be checked and was skipped ❌");
+  assert.ok(!requests.some(url => url.includes("overpass")), requests.join(", "));
+});
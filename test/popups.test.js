@@ -0,0 +1,121 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, plain } = require("./helpers/load-app");
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+});
+
+// Popup markup parsed into a detached element
+function render(feature, category = "cafe", options) {
+  const div = app.document.createElement("div");
+  div.innerHTML = app.window.buildPopupHTML(feature, category, "#E63946", options);
+  return div;
+}
+
+function hrefs(popup) {
+  return [...popup.querySelectorAll("a")].map(a => [a.textContent, a.getAttribute("href")]);
+}
+
+test("names, tags and notes are shown as text, never as markup", () => {
+  const attack = "<img src=x onerror=alert(1)>";
+  const popup = render(point(1, -9.14, 38.71, {
+    amenity: "cafe",
+    name: `Café ${attack}`,
+    cuisine: attack,
+    "addr:street": `Rua "${attack}"`,
+    opening_hours: attack
+  }), "cafe", { openingStatus: "Unknown hours", proximityNote: `80 m from ${attack}` });
+
+  assert.equal(popup.querySelector("img"), null);
+  assert.equal(popup.querySelector(".popup-body strong").textContent, `Café ${attack}`);
+  assert.equal(popup.querySelector(".popup-detail").textContent, `Cuisine: ${attack}`);
+  assert.equal(popup.querySelector(".popup-address").textContent, `Rua "${attack}"`);
+  assert.equal(popup.querySelector(".popup-opening-hours").textContent, attack);
+  assert.equal(popup.querySelector(".popup-proximity").textContent, `80 m from ${attack}`);
+});
+
+test("the category template picks the details and the address is formatted", () => {
+  const tags = {
+    tourism: "hotel",
+    name: "Hotel Avenida",
+    stars: "4",
+    rooms: "120",
+    cuisine: "portuguese",
+    "addr:street": "Avenida da Liberdade",
+    "addr:housenumber": "10",
+    "addr:postcode": "1250-145",
+    "addr:city": "Lisboa"
+  };
+  const popup = render(point(2, -9.14, 38.72, tags), "hotel");
+
+  assert.deepEqual([...popup.querySelectorAll(".popup-detail")].map(d => d.textContent), ["Stars: 4", "Rooms: 120"]);
+  assert.equal(popup.querySelector(".popup-address").textContent, "Avenida da Liberdade 10, 1250-145 Lisboa");
+  assert.equal(app.window.formatAddress({ "addr:full": "1 Main St" }), "1 Main St");
+  assert.equal(app.window.formatAddress({ name: "No address" }), null);
+
+  // Imported features use the template of the category their tags match
+  assert.deepEqual(plain(app.window.getPopupDetails("imported", tags)), [["stars", "4"], ["rooms", "120"]]);
+});
+
+test("contact and reference tags become links only when they look right", () => {
+  const popup = render(point(3, -9.14, 38.71, {
+    amenity: "cafe",
+    name: "A Brasileira",
+    website: "abrasileira.pt",
+    phone: "+351 21 346 9541",
+    email: "info@abrasileira.pt",
+    wikipedia: "pt:A Brasileira",
+    wikidata: "Q4655337"
+  }));
+
+  assert.deepEqual(hrefs(popup.querySelector(".popup-links")), [
+    ["abrasileira.pt", "https://abrasileira.pt/"],
+    ["+351 21 346 9541", "tel:+351213469541"],
+    ["info@abrasileira.pt", "mailto:info@abrasileira.pt"],
+    ["Wikipedia", "https://pt.wikipedia.org/wiki/A_Brasileira"],
+    ["Wikidata", "https://www.wikidata.org/wiki/Q4655337"]
+  ]);
+  assert.ok([...popup.querySelectorAll("a")].every(a => a.target === "_blank" && a.rel.includes("noopener")));
+
+  const unsafe = render(point(4, 0, 0, {
+    amenity: "cafe",
+    website: "javascript:alert(1)",
+    phone: "ask at the bar",
+    email: "mailto:x@y.z?body=<b>",
+    wikidata: "Q1\" onclick=\"alert(1)"
+  }));
+  assert.equal(unsafe.querySelector(".popup-links"), null);
+});
+
+test("all tags expand and OSM features link to openstreetmap.org", () => {
+  const popup = render(point(5, -9.14, 38.71, { amenity: "cafe", name: "Nicola", "@distance_m": 80 }));
+
+  const allTags = popup.querySelector("details.popup-all-tags");
+  assert.equal(allTags.querySelector("summary").textContent, "All tags (2)");
+  assert.deepEqual([...allTags.querySelectorAll(".popup-tag")].map(t => t.textContent), ["amenity cafe", "name Nicola"]);
+  assert.deepEqual(hrefs(popup.querySelector(".popup-osm")), [
+    ["View on OSM", "https://www.openstreetmap.org/node/5"],
+    ["Edit on OSM", "https://www.openstreetmap.org/edit?node=5"]
+  ]);
+
+  const imported = render({ type: "Feature", properties: { name: "My pin" }, geometry: { type: "Point", coordinates: [0, 0] } }, "imported");
+  assert.equal(imported.querySelector(".popup-osm"), null);
+});
+
+test("clicking a result opens its templated popup", async () => {
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(6, -9.14, 38.71, { amenity: "cafe", name: "Café <b>Bold</b>", outdoor_seating: "yes", website: "https://example.org" })]
+  }, null, { place_name: "Lisbon", prompt: "cafes in Lisbon" });
+  const layer = Object.values(app.run("layers"))[0];
+
+  app.map.fire("click", { features: [{ properties: { fid: 0 }, geometry: { coordinates: [-9.14, 38.71] } }] }, `${layer.sourceId}-points`);
+  const popup = app.document.createElement("div");
+  popup.innerHTML = app.map.lastPopup.html;
+  assert.equal(popup.querySelector("b"), null);
+  assert.equal(popup.querySelector("strong").textContent, "Café <b>Bold</b>");
+  assert.equal(popup.querySelector(".popup-detail").textContent, "Outdoor seating: yes");
+  assert.equal(popup.querySelector(".popup-links a").getAttribute("href"), "https://example.org/");
+});
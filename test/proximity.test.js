@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, point, plain, chatLines } = require("./helpers/load-app");
+
+const AREA = "area:3605400890";
+const cond = (key, value) => ({ key, op: "=", value });
+
+function intentWith(window, proximity) {
+  return window.validateIntent({ filters: [[cond("amenity", "school")]], place_name: "Lisbon", element_types: ["node"], proximity });
+}
+
+test("proximity relations are validated", async () => {
+  const { window } = await loadApp();
+  const hospitals = [[cond("amenity", "hospital")]];
+
+  assert.deepEqual(plain(intentWith(window, { relation: "beyond", distance_m: 1000, filters: hospitals, category: "hospital" }).proximity),
+    { relation: "beyond", distance_m: 1000, filters: hospitals, category: "hospital" });
+  assert.equal(intentWith(window, { relation: "contains", distance_m: 50, filters: hospitals }).proximity.distance_m, null);
+  assert.equal(intentWith(window, null).proximity, null);
+
+  assert.throws(() => intentWith(window, { relation: "touches", distance_m: 10, filters: hospitals }), /proximity\.relation/);
+  assert.throws(() => intentWith(window, { relation: "within", filters: hospitals }), /proximity\.distance_m/);
+  assert.throws(() => intentWith(window, { relation: "within", distance_m: 100, filters: [[{ key: "amenity", op: "!=", value: "x" }]] }),
+    /proximity\.filters\[0\] needs at least one positive condition/);
+});
+
+test("within and beyond are compiled into Overpass set operations", async () => {
+  const { window } = await loadApp();
+  const proximity = { distance_m: 1000, filters: [[cond("amenity", "hospital")]] };
+  const reference = `(node["amenity"="hospital"](${AREA});way["amenity"="hospital"](${AREA});relation["amenity"="hospital"](${AREA});)->.reference;`;
+
+  assert.equal(window.compileOverpassQuery(intentWith(window, { ...proximity, relation: "within" }), AREA),
+    `[out:json][timeout:25];${reference}(node["amenity"="school"](${AREA})(around.reference:1000);)->.primary;(.reference;.primary;);out geom 5000;`);
+  assert.equal(window.compileOverpassQuery(intentWith(window, { ...proximity, relation: "beyond" }), AREA),
+    `[out:json][timeout:25];${reference}(node["amenity"="school"](${AREA});)->.candidates;` +
+    "nwr.candidates(around.reference:1000)->.near;(.candidates; - .near;)->.primary;(.reference;.primary;);out geom 5000;");
+  assert.match(window.compileOverpassQuery(intentWith(window, { relation: "contains", filters: proximity.filters }), AREA),
+    /\)->\.reference;\(node\["amenity"="school"\]\(area:3605400890\);\)->\.primary;/);
+
+  assert.equal(window.describeProximity({ ...proximity, relation: "beyond", category: "hospital" }), "farther than 1 km from hospital");
+});
+
+test("distances are measured to the nearest point of a geometry", async () => {
+  const { window } = await loadApp();
+  const square = { type: "Polygon", coordinates: [[[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01], [0, 0]]] };
+
+  assert.equal(window.nearestPointOnGeometry([0.005, 0.005], square).distance, 0);
+  const outside = window.nearestPointOnGeometry([0.015, 0.005], square);
+  assert.ok(Math.abs(outside.distance - 556) < 2, `distance ${outside.distance}`);
+  assert.ok(Math.abs(outside.point[0] - 0.01) < 1e-9 && Math.abs(outside.point[1] - 0.005) < 1e-9);
+
+  assert.ok(window.geometryContainsPoint(square, [0.002, 0.008]));
+  assert.ok(!window.geometryContainsPoint(square, [0.02, 0.008]));
+  assert.ok(!window.geometryContainsPoint({ type: "Point", coordinates: [0, 0] }, [0, 0]));
+});
+
+test("contains keeps only areas holding a reference feature", async () => {
+  const { window } = await loadApp();
+  const park = (id, x) => ({
+    type: "Feature",
+    id: `way/${id}`,
+    geometry: { type: "Polygon", coordinates: [[[x, 0], [x + 0.01, 0], [x + 0.01, 0.01], [x, 0.01], [x, 0]]] },
+    properties: { leisure: "park", name: `Park ${id}` }
+  });
+  const features = [
+    park(1, 0), park(2, 1),
+    point(3, 0.005, 0.005, { leisure: "playground", name: "Swings" }),
+    point(4, 0.006, 0.006, { leisure: "playground", name: "Slides" }),
+    point(5, 5, 5, { leisure: "playground", name: "Elsewhere" })
+  ];
+
+  const { features: joined, matched } = window.applyProximity(features, { relation: "contains", filters: [[cond("leisure", "playground")]] });
+  assert.equal(matched, 1);
+  assert.deepEqual(plain(joined.map(f => f.properties.name)), ["Swings", "Slides", "Park 1"]);
+  assert.equal(window.getProximityNote(joined[2]), "Contains Swings and 1 more");
+});
+
+test("proximity prompts highlight the matches and show distances", async () => {
+  const app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  app.document.getElementById("command").value = "cafes within 300 m of a station in Lisbon";
+  await app.document.getElementById("send").onclick();
+
+  assert.ok(chatLines(app.document).some(line => line.includes("1 result is within 300 m of station")));
+  const layers = Object.values(app.run("layers"));
+  const cafes = layers.find(l => l.category === "cafe");
+  assert.deepEqual(plain(layers.map(l => l.category).sort()), ["cafe", "station"]);
+
+  // Highlight halo and a labelled link to the station
+  assert.ok(cafes.mapLayerIds.includes(`${cafes.sourceId}-highlight`));
+  const link = app.map.sources[`${cafes.sourceId}-shapes`].data.features.find(f => f.properties.shape === "link");
+  assert.match(link.properties.label, /^\d+ m$/);
+  assert.equal(app.map.sources[cafes.sourceId].data.features[0].properties.matched, true);
+
+  app.map.fire("click", { features: [{ properties: { fid: 0 }, geometry: { coordinates: [-9.1428, 38.7107] } }] }, `${cafes.sourceId}-points`);
+  assert.match(app.map.lastPopup.html, /\d+ m from Baixa-Chiado/);
+
+  // The relation travels with the permalink and the saved session
+  assert.equal(cafes.proximity.relation, "within");
+  assert.equal(plain(app.window.getPermalinkEntries())[0].proximity.distance_m, 300);
+});
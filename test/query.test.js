@@ -0,0 +1,72 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./helpers/load-app");
+
+let app;
+before(async () => {
+  app = await loadApp();
+});
+
+const cafes = {
+  filters: [[{ key: "amenity", op: "=", value: "cafe" }]],
+  element_types: ["node", "way"],
+  limit: 100,
+  place_name: "Paris"
+};
+
+test("validateIntent fills in defaults", () => {
+  const intent = app.window.validateIntent({ filters: [[{ key: "amenity", value: "cafe" }]] });
+  assert.deepEqual(plain(intent.element_types), ["node", "way", "relation"]);
+  assert.equal(intent.limit, app.run("DEFAULT_RESULT_LIMIT"));
+  assert.deepEqual(plain(intent.filters), [[{ key: "amenity", op: "=", value: "cafe" }]]);
+  assert.deepEqual(plain(intent.categories), []);
+});
+
+test("validateIntent lists every problem", () => {
+  assert.throws(
+    () => app.window.validateIntent({
+      filters: [[{ key: "password", op: "=", value: "x" }], [{ key: "amenity", op: "!=", value: "cafe" }]],
+      limit: 0
+    }),
+    (err) => {
+      assert.match(err.message, /^Invalid AI response: /);
+      assert.match(err.message, /"password" is not an allowed tag key/);
+      assert.match(err.message, /filters\[1\] needs at least one positive condition/);
+      assert.match(err.message, /limit must be a whole number/);
+      return true;
+    }
+  );
+});
+
+test("validateIntent surfaces backend errors", () => {
+  assert.throws(() => app.window.validateIntent({ error: "rate limited" }), /^Error: AI backend: rate limited$/);
+  assert.throws(() => app.window.validateIntent([]), /expected a JSON object/);
+});
+
+test("validateIntent rejects invalid regular expressions and prefixed keys", () => {
+  assert.throws(() => app.window.validateIntent({ filters: [[{ key: "name", op: "~", value: "(" }]] }), /not a valid regular expression/);
+  const intent = app.window.validateIntent({ filters: [[{ key: "amenity", value: "restaurant" }, { key: "diet:vegan", op: "exists" }]] });
+  assert.equal(intent.filters[0][1].key, "diet:vegan");
+});
+
+test("compileOverpassQuery emits one statement per group and element type", () => {
+  const intent = app.window.validateIntent(cafes);
+  const query = app.window.compileOverpassQuery(intent, "area:3600007444");
+  assert.equal(
+    query,
+    '[out:json][timeout:25];(node["amenity"="cafe"](area:3600007444);way["amenity"="cafe"](area:3600007444););out geom 100;'
+  );
+});
+
+test("compileOverpassQuery handles OR groups, negation and escaping", () => {
+  const intent = app.window.validateIntent({
+    filters: [
+      [{ key: "amenity", op: "=", value: "bar" }, { key: "name", op: "!~", value: 'Joe"s' }],
+      [{ key: "amenity", op: "=", value: "pub" }, { key: "wheelchair", op: "not_exists" }]
+    ],
+    element_types: ["node"]
+  });
+  const query = app.window.compileOverpassQuery(intent, "40.3,-3.8,40.5,-3.6");
+  assert.ok(query.includes('node["amenity"="bar"]["name"!~"Joe\\"s"](40.3,-3.8,40.5,-3.6);'));
+  assert.ok(query.includes('node["amenity"="pub"][!"wheelchair"](40.3,-3.8,40.5,-3.6);'));
+});
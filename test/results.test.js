@@ -0,0 +1,102 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point } = require("./helpers/load-app");
+
+let app;
+let layer;
+beforeEach(async () => {
+  app = await loadApp();
+  // 60 cafés along a street, one every ~85 m eastwards; every third serves coffee only
+  const features = Array.from({ length: 60 }, (_, i) => point(i + 1, -3.7 + i * 0.001, 40.42, {
+    amenity: "cafe",
+    name: `Café ${String(i + 1).padStart(2, "0")}`,
+    ...(i % 3 === 0 ? { cuisine: "coffee_shop" } : {})
+  }));
+  await app.window.renderData({ type: "FeatureCollection", features }, null, { place_name: "Madrid", prompt: "cafes in Madrid" });
+  layer = Object.values(app.run("layers"))[0];
+  app.map.center = { lng: -3.7, lat: 40.42 };
+
+  app.document.querySelector(".layer-row .layer-results").click();
+});
+
+function panel() {
+  return app.document.getElementById("results-panel");
+}
+
+function listedNames() {
+  return [...panel().querySelectorAll(".results-row td:first-child")].map(td => td.textContent);
+}
+
+function range() {
+  return panel().querySelector(".results-range").textContent;
+}
+
+test("the list shows a page of the layer's results with tags and distance", () => {
+  assert.equal(panel().style.display, "flex");
+  assert.equal(panel().querySelector(".results-title").textContent, "Results · cafe (Madrid)");
+  assert.ok(app.document.querySelector(".layer-row .layer-results").classList.contains("active"));
+
+  assert.equal(range(), "1–50 of 60");
+  const first = [...panel().querySelectorAll(".results-row")[0].children].map(td => td.textContent);
+  assert.deepEqual(first, ["Café 01", "Cafes", "cuisine: coffee_shop", "0 m"]);
+
+  panel().querySelector(".results-next").click();
+  assert.equal(range(), "51–60 of 60");
+  assert.equal(listedNames()[0], "Café 51");
+  assert.ok(panel().querySelector(".results-next").disabled);
+});
+
+test("search and sorting change the listed rows", () => {
+  const search = panel().querySelector(".results-search");
+  search.value = "coffee";
+  search.dispatchEvent(new app.window.Event("input"));
+  assert.equal(range(), "1–20 of 20");
+
+  // Distance from the map centre, farthest first after a second click
+  app.map.center = { lng: -3.66, lat: 40.42 };
+  app.map.fire("moveend", {});
+  const byDistance = panel().querySelector('th[data-sort="distance"]');
+  byDistance.click();
+  assert.deepEqual(listedNames().slice(0, 2), ["Café 40", "Café 43"]);
+  byDistance.click();
+  assert.equal(byDistance.getAttribute("aria-sort"), "descending");
+  assert.deepEqual(listedNames().slice(0, 2), ["Café 01", "Café 04"]);
+});
+
+test("moving the map only measures the distances again", () => {
+  let builds = 0;
+  const getLayerSources = app.window.getLayerSources;
+  app.window.getLayerSources = (...args) => { builds++; return getLayerSources(...args); };
+
+  panel().querySelector('th[data-sort="distance"]').click();
+  app.map.center = { lng: -3.66, lat: 40.42 };
+  app.map.fire("moveend", {});
+  assert.equal(builds, 0);
+  assert.deepEqual(listedNames().slice(0, 2), ["Café 41", "Café 40"]);
+  assert.equal(panel().querySelector(".results-row td:last-child").textContent, "0 m");
+});
+
+test("the list follows the layer filter and closes with the layer", () => {
+  app.window.setLayerFilter(Object.keys(app.run("layers"))[0], [[{ key: "cuisine", op: "=", value: "coffee_shop" }]]);
+  assert.equal(range(), "1–20 of 20");
+
+  app.window.removeLayer(Object.keys(app.run("layers"))[0]);
+  assert.equal(panel().style.display, "none");
+});
+
+test("rows and markers are synced both ways", () => {
+  const row = panel().querySelectorAll(".results-row")[4];
+
+  row.dispatchEvent(new app.window.Event("mouseenter"));
+  assert.deepEqual([...app.map.sources["inspect-highlight"].data.features[0].geometry.coordinates], [-3.696, 40.42]);
+
+  row.click();
+  assert.deepEqual([...app.map.lastCamera.center], [-3.696, 40.42]);
+  assert.match(app.map.lastPopup.html, /Café 05/);
+  assert.ok(panel().querySelectorAll(".results-row")[4].classList.contains("selected"));
+
+  // Clicking a marker on the second page turns the page and selects its row
+  app.map.fire("click", { features: [{ properties: { fid: 55 }, geometry: { coordinates: [-3.645, 40.42] } }] }, `${layer.sourceId}-points`);
+  assert.equal(range(), "51–60 of 60");
+  assert.equal(panel().querySelector(".results-row.selected td").textContent, "Café 56");
+});
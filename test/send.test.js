@@ -0,0 +1,127 @@
+// End-to-end: prompt -> AI intent -> geocoding -> Overpass -> map, replayed from fixtures/demo.json
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, chatLines } = require("./helpers/load-app");
+
+let app;
+beforeEach(async () => {
+  app = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+});
+
+async function send(prompt) {
+  app.document.getElementById("command").value = prompt;
+  await app.document.getElementById("send").onclick();
+}
+
+test("the fixture provider is selected from the URL", () => {
+  assert.equal(app.run("provider.name"), "fixtures:demo");
+  assert.ok(chatLines(app.document).some(line => line.includes("Offline mode (fixtures:demo)")));
+});
+
+test("museums in Madrid are found and drawn inside the city boundary", async () => {
+  await send("Museums in Madrid");
+
+  const layers = Object.values(app.run("layers"));
+  assert.equal(layers.length, 1);
+  assert.equal(layers[0].category, "museum");
+  assert.equal(layers[0].count, 4);
+
+  assert.ok(app.map.getSource("search-boundary"), "boundary is shown");
+  assert.ok(app.map.fittedBounds, "map zooms to the results");
+  assert.ok(chatLines(app.document).some(line => line.includes("Found 4 results")));
+});
+
+test("a mixed query produces one layer per category", async () => {
+  await send("cafes and bars in Lisbon");
+
+  const counts = Object.fromEntries(Object.values(app.run("layers")).map(l => [l.category, l.count]));
+  assert.deepEqual(counts, { cafe: 3, bar: 2 });
+});
+
+test("a new place replaces the previous results", async () => {
+  await send("museums in Madrid");
+  await send("cafes and bars in Lisbon");
+
+  const categories = Object.values(app.run("layers")).map(l => l.category).sort();
+  assert.deepEqual(categories, ["bar", "cafe"]);
+});
+
+test("prompts without a recording report an error in the chat", async () => {
+  await send("castles in Scotland");
+
+  assert.equal(Object.keys(app.run("layers")).length, 0);
+  const last = chatLines(app.document).pop();
+  assert.match(last, /Error: .*No recorded/);
+});
+
+// An abort controller whose signal counts the listeners left on it
+function countingController() {
+  const controller = new app.window.AbortController();
+  const { signal } = controller;
+  controller.listeners = 0;
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (...args) => { controller.listeners++; add(...args); };
+  signal.removeEventListener = (...args) => { controller.listeners--; remove(...args); };
+  return controller;
+}
+
+test("waits between retries leave no listener on the request signal", async () => {
+  const controller = countingController();
+
+  await app.window.sleep(1, controller.signal);
+  await app.window.sleep(1, controller.signal);
+  assert.equal(controller.listeners, 0);
+
+  controller.abort();
+  await assert.rejects(app.window.sleep(1000, controller.signal), { name: "AbortError" });
+});
+
+test("a chosen answer leaves no listener on the request signal", async () => {
+  const controller = countingController();
+  const choice = app.window.askChoice("Which Springfield?", ["Illinois", "Missouri"], controller.signal);
+  app.document.querySelectorAll(".chat-choice")[1].click();
+
+  assert.equal(await choice, 1);
+  assert.equal(controller.listeners, 0);
+});
+
+test("an empty Overpass answer is converted without an error", () => {
+  const errors = [];
+  app.window.console.error = (...args) => errors.push(args);
+
+  assert.equal(app.window.overpassToGeoJSON({ elements: [] }).features.length, 0);
+  assert.deepEqual(errors, []);
+  assert.throws(() => app.window.overpassToGeoJSON({ elements: [], remark: "runtime error: timeout" }), /Overpass: runtime error/);
+});
+
+test("a location fix leaves no listener on the request signal", async () => {
+  const controller = countingController();
+  let fail = false;
+  Object.defineProperty(app.window.navigator, "geolocation", {
+    configurable: true,
+    value: {
+      getCurrentPosition: (ok, error) => fail ? error({ message: "denied" }) : ok({ coords: { longitude: -3.7, latitude: 40.4 } })
+    }
+  });
+
+  assert.deepEqual([...await app.window.getCurrentPosition({ signal: controller.signal })], [-3.7, 40.4]);
+  fail = true;
+  await assert.rejects(app.window.getCurrentPosition({ signal: controller.signal }), /Could not get your location: denied/);
+  assert.equal(controller.listeners, 0);
+});
+
+test("AI backend errors say what failed", async () => {
+  const failing = (status, body) => loadApp({
+    fetch: async () => ({ ok: false, status, statusText: "", json: async () => body })
+  });
+  const ask = async (backend) => {
+    backend.document.getElementById("command").value = "cafes in Lisbon";
+    await backend.document.getElementById("send").onclick();
+    return chatLines(backend.document).pop();
+  };
+
+  assert.equal(await ask(await failing(429, { detail: "Rate limit reached for model" })), "Agent: Error: AI backend error: 429 Rate limit reached for model ❌");
+  assert.equal(await ask(await failing(422, { detail: [{ msg: "Field required" }, { msg: "Input should be a string" }] })), "Agent: Error: AI backend error: 422 Field required; Input should be a string ❌");
+  assert.equal(await ask(await failing(502, undefined)), "Agent: Error: AI backend error: 502 ❌");
+});
@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, fixtureFetch, chatLines, waitFor, point } = require("./helpers/load-app");
+
+const results = {
+  type: "FeatureCollection",
+  features: [
+    point(1, -3.70, 40.41, { amenity: "cafe", name: "Café A" }),
+    point(2, -3.71, 40.42, { amenity: "bar", name: "Bar B" })
+  ]
+};
+
+// localStorage contents of a page, to seed the next page load
+function storageOf(window) {
+  const entries = {};
+  for (let i = 0; i < window.localStorage.length; i++) {
+    const key = window.localStorage.key(i);
+    entries[key] = window.localStorage.getItem(key);
+  }
+  return entries;
+}
+
+async function savedSession(app) {
+  return JSON.parse(await waitFor(() => app.window.localStorage.getItem("geoai-session")));
+}
+
+test("chat, layers and view survive a reload without network access", async () => {
+  const first = await loadApp();
+  first.window.addMessage("You", "cafes and bars in Madrid");
+  await first.window.renderData(results, null, { place_name: "Madrid", prompt: "cafes and bars in Madrid", query: "[out:json];" });
+  first.map.center = { lng: -3.7, lat: 40.42 };
+  first.map.zoom = 14;
+  first.run('lastPlaceName = "Madrid"');
+
+  const session = await savedSession(first);
+  assert.equal(session.layers.length, 2);
+  assert.equal(session.layers[0].features.length, 1);
+
+  const second = await loadApp({ storage: storageOf(first.window) });
+  await waitFor(() => Object.keys(second.run("layers")).length === 2);
+
+  assert.deepEqual(chatLines(second.document), ["You: cafes and bars in Madrid"]);
+  assert.deepEqual(Object.values(second.run("layers")).map(l => l.name).sort(), ["bar (Madrid)", "cafe (Madrid)"]);
+  assert.equal(second.map.lastCamera.zoom, 14);
+  assert.equal(second.run("lastPlaceName"), "Madrid");
+  assert.equal(second.document.querySelector('.legend-item[data-category="cafe"] .legend-count').textContent, "1");
+});
+
+test("when storage is full, geometry is dropped and re-fetched on restore", async () => {
+  const first = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch });
+  first.document.getElementById("command").value = "museums in Madrid";
+  await first.document.getElementById("send").onclick();
+  await first.window.importFiles([new first.window.File(['{"type":"Point","coordinates":[-3.7,40.4]}'], "office.geojson")]);
+
+  // Storage too small for the results' geometry
+  const snapshot = first.window.createSnapshot();
+  const fullSize = JSON.stringify(snapshot).length;
+  first.run(`smallStorage = {
+    items: {},
+    setItem(key, value) {
+      if (value.length >= ${fullSize}) throw new Error("QuotaExceededError");
+      this.items[key] = value;
+    }
+  };
+  getStorage = () => smallStorage;`);
+
+  assert.equal(first.window.writeSnapshot("geoai-session", snapshot), "without-geometry");
+
+  const store = { "geoai-session": first.run("smallStorage.items['geoai-session']") };
+  const stored = JSON.parse(store["geoai-session"]);
+  assert.deepEqual(stored.layers.map(l => [l.category, l.features]), [["museum", null]], "imported layers are dropped");
+
+  const second = await loadApp({ url: "http://localhost:8000/?fixtures", fetch: fixtureFetch, storage: store });
+  await waitFor(() => Object.values(second.run("layers")).some(l => l.count === 4));
+  assert.ok(chatLines(second.document).some(line => line.includes("did not fit in browser storage")));
+});
+
+test("the user is warned once when the session cannot be stored completely", async () => {
+  const app = await loadApp();
+  app.run(`getStorage = () => ({ setItem() { throw new Error("QuotaExceededError"); }, getItem() { return null; } })`);
+  app.window.addMessage("You", "hello");
+  app.window.addMessage("You", "again");
+
+  await waitFor(() => chatLines(app.document).some(line => line.includes("cannot be saved")));
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.equal(chatLines(app.document).filter(line => line.includes("cannot be saved")).length, 1);
+});
+
+test("named workspaces can be saved, opened and deleted", async () => {
+  const app = await loadApp();
+  app.window.confirm = () => true;
+  app.window.addMessage("You", "first idea");
+  await app.window.renderData(results, null, { place_name: "Madrid" });
+
+  app.window.prompt = () => "Madrid nightlife";
+  app.document.getElementById("workspace-save").click();
+  assert.deepEqual([...app.window.listWorkspaces()], ["Madrid nightlife"]);
+  assert.equal(app.document.getElementById("workspace-select").value, "Madrid nightlife");
+
+  // Start over, then switch back
+  app.window.clearAllLayers();
+  app.window.restoreChat([]);
+  app.window.addMessage("You", "something else");
+
+  const select = app.document.getElementById("workspace-select");
+  select.value = "Madrid nightlife";
+  select.dispatchEvent(new app.window.Event("change"));
+  await waitFor(() => Object.keys(app.run("layers")).length === 2);
+  assert.equal(chatLines(app.document)[0], "You: first idea");
+  assert.ok(!chatLines(app.document).includes("You: something else"));
+
+  app.document.getElementById("workspace-delete").click();
+  assert.deepEqual([...app.window.listWorkspaces()], []);
+  assert.equal(select.options.length, 1);
+});
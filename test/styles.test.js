@@ -0,0 +1,136 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, point, plain, waitFor } = require("./helpers/load-app");
+
+const LISBON = "area:3605400890";
+const CAFES = { filters: [[{ key: "amenity", op: "=", value: "cafe" }]], element_types: ["node"], limit: 5000 };
+
+let app;
+beforeEach(async () => {
+  app = await loadApp();
+});
+
+function onlyLayer() {
+  return Object.values(app.run("layers"))[0];
+}
+
+function chooseStyle(layer, key) {
+  const layerId = Object.keys(app.run("layers")).find(id => app.run("layers")[id] === layer);
+  if (!app.document.querySelector(".layer-style-key")) {
+    app.document.querySelector(`.layer-row[data-layer-id="${layerId}"] .layer-style`).click();
+  }
+  const select = app.document.querySelector(".layer-style-panel .layer-style-key");
+  select.value = key;
+  select.dispatchEvent(new app.window.Event("change"));
+}
+
+function legendRows() {
+  return [...app.document.querySelectorAll(".layer-style-legend .style-class")]
+    .map(row => [row.querySelector(".style-label").textContent, row.querySelector(".style-count").textContent]);
+}
+
+async function settle() {
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test("AI colours are snapped to the palette and only known icons are kept", () => {
+  const { window } = app;
+  assert.equal(window.resolveStyleColor("Red"), "#E63946");
+  assert.equal(window.resolveStyleColor("#E53945"), "#E63946");
+  assert.equal(window.resolveStyleColor("#38f"), app.run("STYLE_PALETTE.blue"));
+  assert.equal(window.resolveStyleColor("url(javascript:alert(1))"), null);
+
+  assert.deepEqual(plain(window.resolveStyleDefinitions({
+    cafe: { color: "#FF0000", icon: "bar" },
+    bar: { color: "not a colour", icon: "<svg onload=alert(1)>" },
+    restaurant: { icon: "museum" },
+    dragons: { color: "red" }
+  })), {
+    cafe: { color: "#E63946", icon: "bar" },
+    restaurant: { color: null, icon: "museum" }
+  });
+  assert.deepEqual(plain(window.resolveStyleDefinitions(["cafe"])), {});
+});
+
+test("rendered layers use the AI's palette colour and icon", async () => {
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(1, -9.14, 38.71, { amenity: "cafe", name: "Nicola" })]
+  }, { cafe: { color: "#FF0000", icon: "bar" } }, { place_name: "Lisbon", prompt: "red cafes in Lisbon", query: app.window.compileOverpassQuery(CAFES, LISBON), intent: CAFES, areaFilter: LISBON });
+  await settle();
+
+  const layer = onlyLayer();
+  assert.equal(layer.color, "#E63946");
+  assert.equal(layer.icon, "bar");
+  assert.equal(app.map.getLayer(`${layer.sourceId}-points`).layout["icon-image"], "poi-bar-#E63946");
+
+  // The icon is kept in the saved session and in the permalink
+  assert.equal(app.window.createSnapshot().layers[0].icon, "bar");
+  const hash = await waitFor(() => app.window.location.hash.includes("layers=") && app.window.location.hash);
+  const { entries } = app.window.decodePermalink(hash);
+  assert.deepEqual(plain(entries[0].icons), { cafe: "bar" });
+});
+
+test("text values are coloured by class and numbers are sized by range", () => {
+  const { window } = app;
+  const cuisines = ["pizza", "pizza", "pizza", "sushi", "sushi", "thai", undefined]
+    .map((cuisine, i) => point(i + 1, 0, 0, { amenity: "restaurant", ...(cuisine && { cuisine }) }));
+  const byCuisine = window.buildTagStyle(cuisines, "cuisine");
+
+  assert.equal(byCuisine.kind, "color");
+  assert.deepEqual(plain(byCuisine.classes.map(c => [c.label, c.count])), [["pizza", 3], ["sushi", 2], ["thai", 1], ["Other", 1]]);
+  assert.equal(window.getStyleClass(byCuisine, { cuisine: "sushi" }), 1);
+  assert.equal(window.getStyleClass(byCuisine, { cuisine: "burger" }), 3);
+
+  const capacities = ["10", "20", "40", "80", "150", "300", "600", "1200", "many"]
+    .map((capacity, i) => point(i + 1, 0, 0, { amenity: "parking", capacity }));
+  const byCapacity = window.buildTagStyle(capacities, "capacity");
+
+  assert.equal(byCapacity.kind, "size");
+  assert.deepEqual(plain(byCapacity.classes.map(c => [c.label, c.count])),
+    [["10–20", 2], ["40–80", 2], ["150–300", 2], ["600–1200", 2], ["No value", 1]]);
+  assert.deepEqual(plain(byCapacity.classes.map(c => c.size)), [0.6, 0.85, 1.1, 1.4, 1]);
+  assert.equal(window.getStyleClass(byCapacity, { capacity: "45" }), 1);
+  assert.equal(window.getStyleClass(byCapacity, {}), 4);
+
+  assert.equal(window.buildTagStyle(capacities, "cuisine"), null);
+});
+
+test("styling a layer by a tag updates the map and lists the classes under the layer", async () => {
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [
+      point(1, -9.14, 38.71, { amenity: "restaurant", name: "A", cuisine: "pizza" }),
+      point(2, -9.15, 38.72, { amenity: "restaurant", name: "B", cuisine: "pizza" }),
+      point(3, -9.16, 38.73, { amenity: "restaurant", name: "C", cuisine: "<b>sushi</b>" })
+    ]
+  }, null, { place_name: "Lisbon", prompt: "restaurants in Lisbon" });
+  const layer = onlyLayer();
+
+  chooseStyle(layer, "cuisine");
+  await settle();
+
+  const points = app.map.getLayer(`${layer.sourceId}-points`);
+  assert.equal(points.layout["icon-image"][0], "match");
+  assert.deepEqual(plain(app.map.sources[layer.sourceId].data.features.map(f => f.properties.styleClass)), [0, 0, 1]);
+  assert.equal(app.document.querySelector(".layer-style-legend .style-title").textContent, "Coloured by cuisine");
+  assert.deepEqual(legendRows(), [["pizza", "2"], ["<b>sushi</b>", "1"]]);
+  assert.equal(app.document.querySelector(".layer-style-legend b"), null);
+  assert.equal(app.window.createSnapshot().layers[0].styleKey, "cuisine");
+
+  chooseStyle(layer, "");
+  await settle();
+  assert.equal(layer.styleBy, null);
+  assert.equal(app.document.querySelector(".layer-style-legend"), null);
+  assert.equal(app.map.getLayer(`${layer.sourceId}-points`).layout["icon-size"], 1);
+});
+
+test("styling by a tag no result has reports an error", async () => {
+  await app.window.renderData({
+    type: "FeatureCollection",
+    features: [point(1, -9.14, 38.71, { amenity: "cafe", name: "Nicola" })]
+  }, null, { place_name: "Lisbon", prompt: "cafes in Lisbon" });
+  const layerId = Object.keys(app.run("layers"))[0];
+
+  await assert.rejects(app.window.setLayerStyleBy(layerId, "capacity"), /No result of cafe \(Lisbon\) has a capacity tag/);
+});